@@ -0,0 +1,169 @@
+// Per-asset run loops.
+// Each asset runs on its own: price and book updates trigger() a run, runs are spaced
+// at least cadenceMs(symbol) apart (the caller picks it from the market clock), and an
+// idle heartbeat keeps an asset ticking when no updates arrive. One run per asset is in
+// flight at a time - triggers during a run are coalesced into a single follow-up run -
+// so a slow Gamma or CLOB call only delays its own asset.
+//
+// Counters per asset: runs, overruns (run took longer than its cadence), coalesced
+// (triggers folded into a pending run) and run durations; logged every STATS_MS.
+
+const IDLE_MS = 10000;     // Run at least this often without triggers
+const SLOW_RUN_MS = 5000;  // Runs slower than this are logged individually
+const STATS_MS = 60000;
+
+let loops = new Map(); // symbol -> loop
+let runFn = null;      // async symbol => void
+let cadenceFn = null;  // symbol => ms between runs
+let statsTimer = null;
+let stopped = true;
+
+function newLoop(symbol) {
+  return {
+    symbol,
+    running: false,
+    pending: false,
+    timer: null,
+    dueAt: null,
+    lastStartAt: 0,
+    removed: false,
+    stats: { runs: 0, overruns: 0, coalesced: 0, errors: 0, totalMs: 0, maxMs: 0 }
+  };
+}
+
+function cadenceOf(loop) {
+  try {
+    return cadenceFn(loop.symbol);
+  } catch (e) {
+    console.error(`[LOOP] ${loop.symbol} cadence failed: ${e.message}`);
+    return IDLE_MS;
+  }
+}
+
+// Arm the timer for the next run at lastStart + delay, unless one is already due sooner
+function schedule(loop, delayMs) {
+  if (stopped || loop.removed || loop.running) return;
+
+  const dueAt = Math.max(Date.now(), loop.lastStartAt + delayMs);
+  if (loop.timer && loop.dueAt <= dueAt) return;
+
+  clearTimeout(loop.timer);
+  loop.dueAt = dueAt;
+  loop.timer = setTimeout(() => {
+    loop.timer = null;
+    loop.dueAt = null;
+    runOnce(loop);
+  }, dueAt - Date.now());
+}
+
+async function runOnce(loop) {
+  if (stopped || loop.removed || loop.running) return;
+
+  const cadenceMs = cadenceOf(loop);
+  loop.running = true;
+  loop.pending = false;
+  loop.lastStartAt = Date.now();
+
+  try {
+    await runFn(loop.symbol);
+  } catch (e) {
+    loop.stats.errors++;
+    console.error(`[LOOP] ${loop.symbol} run failed: ${e.message}`);
+  } finally {
+    const tookMs = Date.now() - loop.lastStartAt;
+    const s = loop.stats;
+    s.runs++;
+    s.totalMs += tookMs;
+    s.maxMs = Math.max(s.maxMs, tookMs);
+    if (tookMs > cadenceMs) s.overruns++;
+    if (tookMs > SLOW_RUN_MS) {
+      console.warn(`[LOOP] 🐢 ${loop.symbol} run took ${tookMs}ms (cadence ${cadenceMs}ms, ${s.overruns} overruns)`);
+    }
+
+    loop.running = false;
+    schedule(loop, loop.pending ? cadenceOf(loop) : Math.max(cadenceOf(loop), IDLE_MS));
+  }
+}
+
+function logStats() {
+  for (const loop of loops.values()) {
+    const s = loop.stats;
+    if (s.runs === 0) continue;
+    console.log(
+      `[LOOP] ${loop.symbol}: ${s.runs} runs, avg ${(s.totalMs / s.runs).toFixed(0)}ms, max ${s.maxMs}ms, ` +
+      `${s.overruns} overruns, ${s.coalesced} coalesced, ${s.errors} errors | cadence ${cadenceOf(loop)}ms`
+    );
+  }
+}
+
+/**
+ * Start the loops.
+ * @param {Object} opts
+ * @param {Function} opts.run - async symbol => void, one asset tick
+ * @param {Function} opts.cadenceMs - symbol => minimum ms between runs
+ */
+function start({ run, cadenceMs }) {
+  runFn = run;
+  cadenceFn = cadenceMs;
+  stopped = false;
+
+  statsTimer = setInterval(logStats, STATS_MS);
+  for (const loop of loops.values()) schedule(loop, 0);
+}
+
+function stop() {
+  stopped = true;
+  clearInterval(statsTimer);
+  for (const loop of loops.values()) {
+    clearTimeout(loop.timer);
+    loop.timer = null;
+  }
+}
+
+/**
+ * Set the assets that get a loop. New assets run straight away; removed ones
+ * finish their current run and stop.
+ */
+function setAssets(symbols) {
+  for (const [symbol, loop] of loops) {
+    if (symbols.includes(symbol)) continue;
+    loop.removed = true;
+    clearTimeout(loop.timer);
+    loops.delete(symbol);
+  }
+  for (const symbol of symbols) {
+    if (loops.has(symbol)) continue;
+    const loop = newLoop(symbol);
+    loops.set(symbol, loop);
+    schedule(loop, 0);
+  }
+}
+
+/** New data for an asset: run it as soon as its cadence allows */
+function trigger(symbol) {
+  const loop = loops.get(symbol);
+  if (!loop || stopped) return;
+
+  if (loop.running) {
+    if (loop.pending) loop.stats.coalesced++;
+    loop.pending = true;
+    return;
+  }
+  if (loop.timer && loop.dueAt <= loop.lastStartAt + cadenceOf(loop)) {
+    loop.stats.coalesced++;
+    return;
+  }
+  schedule(loop, cadenceOf(loop));
+}
+
+function getStats() {
+  return Object.fromEntries([...loops.values()].map(l => [l.symbol, { ...l.stats, running: l.running }]));
+}
+
+export const AssetLoop = {
+  start,
+  stop,
+  setAssets,
+  trigger,
+  getStats
+};
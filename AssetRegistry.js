@@ -0,0 +1,205 @@
+import fs from "fs";
+import { MarketTypes } from "./MarketTypes.js";
+
+// Asset registry.
+// One record per coin in asset_registry.json: Pyth feed, Polymarket slug parts,
+// backfill symbols, Chainlink stream and the per-asset strategy knobs (vol floor,
+// share cap, Kelly fraction, correlations). Adding a coin is adding a record;
+// discover() then checks whether Polymarket lists an up/down market for it.
+//
+// Record fields:
+//   pythId          Pyth price feed id (0x + 64 hex)
+//   slugPrefix      "btc"     -> btc-updown-15m-<unix>
+//   slugName        "bitcoin" -> bitcoin-up-or-down-<month>-<day>-...
+//   backfillSymbol  Binance pair for the price history backfill (null: no Binance backfill)
+//   pythSymbol      Pyth Benchmarks symbol for the backfill fallback (default "Crypto.<SYMBOL>/USD")
+//   chainlinkSymbol Resolution-source stream for BasisTracker, e.g. "btc/usd" (null: no basis tracking)
+//   minVolBps       Realized vol floor, bps per minute
+//   maxShares       MAX_SHARES_PER_MARKET
+//   kellyFraction   ASSET_SPECIFIC_KELLY_FRACTION
+//   correlations    { OTHER: n } - each pair only needs to be listed on one side
+//   enabled         false keeps the record without feeding or trading it (default true)
+
+const REGISTRY_FILE = "asset_registry.json";
+const GAMMA_URL = "https://gamma-api.polymarket.com";
+const DEFAULT_CORRELATION = 0.5;
+
+let assets = null; // symbol -> record
+
+// ---------- VALIDATION ----------
+
+function checkNumber(errors, path, value, { min, max }) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (min !== undefined && value < min) errors.push(`${path}: ${value} is below ${min}`);
+  if (max !== undefined && value > max) errors.push(`${path}: ${value} is above ${max}`);
+}
+
+function validate(records) {
+  const errors = [];
+  const symbols = Object.keys(records);
+  const pairs = new Map(); // "A-B" -> [value, declared by]
+
+  for (const [symbol, rec] of Object.entries(records)) {
+    if (!/^[A-Z0-9]+$/.test(symbol)) errors.push(`${symbol}: symbol must be upper-case letters/digits`);
+    if (!rec || typeof rec !== "object") {
+      errors.push(`${symbol}: expected an object`);
+      continue;
+    }
+
+    if (!/^0x[0-9a-f]{64}$/i.test(rec.pythId ?? "")) errors.push(`${symbol}.pythId: expected 0x + 64 hex chars`);
+    if (!/^[a-z0-9]+$/.test(rec.slugPrefix ?? "")) errors.push(`${symbol}.slugPrefix: expected lower-case letters/digits`);
+    if (!/^[a-z0-9-]+$/.test(rec.slugName ?? "")) errors.push(`${symbol}.slugName: expected lower-case letters/digits/dashes`);
+    if (rec.backfillSymbol !== null && typeof rec.backfillSymbol !== "string") errors.push(`${symbol}.backfillSymbol: expected a pair like BTCUSDT or null`);
+    if (rec.pythSymbol !== undefined && !/^[A-Za-z]+\.[A-Z0-9]+\/[A-Z]+$/.test(rec.pythSymbol)) errors.push(`${symbol}.pythSymbol: expected a symbol like Crypto.BTC/USD`);
+    if (rec.chainlinkSymbol != null && !/^[a-z0-9]+\/[a-z]+$/.test(rec.chainlinkSymbol)) errors.push(`${symbol}.chainlinkSymbol: expected a feed like btc/usd or null`);
+    if (rec.enabled !== undefined && typeof rec.enabled !== "boolean") errors.push(`${symbol}.enabled: expected true/false`);
+
+    checkNumber(errors, `${symbol}.minVolBps`, rec.minVolBps, { min: 0 });
+    checkNumber(errors, `${symbol}.maxShares`, rec.maxShares, { min: 0 });
+    checkNumber(errors, `${symbol}.kellyFraction`, rec.kellyFraction, { min: 0, max: 1 });
+
+    for (const [other, value] of Object.entries(rec.correlations || {})) {
+      const path = `${symbol}.correlations.${other}`;
+      if (!symbols.includes(other) || other === symbol) {
+        errors.push(`${path}: not another registry asset`);
+        continue;
+      }
+      checkNumber(errors, path, value, { min: -1, max: 1 });
+
+      const key = [symbol, other].sort().join("-");
+      const seen = pairs.get(key);
+      if (seen && seen[0] !== value) errors.push(`${path}: ${value} conflicts with ${seen[1]}.correlations (${seen[0]})`);
+      else pairs.set(key, [value, symbol]);
+    }
+  }
+
+  return errors;
+}
+
+// ---------- LOADING ----------
+
+/**
+ * Load and validate the registry.
+ * @param {Object} [opts]
+ * @param {string} [opts.file] - Registry file (default asset_registry.json)
+ * @returns {Object[]} Every record, enabled or not, with its symbol
+ * @throws {Error} If the file is missing or invalid
+ */
+function load({ file = REGISTRY_FILE } = {}) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`[ASSETS] Cannot read ${file}: ${e.message}`);
+  }
+
+  const records = raw.assets || {};
+  const errors = validate(records);
+  if (errors.length > 0) {
+    throw new Error(`[ASSETS] ${file} is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  assets = Object.fromEntries(Object.entries(records).map(([symbol, rec]) => [symbol, {
+    symbol,
+    ...rec,
+    enabled: rec.enabled !== false,
+    correlations: rec.correlations || {}
+  }]));
+  return Object.values(assets);
+}
+
+function all() {
+  if (!assets) load();
+  return Object.values(assets);
+}
+
+/**
+ * Enabled assets.
+ * @returns {Array<{symbol, pythId, slugPrefix, slugName, backfillSymbol, chainlinkSymbol, minVolBps, maxShares, kellyFraction, correlations}>}
+ */
+function list() {
+  return all().filter(a => a.enabled);
+}
+
+/** Record for a symbol (enabled or not), or null */
+function get(symbol) {
+  if (!assets) load();
+  return assets[symbol] ?? null;
+}
+
+/**
+ * Per-asset strategy knobs of the enabled assets, keyed like StrategyCore.DEFAULT_CONFIG.
+ * Pairs without a correlation in either record get DEFAULT_CORRELATION.
+ */
+function strategyDefaults() {
+  const enabled = list();
+  const pick = (field) => Object.fromEntries(enabled.map(a => [a.symbol, a[field]]));
+
+  const correlations = {};
+  for (const a of enabled) {
+    for (const b of enabled) {
+      if (a.symbol >= b.symbol) continue;
+      const key = `${a.symbol}-${b.symbol}`;
+      correlations[key] = a.correlations[b.symbol] ?? b.correlations[a.symbol] ?? DEFAULT_CORRELATION;
+    }
+  }
+
+  return {
+    MAX_SHARES_PER_MARKET: pick("maxShares"),
+    ASSET_SPECIFIC_KELLY_FRACTION: pick("kellyFraction"),
+    CORRELATION_MATRIX: correlations
+  };
+}
+
+// ---------- DISCOVERY ----------
+
+async function marketExists(slug) {
+  const res = await fetch(`${GAMMA_URL}/markets/slug/${slug}`);
+  if (res.status === 404) return false;
+  if (!res.ok) throw new Error(`Gamma ${res.status} for ${slug}`);
+  const market = await res.json();
+  return Boolean(market?.conditionId) && market.closed !== true;
+}
+
+/**
+ * Which enabled assets have a Polymarket up/down market of this type.
+ * An asset counts as listed if the current or the next interval's market exists.
+ * Gamma errors keep the asset (better to try and find no market than to drop a live one).
+ * @returns {Promise<{available: Object[], missing: Object[]}>}
+ */
+async function discover(marketType, date = new Date()) {
+  const { end } = MarketTypes.interval(marketType, date);
+  const available = [];
+  const missing = [];
+
+  await Promise.all(list().map(async (asset) => {
+    const slugs = [MarketTypes.slugFor(marketType, asset, date), MarketTypes.slugFor(marketType, asset, end)];
+    try {
+      for (const slug of slugs) {
+        if (await marketExists(slug)) {
+          available.push(asset);
+          return;
+        }
+      }
+      missing.push(asset);
+    } catch (e) {
+      console.error(`[ASSETS] Discovery failed for ${asset.symbol}: ${e.message} - keeping it`);
+      available.push(asset);
+    }
+  }));
+
+  const order = (a, b) => list().indexOf(a) - list().indexOf(b);
+  return { available: available.sort(order), missing: missing.sort(order) };
+}
+
+export const AssetRegistry = {
+  REGISTRY_FILE,
+  load,
+  list,
+  get,
+  strategyDefaults,
+  discover
+};
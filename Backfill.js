@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import { AssetRegistry } from "./AssetRegistry.js";
+import { PriceStore } from "./PriceStore.js";
+
+// Historical 1-minute bars for PriceStore.
+// fill() looks for the minutes PriceStore is missing over the last `minutes` and asks
+// the sources in order: each source gets the gaps the ones before it left, and a source
+// that fails (network, no data, no pair for the asset) hands its gaps to the next one.
+// Every bar is stored with the name of the source it came from.
+//
+// Sources - fetch(asset, from, to) resolves to bars { ts, price, high, low } for the
+// minutes starting in [from, to) (ms), ts being the bar's close time, or throws:
+//   binance  Binance 1m klines of the registry's backfillSymbol
+//   pyth     Pyth Benchmarks TradingView shim, pythSymbol (default Crypto.<SYMBOL>/USD) -
+//            the same oracle family the bot prices from
+//   file     BACKFILL_DIR/<SYMBOL>.jsonl ({ ts, price, high, low } lines, e.g. copied
+//            from another bot's price_history.jsonl) or <SYMBOL>.csv (header with
+//            ts|time|timestamp, close|price and optionally high, low; ts in ms or seconds)
+
+const BINANCE_URL = "https://api.binance.com/api/v3/klines";
+const BENCHMARKS_URL = "https://benchmarks.pyth.network/v1/shims/tradingview/history";
+const BACKFILL_DIR = "backfill";
+const DEFAULT_SOURCES = ["binance", "pyth", "file"];
+const CHUNK_MINS = 1000; // Binance's limit per request; gaps closer than this share a request
+
+// ---------- SOURCES ----------
+
+async function fetchJson(url) {
+  const res = await fetch(url);
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  return res.json();
+}
+
+const binance = {
+  name: "binance",
+  async fetch(asset, from, to) {
+    if (!asset.backfillSymbol) throw new Error("no backfillSymbol");
+    const klines = await fetchJson(`${BINANCE_URL}?symbol=${asset.backfillSymbol}&interval=1m&startTime=${from}&endTime=${to - 1}&limit=${CHUNK_MINS}`);
+    return klines.map(k => ({
+      ts: k[6],
+      price: parseFloat(k[4]),
+      high: parseFloat(k[2]),
+      low: parseFloat(k[3])
+    }));
+  }
+};
+
+const pyth = {
+  name: "pyth",
+  async fetch(asset, from, to) {
+    const params = new URLSearchParams({
+      symbol: asset.pythSymbol ?? `Crypto.${asset.symbol}/USD`,
+      resolution: "1",
+      from: String(Math.floor(from / 1000)),
+      to: String(Math.floor(to / 1000) - 1)
+    });
+    const data = await fetchJson(`${BENCHMARKS_URL}?${params}`);
+    // TradingView payload: { s: "ok", t: [open secs], o, h, l, c } or { s: "no_data" }
+    if (data.s === "no_data") return [];
+    if (data.s !== "ok" || !Array.isArray(data.t)) throw new Error(`response ${data.s ?? "malformed"}`);
+    return data.t.map((t, i) => ({
+      ts: t * 1000 + 59999,
+      price: Number(data.c[i]),
+      high: Number(data.h?.[i]),
+      low: Number(data.l?.[i])
+    }));
+  }
+};
+
+function parseCsv(text) {
+  const [header, ...rows] = text.trim().split(/\r?\n/);
+  const cols = header.split(",").map(c => c.trim().toLowerCase());
+  const col = (...names) => cols.findIndex(c => names.includes(c));
+  const [tsCol, priceCol, highCol, lowCol] = [col("ts", "time", "timestamp"), col("close", "price"), col("high"), col("low")];
+  if (tsCol === -1 || priceCol === -1) throw new Error("CSV needs ts and close columns");
+
+  return rows.map(row => {
+    const f = row.split(",");
+    return { ts: Number(f[tsCol]), price: Number(f[priceCol]), high: Number(f[highCol]), low: Number(f[lowCol]) };
+  });
+}
+
+const file = {
+  name: "file",
+  async fetch(asset, from, to) {
+    const jsonl = path.join(BACKFILL_DIR, `${asset.symbol}.jsonl`);
+    const csv = path.join(BACKFILL_DIR, `${asset.symbol}.csv`);
+    let rows;
+    if (fs.existsSync(jsonl)) {
+      rows = (await fs.promises.readFile(jsonl, "utf8")).split("\n").flatMap(line => {
+        try {
+          const row = JSON.parse(line);
+          return !row.symbol || row.symbol === asset.symbol ? [row] : [];
+        } catch (e) {
+          return []; // Blank or torn line
+        }
+      });
+    } else if (fs.existsSync(csv)) {
+      rows = parseCsv(await fs.promises.readFile(csv, "utf8"));
+    } else {
+      throw new Error(`no ${jsonl} or ${csv}`);
+    }
+
+    return rows
+      .map(r => ({ ...r, ts: r.ts < 1e12 ? r.ts * 1000 : r.ts }))
+      .filter(r => r.ts >= from && r.ts < to)
+      .map(r => ({ ts: r.ts, price: r.price, high: r.high, low: r.low }));
+  }
+};
+
+const SOURCES = { binance, pyth, file };
+
+// ---------- FILL ----------
+
+// Gaps merged into requests of at most CHUNK_MINS minutes
+function chunks(gaps) {
+  const list = [];
+  for (const gap of gaps) {
+    for (let from = gap.from; from < gap.to; from += CHUNK_MINS * 60000) {
+      const to = Math.min(gap.to, from + CHUNK_MINS * 60000);
+      const last = list[list.length - 1];
+      if (last && to - last.from <= CHUNK_MINS * 60000) last.to = to;
+      else list.push({ from, to });
+    }
+  }
+  return list;
+}
+
+// Usable, closed bars only: an open candle or a NaN field would be stored as final
+function clean(bars, now) {
+  return bars
+    .filter(b => b.price > 0 && b.ts < now)
+    .map(b => ({ ...b, high: b.high > 0 ? b.high : b.price, low: b.low > 0 ? b.low : b.price }));
+}
+
+/**
+ * Fill an asset's missing minutes source by source.
+ * @param {string} symbol
+ * @param {Object} [opts]
+ * @param {string[]} [opts.sources] - Source names in the order to try them
+ * @param {number} [opts.minutes] - How far back to look (default: all PriceStore keeps)
+ * @returns {Promise<{added: Object, failed: Object, missing: number}>} Bars added and
+ *   errors per source, minutes still missing afterwards
+ */
+async function fill(symbol, { sources = DEFAULT_SOURCES, minutes = PriceStore.MINUTE_SLOTS } = {}) {
+  const asset = AssetRegistry.get(symbol) ?? { symbol };
+  const result = { added: {}, failed: {}, missing: 0 };
+
+  for (const name of sources) {
+    const source = SOURCES[name];
+    if (!source) {
+      result.failed[name] = "unknown source";
+      continue;
+    }
+    const gaps = PriceStore.coverage(symbol, minutes).gaps;
+    if (gaps.length === 0) break;
+
+    for (const chunk of chunks(gaps)) {
+      try {
+        const bars = clean(await source.fetch(asset, chunk.from, chunk.to), Date.now());
+        const added = PriceStore.importBars(symbol, bars, source.name);
+        if (added > 0) result.added[source.name] = (result.added[source.name] || 0) + added;
+      } catch (err) {
+        // The rest of this source's gaps go to the next one
+        result.failed[source.name] = err.message;
+        break;
+      }
+    }
+  }
+
+  for (const gap of PriceStore.coverage(symbol, minutes).gaps) result.missing += (gap.to - gap.from) / 60000;
+  return result;
+}
+
+export const Backfill = {
+  SOURCES: Object.keys(SOURCES),
+  DEFAULT_SOURCES,
+  fill
+};
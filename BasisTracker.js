@@ -0,0 +1,207 @@
+import fs from "fs";
+import WebSocket from "ws";
+
+// Basis between our price feed (Pyth) and the markets' resolution source (Chainlink).
+// Up/down markets settle on the Chainlink stream Polymarket publishes over its
+// real-time data socket (topic crypto_prices_chainlink); old/feeds.js compared the two
+// by hand. Every Chainlink update is paired with our latest price when both were
+// published within MAX_SKEW_MS, and the spread in bps kept over a rolling window.
+// get() gives its mean and standard deviation, which StrategyCore uses to shift the
+// z-score onto the resolution price and to size the near-expiry strike buffer.
+//
+// basisBps = (ours - chainlink) / chainlink * 10000  (positive: our feed reads high)
+
+const RTDS_URL = "wss://ws-live-data.polymarket.com";
+const HISTORY_FILE = "basis_history.json";
+
+const WINDOW_MS = 60 * 60 * 1000; // Basis stats over the last hour
+const SAMPLE_MS = 1000;           // At most one sample per second per asset
+const MAX_SKEW_MS = 2000;         // Publish times further apart than this aren't compared
+const MIN_SAMPLES = 60;           // Below this get() returns null (callers use a fallback)
+const SAVE_MS = 60 * 1000;
+const PING_MS = 5000;
+const BACKOFF_MIN_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+let ws = null;
+let connected = false;
+let symbolByFeed = {};  // "btc/usd" -> "BTC"
+let samples = {};       // symbol -> [{ ts, bps }]
+let latest = {};        // symbol -> { price, ts } last Chainlink value
+let ourPrice = null;    // symbol -> { price, publishTime } | null
+let backoffMs = BACKOFF_MIN_MS;
+let reconnectTimer = null;
+let pingTimer = null;
+let saveTimer = null;
+let stopped = true;
+let socketUrl = RTDS_URL;
+
+function loadHistory() {
+  try {
+    if (!fs.existsSync(HISTORY_FILE)) return;
+    const saved = JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8"));
+    const cutoff = Date.now() - WINDOW_MS;
+    for (const [symbol, list] of Object.entries(saved)) {
+      samples[symbol] = list.filter(s => s.ts >= cutoff);
+    }
+  } catch (e) {
+    console.error("[BASIS] Failed to load history, starting fresh.", e.message);
+  }
+}
+
+function saveHistory() {
+  try {
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(samples));
+  } catch (e) {
+    console.error("[BASIS] Failed to save history.", e.message);
+  }
+}
+
+function recordSample(symbol, clPrice, clTs) {
+  latest[symbol] = { price: clPrice, ts: clTs };
+
+  const ours = ourPrice(symbol);
+  if (!ours || Math.abs(ours.publishTime - clTs) > MAX_SKEW_MS) return;
+
+  const list = samples[symbol] || (samples[symbol] = []);
+  const last = list[list.length - 1];
+  if (last && clTs - last.ts < SAMPLE_MS) return;
+
+  list.push({ ts: clTs, bps: (ours.price - clPrice) / clPrice * 10000 });
+
+  const cutoff = clTs - WINDOW_MS;
+  let drop = 0;
+  while (drop < list.length && list[drop].ts < cutoff) drop++;
+  if (drop > 0) list.splice(0, drop);
+}
+
+function handleUpdate(payload) {
+  const symbol = symbolByFeed[String(payload?.symbol).toLowerCase()];
+  if (!symbol) return;
+
+  // Subscribe replies carry recent history in payload.data; only the newest point can line up with our price
+  const point = Array.isArray(payload.data) ? payload.data[payload.data.length - 1] : payload;
+  const price = Number(point?.value);
+  const ts = Number(point?.timestamp);
+  if (!Number.isFinite(price) || price <= 0 || !Number.isFinite(ts)) return;
+
+  recordSample(symbol, price, ts);
+}
+
+function handleMessage(data) {
+  const text = data.toString();
+  if (!text || text === "PONG") return;
+
+  let msg;
+  try {
+    msg = JSON.parse(text);
+  } catch {
+    return;
+  }
+  if (msg?.topic === "crypto_prices_chainlink") handleUpdate(msg.payload);
+}
+
+// ---------- CONNECTION ----------
+
+function connect() {
+  if (stopped || Object.keys(symbolByFeed).length === 0) return;
+
+  const socket = new WebSocket(socketUrl);
+  ws = socket;
+
+  socket.on("open", () => {
+    connected = true;
+    backoffMs = BACKOFF_MIN_MS;
+    socket.send(JSON.stringify({
+      action: "subscribe",
+      subscriptions: Object.keys(symbolByFeed).map(feed => ({
+        topic: "crypto_prices_chainlink",
+        type: "*",
+        filters: JSON.stringify({ symbol: feed })
+      }))
+    }));
+    console.log(`[BASIS] Chainlink stream connected (${Object.keys(symbolByFeed).length} feeds)`);
+  });
+
+  socket.on("message", handleMessage);
+
+  socket.on("error", (err) => {
+    console.error(`[BASIS] Socket error: ${err.message}`);
+  });
+
+  socket.on("close", () => {
+    if (ws !== socket) return;
+    connected = false;
+    ws = null;
+    if (stopped) return;
+
+    console.warn(`[BASIS] Chainlink stream closed - reconnecting in ${backoffMs}ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, backoffMs);
+    backoffMs = Math.min(backoffMs * 2, BACKOFF_MAX_MS);
+  });
+}
+
+/**
+ * Start tracking.
+ * @param {Object} opts
+ * @param {Array<{symbol, chainlinkSymbol}>} opts.assets - Assets without a chainlinkSymbol are skipped
+ * @param {Function} opts.ourPrice - symbol => { price, publishTime } | null (PriceFeed.getLatest)
+ * @param {string} [opts.url] - Real-time data socket endpoint
+ */
+function start({ assets, ourPrice: priceFn, url = RTDS_URL }) {
+  symbolByFeed = Object.fromEntries(
+    assets.filter(a => a.chainlinkSymbol).map(a => [a.chainlinkSymbol.toLowerCase(), a.symbol])
+  );
+  ourPrice = priceFn;
+  socketUrl = url;
+  stopped = false;
+  loadHistory();
+
+  pingTimer = setInterval(() => {
+    if (ws && connected) ws.send("PING");
+  }, PING_MS);
+  saveTimer = setInterval(saveHistory, SAVE_MS);
+
+  connect();
+}
+
+function stop() {
+  stopped = true;
+  clearInterval(pingTimer);
+  clearInterval(saveTimer);
+  clearTimeout(reconnectTimer);
+  if (ws) ws.close();
+  ws = null;
+  connected = false;
+  saveHistory();
+}
+
+/**
+ * Basis stats for an asset over the window, or null until MIN_SAMPLES are in.
+ * @returns {{meanBps: number, stdBps: number, samples: number, lastTs: number}|null}
+ */
+function get(symbol) {
+  // Samples only expire as new ones arrive - a dead stream must not keep an old basis alive
+  const cutoff = Date.now() - WINDOW_MS;
+  const list = (samples[symbol] || []).filter(s => s.ts >= cutoff);
+  if (list.length < MIN_SAMPLES) return null;
+
+  const mean = list.reduce((sum, s) => sum + s.bps, 0) / list.length;
+  const variance = list.reduce((sum, s) => sum + (s.bps - mean) ** 2, 0) / (list.length - 1);
+  return { meanBps: mean, stdBps: Math.sqrt(variance), samples: list.length, lastTs: list[list.length - 1].ts };
+}
+
+/** Last Chainlink price seen for an asset, or null */
+function getChainlinkPrice(symbol) {
+  return latest[symbol] ?? null;
+}
+
+export const BasisTracker = {
+  start,
+  stop,
+  get,
+  getChainlinkPrice
+};
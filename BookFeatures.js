@@ -0,0 +1,116 @@
+// Order-book features for the probability model.
+// Every tick adds a sample of both books - best asks and the shares offered within
+// BOOK_DEPTH_BAND of each best ask - to a short history kept in the per-slug signal
+// state. compute() turns it into:
+//   imbalance               (DOWN depth - UP depth) / total: positive when less is offered on UP
+//   upDepthRate/downDepthRate  change of a side's depth over the window, as a fraction of
+//                              the depth at its start, per minute (negative: asks being taken)
+//   upAskMove/downAskMove   best ask now minus best ask at the start of the window
+// zShift() blends them into the model as a shift of the z-score behind pUp. Positive
+// favours UP. Each weight is in z per unit of its feature, the total is clamped to
+// BOOK_MAX_Z_SHIFT, and all weights at 0 (the default) leave the model untouched.
+//
+// Pure: the history goes in and comes out with the signal state.
+
+const MIN_SPAN_SECS = 5; // Rates and moves need at least this much history
+
+/**
+ * Shares offered from the best ask up to band above it.
+ * @param {{price: number, size: number}[]} levels - Ask levels, cheapest first
+ */
+function depthWithin(levels, band) {
+  if (!levels || levels.length === 0) return null;
+  const limit = levels[0].price + band + 1e-9;
+  let shares = 0;
+  for (const level of levels) {
+    if (level.price > limit) break;
+    shares += level.size;
+  }
+  return shares;
+}
+
+/**
+ * One book sample from a StrategyCore snapshot.
+ * Depth comes from the ask levels, or from upDepth/downDepth (replayed tick logs).
+ */
+function sample(snapshot, config) {
+  const band = config.BOOK_DEPTH_BAND;
+  return {
+    ts: snapshot.now,
+    upAsk: snapshot.upAsk ?? null,
+    downAsk: snapshot.downAsk ?? null,
+    upDepth: depthWithin(snapshot.upAsks, band) ?? snapshot.upDepth ?? null,
+    downDepth: depthWithin(snapshot.downAsks, band) ?? snapshot.downDepth ?? null
+  };
+}
+
+/**
+ * History with a new sample, trimmed to BOOK_WINDOW_SECS.
+ * @returns {Object[]} A new array
+ */
+function record(history, s, config) {
+  const cutoff = s.ts - config.BOOK_WINDOW_SECS * 1000;
+  return [...(history || []).filter(h => h.ts >= cutoff && h.ts < s.ts), s];
+}
+
+function change(first, last) {
+  return first != null && last != null ? last - first : null;
+}
+
+function depthRate(first, last, spanMins) {
+  return first > 0 && last != null ? (last / first - 1) / spanMins : null;
+}
+
+/**
+ * Features of a history (oldest first).
+ * @returns {Object|null} null without samples; rates and moves are null below MIN_SPAN_SECS of history
+ */
+function compute(history) {
+  if (!history || history.length === 0) return null;
+  const first = history[0];
+  const last = history[history.length - 1];
+  const spanSecs = (last.ts - first.ts) / 1000;
+  const total = (last.upDepth ?? 0) + (last.downDepth ?? 0);
+  const hasSpan = spanSecs >= MIN_SPAN_SECS;
+
+  return {
+    upDepth: last.upDepth,
+    downDepth: last.downDepth,
+    imbalance: last.upDepth != null && last.downDepth != null && total > 0 ? (last.downDepth - last.upDepth) / total : null,
+    upDepthRate: hasSpan ? depthRate(first.upDepth, last.upDepth, spanSecs / 60) : null,
+    downDepthRate: hasSpan ? depthRate(first.downDepth, last.downDepth, spanSecs / 60) : null,
+    upAskMove: hasSpan ? change(first.upAsk, last.upAsk) : null,
+    downAskMove: hasSpan ? change(first.downAsk, last.downAsk) : null,
+    spanSecs,
+    samples: history.length
+  };
+}
+
+const clamp = (x, limit) => Math.max(-limit, Math.min(limit, x));
+
+/**
+ * z-score shift from the features (0 when every weight is 0 or the features are missing).
+ * UP asks thinning, draining faster than DOWN's or repricing up all push toward UP.
+ */
+function zShift(features, config) {
+  if (!features) return 0;
+  let shift = 0;
+  if (features.imbalance != null) {
+    shift += config.BOOK_IMBALANCE_WEIGHT * features.imbalance;
+  }
+  if (features.upDepthRate != null && features.downDepthRate != null) {
+    shift += config.BOOK_DEPTH_RATE_WEIGHT * clamp(features.downDepthRate - features.upDepthRate, 1);
+  }
+  if (features.upAskMove != null && features.downAskMove != null) {
+    shift += config.BOOK_ASK_MOVE_WEIGHT * (features.upAskMove - features.downAskMove);
+  }
+  return clamp(shift, config.BOOK_MAX_Z_SHIFT);
+}
+
+export const BookFeatures = {
+  sample,
+  record,
+  compute,
+  zShift,
+  depthWithin
+};
@@ -0,0 +1,109 @@
+// Probability calibration.
+// A calibration map says what win rate a model pUp actually had: knots [pUp, win rate]
+// with pUp ascending and the win rate non-decreasing, read with linear interpolation and
+// held flat past the first/last knot. calibrate.js fits one per asset from tick logs by
+// isotonic regression (pool-adjacent-violators) on binned model probabilities; each
+// block's win rate is Laplace-smoothed, so a map never claims 0 or 1.
+// StrategyCore applies CALIBRATION_MAP[symbol] to pUp after the probability model and the
+// book shift; pDown stays 1 - pUp.
+
+const FIT_BINS = 50;
+
+/**
+ * Calibrated probability.
+ * @param {number} p - Model pUp
+ * @param {number[][]} [knots] - [[pUp, winRate], ...]; none leaves p as it is
+ */
+function apply(p, knots) {
+  if (!knots || knots.length === 0) return p;
+  const last = knots.length - 1;
+  if (p <= knots[0][0]) return knots[0][1];
+  if (p >= knots[last][0]) return knots[last][1];
+  let i = 1;
+  while (knots[i][0] < p) i++;
+  const [x0, y0] = knots[i - 1];
+  const [x1, y1] = knots[i];
+  return x1 > x0 ? y0 + (p - x0) / (x1 - x0) * (y1 - y0) : y1;
+}
+
+/**
+ * Isotonic calibration map.
+ * @param {{p: number, up: boolean}[]} samples - Model pUp and whether the market ended up
+ * @returns {number[][]} Knots, one per pooled block
+ */
+function fit(samples) {
+  // Bin first: keeps the map small and PAV linear in the number of bins
+  const bins = Array.from({ length: FIT_BINS }, () => ({ n: 0, wins: 0, sumP: 0 }));
+  for (const s of samples) {
+    const bin = bins[Math.min(FIT_BINS - 1, Math.floor(s.p * FIT_BINS))];
+    bin.n++;
+    bin.sumP += s.p;
+    if (s.up) bin.wins++;
+  }
+
+  // Pool adjacent violators: merge blocks until their (smoothed) win rates are non-decreasing
+  const blocks = [];
+  for (const bin of bins) {
+    if (bin.n === 0) continue;
+    blocks.push({ ...bin });
+    while (blocks.length > 1) {
+      const b = blocks[blocks.length - 1];
+      const a = blocks[blocks.length - 2];
+      if (smoothed(a) <= smoothed(b)) break;
+      blocks.splice(-2, 2, { n: a.n + b.n, wins: a.wins + b.wins, sumP: a.sumP + b.sumP });
+    }
+  }
+
+  return blocks
+    .map(b => [round(b.sumP / b.n), round(smoothed(b))])
+    .filter((knot, i, knots) => i === 0 || knot[0] > knots[i - 1][0]);
+}
+
+// Laplace-smoothed win rate of a block
+function smoothed(block) {
+  return (block.wins + 1) / (block.n + 2);
+}
+
+function round(n) {
+  return Number(n.toFixed(4));
+}
+
+/**
+ * Reliability curve: predicted vs realized per equal-width pUp bin.
+ * @param {{p: number, up: boolean}[]} samples
+ * @returns {{from: number, to: number, n: number, predicted: number, realized: number}[]} Non-empty bins
+ */
+function reliability(samples, bins = 10) {
+  const rows = Array.from({ length: bins }, (_, i) => ({ from: i / bins, to: (i + 1) / bins, n: 0, sumP: 0, wins: 0 }));
+  for (const s of samples) {
+    const row = rows[Math.min(bins - 1, Math.floor(s.p * bins))];
+    row.n++;
+    row.sumP += s.p;
+    if (s.up) row.wins++;
+  }
+  return rows.filter(r => r.n > 0).map(r => ({ from: r.from, to: r.to, n: r.n, predicted: r.sumP / r.n, realized: r.wins / r.n }));
+}
+
+/**
+ * Brier score and log loss (probabilities clipped to 1e-6 for the log).
+ * @returns {{n: number, brier: number|null, logLoss: number|null}}
+ */
+function score(samples) {
+  if (samples.length === 0) return { n: 0, brier: null, logLoss: null };
+  let brier = 0;
+  let logLoss = 0;
+  for (const s of samples) {
+    const y = s.up ? 1 : 0;
+    const p = Math.min(1 - 1e-6, Math.max(1e-6, s.p));
+    brier += (s.p - y) ** 2;
+    logLoss -= y * Math.log(p) + (1 - y) * Math.log(1 - p);
+  }
+  return { n: samples.length, brier: brier / samples.length, logLoss: logLoss / samples.length };
+}
+
+export const Calibration = {
+  apply,
+  fit,
+  reliability,
+  score
+};
@@ -0,0 +1,199 @@
+// Probability models behind pUp/pDown.
+// StrategyCore's z is the move to the strike in model standard deviations. The normal model
+// turns it into a probability with normCdf(z), which the loss analyses in docs/ found
+// overconfident in the last minutes: realized moves have fatter tails than a Gaussian.
+// Two fat-tailed alternatives, picked per profile with PROB_MODEL:
+//   student_t  Student-t scaled to unit variance, degrees of freedom per asset (STUDENT_T_DF).
+//              Same σ as the normal model, less weight in the shoulders, more in the tails
+//   empirical  Quantiles of the realized residuals per asset (EMPIRICAL_CDF), on the
+//              QUANTILE_PROBS grid. Between grid points the CDF is linear; beyond the ends
+//              it stays at the end probabilities, so it never claims more than 99.9%
+// Assets without a fitted entry keep the normal model. fit_tails.js fits both from tick logs.
+//
+// Residual: what the price did after a tick, in the tick's model σ
+//   e = (final price - current price - drift * minsLeft) / sigmaT
+// so the market ends up when e > -z, and pUp = 1 - F(-z) (= F(z) for the symmetric models).
+
+const QUANTILE_PROBS = [
+  0.001, 0.005, 0.01, 0.025, 0.05,
+  0.1, 0.2, 0.3, 0.4, 0.5, 0.6, 0.7, 0.8, 0.9,
+  0.95, 0.975, 0.99, 0.995, 0.999
+];
+
+const DF_GRID = [2.5, 3, 3.5, 4, 5, 6, 7, 8, 10, 12, 15, 20, 30, 50, 100];
+
+// ---------- CDFs ----------
+
+// Normal CDF (Abramowitz-Stegun 26.2.17)
+function normCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989423 * Math.exp(-0.5 * z * z);
+  let p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  if (z > 0) p = 1 - p;
+  return p;
+}
+
+// log Γ(x), Lanczos approximation (g = 7)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61503916999185, 12.507343278686905, -0.13857109526572012,
+  9.9843695780195716e-6, 1.5056327351493116e-7
+];
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  x -= 1;
+  let a = LANCZOS[0];
+  const t = x + 7.5;
+  for (let i = 1; i < 9; i++) a += LANCZOS[i] / (x + i);
+  return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+}
+
+// Continued fraction of the incomplete beta function (modified Lentz)
+function betaContinuedFraction(a, b, x) {
+  const TINY = 1e-300;
+  let c = 1;
+  let d = 1 - (a + b) * x / (a + 1);
+  if (Math.abs(d) < TINY) d = TINY;
+  d = 1 / d;
+  let h = d;
+  for (let m = 1; m <= 200; m++) {
+    const m2 = 2 * m;
+    let aa = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+    d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    h *= d * c;
+    aa = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+    d = 1 + aa * d; if (Math.abs(d) < TINY) d = TINY;
+    c = 1 + aa / c; if (Math.abs(c) < TINY) c = TINY;
+    d = 1 / d;
+    const step = d * c;
+    h *= step;
+    if (Math.abs(step - 1) < 1e-12) break;
+  }
+  return h;
+}
+
+// Regularized incomplete beta I_x(a, b)
+function incompleteBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? front * betaContinuedFraction(a, b, x) / a
+    : 1 - front * betaContinuedFraction(b, a, 1 - x) / b;
+}
+
+// Unit-variance Student-t: a t with df degrees of freedom scaled by sqrt((df - 2) / df)
+const unitScale = (df) => Math.sqrt(df / (df - 2));
+
+/**
+ * Student-t CDF with unit variance.
+ * @param {number} z
+ * @param {number} df - Degrees of freedom, above 2
+ */
+function studentTCdf(z, df) {
+  const t = z * unitScale(df);
+  const tail = 0.5 * incompleteBeta(df / (df + t * t), df / 2, 0.5);
+  return t > 0 ? 1 - tail : tail;
+}
+
+/**
+ * Empirical CDF from residual quantiles on the QUANTILE_PROBS grid.
+ * @param {number} x
+ * @param {number[]} values - Ascending, one per QUANTILE_PROBS entry
+ */
+function empiricalCdf(x, values) {
+  const last = values.length - 1;
+  if (x <= values[0]) return QUANTILE_PROBS[0];
+  if (x >= values[last]) return QUANTILE_PROBS[last];
+  let i = 1;
+  while (values[i] < x) i++;
+  const span = values[i] - values[i - 1];
+  const w = span > 0 ? (x - values[i - 1]) / span : 1;
+  return QUANTILE_PROBS[i - 1] + w * (QUANTILE_PROBS[i] - QUANTILE_PROBS[i - 1]);
+}
+
+/**
+ * Model a profile uses for an asset.
+ * @returns {{name: string, df?: number, values?: number[]}}
+ */
+function modelFor(symbol, config) {
+  if (config.PROB_MODEL === "student_t" && config.STUDENT_T_DF?.[symbol]) {
+    return { name: "student_t", df: config.STUDENT_T_DF[symbol] };
+  }
+  if (config.PROB_MODEL === "empirical" && config.EMPIRICAL_CDF?.[symbol]) {
+    return { name: "empirical", values: config.EMPIRICAL_CDF[symbol] };
+  }
+  return { name: "normal" };
+}
+
+/**
+ * Probability that the market ends up, for a z-score.
+ * @param {number} z
+ * @param {{name: string, df?: number, values?: number[]}} model - modelFor()
+ */
+function probUp(z, model) {
+  if (model.name === "student_t") return studentTCdf(z, model.df);
+  if (model.name === "empirical") return 1 - empiricalCdf(-z, model.values);
+  return normCdf(z);
+}
+
+// ---------- FITTING ----------
+
+// Log density of the unit-variance Student-t
+function studentTLogPdf(x, df) {
+  const s = unitScale(df);
+  const t = x * s;
+  return logGamma((df + 1) / 2) - logGamma(df / 2) - 0.5 * Math.log(df * Math.PI)
+    - (df + 1) / 2 * Math.log(1 + t * t / df) + Math.log(s);
+}
+
+function normalLogPdf(x) {
+  return -0.5 * Math.log(2 * Math.PI) - 0.5 * x * x;
+}
+
+/**
+ * Maximum-likelihood degrees of freedom over DF_GRID (σ stays the model's).
+ * @param {number[]} residuals
+ * @returns {{df: number, logLik: number, normalLogLik: number}}
+ */
+function fitStudentT(residuals) {
+  let best = null;
+  for (const df of DF_GRID) {
+    let logLik = 0;
+    for (const x of residuals) logLik += studentTLogPdf(x, df);
+    if (!best || logLik > best.logLik) best = { df, logLik };
+  }
+  let normalLogLik = 0;
+  for (const x of residuals) normalLogLik += normalLogPdf(x);
+  return { ...best, normalLogLik };
+}
+
+/**
+ * Residual quantiles on the QUANTILE_PROBS grid (EMPIRICAL_CDF entry).
+ * @param {number[]} residuals
+ * @returns {number[]}
+ */
+function fitQuantiles(residuals) {
+  const sorted = [...residuals].sort((a, b) => a - b);
+  const n = sorted.length;
+  return QUANTILE_PROBS.map(p => {
+    const pos = p * (n - 1);
+    const lo = Math.floor(pos);
+    const hi = Math.min(n - 1, lo + 1);
+    return sorted[lo] + (pos - lo) * (sorted[hi] - sorted[lo]);
+  });
+}
+
+export const Distributions = {
+  QUANTILE_PROBS,
+  DF_GRID,
+  normCdf,
+  studentTCdf,
+  empiricalCdf,
+  modelFor,
+  probUp,
+  fitStudentT,
+  fitQuantiles
+};
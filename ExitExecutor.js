@@ -0,0 +1,171 @@
+// Exit execution by walking the bid side of the book.
+// Instead of one sell for the whole position below the best bid, each round splits the
+// sale into child orders - one per bid level from the top down to a floor price, at most
+// EXIT_CHILD_MAX_SHARES each - lets them work for EXIT_CHILD_WAIT_SECS, cancels whatever
+// didn't fill and retries the remainder against a fresh book, up to EXIT_MAX_ROUNDS rounds.
+// The floor caps slippage against model value: nothing is sold below the side's model
+// probability minus EXIT_MAX_SLIPPAGE (EXIT_MAX_SLIPPAGE_EMERGENCY for emergency exits),
+// counted on what a share brings in after the taker fee.
+// What a round sold is read once its children have settled: fills that land after the
+// cancel and the CANCELED update itself come in through the status callback, so a round
+// waits up to SETTLE_MS for every child to leave LIVE. A child still open after that ends
+// the run - its shares may yet fill, so they are not offered again.
+//
+// The executor owns no exchange state: placing, cancelling and reading order status
+// are passed in, so the same loop runs live and in paper mode.
+
+import { StrategyCore } from "./StrategyCore.js";
+
+const PRICE_TICK = 0.01;
+const MIN_ORDER_SHARES = 5; // CLOB minimum order size
+const STATUS_POLL_MS = 250;
+const SETTLE_MS = 5000; // After cancelling, how long a round waits for its children's final status
+
+const NOOP_LOGGER = { log() {}, warn() {}, error() {} };
+
+function sleep(ms) { return new Promise((resolve) => setTimeout(resolve, ms)); }
+
+function roundShares(n) {
+  return Math.floor(n * 100 + 1e-9) / 100;
+}
+
+/**
+ * Lowest price an exit may sell at.
+ * @param {Object} exit - StrategyCore exit ({ urgency, modelValue })
+ * @param {number} bestBid
+ * @param {Object} config - EXIT_MAX_SLIPPAGE, EXIT_MAX_SLIPPAGE_EMERGENCY, TAKER_FEE_BPS
+ * @param {string} [marketType]
+ * @returns {number} On the tick grid, at least one tick
+ */
+function floorPrice(exit, bestBid, config, marketType = "15m") {
+  const slippage = exit.urgency === "emergency" ? config.EXIT_MAX_SLIPPAGE_EMERGENCY : config.EXIT_MAX_SLIPPAGE;
+  // No model value (exit from an older decision): cap against the bid, as before
+  if (exit.modelValue == null) return tickFloor(bestBid - slippage);
+
+  // price - fee(price) >= modelValue - slippage (fees are proportional to price)
+  const feeRate = StrategyCore.feePerShare(1, "taker", marketType, config);
+  return tickFloor((exit.modelValue - slippage) / (1 - feeRate));
+}
+
+// Round up to the tick grid, at least one tick
+function tickFloor(price) {
+  const floor = Math.ceil(price / PRICE_TICK - 1e-9) * PRICE_TICK;
+  return Number(Math.max(PRICE_TICK, floor).toFixed(2));
+}
+
+/**
+ * Child orders for one round (pure).
+ * A level too thin for a minimum-size order is folded into the next one down,
+ * whose price sweeps both.
+ * @param {{price: number, size: number}[]} bids - Best first
+ * @param {number} shares - Shares left to sell
+ * @param {number} floor
+ * @param {number} maxChildShares
+ * @returns {{price: number, size: number}[]}
+ */
+function plan(bids, shares, floor, maxChildShares) {
+  const children = [];
+  let left = shares;
+  let carried = 0;
+
+  for (const level of bids) {
+    if (left - carried <= 0 || level.price < floor) break;
+    carried += Math.min(level.size, left - carried);
+
+    while (carried >= MIN_ORDER_SHARES) {
+      const size = roundShares(Math.min(carried, maxChildShares));
+      children.push({ price: level.price, size });
+      carried -= size;
+      left -= size;
+    }
+  }
+  return children;
+}
+
+/**
+ * Sell shares of one token in rounds of child orders.
+ * @param {Object} opts
+ * @param {number} opts.shares - Shares to sell
+ * @param {number} opts.floor - Lowest price to sell at (floorPrice)
+ * @param {Function} opts.getBids - async () => bid levels [{ price, size }], best first
+ * @param {Function} opts.place - async ({ price, size }) => orderID, or null if rejected
+ * @param {Function} opts.status - orderID => { sizeMatched, notionalMatched, status } or null
+ * @param {Function} opts.cancel - async orderID => void
+ * @param {Object} opts.config - EXIT_CHILD_MAX_SHARES, EXIT_CHILD_WAIT_SECS, EXIT_MAX_ROUNDS
+ * @param {Object} [opts.logger]
+ * @returns {Promise<{sold: number, proceeds: number, expected: number, orderIDs: string[], rounds: number, unsettled: number}>}
+ *   expected: the first book's bids for what they could take above the floor, the rest at the floor;
+ *   unsettled: children still open when the run ended (their fills arrive later)
+ */
+async function run({ shares, floor, getBids, place, status, cancel, config, logger = NOOP_LOGGER }) {
+  const orderIDs = [];
+  let sold = 0;
+  let proceeds = 0;
+  let expected = null;
+  let rounds = 0;
+  let unsettled = 0;
+
+  while (rounds < config.EXIT_MAX_ROUNDS && shares - sold >= MIN_ORDER_SHARES) {
+    rounds++;
+    const children = plan(await getBids(), roundShares(shares - sold), floor, config.EXIT_CHILD_MAX_SHARES);
+    if (expected === null) {
+      const planned = children.reduce((sum, c) => sum + c.size, 0);
+      expected = children.reduce((sum, c) => sum + c.size * c.price, 0) + (shares - planned) * floor;
+    }
+    if (children.length === 0) {
+      logger.warn(`   Round ${rounds}: no bids at or above the $${floor.toFixed(2)} floor`);
+      break;
+    }
+
+    const live = [];
+    for (const child of children) {
+      const orderID = await place(child);
+      if (!orderID) continue;
+      orderIDs.push(orderID);
+      live.push({ ...child, orderID });
+    }
+    logger.log(`   Round ${rounds}: ${live.length}/${children.length} children placed (${children.map(c => `${c.size}@${c.price.toFixed(2)}`).join(", ")})`);
+    if (live.length === 0) break;
+
+    // Let them work, then pull what is still resting
+    const deadline = Date.now() + config.EXIT_CHILD_WAIT_SECS * 1000;
+    while (Date.now() < deadline && live.some(c => status(c.orderID)?.status === "LIVE")) {
+      await sleep(STATUS_POLL_MS);
+    }
+    for (const child of live) {
+      if (status(child.orderID)?.status !== "LIVE") continue;
+      try {
+        await cancel(child.orderID);
+      } catch (err) {
+        logger.error(`   Failed to cancel exit child ${child.orderID}: ${err.message}`);
+      }
+    }
+    const settleBy = Date.now() + SETTLE_MS;
+    while (Date.now() < settleBy && live.some(c => status(c.orderID)?.status === "LIVE")) {
+      await sleep(STATUS_POLL_MS);
+    }
+    unsettled = live.filter(c => status(c.orderID)?.status === "LIVE").length;
+
+    let roundSold = 0;
+    for (const child of live) {
+      const s = status(child.orderID);
+      roundSold += s?.sizeMatched || 0;
+      proceeds += s?.notionalMatched || 0;
+    }
+    sold += roundSold;
+    logger.log(`   Round ${rounds}: sold ${roundShares(roundSold)}, ${roundShares(Math.max(0, shares - sold))} left`);
+    if (unsettled > 0) {
+      logger.warn(`   Round ${rounds}: ${unsettled} children not settled after ${SETTLE_MS / 1000}s - stopping`);
+      break;
+    }
+    if (roundSold === 0) break; // the book isn't taking it - let the next tick decide again
+  }
+
+  return { sold: roundShares(sold), proceeds, expected: expected ?? 0, orderIDs, rounds, unsettled };
+}
+
+export const ExitExecutor = {
+  floorPrice,
+  plan,
+  run
+};
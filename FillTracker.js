@@ -0,0 +1,455 @@
+import WebSocket from "ws";
+
+// Real-time fills from the authenticated CLOB user channel.
+// Trade and order events update per-slug positions (shares + average cost) and
+// our order statuses the moment they happen, instead of waiting for getOrder
+// polls or the lagging Data API. Paper trading feeds the same applyFill /
+// applyOrderUpdate entry points from the simulated exchange.
+//
+// Trades are counted once, when first seen (normally status MATCHED); a later
+// FAILED status for the same trade reverses it.
+//
+// Trade events don't say whose taker order it was (owner is the event's owner, us):
+// the taker leg counts when trader_side says TAKER or the order is one we track. One
+// we don't track yet waits in unowned, and counts if trackOrder() claims the order.
+
+const USER_WS_URL = "wss://ws-subscriptions-clob.polymarket.com/ws/user";
+
+const PING_MS = 10000;
+const RESUBSCRIBE_DEBOUNCE_MS = 500;
+const BACKOFF_MIN_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+let ws = null;
+let connected = false;
+let creds = null;
+let socketUrl = USER_WS_URL;
+let handlers = { onFill: null, onOrderUpdate: null };
+let backoffMs = BACKOFF_MIN_MS;
+let reconnectTimer = null;
+let resubscribeTimer = null;
+let pingTimer = null;
+let stopped = true;
+
+let markets = new Map();    // slug -> { symbol, slug, conditionId, tokenIds }
+let tokenInfo = new Map();  // tokenId -> { symbol, slug, outcome: "UP" | "DOWN" }
+let positions = new Map();  // slug -> { UP: { shares, cost }, DOWN: { shares, cost }, lastFillAt }
+let orders = new Map();     // orderID -> { orderID, tokenId, symbol, slug, outcome, orderSide, price, size, sizeMatched, notionalMatched, status }
+let countedFills = new Map(); // `${tradeId}:${orderID}` -> fill (kept for FAILED reversals)
+let unclaimed = new Map();    // orderID -> { tokenId, size, notional } filled before trackOrder() (immediate matches)
+let unowned = new Map();      // taker orderID -> Map(key -> fill) taker legs of tracked tokens not known to be ours
+
+function emptyLeg() {
+  return { shares: 0, cost: 0 };
+}
+
+function ensurePosition(slug) {
+  if (!positions.has(slug)) positions.set(slug, { UP: emptyLeg(), DOWN: emptyLeg(), lastFillAt: null });
+  return positions.get(slug);
+}
+
+function notify(name, payload) {
+  if (!handlers[name]) return;
+  try {
+    handlers[name](payload);
+  } catch (e) {
+    console.error(`[FILLS] ${name} handler error:`, e.message);
+  }
+}
+
+// ---------- POSITIONS & ORDERS ----------
+
+/**
+ * Apply one fill of one of our orders.
+ * @param {Object} fill - { orderID, tokenId, orderSide: "BUY" | "SELL", price, size, ts }
+ *   (a reversal is the counted fill again with reversal: true)
+ * @returns {boolean} false if the token belongs to no tracked market
+ */
+function applyFill(fill) {
+  const info = tokenInfo.get(fill.tokenId);
+  if (!info) return false;
+
+  const pos = ensurePosition(info.slug);
+  const leg = pos[info.outcome];
+  const size = Number(fill.size);
+  const price = Number(fill.price);
+
+  if (fill.reversal) {
+    // Undo exactly what the original fill did
+    leg.shares -= fill.shareDelta;
+    leg.cost -= fill.costDelta;
+  } else {
+    if (fill.orderSide === "BUY") {
+      fill.shareDelta = size;
+      fill.costDelta = size * price;
+    } else {
+      // Selling keeps the average cost of what is left
+      const avgCost = leg.shares > 0 ? leg.cost / leg.shares : 0;
+      const sold = Math.min(size, leg.shares);
+      fill.shareDelta = -sold;
+      fill.costDelta = -avgCost * sold;
+    }
+    leg.shares += fill.shareDelta;
+    leg.cost += fill.costDelta;
+  }
+  pos.lastFillAt = fill.ts || Date.now();
+
+  const order = orders.get(fill.orderID);
+  if (order) {
+    order.sizeMatched += fill.reversal ? -size : size;
+    order.notionalMatched += (fill.reversal ? -size : size) * price;
+    if (order.sizeMatched >= order.size && order.status === "LIVE") {
+      order.status = "MATCHED";
+      notify("onOrderUpdate", { ...order });
+    }
+  } else if (fill.orderID && !fill.reversal) {
+    const prev = unclaimed.get(fill.orderID);
+    unclaimed.set(fill.orderID, { tokenId: fill.tokenId, size: (prev?.size || 0) + size, notional: (prev?.notional || 0) + size * price });
+  }
+
+  notify("onFill", {
+    ...fill,
+    symbol: info.symbol,
+    slug: info.slug,
+    outcome: info.outcome,
+    position: getPosition(info.slug)
+  });
+  return true;
+}
+
+/**
+ * Apply an order status change (placement, partial match, cancel/expiry).
+ * @param {Object} update - { orderID, tokenId, orderSide, price, size, sizeMatched, status: "LIVE" | "MATCHED" | "CANCELED" }
+ */
+function applyOrderUpdate(update) {
+  let order = orders.get(update.orderID);
+  if (!order) {
+    const info = tokenInfo.get(update.tokenId);
+    if (!info) return;
+    order = trackOrder(update.orderID, update);
+  }
+
+  // Trade events own sizeMatched for positions; order events only confirm it
+  if (update.sizeMatched !== undefined) order.sizeMatched = Math.max(order.sizeMatched, Number(update.sizeMatched));
+  if (order.status === update.status) return;
+
+  order.status = update.status;
+  notify("onOrderUpdate", { ...order });
+}
+
+/**
+ * Register an order we just placed, so its events resolve to the right market and side.
+ */
+function trackOrder(orderID, { tokenId, orderSide, price, size }) {
+  const info = tokenInfo.get(tokenId) || {};
+  const existing = orders.get(orderID);
+  if (existing) return existing;
+
+  const order = {
+    orderID,
+    tokenId,
+    symbol: info.symbol ?? null,
+    slug: info.slug ?? null,
+    outcome: info.outcome ?? null,
+    orderSide,
+    price: Number(price),
+    size: Number(size),
+    sizeMatched: unclaimed.get(orderID)?.size || 0,
+    notionalMatched: unclaimed.get(orderID)?.notional || 0, // sum of fill size x fill price
+    status: "LIVE"
+  };
+  unclaimed.delete(orderID);
+  orders.set(orderID, order);
+
+  if (order.sizeMatched >= order.size) {
+    order.status = "MATCHED";
+    notify("onOrderUpdate", { ...order });
+  }
+
+  // Taker legs that came in before we knew the order was ours
+  for (const [key, fill] of unowned.get(orderID) || []) {
+    if (!countedFills.has(key) && applyFill(fill)) countedFills.set(key, fill);
+  }
+  unowned.delete(orderID);
+  return order;
+}
+
+// ---------- USER CHANNEL EVENTS ----------
+
+function opposite(side) {
+  return side === "BUY" ? "SELL" : "BUY";
+}
+
+// Our legs of a trade: the taker order and/or any of our resting maker orders.
+// The taker leg of an order we don't track (yet) is held back in unowned.
+function ourLegs(msg) {
+  const legs = [];
+
+  const takerLeg = {
+    orderID: msg.taker_order_id,
+    tokenId: msg.asset_id,
+    orderSide: msg.side,
+    price: Number(msg.price),
+    size: Number(msg.size)
+  };
+  if (orders.has(msg.taker_order_id) || msg.trader_side === "TAKER") {
+    legs.push(takerLeg);
+  } else if (msg.taker_order_id && tokenInfo.has(msg.asset_id)) {
+    holdUnowned(msg, takerLeg);
+  }
+
+  for (const m of msg.maker_orders || []) {
+    if (!orders.has(m.order_id) && m.owner !== creds?.key) continue;
+    const known = orders.get(m.order_id);
+    legs.push({
+      orderID: m.order_id,
+      tokenId: known?.tokenId ?? m.asset_id,
+      // Maker on the same token trades against the taker; on the complement token both buy (or both sell)
+      orderSide: known?.orderSide ?? m.side ?? (m.asset_id === msg.asset_id ? opposite(msg.side) : msg.side),
+      price: Number(m.price),
+      size: Number(m.matched_amount)
+    });
+  }
+
+  return legs;
+}
+
+function holdUnowned(msg, leg) {
+  const key = `${msg.id}:${leg.orderID}`;
+  const held = unowned.get(leg.orderID) || new Map();
+  if (msg.status === "FAILED") held.delete(key);
+  else if (!held.has(key)) held.set(key, { ...leg, tradeId: msg.id, ts: tradeTs(msg) });
+
+  if (held.size > 0) unowned.set(leg.orderID, held);
+  else unowned.delete(leg.orderID);
+}
+
+function tradeTs(msg) {
+  return Number(msg.match_time || msg.timestamp) * (String(msg.timestamp).length <= 10 ? 1000 : 1) || Date.now();
+}
+
+function handleTrade(msg) {
+  const ts = tradeTs(msg);
+
+  for (const leg of ourLegs(msg)) {
+    const key = `${msg.id}:${leg.orderID}`;
+
+    if (msg.status === "FAILED") {
+      const counted = countedFills.get(key);
+      if (!counted) continue;
+      countedFills.delete(key);
+      console.warn(`[FILLS] Trade ${msg.id} FAILED on-chain - reversing ${counted.orderSide} ${counted.size} @ ${counted.price}`);
+      applyFill({ ...counted, reversal: true, ts: Date.now() });
+      continue;
+    }
+
+    if (countedFills.has(key)) continue; // MINED / CONFIRMED of a counted trade
+    const fill = { ...leg, tradeId: msg.id, ts };
+    if (applyFill(fill)) countedFills.set(key, fill);
+  }
+}
+
+function handleOrder(msg) {
+  const status = msg.type === "CANCELLATION"
+    ? "CANCELED"
+    : Number(msg.size_matched || 0) >= Number(msg.original_size || Infinity) ? "MATCHED" : "LIVE";
+
+  applyOrderUpdate({
+    orderID: msg.id,
+    tokenId: msg.asset_id,
+    orderSide: msg.side,
+    price: msg.price,
+    size: msg.original_size,
+    sizeMatched: msg.size_matched,
+    status
+  });
+}
+
+function handleMessage(data) {
+  const text = data.toString();
+  if (text === "PONG") return;
+
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    return;
+  }
+
+  for (const msg of Array.isArray(payload) ? payload : [payload]) {
+    if (msg?.event_type === "trade") handleTrade(msg);
+    else if (msg?.event_type === "order") handleOrder(msg);
+  }
+}
+
+// ---------- CONNECTION ----------
+
+function connect() {
+  if (stopped || !creds || markets.size === 0) return;
+
+  const socket = new WebSocket(socketUrl);
+  ws = socket;
+
+  socket.on("open", () => {
+    connected = true;
+    backoffMs = BACKOFF_MIN_MS;
+    socket.send(JSON.stringify({
+      auth: { apiKey: creds.key, secret: creds.secret, passphrase: creds.passphrase },
+      markets: [...markets.values()].map(m => m.conditionId).filter(Boolean),
+      type: "user"
+    }));
+    console.log(`[FILLS] User channel connected (${markets.size} markets)`);
+  });
+
+  socket.on("message", handleMessage);
+
+  socket.on("error", (err) => {
+    console.error(`[FILLS] Socket error: ${err.message}`);
+  });
+
+  socket.on("close", () => {
+    if (ws !== socket) return; // replaced by a resubscribe
+    connected = false;
+    ws = null;
+    if (stopped) return;
+
+    console.warn(`[FILLS] User channel closed - reconnecting in ${backoffMs}ms (Data API cross-check covers the gap)`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, backoffMs);
+    backoffMs = Math.min(backoffMs * 2, BACKOFF_MAX_MS);
+  });
+}
+
+function resubscribe() {
+  clearTimeout(resubscribeTimer);
+  resubscribeTimer = setTimeout(() => {
+    resubscribeTimer = null;
+    if (stopped) return;
+
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    const old = ws;
+    ws = null;
+    connected = false;
+    if (old) old.close();
+    connect();
+  }, RESUBSCRIBE_DEBOUNCE_MS);
+}
+
+/**
+ * Start tracking.
+ * @param {Object} opts
+ * @param {Object} [opts.creds] - CLOB API creds { key, secret, passphrase }; without them no socket is opened (paper mode)
+ * @param {Function} [opts.onFill] - fill => void
+ * @param {Function} [opts.onOrderUpdate] - order => void, on MATCHED / CANCELED
+ * @param {string} [opts.url] - User channel endpoint
+ */
+function start({ creds: apiCreds = null, onFill = null, onOrderUpdate = null, url = USER_WS_URL } = {}) {
+  creds = apiCreds;
+  handlers = { onFill, onOrderUpdate };
+  socketUrl = url;
+  stopped = false;
+
+  pingTimer = setInterval(() => {
+    if (ws && connected) ws.send("PING");
+  }, PING_MS);
+
+  connect();
+}
+
+function stop() {
+  stopped = true;
+  clearInterval(pingTimer);
+  clearTimeout(reconnectTimer);
+  clearTimeout(resubscribeTimer);
+  if (ws) ws.close();
+  ws = null;
+  connected = false;
+}
+
+/**
+ * Follow a market's fills. tokenIds are [UP, DOWN].
+ */
+function trackMarket(symbol, slug, conditionId, tokenIds) {
+  if (markets.has(slug)) return;
+
+  markets.set(slug, { symbol, slug, conditionId, tokenIds });
+  tokenIds.forEach((tokenId, i) => tokenInfo.set(tokenId, { symbol, slug, outcome: i === 0 ? "UP" : "DOWN" }));
+  resubscribe();
+}
+
+/**
+ * Stop following a market and drop its positions, orders and fill history.
+ */
+function untrackMarket(slug) {
+  const market = markets.get(slug);
+  if (!market) return;
+
+  markets.delete(slug);
+  positions.delete(slug);
+  market.tokenIds.forEach(tokenId => tokenInfo.delete(tokenId));
+  for (const [orderID, order] of orders) {
+    if (order.slug === slug) orders.delete(orderID);
+  }
+  for (const [key, fill] of countedFills) {
+    if (market.tokenIds.includes(fill.tokenId)) countedFills.delete(key);
+  }
+  for (const [orderID, fill] of unclaimed) {
+    if (market.tokenIds.includes(fill.tokenId)) unclaimed.delete(orderID);
+  }
+  for (const [orderID, held] of unowned) {
+    if (market.tokenIds.includes([...held.values()][0].tokenId)) unowned.delete(orderID);
+  }
+  resubscribe();
+}
+
+/**
+ * Filled position for a slug, or null if nothing was seen for it.
+ * @returns {{UP: {shares, avgCost}, DOWN: {shares, avgCost}, lastFillAt}|null}
+ */
+function getPosition(slug) {
+  const pos = positions.get(slug);
+  if (!pos) return null;
+
+  const leg = (l) => ({ shares: l.shares, avgCost: l.shares > 0 ? l.cost / l.shares : 0 });
+  return { UP: leg(pos.UP), DOWN: leg(pos.DOWN), lastFillAt: pos.lastFillAt };
+}
+
+/**
+ * Overwrite a slug's filled position (Data API cross-check, or seeding after a restart).
+ * Average cost is kept for shares we already knew about.
+ */
+function setPosition(slug, { UP, DOWN }, avgCosts = {}) {
+  const pos = ensurePosition(slug);
+  for (const [outcome, shares] of [["UP", UP], ["DOWN", DOWN]]) {
+    const leg = pos[outcome];
+    const avgCost = avgCosts[outcome] ?? (leg.shares > 0 ? leg.cost / leg.shares : 0);
+    leg.shares = shares;
+    leg.cost = shares * avgCost;
+  }
+}
+
+function getOrder(orderID) {
+  const order = orders.get(orderID);
+  return order ? { ...order } : null;
+}
+
+function isConnected() {
+  return connected;
+}
+
+export const FillTracker = {
+  start,
+  stop,
+  trackMarket,
+  untrackMarket,
+  trackOrder,
+  applyFill,
+  applyOrderUpdate,
+  getPosition,
+  setPosition,
+  getOrder,
+  isConnected
+};
@@ -0,0 +1,141 @@
+// Crypto up/down market types.
+// Interval length is a property of the market: interval bounds, event slugs and the
+// crypto-price API variant (the interval's open price) all come from here.
+//
+//   15m / 4h  epoch-aligned UTC intervals, slug "<prefix>-updown-<tag>-<start unix>"
+//   1h        hour intervals, slug "<name>-up-or-down-<month>-<day>-<h><am|pm>-et"
+//   daily     noon ET to noon ET, slug "<name>-up-or-down-on-<month>-<day>" (day the interval ends)
+
+const MIN_MS = 60 * 1000;
+
+const ET_FORMAT = new Intl.DateTimeFormat("en-US", {
+  timeZone: "America/New_York",
+  year: "numeric",
+  month: "long",
+  day: "numeric",
+  hour: "numeric",
+  minute: "numeric",
+  hourCycle: "h23"
+});
+
+// New York wall clock for a timestamp
+function etParts(ms) {
+  const parts = Object.fromEntries(ET_FORMAT.formatToParts(new Date(ms)).map(p => [p.type, p.value]));
+  return {
+    year: Number(parts.year),
+    month: parts.month.toLowerCase(),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute)
+  };
+}
+
+// ET wall clock minus UTC, in ms (-4h or -5h)
+function etOffsetMs(ms) {
+  const p = etParts(ms);
+  const monthIdx = new Date(`${p.month} 1, 2000`).getMonth();
+  const wallAsUtc = Date.UTC(p.year, monthIdx, p.day, p.hour, p.minute);
+  return wallAsUtc - Math.floor(ms / MIN_MS) * MIN_MS;
+}
+
+function alignedStart(ms, intervalMins) {
+  const intervalMs = intervalMins * MIN_MS;
+  return Math.floor(ms / intervalMs) * intervalMs;
+}
+
+// Most recent noon in New York at or before ms
+function noonEtStart(ms) {
+  const dayMs = 24 * 60 * MIN_MS;
+  const offset = etOffsetMs(ms);
+  const wallNoon = Math.floor((ms + offset - 12 * 60 * MIN_MS) / dayMs) * dayMs + 12 * 60 * MIN_MS;
+  return wallNoon - etOffsetMs(wallNoon - offset);
+}
+
+function hourLabel(hour) {
+  const h12 = hour % 12 === 0 ? 12 : hour % 12;
+  return `${h12}${hour < 12 ? "am" : "pm"}`;
+}
+
+const TYPES = {
+  "15m": {
+    intervalMins: 15,
+    priceVariant: "fifteen",
+    start: (ms) => alignedStart(ms, 15),
+    slug: (asset, startMs) => `${asset.slugPrefix}-updown-15m-${startMs / 1000}`
+  },
+  "1h": {
+    intervalMins: 60,
+    priceVariant: "hourly",
+    start: (ms) => alignedStart(ms, 60),
+    slug: (asset, startMs) => {
+      const et = etParts(startMs);
+      return `${asset.slugName}-up-or-down-${et.month}-${et.day}-${hourLabel(et.hour)}-et`;
+    }
+  },
+  "4h": {
+    intervalMins: 240,
+    priceVariant: "fourhour",
+    start: (ms) => alignedStart(ms, 240),
+    slug: (asset, startMs) => `${asset.slugPrefix}-updown-4h-${startMs / 1000}`
+  },
+  daily: {
+    intervalMins: 1440,
+    priceVariant: "daily",
+    start: noonEtStart,
+    end: (startMs) => noonEtStart(startMs + 26 * 60 * MIN_MS), // 23h/25h on DST changes
+    slug: (asset, startMs, endMs) => {
+      const et = etParts(endMs);
+      return `${asset.slugName}-up-or-down-on-${et.month}-${et.day}`;
+    }
+  }
+};
+
+/**
+ * A market type by name.
+ * @returns {{type: string, intervalMins: number, priceVariant: string, start: Function, end?: Function, slug: Function}}
+ * @throws {Error} For an unknown type
+ */
+function get(type) {
+  const def = TYPES[type];
+  if (!def) throw new Error(`[MARKET] Unknown market type "${type}" (have: ${Object.keys(TYPES).join(", ")})`);
+  return { type, ...def };
+}
+
+/**
+ * Bounds of the interval containing `date`.
+ * @returns {{start: Date, end: Date}}
+ */
+function interval(type, date = new Date()) {
+  const def = get(type);
+  const startMs = def.start(date.getTime());
+  const endMs = def.end ? def.end(startMs) : startMs + def.intervalMins * MIN_MS;
+  return { start: new Date(startMs), end: new Date(endMs) };
+}
+
+/**
+ * Event slug of the interval containing `date`.
+ * @param {Object} asset - { slugPrefix, slugName }
+ */
+function slugFor(type, asset, date = new Date()) {
+  const { start, end } = interval(type, date);
+  return get(type).slug(asset, start.getTime(), end.getTime());
+}
+
+function isoNoMs(d) {
+  return d.toISOString().replace(/\.\d{3}Z$/, "Z");
+}
+
+// polymarket.com crypto-price endpoint (open price of the interval)
+function cryptoPriceUrl(type, symbol, date = new Date()) {
+  const { start, end } = interval(type, date);
+  const params = new URLSearchParams({ symbol, eventStartTime: isoNoMs(start), variant: get(type).priceVariant, endDate: isoNoMs(end) });
+  return `https://polymarket.com/api/crypto/crypto-price?${params.toString()}`;
+}
+
+export const MarketTypes = {
+  TYPES: Object.keys(TYPES),
+  get,
+  interval,
+  slugFor,
+  cryptoPriceUrl
+};
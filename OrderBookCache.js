@@ -0,0 +1,372 @@
+import WebSocket from "ws";
+
+// Local L2 order books fed by the CLOB market websocket channel.
+// The channel sends a full "book" snapshot per token on subscribe and
+// "price_change" deltas afterwards. Books are read synchronously with getBook(),
+// so the tick loop no longer waits on REST getOrderBook calls.
+//
+// Consistency checks (the channel has no sequence numbers):
+// - Updates older than the book's last timestamp are dropped (out of order)
+// - Deltas for a token without a snapshot, or that leave the book crossed,
+//   invalidate it until a fresh snapshot arrives
+// - Every RESYNC_MS each book is compared with a REST snapshot: the REST hash is
+//   verified first, and if the server's hash differs from the last hash the
+//   socket gave us while the server is ahead, the cache is replaced. A snapshot that
+//   fails the hash check still replaces an invalid book (nothing better to serve).
+//   The mismatch rate of the first HASH_SAMPLE checks is logged; if all of them
+//   failed, our hash doesn't match the server's and the check is turned off
+// An invalid or disconnected book reads as null, and callers fall back to REST.
+
+const MARKET_WS_URL = "wss://ws-subscriptions-clob.polymarket.com/ws/market";
+
+const PING_MS = 10000;
+const RESYNC_MS = 30000;
+const HASH_SAMPLE = 20;
+const RESUBSCRIBE_DEBOUNCE_MS = 500;
+const BACKOFF_MIN_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+
+let ws = null;
+let connected = false;
+let tokens = new Set();
+let tokensByOwner = new Map(); // owner -> tokenIds
+let ownerByToken = new Map();  // tokenId -> owner
+let listeners = [];            // owner => void, called when one of its books changes
+let books = new Map(); // tokenId -> { market, bids: Map(price -> size), asks: Map, timestamp, hash, valid }
+let fetchBook = null;  // async tokenId -> REST book summary
+let hashBook = null;   // book summary -> hash (ClobClient.getOrderBookHash)
+let hashChecks = 0;    // REST hash checks so far (up to HASH_SAMPLE)
+let backoffMs = BACKOFF_MIN_MS;
+let reconnectTimer = null;
+let resubscribeTimer = null;
+let pingTimer = null;
+let resyncTimer = null;
+let stopped = true;
+let socketUrl = MARKET_WS_URL;
+
+const stats = { snapshots: 0, deltas: 0, outOfOrder: 0, invalidated: 0, resyncs: 0, desyncs: 0, badHashes: 0, hashCheck: true };
+
+function levelsToMap(levels) {
+  const map = new Map();
+  for (const l of levels || []) {
+    const price = Number(l.price);
+    const size = Number(l.size);
+    if (Number.isFinite(price) && size > 0) map.set(price, size);
+  }
+  return map;
+}
+
+function bestOf(map, pick) {
+  let best = null;
+  for (const price of map.keys()) {
+    if (best === null || pick(price, best)) best = price;
+  }
+  return best;
+}
+
+function invalidate(tokenId, reason) {
+  const book = books.get(tokenId);
+  if (!book || !book.valid) return;
+  book.valid = false;
+  stats.invalidated++;
+  console.warn(`[BOOK] ${tokenId.slice(0, 10)}… invalidated (${reason}) - resyncing`);
+  resync(tokenId);
+}
+
+function applySnapshot(tokenId, msg) {
+  const timestamp = Number(msg.timestamp) || Date.now();
+  const existing = books.get(tokenId);
+  if (existing?.valid && timestamp < existing.timestamp) {
+    stats.outOfOrder++;
+    return;
+  }
+
+  books.set(tokenId, {
+    market: msg.market,
+    bids: levelsToMap(msg.bids ?? msg.buys),
+    asks: levelsToMap(msg.asks ?? msg.sells),
+    timestamp,
+    hash: msg.hash ?? null,
+    valid: true
+  });
+  stats.snapshots++;
+}
+
+function applyDelta(tokenId, change, timestamp) {
+  const book = books.get(tokenId);
+  if (!book || !book.valid) return; // waiting for a snapshot
+
+  if (timestamp < book.timestamp) {
+    stats.outOfOrder++;
+    return;
+  }
+
+  const side = change.side === "BUY" ? book.bids : book.asks;
+  const price = Number(change.price);
+  const size = Number(change.size);
+  if (!Number.isFinite(price) || !Number.isFinite(size)) {
+    invalidate(tokenId, "malformed delta");
+    return;
+  }
+
+  if (size > 0) side.set(price, size);
+  else side.delete(price);
+
+  book.timestamp = timestamp;
+  if (change.hash) book.hash = change.hash;
+  stats.deltas++;
+
+  const bestBid = bestOf(book.bids, (a, b) => a > b);
+  const bestAsk = bestOf(book.asks, (a, b) => a < b);
+  if (bestBid !== null && bestAsk !== null && bestBid >= bestAsk) {
+    invalidate(tokenId, `crossed ${bestBid}/${bestAsk}`);
+  }
+}
+
+function notify(tokenIds) {
+  const owners = new Set(tokenIds.map(t => ownerByToken.get(t)).filter(Boolean));
+  for (const owner of owners) {
+    for (const fn of listeners) fn(owner);
+  }
+}
+
+function handleEvent(msg) {
+  if (!msg || typeof msg !== "object") return;
+
+  if (msg.event_type === "book") {
+    if (tokens.has(msg.asset_id)) {
+      applySnapshot(msg.asset_id, msg);
+      notify([msg.asset_id]);
+    }
+    return;
+  }
+
+  if (msg.event_type === "price_change") {
+    const timestamp = Number(msg.timestamp) || Date.now();
+    // Current format: price_changes[] each with its asset_id; older: changes[] for msg.asset_id
+    if (Array.isArray(msg.price_changes)) {
+      for (const change of msg.price_changes) {
+        if (tokens.has(change.asset_id)) applyDelta(change.asset_id, change, timestamp);
+      }
+      notify(msg.price_changes.map(c => c.asset_id));
+    } else if (Array.isArray(msg.changes) && tokens.has(msg.asset_id)) {
+      for (const change of msg.changes) {
+        applyDelta(msg.asset_id, { ...change, hash: msg.hash }, timestamp);
+      }
+      notify([msg.asset_id]);
+    }
+  }
+  // tick_size_change / last_trade_price: not needed for the book
+}
+
+function handleMessage(data) {
+  const text = data.toString();
+  if (text === "PONG") return;
+
+  let payload;
+  try {
+    payload = JSON.parse(text);
+  } catch {
+    return;
+  }
+
+  if (Array.isArray(payload)) payload.forEach(handleEvent);
+  else handleEvent(payload);
+}
+
+// ---------- REST RESYNC ----------
+
+async function resync(tokenId) {
+  if (!fetchBook) return;
+
+  try {
+    const rest = await fetchBook(tokenId);
+    if (!rest || !tokens.has(tokenId)) return;
+    stats.resyncs++;
+
+    const cached = books.get(tokenId);
+    const restTs = Number(rest.timestamp) || Date.now();
+
+    if (stats.hashCheck && hashBook && rest.hash && !checkHash(rest)) {
+      if (cached?.valid) {
+        console.warn(`[BOOK] ${tokenId.slice(0, 10)}… REST snapshot failed hash check - ignoring`);
+        return;
+      }
+      console.warn(`[BOOK] ${tokenId.slice(0, 10)}… REST snapshot failed hash check - applying it to the invalid book`);
+    }
+
+    if (!cached || !cached.valid) {
+      applySnapshot(tokenId, rest);
+      return;
+    }
+
+    // Same book version, or the socket is already ahead of REST
+    if (rest.hash && rest.hash === cached.hash) return;
+    if (restTs <= cached.timestamp) return;
+
+    stats.desyncs++;
+    console.warn(`[BOOK] ${tokenId.slice(0, 10)}… cache behind REST (hash ${cached.hash?.slice(0, 8)} vs ${rest.hash?.slice(0, 8)}) - replacing`);
+    applySnapshot(tokenId, rest);
+  } catch (e) {
+    console.error(`[BOOK] Resync failed for ${tokenId.slice(0, 10)}…: ${e.message}`);
+  }
+}
+
+// Verify a REST snapshot's hash; reports the mismatch rate once HASH_SAMPLE checks are in
+function checkHash(rest) {
+  const ok = hashBook({ ...rest }) === rest.hash;
+  if (!ok) stats.badHashes++;
+  if (++hashChecks === HASH_SAMPLE) {
+    console.log(`[BOOK] REST hash check: ${stats.badHashes}/${HASH_SAMPLE} snapshots mismatched`);
+    if (stats.badHashes === HASH_SAMPLE) {
+      stats.hashCheck = false;
+      console.warn(`[BOOK] Every REST hash mismatched - our hash differs from the server's, hash check off`);
+    }
+  }
+  return ok;
+}
+
+// ---------- CONNECTION ----------
+
+function connect() {
+  if (stopped || tokens.size === 0) return;
+
+  const socket = new WebSocket(socketUrl);
+  ws = socket;
+
+  socket.on("open", () => {
+    connected = true;
+    backoffMs = BACKOFF_MIN_MS;
+    socket.send(JSON.stringify({ assets_ids: [...tokens], type: "market" }));
+    console.log(`[BOOK] Market channel connected (${tokens.size} tokens)`);
+  });
+
+  socket.on("message", handleMessage);
+
+  socket.on("error", (err) => {
+    console.error(`[BOOK] Socket error: ${err.message}`);
+  });
+
+  socket.on("close", () => {
+    if (ws !== socket) return; // replaced by a resubscribe
+    connected = false;
+    ws = null;
+    for (const book of books.values()) book.valid = false;
+    if (stopped) return;
+
+    console.warn(`[BOOK] Market channel closed - reconnecting in ${backoffMs}ms`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, backoffMs);
+    backoffMs = Math.min(backoffMs * 2, BACKOFF_MAX_MS);
+  });
+}
+
+function reconnectNow() {
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+
+  const old = ws;
+  ws = null;
+  connected = false;
+  if (old) old.close();
+  // Deltas sent between the two sockets are lost - wait for fresh snapshots
+  for (const book of books.values()) book.valid = false;
+  connect();
+}
+
+/**
+ * Start the cache.
+ * @param {Object} opts
+ * @param {Function} opts.fetchBook - async tokenId => REST book (client.getOrderBook)
+ * @param {Function} [opts.hashBook] - book => hash (client.getOrderBookHash)
+ * @param {string} [opts.url] - Market channel endpoint
+ */
+function start({ fetchBook: fetchFn, hashBook: hashFn = null, url = MARKET_WS_URL }) {
+  socketUrl = url;
+  fetchBook = fetchFn;
+  hashBook = hashFn;
+  stopped = false;
+
+  pingTimer = setInterval(() => {
+    if (ws && connected) ws.send("PING");
+  }, PING_MS);
+
+  resyncTimer = setInterval(() => {
+    for (const tokenId of tokens) resync(tokenId);
+  }, RESYNC_MS);
+
+  connect();
+}
+
+function stop() {
+  stopped = true;
+  clearInterval(pingTimer);
+  clearInterval(resyncTimer);
+  clearTimeout(reconnectTimer);
+  clearTimeout(resubscribeTimer);
+  if (ws) ws.close();
+  ws = null;
+  connected = false;
+}
+
+/**
+ * Replace the subscribed token set for one owner (e.g. an asset's current market).
+ * Changes are batched and applied with a single resubscribe.
+ */
+function setTokens(owner, tokenIds) {
+  tokensByOwner.set(owner, tokenIds || []);
+  ownerByToken = new Map([...tokensByOwner].flatMap(([o, ids]) => ids.map(t => [t, o])));
+
+  const next = new Set([...tokensByOwner.values()].flat());
+  const changed = next.size !== tokens.size || [...next].some(t => !tokens.has(t));
+  if (!changed) return;
+
+  tokens = next;
+  for (const tokenId of books.keys()) {
+    if (!tokens.has(tokenId)) books.delete(tokenId);
+  }
+
+  clearTimeout(resubscribeTimer);
+  resubscribeTimer = setTimeout(() => {
+    resubscribeTimer = null;
+    if (!stopped) reconnectNow();
+  }, RESUBSCRIBE_DEBOUNCE_MS);
+}
+
+/**
+ * Current book for a token, best levels first, or null if not (validly) cached.
+ * @returns {{asset_id, market, bids: Array<{price, size}>, asks: Array<{price, size}>, timestamp, hash}|null}
+ */
+function getBook(tokenId) {
+  const book = books.get(tokenId);
+  if (!connected || !book || !book.valid) return null;
+
+  return {
+    asset_id: tokenId,
+    market: book.market,
+    bids: [...book.bids].map(([price, size]) => ({ price, size })).sort((a, b) => b.price - a.price),
+    asks: [...book.asks].map(([price, size]) => ({ price, size })).sort((a, b) => a.price - b.price),
+    timestamp: book.timestamp,
+    hash: book.hash
+  };
+}
+
+/** Call fn(owner) whenever a book of that owner's tokens changes */
+function onUpdate(fn) {
+  listeners.push(fn);
+}
+
+function getStats() {
+  return { ...stats, connected, tokens: tokens.size, cached: [...books.values()].filter(b => b.valid).length };
+}
+
+export const OrderBookCache = {
+  start,
+  stop,
+  setTokens,
+  getBook,
+  getStats,
+  onUpdate
+};
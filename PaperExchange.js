@@ -0,0 +1,298 @@
+import fs from "fs";
+
+// Simulated CLOB for paper trading.
+// Serves createAndPostOrder / cancelOrder / getOrder / getOrderBook with the same
+// shapes as @polymarket/clob-client, so the bot's order flow (logOrderAttempt,
+// pendingOrders, FillTracker) runs unchanged. Orders fill against the
+// books the bot fetches each tick - live books from the public CLOB, or books
+// replayed from a recorded JSONL file.
+
+const ORDER_ID_PREFIX = "paper-";
+// Filled, cancelled and expired orders stay readable through getOrder this long (a
+// restored maker bid is looked up after the fact), then they are dropped
+const CLOSED_ORDER_KEEP_MS = 10 * 60 * 1000;
+
+// Exchange-side error text, so callers see what the real CLOB would return
+const ERR_BALANCE = "not enough balance / allowance";
+const ERR_NOT_FOUND = "order not found";
+const ERR_NOT_LIVE = { MATCHED: "order already matched", CANCELED: "order already canceled" };
+
+function parseLevels(levels) {
+  return (levels || [])
+    .map(l => ({ price: Number(l.price), size: Number(l.size) }))
+    .filter(l => Number.isFinite(l.price) && Number.isFinite(l.size) && l.size > 0);
+}
+
+// Index of the last snapshot at or before ts (snaps sorted by ts), -1 if none
+function latestAt(snaps, ts) {
+  let lo = 0, hi = snaps.length - 1, found = -1;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (snaps[mid].ts <= ts) {
+      found = mid;
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+/**
+ * Book source that replays snapshots recorded as JSONL lines of
+ * { ts, tokenId, symbol, outcome, bids, asks } (BOOKS_RECORD_FILE in crypto.js).
+ * The replay clock starts at the first recorded snapshot when the source is created and
+ * runs at wall-clock speed. The recorded markets are over, so a live token gets the book
+ * of the recorded token with the same symbol and outcome at replay time; lines without
+ * them only serve their own tokenId. Books are empty once the recording runs out.
+ * @param {string} file
+ * @param {Object} [opts]
+ * @param {Function} [opts.resolve] - live tokenId => { symbol, outcome } or null
+ * @param {Function} [opts.now] - clock in ms (defaults to Date.now)
+ */
+function recordedBookSource(file, { resolve = () => null, now = () => Date.now() } = {}) {
+  const byKey = new Map(); // "symbol:outcome" (or tokenId) -> snapshots sorted by ts
+  let firstTs = Infinity;
+  let lastTs = -Infinity;
+
+  try {
+    const lines = fs.readFileSync(file, "utf8").split("\n");
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const snap = JSON.parse(line);
+        if (!snap.tokenId || !snap.ts) continue;
+        const key = snap.symbol && snap.outcome ? `${snap.symbol}:${snap.outcome}` : snap.tokenId;
+        if (!byKey.has(key)) byKey.set(key, []);
+        byKey.get(key).push(snap);
+        firstTs = Math.min(firstTs, snap.ts);
+        lastTs = Math.max(lastTs, snap.ts);
+      } catch (e) {
+        // ignore corrupt lines
+      }
+    }
+    for (const snaps of byKey.values()) snaps.sort((a, b) => a.ts - b.ts);
+    console.log(`[PAPER] Loaded recorded books for ${byKey.size} tokens from ${file}`);
+  } catch (e) {
+    console.error(`[PAPER] Failed to load recorded books from ${file}:`, e.message);
+  }
+
+  const startedAt = now();
+  let over = false;
+
+  return async (tokenId) => {
+    const empty = { asset_id: tokenId, bids: [], asks: [] };
+    const replayTs = firstTs + (now() - startedAt);
+    if (replayTs > lastTs) {
+      if (!over && Number.isFinite(lastTs)) console.warn(`[PAPER] Recorded books in ${file} ran out - books are empty from here`);
+      over = true;
+      return empty;
+    }
+
+    const role = resolve(tokenId);
+    const snaps = (role && byKey.get(`${role.symbol}:${role.outcome}`)) || byKey.get(tokenId);
+    const i = snaps ? latestAt(snaps, replayTs) : -1;
+    if (i === -1) return empty;
+    const snap = snaps[i];
+    return { asset_id: tokenId, bids: snap.bids || [], asks: snap.asks || [], timestamp: String(snap.ts) };
+  };
+}
+
+/**
+ * Create a simulated exchange client.
+ * @param {Object} opts
+ * @param {Function} opts.getBook - async tokenId => order book ({ bids, asks })
+ * @param {Function} [opts.onFill] - called with { orderID, tokenId, side, price, size, ts } per fill
+ * @param {Function} [opts.onCancel] - called with the order (getOrder shape) when it is canceled or expires
+ * @param {Function} [opts.now] - clock in ms (defaults to Date.now)
+ */
+function createClient({ getBook, onFill = null, onCancel = null, now = () => Date.now() }) {
+  const orders = new Map();    // orderID -> order (CLOB getOrder shape + internals); closed ones pruned
+  const books = new Map();     // tokenId -> { bids, asks, taken: Map(price -> size) }
+  const positions = new Map(); // tokenId -> shares held
+  let seq = 0;
+
+  // Walk the opposite side of the latest book up to the limit price.
+  // Liquidity taken is remembered until the next book for that token arrives,
+  // so two orders in the same tick can't both fill against the same level.
+  // Takers fill at the level price; a resting order fills at its own limit.
+  function match(order, resting = false) {
+    const book = books.get(order.asset_id);
+    if (!book || order.status !== "LIVE") return;
+
+    const isBuy = order.side === "BUY";
+    const levels = isBuy
+      ? [...book.asks].sort((a, b) => a.price - b.price)
+      : [...book.bids].sort((a, b) => b.price - a.price);
+
+    for (const level of levels) {
+      const remaining = order.original_size - order.size_matched;
+      if (remaining <= 0) break;
+      if (isBuy ? level.price > order.price : level.price < order.price) break;
+
+      const available = level.size - (book.taken.get(level.price) || 0);
+      if (available <= 0) continue;
+
+      const qty = Math.min(available, remaining);
+      book.taken.set(level.price, (book.taken.get(level.price) || 0) + qty);
+
+      const fill = { price: resting ? order.price : level.price, size: qty, ts: now() };
+      order.size_matched += qty;
+      order.fills.push(fill);
+
+      const held = positions.get(order.asset_id) || 0;
+      positions.set(order.asset_id, held + (isBuy ? qty : -qty));
+
+      if (onFill) {
+        try {
+          onFill({ orderID: order.id, tokenId: order.asset_id, side: order.side, ...fill });
+        } catch (e) {
+          console.error("[PAPER] onFill error:", e.message);
+        }
+      }
+    }
+
+    if (order.size_matched >= order.original_size) {
+      order.status = "MATCHED";
+      order.closedAt = now();
+    }
+  }
+
+  function cancel(order) {
+    order.status = "CANCELED";
+    order.closedAt = now();
+    if (onCancel) {
+      try {
+        onCancel(publicView(order));
+      } catch (e) {
+        console.error("[PAPER] onCancel error:", e.message);
+      }
+    }
+  }
+
+  function expire(order) {
+    if (order.status === "LIVE" && order.expiration && now() / 1000 > order.expiration) {
+      cancel(order);
+    }
+  }
+
+  function prune() {
+    for (const order of orders.values()) expire(order);
+    const cutoff = now() - CLOSED_ORDER_KEEP_MS;
+    for (const [orderID, order] of orders) {
+      if (order.closedAt && order.closedAt < cutoff) orders.delete(orderID);
+    }
+  }
+
+  function publicView(order) {
+    const { fills, closedAt, ...rest } = order;
+    const notional = fills.reduce((sum, f) => sum + f.price * f.size, 0);
+    return {
+      ...rest,
+      original_size: String(order.original_size),
+      size_matched: String(order.size_matched),
+      price: String(order.price),
+      avg_fill_price: order.size_matched > 0 ? notional / order.size_matched : null,
+      paper: true
+    };
+  }
+
+  async function getOrderBook(tokenId) {
+    const book = await getBook(tokenId);
+    books.set(tokenId, {
+      bids: parseLevels(book?.bids),
+      asks: parseLevels(book?.asks),
+      taken: new Map()
+    });
+
+    prune();
+
+    // Resting orders on this token get a chance against the fresh book
+    for (const order of orders.values()) {
+      if (order.asset_id !== tokenId) continue;
+      expire(order);
+      match(order, true);
+    }
+
+    return book;
+  }
+
+  async function createAndPostOrder(userOrder, options, orderType) {
+    const side = String(userOrder.side).toUpperCase();
+    const price = Number(userOrder.price);
+    const size = Number(userOrder.size);
+
+    if (side === "SELL" && size > (positions.get(userOrder.tokenID) || 0)) {
+      return { success: false, errorMsg: ERR_BALANCE, paper: true };
+    }
+
+    const orderID = `${ORDER_ID_PREFIX}${now()}-${++seq}`;
+    const order = {
+      id: orderID,
+      status: "LIVE",
+      asset_id: userOrder.tokenID,
+      side,
+      price,
+      original_size: size,
+      size_matched: 0,
+      order_type: orderType,
+      expiration: userOrder.expiration ? Number(userOrder.expiration) : 0,
+      created_at: Math.floor(now() / 1000),
+      fills: []
+    };
+    orders.set(orderID, order);
+
+    match(order);
+
+    return {
+      success: true,
+      errorMsg: "",
+      orderID,
+      status: order.status === "MATCHED" ? "matched" : "live",
+      paper: true
+    };
+  }
+
+  async function getOrder(orderID) {
+    const order = orders.get(orderID);
+    if (!order) return null;
+    expire(order);
+    return publicView(order);
+  }
+
+  async function cancelOrder(payload) {
+    const orderID = typeof payload === "string" ? payload : payload?.orderID;
+    const order = orders.get(orderID);
+    if (!order) return { canceled: [], not_canceled: { [orderID]: ERR_NOT_FOUND } };
+
+    expire(order);
+    if (order.status !== "LIVE") return { canceled: [], not_canceled: { [orderID]: ERR_NOT_LIVE[order.status] } };
+    cancel(order);
+    return { canceled: [orderID], not_canceled: {} };
+  }
+
+  async function getOpenOrders() {
+    const open = [];
+    for (const order of orders.values()) {
+      expire(order);
+      if (order.status === "LIVE") open.push(publicView(order));
+    }
+    return open;
+  }
+
+  // Paper holdings per token - stands in for the Data API positions endpoint
+  function getPositions(tokenIds) {
+    const [upTokenId, downTokenId] = tokenIds;
+    return {
+      UP: positions.get(upTokenId) || 0,
+      DOWN: positions.get(downTokenId) || 0
+    };
+  }
+
+  return { getOrderBook, createAndPostOrder, getOrder, getOpenOrders, cancelOrder, getPositions };
+}
+
+export const PaperExchange = {
+  createClient,
+  recordedBookSource
+};
@@ -0,0 +1,296 @@
+import fs from "fs";
+import path from "path";
+
+// Realized-PnL ledger.
+// Append-only JSONL, one file per bot: every fill of ours is written as it happens,
+// the market is marked CLOSED when its interval ends, and once Gamma posts the
+// official outcome a RESOLVED row books entries, exits, average cost, payout and
+// realized PnL for the slug. Markets that are open or awaiting resolution are
+// rebuilt by replaying the file on startup, so a restart between the end of an
+// interval and its resolution still books it.
+//
+// Row types:
+//   FILL     { symbol, slug, orderID, tradeId, outcome, orderSide, size, price }  negative size: trade failed
+//   CLOSED   { symbol, slug, conditionId, marketType, endMs }                    interval over, awaiting resolution
+//   RESOLVED { symbol, slug, conditionId, marketType, endMs, winner, payouts,
+//              entries, exits, avgCost, held, exitPnl, settlementPnl, realizedPnl, fills }
+//
+// entries/exits/avgCost/held are keyed by outcome (UP/DOWN). winner is UP, DOWN or
+// SPLIT (market resolved 50/50); payouts is what one share of each outcome paid.
+
+const DEFAULT_FILE = "pnl_ledger.jsonl";
+const GAMMA_URL = "https://gamma-api.polymarket.com";
+const RESOLVE_POLL_MS = 30000;
+
+let ledgerFile = DEFAULT_FILE;
+let markets = new Map(); // slug -> open or closed, unresolved market
+let resolved = new Set(); // slugs with a RESOLVED row
+let onResolvedFn = null;
+let pollTimer = null;
+let polling = false;
+
+function emptySide() {
+  return { boughtShares: 0, boughtCost: 0, soldShares: 0, soldProceeds: 0, shares: 0, cost: 0 };
+}
+
+function emptyMarket(symbol, slug) {
+  return { symbol, slug, sides: { UP: emptySide(), DOWN: emptySide() }, exitPnl: 0, fills: 0, closed: null };
+}
+
+// Fill -> market totals. A sell books its PnL against the average cost, which it leaves unchanged.
+function applyFill(market, row) {
+  const side = market.sides[row.outcome];
+  if (!side) return;
+  const { size, price } = row;
+
+  if (row.orderSide === "BUY") {
+    side.boughtShares += size;
+    side.boughtCost += size * price;
+    side.shares += size;
+    side.cost += size * price;
+  } else {
+    const avgCost = side.shares > 0 ? side.cost / side.shares : 0;
+    side.soldShares += size;
+    side.soldProceeds += size * price;
+    side.shares -= size;
+    side.cost -= size * avgCost;
+    market.exitPnl += size * (price - avgCost);
+  }
+  market.fills++;
+}
+
+function append(type, data) {
+  try {
+    fs.appendFileSync(ledgerFile, JSON.stringify({ ts: Date.now(), type, ...data }) + "\n");
+  } catch (e) {
+    console.error(`[LEDGER] Failed to record ${type}:`, e.message);
+  }
+}
+
+function round(n, dp = 6) {
+  return Number(n.toFixed(dp));
+}
+
+/**
+ * Book a resolved market (pure - no I/O).
+ * @param {Object} market - Replayed market
+ * @param {{winner: string, payouts: {UP: number, DOWN: number}}} outcome
+ * @returns {Object} RESOLVED row body
+ */
+function book(market, outcome) {
+  const entries = {}, exits = {}, avgCost = {}, held = {};
+  let settlementPnl = 0;
+
+  for (const [outcomeName, s] of Object.entries(market.sides)) {
+    entries[outcomeName] = { shares: round(s.boughtShares), cost: round(s.boughtCost) };
+    exits[outcomeName] = { shares: round(s.soldShares), proceeds: round(s.soldProceeds) };
+    avgCost[outcomeName] = s.boughtShares > 0 ? round(s.boughtCost / s.boughtShares) : null;
+    held[outcomeName] = round(s.shares);
+    settlementPnl += s.shares * outcome.payouts[outcomeName] - s.cost;
+  }
+
+  return {
+    symbol: market.symbol,
+    slug: market.slug,
+    ...market.closed,
+    winner: outcome.winner,
+    payouts: outcome.payouts,
+    entries,
+    exits,
+    avgCost,
+    held,
+    exitPnl: round(market.exitPnl),
+    settlementPnl: round(settlementPnl),
+    realizedPnl: round(market.exitPnl + settlementPnl),
+    fills: market.fills
+  };
+}
+
+// ---------- RESOLUTION ----------
+
+/**
+ * Official outcome of a market from Gamma, or null while it isn't resolved.
+ * Resolved means closed with final outcome prices (1/0, or 0.5/0.5 for a split).
+ */
+async function fetchOutcome(slug) {
+  const res = await fetch(`${GAMMA_URL}/markets/slug/${slug}`);
+  if (!res.ok) throw new Error(`Gamma ${res.status} for ${slug}`);
+  const market = await res.json();
+  if (market.closed !== true) return null;
+
+  const names = JSON.parse(market.outcomes || "[]").map(n => String(n).toUpperCase());
+  const prices = JSON.parse(market.outcomePrices || "[]").map(Number);
+  if (names.length !== 2 || prices.length !== 2) return null;
+  if (!prices.every(p => p === 0 || p === 0.5 || p === 1) || prices[0] + prices[1] !== 1) return null;
+
+  const payouts = Object.fromEntries(names.map((n, i) => [n, prices[i]]));
+  if (!("UP" in payouts) || !("DOWN" in payouts)) return null;
+  const winner = payouts.UP === payouts.DOWN ? "SPLIT" : payouts.UP === 1 ? "UP" : "DOWN";
+  return { winner, payouts };
+}
+
+async function pollResolutions() {
+  if (polling) return;
+  polling = true;
+  try {
+    for (const market of [...markets.values()]) {
+      if (!market.closed) continue;
+
+      let outcome;
+      try {
+        outcome = await fetchOutcome(market.slug);
+      } catch (e) {
+        console.error(`[LEDGER] ${market.slug}: ${e.message} - retrying`);
+        continue;
+      }
+      if (!outcome) continue;
+
+      const row = book(market, outcome);
+      append("RESOLVED", row);
+      markets.delete(market.slug);
+      resolved.add(market.slug);
+      console.log(
+        `[LEDGER] 📒 ${market.slug} resolved ${row.winner}: realized $${row.realizedPnl.toFixed(2)} ` +
+        `(exits $${row.exitPnl.toFixed(2)}, settlement $${row.settlementPnl.toFixed(2)})`
+      );
+
+      try {
+        onResolvedFn?.(row);
+      } catch (e) {
+        console.error(`[LEDGER] onResolved failed for ${market.slug}: ${e.message}`);
+      }
+    }
+  } finally {
+    polling = false;
+  }
+}
+
+// ---------- LEDGER FILE ----------
+
+/**
+ * Read a ledger file (read only - safe to call from tools).
+ * @returns {{markets: Map, resolved: Object[]}} Unresolved markets and RESOLVED rows
+ */
+function replay(file = ledgerFile) {
+  const open = new Map();
+  const rows = [];
+  const booked = new Set();
+  if (!fs.existsSync(file)) return { markets: open, resolved: rows };
+
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    let row;
+    try {
+      row = JSON.parse(line);
+    } catch (e) {
+      // Torn last write from a crash - everything before it is still valid
+      continue;
+    }
+
+    if (row.type === "RESOLVED") {
+      open.delete(row.slug);
+      booked.add(row.slug);
+      rows.push(row);
+      continue;
+    }
+    if (booked.has(row.slug)) continue; // late row for a booked market
+
+    if (!open.has(row.slug)) open.set(row.slug, emptyMarket(row.symbol, row.slug));
+    const market = open.get(row.slug);
+    if (row.type === "FILL") applyFill(market, row);
+    if (row.type === "CLOSED") {
+      market.closed = { conditionId: row.conditionId, marketType: row.marketType, endMs: row.endMs };
+    }
+  }
+
+  return { markets: open, resolved: rows };
+}
+
+/**
+ * RESOLVED rows of the pnl_ledger*.jsonl files in a directory (for the analytics scripts).
+ * Each bot has its own ledger, so the same market can be booked once per profile/market
+ * type; every row is tagged with the file it came from (`ledger`) to tell them apart.
+ * @param {Object} [opts]
+ * @param {boolean} [opts.paper] - Also read paper runs' ledgers (*-paper.jsonl)
+ * @returns {Object[]} Sorted by interval end
+ */
+function readResolved(dir = ".", { paper = false } = {}) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(f => f.startsWith("pnl_ledger") && f.endsWith(".jsonl"))
+    .filter(f => paper || !f.endsWith("-paper.jsonl"))
+    .flatMap(f => replay(path.join(dir, f)).resolved.map(row => ({ ...row, ledger: f })))
+    .sort((a, b) => (a.endMs ?? a.ts) - (b.endMs ?? b.ts));
+}
+
+/**
+ * Load the ledger and start resolving closed markets.
+ * @param {Object} opts
+ * @param {string} [opts.file] - Ledger file (default pnl_ledger.jsonl)
+ * @param {Function} [opts.onResolved] - row => void, called once per RESOLVED row
+ */
+function start({ file = DEFAULT_FILE, onResolved = null } = {}) {
+  ledgerFile = file;
+  onResolvedFn = onResolved;
+
+  const replayed = replay(file);
+  markets = replayed.markets;
+  resolved = new Set(replayed.resolved.map(r => r.slug));
+
+  const awaiting = [...markets.values()].filter(m => m.closed).length;
+  console.log(`[LEDGER] ${file}: ${resolved.size} resolved markets, ${markets.size - awaiting} open, ${awaiting} awaiting resolution`);
+
+  pollTimer = setInterval(() => {
+    pollResolutions().catch(e => console.error("[LEDGER] Resolution poll failed:", e.message));
+  }, RESOLVE_POLL_MS);
+  pollResolutions().catch(e => console.error("[LEDGER] Resolution poll failed:", e.message));
+}
+
+function stop() {
+  clearInterval(pollTimer);
+}
+
+/** One of our fills (size already negative for a reversal) */
+function recordFill(fill) {
+  if (resolved.has(fill.slug)) {
+    console.warn(`[LEDGER] Fill ${fill.orderID} for already resolved ${fill.slug} - not booked`);
+    return;
+  }
+  const row = {
+    symbol: fill.symbol,
+    slug: fill.slug,
+    orderID: fill.orderID,
+    tradeId: fill.tradeId ?? null,
+    outcome: fill.outcome,
+    orderSide: fill.orderSide,
+    size: fill.size,
+    price: fill.price
+  };
+  append("FILL", row);
+  if (!markets.has(fill.slug)) markets.set(fill.slug, emptyMarket(fill.symbol, fill.slug));
+  applyFill(markets.get(fill.slug), row);
+}
+
+/**
+ * Interval over: resolve the market once Gamma posts the outcome.
+ * Late fills still count until then.
+ * @returns {boolean} false if we never traded it (nothing to book)
+ */
+function close(slug, { symbol, conditionId, marketType, endMs }) {
+  const market = markets.get(slug);
+  if (!market || market.closed) return Boolean(market);
+
+  market.closed = { conditionId, marketType, endMs };
+  append("CLOSED", { symbol, slug, ...market.closed });
+  return true;
+}
+
+export const PnlLedger = {
+  DEFAULT_FILE,
+  start,
+  stop,
+  recordFill,
+  close,
+  replay,
+  readResolved
+};
@@ -0,0 +1,164 @@
+import { EventSource } from "eventsource";
+
+// Streaming Pyth prices over the Hermes SSE endpoint (see old/feeds.js).
+// One subscription carries every asset; the latest price, publish time and
+// confidence per feed are kept in memory for synchronous reads. The stream is
+// reopened with exponential backoff on errors, and by a watchdog when it goes
+// quiet without erroring (Hermes drops long-lived streams silently).
+
+const HERMES_STREAM_URL = "https://hermes.pyth.network/v2/updates/price/stream";
+
+const BACKOFF_MIN_MS = 1000;
+const BACKOFF_MAX_MS = 30000;
+const WATCHDOG_MS = 15000; // No message at all for this long -> reconnect
+
+let es = null;
+let feeds = {};        // normalized pyth id -> { symbol, price, conf, publishTime, receivedAt }
+let symbolToId = {};
+let backoffMs = BACKOFF_MIN_MS;
+let reconnectTimer = null;
+let watchdogTimer = null;
+let lastMessageAt = 0;
+let stopped = true;
+let streamUrl = HERMES_STREAM_URL;
+let listeners = [];    // symbol => void, called on every new price
+
+function normalizeId(id) {
+  return String(id).toLowerCase().replace(/^0x/, "");
+}
+
+function handleMessage(msg) {
+  lastMessageAt = Date.now();
+  if (!msg.data) return;
+
+  let payload;
+  try {
+    payload = JSON.parse(msg.data);
+  } catch {
+    return; // keepalives
+  }
+
+  const updates = Array.isArray(payload?.parsed) ? payload.parsed : [];
+  for (const u of updates) {
+    const feed = feeds[normalizeId(u.id)];
+    if (!feed || !u.price) continue;
+
+    const expo = Number(u.price.expo);
+    const price = Number(u.price.price) * Math.pow(10, expo);
+    const conf = Number(u.price.conf) * Math.pow(10, expo);
+    const publishTime = Number(u.price.publish_time) * 1000;
+    if (!Number.isFinite(price) || !Number.isFinite(publishTime)) continue;
+
+    // Updates can arrive out of order across reconnects - keep the newest
+    if (feed.publishTime && publishTime < feed.publishTime) continue;
+
+    feed.price = price;
+    feed.conf = conf;
+    feed.publishTime = publishTime;
+    feed.receivedAt = lastMessageAt;
+    for (const fn of listeners) fn(feed.symbol);
+  }
+
+  // A healthy message resets the backoff
+  backoffMs = BACKOFF_MIN_MS;
+}
+
+function connect() {
+  if (stopped) return;
+
+  const params = new URLSearchParams();
+  Object.keys(feeds).forEach(id => params.append("ids[]", "0x" + id));
+  params.append("parsed", "true");
+
+  es = new EventSource(`${streamUrl}?${params.toString()}`);
+  lastMessageAt = Date.now();
+
+  es.onopen = () => console.log(`[PYTH] Stream connected (${Object.keys(feeds).length} feeds)`);
+  es.onmessage = handleMessage;
+  es.onerror = (e) => {
+    console.error(`[PYTH] Stream error: ${e?.message || e?.code || "unknown"} - reconnecting in ${backoffMs}ms`);
+    scheduleReconnect();
+  };
+}
+
+function scheduleReconnect() {
+  if (es) {
+    es.close();
+    es = null;
+  }
+  if (stopped || reconnectTimer) return;
+
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    connect();
+  }, backoffMs);
+  backoffMs = Math.min(backoffMs * 2, BACKOFF_MAX_MS);
+}
+
+/**
+ * Open the stream for the given assets ({ symbol, pythId }).
+ * @param {string} [url] - Hermes stream endpoint (e.g. a self-hosted Hermes)
+ */
+function start(assets, url = HERMES_STREAM_URL) {
+  streamUrl = url;
+  feeds = {};
+  symbolToId = {};
+  for (const asset of assets) {
+    const id = normalizeId(asset.pythId);
+    feeds[id] = { symbol: asset.symbol, price: null, conf: null, publishTime: null, receivedAt: null };
+    symbolToId[asset.symbol] = id;
+  }
+
+  stopped = false;
+  backoffMs = BACKOFF_MIN_MS;
+  connect();
+
+  watchdogTimer = setInterval(() => {
+    if (es && Date.now() - lastMessageAt > WATCHDOG_MS) {
+      console.warn(`[PYTH] No stream data for ${((Date.now() - lastMessageAt) / 1000).toFixed(0)}s - reconnecting`);
+      scheduleReconnect();
+    }
+  }, WATCHDOG_MS / 3);
+}
+
+function stop() {
+  stopped = true;
+  clearInterval(watchdogTimer);
+  clearTimeout(reconnectTimer);
+  watchdogTimer = null;
+  reconnectTimer = null;
+  if (es) es.close();
+  es = null;
+}
+
+/**
+ * Latest price for an asset.
+ * @param {string} symbol - Asset symbol (BTC, ETH, etc.)
+ * @param {number} maxAgeMs - Publish-time age beyond which the price counts as stale
+ * @returns {{price, conf, publishTime, ageMs, stale}|null} null until the first update arrives
+ */
+function getLatest(symbol, maxAgeMs) {
+  const feed = feeds[symbolToId[symbol]];
+  if (!feed || feed.price === null) return null;
+
+  const ageMs = Date.now() - feed.publishTime;
+  return {
+    price: feed.price,
+    conf: feed.conf,
+    publishTime: feed.publishTime,
+    ageMs,
+    stale: ageMs > maxAgeMs
+  };
+}
+
+/** Call fn(symbol) whenever an asset gets a newer price */
+function onUpdate(fn) {
+  listeners.push(fn);
+}
+
+export const PriceFeed = {
+  start,
+  stop,
+  getLatest,
+  onUpdate
+};
@@ -0,0 +1,277 @@
+import fs from "fs";
+
+// Price history per asset for VolatilityManager.
+// Two fixed-size rings per asset, indexed by time so neither needs a head pointer:
+//   seconds  last price of each second, SECOND_SLOTS deep (jump detection)
+//   minutes  1-minute bars { ts, price, high, low, source } rolled up from those prices,
+//            MINUTE_SLOTS deep (volatility and drift at any horizon up to that)
+// A slot stores the second/minute it belongs to, so a slot left over from a lap ago is
+// recognised and skipped on read. Minutes are wall-clock aligned; a bar closes when the
+// first price of a later minute arrives, and its ts is the time of its last price.
+// Provenance: every bar keeps where it came from - "live" for bars rolled up from the
+// bot's own prices, the backfill source (Backfill.js) otherwise, null when unknown
+// (bars saved before sources were recorded).
+//
+// Persistence: each closed bar is appended to the history file (JSONL) without blocking the
+// tick loop - appends and compactions go through one queue, so they never interleave.
+// Once the file holds COMPACT_SLACK_LINES more lines than the rings, it is rewritten with
+// only the retained bars (temp file + rename, as in StateJournal). open() loads it, so a
+// restart keeps MINUTE_SLOTS of bars; seconds are memory only.
+// The queue only orders this process's writes: every bot opens its own file (crypto.js
+// names it per profile/market type/mode like the state journal), never another's.
+
+const DEFAULT_FILE = "price_history.jsonl";
+const LEGACY_FILE = "vol_history.json"; // One JSON object of the last 60 bars, imported once
+const SECOND_SLOTS = 60 * 60;
+const MINUTE_SLOTS = 3 * 24 * 60;
+const COMPACT_SLACK_LINES = 24 * 60;
+
+let historyFile = DEFAULT_FILE;
+let rings = {}; // symbol -> { seconds, minutes, bar } - bar is the running minute
+let journalLines = 0;
+let writes = Promise.resolve();
+
+function emptyRing() {
+  const seconds = { key: new Float64Array(SECOND_SLOTS).fill(-1), ts: new Float64Array(SECOND_SLOTS), price: new Float64Array(SECOND_SLOTS) };
+  const minutes = {
+    key: new Float64Array(MINUTE_SLOTS).fill(-1),
+    ts: new Float64Array(MINUTE_SLOTS),
+    price: new Float64Array(MINUTE_SLOTS),
+    high: new Float64Array(MINUTE_SLOTS),
+    low: new Float64Array(MINUTE_SLOTS),
+    source: new Array(MINUTE_SLOTS).fill(null)
+  };
+  return { seconds, minutes, bar: null };
+}
+
+function ring(symbol) {
+  return rings[symbol] || (rings[symbol] = emptyRing());
+}
+
+// Store a bar unless its slot already holds a later minute; true if stored
+function putBar(symbol, bar) {
+  const minutes = ring(symbol).minutes;
+  const minute = Math.floor(bar.ts / 60000);
+  const slot = minute % MINUTE_SLOTS;
+  if (minutes.key[slot] > minute) return false;
+  minutes.key[slot] = minute;
+  minutes.ts[slot] = bar.ts;
+  minutes.price[slot] = bar.price;
+  minutes.high[slot] = bar.high ?? bar.price;
+  minutes.low[slot] = bar.low ?? bar.price;
+  minutes.source[slot] = bar.source ?? null;
+  return true;
+}
+
+function enqueue(label, task) {
+  writes = writes.then(task).catch(e => console.error(`[PRICES] Failed to ${label}:`, e.message));
+  return writes;
+}
+
+function append(symbol, bar) {
+  const line = JSON.stringify({ symbol, ts: bar.ts, price: bar.price, high: bar.high, low: bar.low, source: bar.source }) + "\n";
+  journalLines++;
+  enqueue("save bar", () => fs.promises.appendFile(historyFile, line));
+  if (journalLines > retainedBars() + COMPACT_SLACK_LINES) compact();
+}
+
+function retainedBars() {
+  let n = 0;
+  for (const { minutes } of Object.values(rings)) {
+    for (let i = 0; i < MINUTE_SLOTS; i++) if (minutes.key[i] >= 0) n++;
+  }
+  return n;
+}
+
+// Every bar in an asset's ring, oldest first
+function allBars(symbol) {
+  const { minutes } = rings[symbol];
+  const slots = [];
+  for (let i = 0; i < MINUTE_SLOTS; i++) if (minutes.key[i] >= 0) slots.push(i);
+  slots.sort((a, b) => minutes.key[a] - minutes.key[b]);
+  return slots.map(i => barAt(minutes, i));
+}
+
+function barAt(minutes, slot) {
+  return { ts: minutes.ts[slot], price: minutes.price[slot], high: minutes.high[slot], low: minutes.low[slot], source: minutes.source[slot] };
+}
+
+/**
+ * Record a price: the second's slot and the running minute bar.
+ * @param {number} [ts] - Time of the price (default now)
+ */
+function record(symbol, price, ts = Date.now()) {
+  const r = ring(symbol);
+  const second = Math.floor(ts / 1000);
+  const slot = second % SECOND_SLOTS;
+  r.seconds.key[slot] = second;
+  r.seconds.ts[slot] = ts;
+  r.seconds.price[slot] = price;
+
+  if (r.bar && Math.floor(r.bar.ts / 60000) !== Math.floor(ts / 60000)) {
+    if (putBar(symbol, r.bar)) append(symbol, r.bar);
+    r.bar = null;
+  }
+  r.bar = r.bar
+    ? { ts, price, high: Math.max(r.bar.high, price), low: Math.min(r.bar.low, price), source: "live" }
+    : { ts, price, high: price, low: price, source: "live" };
+}
+
+/**
+ * Closed 1-minute bars of the last `minutes` minutes, oldest first (the running minute is left out).
+ * @returns {{ts: number, price: number, high: number, low: number, source: string|null}[]}
+ */
+function bars(symbol, minutes = 60, now = Date.now()) {
+  const r = rings[symbol];
+  if (!r) return [];
+  const last = Math.floor(now / 60000);
+  const list = [];
+  for (let m = last - Math.min(minutes, MINUTE_SLOTS); m <= last; m++) {
+    const slot = m % MINUTE_SLOTS;
+    if (r.minutes.key[slot] !== m) continue;
+    list.push(barAt(r.minutes, slot));
+  }
+  return list;
+}
+
+/**
+ * Last price of each second over the last `secs` seconds, oldest first.
+ * @returns {{ts: number, price: number}[]}
+ */
+function seconds(symbol, secs = 60, now = Date.now()) {
+  const r = rings[symbol];
+  if (!r) return [];
+  const last = Math.floor(now / 1000);
+  const list = [];
+  for (let s = last - Math.min(secs, SECOND_SLOTS - 1); s <= last; s++) {
+    const slot = s % SECOND_SLOTS;
+    if (r.seconds.key[slot] === s) list.push({ ts: r.seconds.ts[slot], price: r.seconds.price[slot] });
+  }
+  return list;
+}
+
+/** Last recorded price of an asset, or null */
+function latest(symbol) {
+  const r = rings[symbol];
+  if (!r) return null;
+  if (r.bar) return r.bar.price;
+  const closed = allBars(symbol);
+  return closed.length > 0 ? closed[closed.length - 1].price : null;
+}
+
+/**
+ * Which of the last `minutes` minutes hold a bar, by source, and which don't (the running
+ * minute is neither).
+ * @returns {{bars: number, bySource: Object, gaps: {from: number, to: number}[]}} Gaps are
+ *   runs of missing minutes, from the start of the first to the end of the last (ms)
+ */
+function coverage(symbol, minutes = MINUTE_SLOTS, now = Date.now()) {
+  const r = rings[symbol];
+  const current = Math.floor(now / 60000);
+  const result = { bars: 0, bySource: {}, gaps: [] };
+  let gap = null;
+  for (let m = current - Math.min(minutes, MINUTE_SLOTS); m < current; m++) {
+    const slot = m % MINUTE_SLOTS;
+    if (r?.bar && Math.floor(r.bar.ts / 60000) === m) continue; // Still running, not missing
+    if (r && r.minutes.key[slot] === m) {
+      const source = r.minutes.source[slot] ?? "unknown";
+      result.bars++;
+      result.bySource[source] = (result.bySource[source] || 0) + 1;
+      gap = null;
+      continue;
+    }
+    if (gap) {
+      gap.to = (m + 1) * 60000;
+    } else {
+      gap = { from: m * 60000, to: (m + 1) * 60000 };
+      result.gaps.push(gap);
+    }
+  }
+  return result;
+}
+
+/**
+ * Fill missing minutes with bars from elsewhere (backfill sources); minutes that already
+ * hold a bar keep it. ts is the candle's close time.
+ * @param {string} source - Provenance stored with each bar ("binance", "pyth", ...)
+ * @returns {number} Bars added
+ */
+function importBars(symbol, list, source) {
+  const r = ring(symbol);
+  let added = 0;
+  for (const bar of list) {
+    const minute = Math.floor(bar.ts / 60000);
+    if (r.minutes.key[minute % MINUTE_SLOTS] >= minute) continue;
+    if (r.bar && Math.floor(r.bar.ts / 60000) === minute) continue;
+    const sourced = { ts: bar.ts, price: bar.price, high: bar.high, low: bar.low, source };
+    putBar(symbol, sourced);
+    append(symbol, sourced);
+    added++;
+  }
+  return added;
+}
+
+/**
+ * Rewrite the file with only the bars in the rings. The bars are taken now, queued
+ * behind pending appends and written to a temp file that replaces the journal.
+ */
+function compact() {
+  const lines = [];
+  for (const symbol of Object.keys(rings)) {
+    for (const bar of allBars(symbol)) lines.push(JSON.stringify({ symbol, ...bar }));
+  }
+  journalLines = lines.length;
+  return enqueue("compact history", async () => {
+    const tmp = `${historyFile}.tmp`;
+    await fs.promises.writeFile(tmp, lines.length > 0 ? lines.join("\n") + "\n" : "");
+    await fs.promises.rename(tmp, historyFile);
+  });
+}
+
+/**
+ * Load a history file into the rings and append closed bars to it from now on.
+ * Call once at startup, before prices are recorded.
+ * @param {string} [file] - One per process (default price_history.jsonl)
+ */
+function open(file = DEFAULT_FILE) {
+  historyFile = file;
+  rings = {};
+  journalLines = 0;
+  try {
+    if (fs.existsSync(historyFile)) {
+      for (const line of fs.readFileSync(historyFile, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        let bar;
+        try {
+          bar = JSON.parse(line);
+        } catch (e) {
+          continue; // Torn last write from a crash
+        }
+        journalLines++;
+        if (bar.symbol && bar.price > 0) putBar(bar.symbol, bar);
+      }
+      if (journalLines > retainedBars() + COMPACT_SLACK_LINES) compact();
+    } else if (fs.existsSync(LEGACY_FILE)) {
+      const legacy = JSON.parse(fs.readFileSync(LEGACY_FILE, "utf8"));
+      for (const [symbol, list] of Object.entries(legacy)) {
+        for (const bar of list) putBar(symbol, bar);
+      }
+      compact();
+    }
+  } catch (e) {
+    console.error(`[PRICES] Failed to load ${historyFile}, starting fresh.`, e.message);
+  }
+}
+
+export const PriceStore = {
+  DEFAULT_FILE,
+  open,
+  record,
+  bars,
+  seconds,
+  latest,
+  coverage,
+  importBars,
+  compact,
+  MINUTE_SLOTS
+};
@@ -0,0 +1,286 @@
+import fs from "fs";
+import { ethers } from "ethers";
+import { PnlLedger } from "./PnlLedger.js";
+
+// Redemption of resolved positions.
+// Winning UP/DOWN tokens only turn back into USDC once redeemPositions is called on
+// the Conditional Tokens contract. Each pass collects the resolved markets we hold -
+// RESOLVED rows of the PnL ledgers with shares still held, plus Data API positions
+// flagged redeemable - checks on-chain that the condition has a payout and that the
+// funder still holds tokens of it, and redeems both outcome slots in one transaction.
+// Transactions go out one at a time, so run a single worker per wallet.
+//
+// A proxy wallet (signature type 1, the funder of crypto.js) can't call the contract
+// itself: the owner key sends the call through Polymarket's proxy wallet factory,
+// which executes it from the proxy. Signature type 0 calls the contract directly.
+//
+// Every outcome is appended to the redemptions file and replayed on start, so a
+// condition is only redeemed once:
+//   REDEEMED { conditionId, slug, symbol, shares: [UP, DOWN], payout, txHash, gasUsed, source }
+//   SKIPPED  { conditionId, slug, reason }   nothing left to redeem (e.g. redeemed by hand) or only losing tokens
+
+const DEFAULT_FILE = "redemptions.jsonl";
+const DATA_API = "https://data-api.polymarket.com";
+
+// Polygon mainnet (a fork on a local node has them too)
+const CTF_ADDRESS = "0x4D97DCd97eC945f40cF65F87097ACe5EA0476045";
+const COLLATERAL_ADDRESS = "0x2791Bca1f2de4661ED88A30C99A7a9449Aa84174"; // USDC.e
+const PROXY_FACTORY_ADDRESS = "0xaB45c5A4B0c941a2F231C04C3f49182e1A254052";
+
+const INDEX_SETS = [1, 2]; // outcome slots: Up, Down
+const COLLATERAL_DECIMALS = 6;
+const TX_TIMEOUT_MS = 180000;
+
+const CTF_ABI = [
+  "function redeemPositions(address collateralToken, bytes32 parentCollectionId, bytes32 conditionId, uint256[] indexSets)",
+  "function payoutDenominator(bytes32 conditionId) view returns (uint256)",
+  "function payoutNumerators(bytes32 conditionId, uint256 index) view returns (uint256)",
+  "function getCollectionId(bytes32 parentCollectionId, bytes32 conditionId, uint256 indexSet) view returns (bytes32)",
+  "function getPositionId(address collateralToken, bytes32 collectionId) view returns (uint256)",
+  "function balanceOf(address owner, uint256 id) view returns (uint256)",
+  "event PayoutRedemption(address indexed redeemer, address indexed collateralToken, bytes32 indexed parentCollectionId, bytes32 conditionId, uint256[] indexSets, uint256 payout)"
+];
+const PROXY_FACTORY_ABI = [
+  "function proxy((uint8 typeCode, address to, uint256 value, bytes data)[] calls) payable returns (bytes[] returnValues)"
+];
+const PROXY_CALL = 1;
+
+let redemptionsFile = DEFAULT_FILE;
+let opts = null;
+let provider = null;
+let wallet = null;
+let ctf = null;
+let done = new Set(); // conditionIds redeemed or skipped
+let timer = null;
+let running = false;
+
+function record(type, data) {
+  try {
+    fs.appendFileSync(redemptionsFile, JSON.stringify({ ts: Date.now(), type, ...data }) + "\n");
+  } catch (e) {
+    console.error(`[REDEEM] Failed to record ${type}:`, e.message);
+  }
+}
+
+/**
+ * Rows of a redemptions file (read only - safe to call from tools).
+ * @returns {Object[]}
+ */
+function replay(file = redemptionsFile) {
+  if (!fs.existsSync(file)) return [];
+  const rows = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      rows.push(JSON.parse(line));
+    } catch (e) {
+      // Torn last write from a crash - everything before it is still valid
+    }
+  }
+  return rows;
+}
+
+// ---------- CANDIDATES ----------
+
+async function redeemablePositions(funder) {
+  const res = await fetch(`${DATA_API}/positions?user=${funder}&redeemable=true&sizeThreshold=0&limit=500`);
+  if (!res.ok) throw new Error(`Data API ${res.status}`);
+  const positions = await res.json();
+  return Array.isArray(positions) ? positions : [];
+}
+
+/**
+ * Resolved markets we may still hold tokens of, one per conditionId.
+ * Ledger rows come first; the Data API adds what the bots never booked
+ * (manual trades, markets from before the ledger).
+ */
+async function findCandidates() {
+  const candidates = new Map();
+
+  for (const row of PnlLedger.readResolved(opts.ledgerDir)) {
+    if (!row.conditionId || done.has(row.conditionId)) continue;
+    const held = row.held.UP * row.payouts.UP + row.held.DOWN * row.payouts.DOWN;
+    if (held <= 0) continue;
+    candidates.set(row.conditionId, { conditionId: row.conditionId, slug: row.slug, symbol: row.symbol, source: "ledger" });
+  }
+
+  try {
+    for (const p of await redeemablePositions(opts.funder)) {
+      if (!p.conditionId || done.has(p.conditionId) || candidates.has(p.conditionId)) continue;
+      if (p.negativeRisk) {
+        console.warn(`[REDEEM] ${p.slug}: neg-risk market - redeem it on polymarket.com`);
+        done.add(p.conditionId); // warn once per run
+        continue;
+      }
+      candidates.set(p.conditionId, { conditionId: p.conditionId, slug: p.slug, symbol: null, source: "data_api" });
+    }
+  } catch (e) {
+    console.error(`[REDEEM] Data API positions failed: ${e.message} - ledger markets only`);
+  }
+
+  return [...candidates.values()];
+}
+
+// ---------- ON-CHAIN ----------
+
+/**
+ * Payout and balances of a condition for the funder.
+ * @returns {Promise<{resolved: boolean, balances: bigint[], payout: bigint}>}
+ */
+async function inspect(conditionId) {
+  const denominator = await ctf.payoutDenominator(conditionId);
+  if (denominator === 0n) return { resolved: false, balances: [], payout: 0n };
+
+  const balances = [];
+  let payout = 0n;
+  for (const [i, indexSet] of INDEX_SETS.entries()) {
+    const collectionId = await ctf.getCollectionId(ethers.ZeroHash, conditionId, indexSet);
+    const positionId = await ctf.getPositionId(COLLATERAL_ADDRESS, collectionId);
+    const balance = await ctf.balanceOf(opts.funder, positionId);
+    balances.push(balance);
+    payout += balance * (await ctf.payoutNumerators(conditionId, i)) / denominator;
+  }
+  return { resolved: true, balances, payout };
+}
+
+// redeemPositions from the funder: straight from the key's wallet, or routed through the proxy factory
+async function sendRedeem(conditionId) {
+  const args = [COLLATERAL_ADDRESS, ethers.ZeroHash, conditionId, INDEX_SETS];
+  if (opts.signatureType === 0) return ctf.redeemPositions(...args);
+
+  if (opts.signatureType === 1) {
+    const factory = new ethers.Contract(PROXY_FACTORY_ADDRESS, PROXY_FACTORY_ABI, wallet);
+    const data = ctf.interface.encodeFunctionData("redeemPositions", args);
+    return factory.proxy([{ typeCode: PROXY_CALL, to: CTF_ADDRESS, value: 0, data }]);
+  }
+
+  throw new Error(`signature type ${opts.signatureType} (Gnosis Safe) is not supported - redeem on polymarket.com`);
+}
+
+// Payout credited to the funder, from the PayoutRedemption event
+function paidOut(receipt, conditionId) {
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== CTF_ADDRESS.toLowerCase()) continue;
+    const parsed = ctf.interface.parseLog(log);
+    if (parsed?.name !== "PayoutRedemption" || parsed.args.conditionId.toLowerCase() !== conditionId.toLowerCase()) continue;
+    if (parsed.args.redeemer.toLowerCase() !== opts.funder.toLowerCase()) {
+      console.warn(`[REDEEM] Redeemed from ${parsed.args.redeemer}, not the funder ${opts.funder} - check the key/funder pair`);
+    }
+    return parsed.args.payout;
+  }
+  return null;
+}
+
+const usdc = (units) => Number(ethers.formatUnits(units, COLLATERAL_DECIMALS));
+
+async function redeem(candidate) {
+  const { conditionId, slug } = candidate;
+  const { resolved, balances, payout } = await inspect(conditionId);
+
+  if (!resolved) {
+    console.log(`[REDEEM] ${slug}: not resolved on-chain yet`);
+    return;
+  }
+  const shares = balances.map(usdc); // outcome tokens use the collateral's decimals
+  if (balances.every(b => b === 0n)) {
+    done.add(conditionId);
+    record("SKIPPED", { conditionId, slug, reason: "no balance" });
+    console.log(`[REDEEM] ${slug}: nothing held any more - skipped`);
+    return;
+  }
+  if (payout === 0n) {
+    done.add(conditionId);
+    record("SKIPPED", { conditionId, slug, reason: "no payout" });
+    console.log(`[REDEEM] ${slug}: only losing tokens held (${shares[0]} UP / ${shares[1]} DOWN) - skipped`);
+    return;
+  }
+
+  if (opts.dryRun) {
+    console.log(`[REDEEM] [DRY RUN] ${slug}: would redeem ${shares[0]} UP / ${shares[1]} DOWN for $${usdc(payout).toFixed(2)}`);
+    return;
+  }
+
+  console.log(`[REDEEM] ${slug}: redeeming ${shares[0]} UP / ${shares[1]} DOWN (expect $${usdc(payout).toFixed(2)})...`);
+  const tx = await sendRedeem(conditionId);
+  const receipt = await tx.wait(1, TX_TIMEOUT_MS);
+  if (receipt.status !== 1) throw new Error(`tx ${tx.hash} reverted`);
+
+  const redeemed = paidOut(receipt, conditionId) ?? payout;
+  done.add(conditionId);
+  record("REDEEMED", {
+    conditionId,
+    slug,
+    symbol: candidate.symbol,
+    shares,
+    payout: usdc(redeemed),
+    txHash: tx.hash,
+    gasUsed: receipt.gasUsed.toString(),
+    source: candidate.source
+  });
+  console.log(`[REDEEM] 💵 ${slug}: redeemed $${usdc(redeemed).toFixed(2)} (${tx.hash})`);
+}
+
+/** One pass over every candidate; failures are logged and retried next pass */
+async function runOnce() {
+  if (running) return;
+  running = true;
+  try {
+    const candidates = await findCandidates();
+    if (candidates.length > 0) console.log(`[REDEEM] ${candidates.length} resolved markets to check`);
+    for (const candidate of candidates) {
+      try {
+        await redeem(candidate);
+      } catch (e) {
+        console.error(`[REDEEM] ${candidate.slug}: ${e.shortMessage || e.message} - retrying next pass`);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Connect and load what was already redeemed.
+ * @param {Object} options
+ * @param {string} options.rpcUrl - Polygon JSON-RPC endpoint (or a local fork)
+ * @param {string} options.privateKey - Key that owns the funder
+ * @param {string} options.funder - Address holding the positions
+ * @param {number} options.signatureType - 0: the key's own wallet, 1: Polymarket proxy
+ * @param {string} [options.ledgerDir] - Directory with pnl_ledger*.jsonl (default ".")
+ * @param {string} [options.file] - Redemptions file (default redemptions.jsonl)
+ * @param {boolean} [options.dryRun] - Only log what would be redeemed
+ */
+function init({ rpcUrl, privateKey, funder, signatureType, ledgerDir = ".", file = DEFAULT_FILE, dryRun = false }) {
+  opts = { funder: ethers.getAddress(funder), signatureType, ledgerDir, dryRun };
+  redemptionsFile = file;
+
+  provider = new ethers.JsonRpcProvider(rpcUrl);
+  wallet = new ethers.Wallet(privateKey, provider);
+  ctf = new ethers.Contract(CTF_ADDRESS, CTF_ABI, wallet);
+
+  const rows = replay(file);
+  done = new Set(rows.map(r => r.conditionId));
+  const total = rows.filter(r => r.type === "REDEEMED").reduce((sum, r) => sum + r.payout, 0);
+  console.log(`[REDEEM] ${file}: ${done.size} conditions done, $${total.toFixed(2)} redeemed so far | funder ${opts.funder}${dryRun ? " | DRY RUN" : ""}`);
+}
+
+/** Run a pass now and every intervalMs */
+function start(intervalMs) {
+  const pass = () => runOnce().catch(e => console.error("[REDEEM] Pass failed:", e.message));
+  timer = setInterval(pass, intervalMs);
+  return pass();
+}
+
+function stop() {
+  clearInterval(timer);
+  provider?.destroy();
+}
+
+export const Redeemer = {
+  DEFAULT_FILE,
+  init,
+  start,
+  stop,
+  runOnce,
+  replay
+};
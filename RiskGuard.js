@@ -0,0 +1,243 @@
+import fs from "fs";
+
+// Portfolio circuit breaker.
+// Tracks today's PnL (UTC day) across all assets - realized from exits and settled
+// intervals, plus open positions marked at the best bid - and trips when:
+//   - today's PnL is below -RISK_MAX_DAILY_LOSS
+//   - RISK_MAX_LOSING_INTERVALS settled intervals in a row lost money
+//   - more than RISK_MAX_REJECT_RATE of the last RISK_REJECT_WINDOW orders were rejected
+// (a limit of 0 turns that check off). A trip halts new entries - exits keep running -
+// and cancels every open order. The halt is written to the state file and survives
+// restarts; only an explicit reset lifts it: `node risk_reset.js` drops a request
+// file next to the state file, which the guard picks up within RESET_POLL_MS.
+// After a reset today's loss limit counts from the PnL at the time of the reset.
+
+const DEFAULT_FILE = "risk_state.json";
+const RESET_POLL_MS = 5000;
+
+let stateFile = DEFAULT_FILE;
+let getConfig = null;   // () => current strategy config (hot-reloaded)
+let cancelAll = null;   // async () => void
+let pollTimer = null;
+let state = emptyState();
+let marks = new Map();  // slug -> unrealized PnL of the open position
+let orderResults = [];  // last RISK_REJECT_WINDOW order outcomes (true: accepted)
+
+function emptyState() {
+  return {
+    day: utcDay(),
+    realized: 0,          // today's realized PnL
+    baseline: 0,          // today's PnL when the guard was last reset
+    losingStreak: 0,
+    slugRealized: {},     // slug -> realized PnL of the open interval
+    halted: false,
+    haltReason: null,
+    haltedAt: null
+  };
+}
+
+function utcDay(ms = Date.now()) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function resetFileFor(file) {
+  return `${file}.reset`;
+}
+
+function save() {
+  try {
+    fs.writeFileSync(stateFile, JSON.stringify(state, null, 2));
+  } catch (e) {
+    console.error(`[RISK] Failed to save ${stateFile}: ${e.message}`);
+  }
+}
+
+function rollDay() {
+  const today = utcDay();
+  if (state.day === today) return;
+  console.log(`[RISK] New day ${today} - daily PnL ${state.realized.toFixed(2)} on ${state.day} cleared`);
+  state.day = today;
+  state.realized = 0;
+  state.baseline = 0;
+  save();
+}
+
+function dailyPnl() {
+  let marked = 0;
+  for (const pnl of marks.values()) marked += pnl;
+  return state.realized + marked;
+}
+
+function trip(reason) {
+  if (state.halted) return;
+  state.halted = true;
+  state.haltReason = reason;
+  state.haltedAt = Date.now();
+  save();
+
+  console.error(`[RISK] 🛑 CIRCUIT BREAKER: ${reason} - entries halted, cancelling open orders. Resume with: node risk_reset.js --file ${stateFile}`);
+  Promise.resolve()
+    .then(() => cancelAll())
+    .catch(e => console.error(`[RISK] Cancel-all failed: ${e.message}`));
+}
+
+function evaluate() {
+  rollDay();
+  if (state.halted) return;
+  const config = getConfig();
+
+  const pnl = dailyPnl() - state.baseline;
+  if (config.RISK_MAX_DAILY_LOSS > 0 && pnl < -config.RISK_MAX_DAILY_LOSS) {
+    trip(`daily loss $${(-pnl).toFixed(2)} > $${config.RISK_MAX_DAILY_LOSS}`);
+    return;
+  }
+
+  if (config.RISK_MAX_LOSING_INTERVALS > 0 && state.losingStreak >= config.RISK_MAX_LOSING_INTERVALS) {
+    trip(`${state.losingStreak} losing intervals in a row`);
+    return;
+  }
+
+  const window = config.RISK_REJECT_WINDOW;
+  if (config.RISK_MAX_REJECT_RATE > 0 && window > 0 && orderResults.length >= window) {
+    const rejectRate = orderResults.filter(ok => !ok).length / orderResults.length;
+    if (rejectRate > config.RISK_MAX_REJECT_RATE) {
+      trip(`${(rejectRate * 100).toFixed(0)}% of the last ${orderResults.length} orders rejected`);
+    }
+  }
+}
+
+function reset(request = {}) {
+  const wasHalted = state.halted;
+  rollDay();
+  state.halted = false;
+  state.haltReason = null;
+  state.haltedAt = null;
+  state.losingStreak = 0;
+  state.baseline = dailyPnl();
+  orderResults = [];
+  save();
+  console.log(`[RISK] ✅ Reset${request.by ? ` by ${request.by}` : ""}${wasHalted ? " - entries resumed" : ""} (daily loss now counted from $${state.baseline.toFixed(2)})`);
+}
+
+function pollReset() {
+  const file = resetFileFor(stateFile);
+  if (!fs.existsSync(file)) return;
+
+  let request = {};
+  try {
+    request = JSON.parse(fs.readFileSync(file, "utf8") || "{}");
+  } catch {
+    // An empty or hand-written file still counts as a request
+  }
+  fs.rmSync(file, { force: true });
+  reset(request);
+}
+
+/**
+ * Load the guard's state and start watching for reset requests.
+ * @param {Object} opts
+ * @param {string} [opts.file] - State file (default risk_state.json)
+ * @param {Function} opts.config - () => current strategy config (RISK_* knobs)
+ * @param {Function} opts.cancelAll - async () => cancels every open order
+ */
+function start({ file = DEFAULT_FILE, config, cancelAll: cancelFn }) {
+  stateFile = file;
+  getConfig = config;
+  cancelAll = cancelFn;
+
+  if (fs.existsSync(stateFile)) {
+    try {
+      state = { ...emptyState(), ...JSON.parse(fs.readFileSync(stateFile, "utf8")) };
+    } catch (e) {
+      console.error(`[RISK] ${stateFile} unreadable (${e.message}) - starting fresh`);
+    }
+  }
+  rollDay();
+  pollReset();
+  pollTimer = setInterval(pollReset, RESET_POLL_MS);
+
+  if (state.halted) {
+    console.error(`[RISK] 🛑 Still halted since ${new Date(state.haltedAt).toISOString()}: ${state.haltReason}. Resume with: node risk_reset.js --file ${stateFile}`);
+  } else {
+    console.log(`[RISK] Today's realized PnL $${state.realized.toFixed(2)}, ${state.losingStreak} losing intervals in a row`);
+  }
+}
+
+function stop() {
+  clearInterval(pollTimer);
+}
+
+/** Realized PnL from a closing trade (e.g. an exit fill) in an open interval */
+function recordRealized(slug, pnl) {
+  rollDay();
+  state.realized += pnl;
+  state.slugRealized[slug] = (state.slugRealized[slug] || 0) + pnl;
+  save();
+  evaluate();
+}
+
+/** Unrealized PnL of the open position in a market, at current bids */
+function mark(slug, pnl) {
+  marks.set(slug, pnl);
+  evaluate();
+}
+
+/**
+ * Interval over: book the settlement of what was still held. The interval's PnL
+ * (exits + settlement) extends or ends the losing streak; intervals we never
+ * traded don't count.
+ */
+function settle(slug, settlementPnl) {
+  rollDay();
+  const traded = slug in state.slugRealized || marks.has(slug) || settlementPnl !== 0;
+  const intervalPnl = (state.slugRealized[slug] || 0) + settlementPnl;
+
+  state.realized += settlementPnl;
+  delete state.slugRealized[slug];
+  marks.delete(slug);
+
+  if (traded) {
+    if (intervalPnl < 0) state.losingStreak++;
+    else if (intervalPnl > 0) state.losingStreak = 0;
+    console.log(`[RISK] ${slug} settled: interval PnL $${intervalPnl.toFixed(2)} | today $${dailyPnl().toFixed(2)} | losing streak ${state.losingStreak}`);
+  }
+  save();
+  evaluate();
+}
+
+/** Outcome of an order submission (false: rejected or errored) */
+function recordOrder(accepted) {
+  const window = getConfig().RISK_REJECT_WINDOW;
+  orderResults.push(accepted);
+  // slice(-0) would keep everything; a window of 0 (check off) keeps nothing
+  if (orderResults.length > window) orderResults = orderResults.slice(orderResults.length - window);
+  evaluate();
+}
+
+function canEnter() {
+  return !state.halted;
+}
+
+function status() {
+  return {
+    ...state,
+    slugRealized: { ...state.slugRealized },
+    marked: Object.fromEntries(marks),
+    dailyPnl: dailyPnl(),
+    recentOrders: orderResults.length,
+    recentRejects: orderResults.filter(ok => !ok).length
+  };
+}
+
+export const RiskGuard = {
+  DEFAULT_FILE,
+  resetFileFor,
+  start,
+  stop,
+  recordRealized,
+  mark,
+  settle,
+  recordOrder,
+  canEnter,
+  status
+};
@@ -0,0 +1,207 @@
+import fs from "fs";
+
+// Append-only journal of bot state transitions.
+// Every change to positions, caps, pending orders and entry signals is written as
+// one JSONL event before the bot moves on, and the in-memory state is rebuilt by
+// replaying the journal on startup - so a pm2 restart mid-interval keeps its
+// positions and MAX_SHARES_PER_MARKET caps instead of starting flat.
+//
+// Event types:
+//   ORDER_PLACED   { orderID, side, size, price, orderType, tokenId }  BUY - adds to position and cap;
+//                  [, entryZ]                                         orderType MAKER: the resting maker bid
+//   ORDER_CLOSED   { orderID, status }                                pending order done (filled/cancelled/stale)
+//   FILL           { orderID, side, size, price }                     fill of one of our orders (negative size: trade failed)
+//   EXIT           { side, shares, orderID, reason }                  position sold, entry signal cleared
+//   RECONCILE      { UP, DOWN, reason }                               tracked position overwritten
+//   QUOTE_CANCELED { orderID, unfilled }                              maker bid pulled - unfilled size leaves the cap
+//   SIGNAL         { entryZ, minZSinceEntry }                         entry signal changed
+//   INTERVAL_RESET {}                                                 market over, symbol state dropped
+//   SNAPSHOT       { state }                                          full state (written by compaction)
+//
+// Compaction keeps the journal it replaced as <file>.prev, so the events of the
+// last run stay readable (inspect_state.js --events).
+
+const DEFAULT_FILE = "state_journal.jsonl";
+
+let journalFile = DEFAULT_FILE;
+
+// Events that change per-symbol state (the rest only touch pendingOrders)
+const SYMBOL_EVENTS = new Set(["ORDER_PLACED", "EXIT", "RECONCILE", "QUOTE_CANCELED", "SIGNAL"]);
+
+function emptyState() {
+  return { symbols: {}, pendingOrders: {} };
+}
+
+function emptySymbolState(slug) {
+  return {
+    slug,
+    sideSharesBySlug: { [slug]: { UP: 0, DOWN: 0 } },
+    sharesBoughtBySlug: { [slug]: 0 },
+    entryZ: null,
+    minZSinceEntry: null,
+    exitTimestamp: null,
+    makerOrder: null // { orderID, side, price, size, tokenId, entryZ } until filled or pulled
+  };
+}
+
+// Pure reducer: journal event -> next state (mutates and returns `state`)
+function apply(state, event) {
+  const { type, symbol, slug } = event;
+
+  if (type === "SNAPSHOT") return structuredClone(event.state);
+
+  // A new slug for a symbol means a new interval - start it from scratch
+  let sym = symbol ? state.symbols[symbol] : null;
+  if (SYMBOL_EVENTS.has(type) && (!sym || sym.slug !== slug)) {
+    sym = state.symbols[symbol] = emptySymbolState(slug);
+  }
+
+  switch (type) {
+    case "ORDER_PLACED": {
+      const pos = sym.sideSharesBySlug[slug];
+      pos[event.side] = (pos[event.side] || 0) + event.size;
+      sym.sharesBoughtBySlug[slug] = (sym.sharesBoughtBySlug[slug] || 0) + event.size;
+      state.pendingOrders[event.orderID] = {
+        asset: symbol,
+        side: event.side,
+        size: event.size,
+        tokenId: event.tokenId,
+        slug,
+        timestamp: event.ts,
+        sizeFilled: 0
+      };
+      if (event.orderType === "MAKER") {
+        const { orderID, side, price, size, tokenId, entryZ = null } = event;
+        sym.makerOrder = { orderID, side, price, size, tokenId, entryZ };
+      }
+      break;
+    }
+
+    case "FILL": {
+      const pending = state.pendingOrders[event.orderID];
+      if (pending) pending.sizeFilled += event.size;
+      break;
+    }
+
+    case "ORDER_CLOSED":
+      delete state.pendingOrders[event.orderID];
+      for (const s of Object.values(state.symbols)) {
+        if (s.makerOrder?.orderID === event.orderID) s.makerOrder = null;
+      }
+      break;
+
+    case "EXIT": {
+      const pos = sym.sideSharesBySlug[slug];
+      pos[event.side] = 0;
+      sym.entryZ = null;
+      sym.minZSinceEntry = null;
+      sym.exitTimestamp = event.ts;
+      if (pos.UP === 0 && pos.DOWN === 0) sym.sharesBoughtBySlug[slug] = 0;
+      break;
+    }
+
+    case "RECONCILE":
+      sym.sideSharesBySlug[slug] = { UP: event.UP, DOWN: event.DOWN };
+      break;
+
+    case "QUOTE_CANCELED":
+      sym.sharesBoughtBySlug[slug] = Math.max(0, (sym.sharesBoughtBySlug[slug] || 0) - event.unfilled);
+      if (sym.makerOrder?.orderID === event.orderID) sym.makerOrder = null;
+      break;
+
+    case "SIGNAL":
+      sym.entryZ = event.entryZ;
+      sym.minZSinceEntry = event.minZSinceEntry;
+      break;
+
+    case "INTERVAL_RESET":
+      delete state.symbols[symbol];
+      for (const [orderID, pending] of Object.entries(state.pendingOrders)) {
+        if (pending.asset === symbol) delete state.pendingOrders[orderID];
+      }
+      break;
+
+    default:
+      break;
+  }
+
+  return state;
+}
+
+/**
+ * Rebuild state by replaying a journal file (read only - safe to call from tools).
+ */
+function replay(file = journalFile) {
+  let state = emptyState();
+  let events = 0;
+
+  if (!fs.existsSync(file)) return { state, events };
+
+  const lines = fs.readFileSync(file, "utf8").split("\n");
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch (e) {
+      // Torn last write from a crash - everything before it is still valid
+      continue;
+    }
+    state = apply(state, event);
+    events++;
+  }
+
+  return { state, events };
+}
+
+/** Where compaction keeps the journal it replaced */
+function previousFile(file = journalFile) {
+  return `${file}.prev`;
+}
+
+/**
+ * Load the journal, rebuild state and compact the file down to one SNAPSHOT.
+ * Compaction writes to a temp file and renames it, so a crash leaves either
+ * the old journal or the new one - never a partial file. A journal with events
+ * beyond its snapshot is copied to previousFile() first.
+ */
+function open(file = DEFAULT_FILE) {
+  journalFile = file;
+  const { state, events } = replay(file);
+
+  try {
+    if (events > 1) fs.copyFileSync(file, previousFile(file));
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ ts: Date.now(), type: "SNAPSHOT", state }) + "\n");
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.error("[JOURNAL] Compaction failed, keeping full journal.", e.message);
+  }
+
+  console.log(
+    `[JOURNAL] Replayed ${events} events from ${file}: ` +
+    `${Object.keys(state.symbols).length} symbols, ${Object.keys(state.pendingOrders).length} pending orders`
+  );
+  return state;
+}
+
+/**
+ * Append one event. Written synchronously so the transition is on disk before
+ * the bot acts on it again.
+ */
+function record(type, data = {}) {
+  try {
+    fs.appendFileSync(journalFile, JSON.stringify({ ts: Date.now(), type, ...data }) + "\n");
+  } catch (e) {
+    console.error(`[JOURNAL] Failed to record ${type}:`, e.message);
+  }
+}
+
+export const StateJournal = {
+  open,
+  record,
+  replay,
+  apply,
+  previousFile,
+  DEFAULT_FILE
+};
@@ -0,0 +1,400 @@
+import fs from "fs";
+import { StrategyCore } from "./StrategyCore.js";
+import { AssetRegistry } from "./AssetRegistry.js";
+import { Distributions } from "./Distributions.js";
+
+// Strategy config loader.
+// Knobs live in strategy_config.json as named profiles on top of
+// StrategyCore.DEFAULT_CONFIG. A profile may "extend" another one; each key it
+// sets replaces the parent's value as a whole (tables are not deep-merged).
+// The per-asset tables from the asset registry are the exception: registry values
+// fill in every asset a profile's table doesn't name, so a new coin trades with its
+// registry record until a profile tunes it.
+// Every resolved profile is validated before use, and watch() hot-reloads the
+// file - an invalid edit is rejected and the running config is kept.
+
+const CONFIG_FILE = "strategy_config.json";
+const RESERVED_KEYS = new Set(["description", "extends"]);
+
+// Value shapes:
+//   number / boolean
+//   assetMap     { BTC: n, ... }
+//   pairMap      { "BTC-ETH": n, ... }
+//   typeMap      { "<market type>": n, ... }
+//   timeMap      { "<mins left>": n, ... } - must contain "0"
+//   ladder       [{ minsAbove, z }, ...] - minsAbove strictly descending, ends at 0
+//   numberArray  [n, ...]
+//   scalingMap   { "<market type>": "absolute" | "fraction", ... }
+//   enum         one of rule.values
+//   quantileMap  { BTC: [n, ...], ... } - ascending, one per Distributions.QUANTILE_PROBS entry
+//   knotMap      { BTC: [[x, y], ...], ... } - x ascending, y non-decreasing, both 0-1
+const SCHEMA = {
+  TIME_SCALING: { type: "scalingMap" },
+
+  BASIS_BUFFER_SIGMAS: { type: "number", min: 0 },
+  BASIS_MIN_BUFFER_BPS: { type: "number", min: 0 },
+  BASIS_FALLBACK_BPS: { type: "number", min: 0 },
+  MAX_PRICE_BY_TIME: { type: "timeMap", min: 0, max: 1 },
+  MAX_SHARES_PER_MARKET: { type: "assetMap", min: 0 },
+  ASSET_SPECIFIC_KELLY_FRACTION: { type: "assetMap", min: 0, max: 1 },
+  CORRELATION_MATRIX: { type: "pairMap", min: -1, max: 1 },
+  TAKER_FEE_BPS: { type: "typeMap", min: 0, max: 1000 },
+  MAKER_FEE_BPS: { type: "typeMap", min: -1000, max: 1000 },
+
+  RISK_MAX_DAILY_LOSS: { type: "number", min: 0 },
+  RISK_MAX_LOSING_INTERVALS: { type: "number", min: 0 },
+  RISK_MAX_REJECT_RATE: { type: "number", min: 0, max: 1 },
+  RISK_REJECT_WINDOW: { type: "number", min: 0 },
+
+  ENABLE_EXITS: { type: "boolean" },
+  EXIT_REVERSAL_THRESHOLD: { type: "number", min: 0 },
+  EXIT_PROBABILITY_THRESHOLD: { type: "number", min: 0, max: 1 },
+  EXIT_MIN_POSITION_SIZE: { type: "number", min: 0 },
+  EXIT_MAX_SLIPPAGE: { type: "number", min: 0, max: 1 },
+  EXIT_MAX_SLIPPAGE_EMERGENCY: { type: "number", min: 0, max: 1 },
+  EXIT_CHILD_MAX_SHARES: { type: "number", min: 5 },
+  EXIT_CHILD_WAIT_SECS: { type: "number", min: 0 },
+  EXIT_MAX_ROUNDS: { type: "number", min: 1 },
+
+  DEPTH_TOLERANCE: { type: "number", min: 0, max: 1 },
+  DEPTH_MIN_SHARES: { type: "number", min: 0 },
+
+  BOOK_WINDOW_SECS: { type: "number", min: 1 },
+  BOOK_DEPTH_BAND: { type: "number", min: 0, max: 1 },
+  BOOK_IMBALANCE_WEIGHT: { type: "number", min: -5, max: 5 },
+  BOOK_DEPTH_RATE_WEIGHT: { type: "number", min: -5, max: 5 },
+  BOOK_ASK_MOVE_WEIGHT: { type: "number", min: -50, max: 50 },
+  BOOK_MAX_Z_SHIFT: { type: "number", min: 0 },
+
+  PROB_MODEL: { type: "enum", values: ["normal", "student_t", "empirical"] },
+  STUDENT_T_DF: { type: "assetMap", min: 2.1, max: 1000 },
+  EMPIRICAL_CDF: { type: "quantileMap" },
+  CALIBRATION_MAP: { type: "knotMap" },
+
+  ENTRY_MODE: { type: "enum", values: ["taker", "maker"] },
+  MAKER_IMPROVE_TICKS: { type: "number", min: 0 },
+  MAKER_REPRICE_TICKS: { type: "number", min: 1 },
+  MAKER_LATE_GAME_TAKES: { type: "boolean" },
+
+  MINUTES_LEFT: { type: "number", min: 0 },
+  MIN_EDGE_EARLY: { type: "number", min: 0, max: 1 },
+  MIN_EDGE_LATE: { type: "number", min: 0, max: 1 },
+  LOW_PROB_MIN_EDGE: { type: "number", min: 0, max: 1 },
+  EDGE_ADJUST_BY_ASSET: { type: "assetMap", min: -1, max: 1 },
+
+  OVERRIDE_US_TRADING_HOURS: { type: "boolean" },
+  ENABLE_EARLY_TRADING: { type: "boolean" },
+  MAX_SHARES_WEAK_SIGNAL: { type: "number", min: 0 },
+  EARLY_TRADE_SIZE_MULTIPLIER: { type: "number", min: 0 },
+
+  Z_MIN_LADDER: { type: "ladder" },
+  US_MAX_MINS_LEFT: { type: "number", min: 0 },
+  Z_MIN_LADDER_US: { type: "ladder" },
+  US_LATE_VOLATILE_Z: { type: "number", min: 0 },
+
+  REGIME_SCALAR_MIN: { type: "number", min: 0 },
+  REGIME_SCALAR_MAX: { type: "number", min: 0 },
+  LOW_VOL_BOOST: { type: "number", min: 0 },
+  LOW_VOL_EXTREME_BOOST: { type: "number", min: 0 },
+
+  Z_MAX_FAR: { type: "number", min: 0 },
+  Z_MAX_NEAR: { type: "number", min: 0 },
+  Z_MAX_FAR_MINUTES: { type: "number", min: 0 },
+  Z_MAX_NEAR_MINUTES: { type: "number", min: 0 },
+  ENABLE_MAX_PRICE_BY_TIME: { type: "boolean" },
+  ENABLE_RISK_REWARD_CHECK: { type: "boolean" },
+
+  Z_HUGE: { type: "number", min: 0 },
+  LATE_GAME_EXTREME_SECS: { type: "number", min: 0 },
+  LATE_GAME_MIN_EV: { type: "number", min: -1, max: 1 },
+  LATE_GAME_MAX_PRICE: { type: "number", min: 0, max: 1 },
+
+  LAYER_OFFSETS: { type: "numberArray", min: -1, max: 1 },
+  LAYER_MIN_EV: { type: "numberArray", min: -1, max: 1 },
+  LAYER_LOW_PROB_PENALTY: { type: "number", min: 0, max: 1 },
+  LAYER_PENALTY_BY_ASSET: { type: "assetMap", min: 0, max: 1 },
+  LAYER_REGIME_EV_MULT: { type: "number", min: 0 },
+
+  PRICE_STALE_SECS: { type: "number", min: 0 },
+
+  VOL_ESTIMATOR: { type: "enum", values: ["stdev", "ewma", "garch", "parkinson"] },
+  VOL_EWMA_LAMBDA: { type: "number", min: 0, max: 1 },
+  VOL_GARCH_ALPHA: { type: "number", min: 0, max: 1 },
+  VOL_GARCH_BETA: { type: "number", min: 0, max: 1 },
+  VOL_SEASONALITY: { type: "boolean" },
+  VOL_WINDOW_MINS: { type: "number", min: 10, max: 4320 },
+  DRIFT_WINDOW_MINS: { type: "number", min: 10, max: 4320 },
+
+  JUMP_GUARD: { type: "enum", values: ["off", "inflate", "block"] },
+  JUMP_SIGMAS: { type: "number", min: 0 },
+  JUMP_LOOKBACK_SECS: { type: "number", min: 1, max: 60 },
+  JUMP_COOLDOWN_SECS: { type: "number", min: 0 },
+  JUMP_SIGMA_MULT: { type: "number", min: 1 },
+
+  PRICE_MIN_CORE: { type: "number", min: 0, max: 1 },
+  PROB_MIN_CORE: { type: "number", min: 0, max: 1 },
+  PRICE_MAX_RISKY: { type: "number", min: 0, max: 1 },
+  PROB_MAX_RISKY: { type: "number", min: 0, max: 1 },
+  MAX_REL_DIFF: { type: "number", min: 0 },
+};
+
+// Every knob the core knows about needs a schema entry
+for (const key of Object.keys(StrategyCore.DEFAULT_CONFIG)) {
+  if (!SCHEMA[key]) throw new Error(`[CONFIG] No schema for StrategyCore.DEFAULT_CONFIG.${key}`);
+}
+
+// ---------- VALIDATION ----------
+
+function checkNumber(errors, path, value, { min, max }) {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`);
+    return;
+  }
+  if (min !== undefined && value < min) errors.push(`${path}: ${value} is below ${min}`);
+  if (max !== undefined && value > max) errors.push(`${path}: ${value} is above ${max}`);
+}
+
+function checkMap(errors, path, value, rule, keyPattern, keyLabel) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) {
+    errors.push(`${path}: expected an object`);
+    return;
+  }
+  for (const [k, v] of Object.entries(value)) {
+    if (!keyPattern.test(k)) errors.push(`${path}: key "${k}" is not ${keyLabel}`);
+    checkNumber(errors, `${path}.${k}`, v, rule);
+  }
+}
+
+function checkValue(errors, key, value) {
+  const rule = SCHEMA[key];
+
+  switch (rule.type) {
+    case "number":
+      checkNumber(errors, key, value, rule);
+      break;
+
+    case "boolean":
+      if (typeof value !== "boolean") errors.push(`${key}: expected true/false, got ${JSON.stringify(value)}`);
+      break;
+
+    case "assetMap":
+      checkMap(errors, key, value, rule, /^[A-Z0-9]+$/, "an asset symbol");
+      break;
+
+    case "pairMap":
+      checkMap(errors, key, value, rule, /^[A-Z0-9]+-[A-Z0-9]+$/, "an asset pair like BTC-ETH");
+      break;
+
+    case "typeMap":
+      checkMap(errors, key, value, rule, /^[a-z0-9]+$/, "a market type like 15m or daily");
+      break;
+
+    case "timeMap":
+      checkMap(errors, key, value, rule, /^\d+(\.\d+)?$/, "a number of minutes");
+      if (value && typeof value === "object" && value["0"] === undefined) {
+        errors.push(`${key}: needs a "0" entry for the final minutes`);
+      }
+      break;
+
+    case "ladder":
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${key}: expected a non-empty array of { minsAbove, z }`);
+        break;
+      }
+      value.forEach((rung, i) => {
+        checkNumber(errors, `${key}[${i}].minsAbove`, rung?.minsAbove, { min: 0 });
+        checkNumber(errors, `${key}[${i}].z`, rung?.z, { min: 0 });
+        if (i > 0 && !(rung?.minsAbove < value[i - 1]?.minsAbove)) {
+          errors.push(`${key}[${i}]: minsAbove must be lower than the rung before it`);
+        }
+      });
+      if (value[value.length - 1]?.minsAbove !== 0) {
+        errors.push(`${key}: last rung must have minsAbove 0`);
+      }
+      break;
+
+    case "numberArray":
+      if (!Array.isArray(value)) {
+        errors.push(`${key}: expected an array of numbers`);
+        break;
+      }
+      value.forEach((v, i) => checkNumber(errors, `${key}[${i}]`, v, rule));
+      break;
+
+    case "enum":
+      if (!rule.values.includes(value)) {
+        errors.push(`${key}: expected one of ${rule.values.map(v => JSON.stringify(v)).join(", ")}, got ${JSON.stringify(value)}`);
+      }
+      break;
+
+    case "quantileMap": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${key}: expected an object`);
+        break;
+      }
+      const size = Distributions.QUANTILE_PROBS.length;
+      for (const [k, v] of Object.entries(value)) {
+        if (!/^[A-Z0-9]+$/.test(k)) errors.push(`${key}: key "${k}" is not an asset symbol`);
+        if (!Array.isArray(v) || v.length !== size) {
+          errors.push(`${key}.${k}: expected ${size} quantiles`);
+          continue;
+        }
+        v.forEach((q, i) => checkNumber(errors, `${key}.${k}[${i}]`, q, {}));
+        if (v.some((q, i) => i > 0 && q < v[i - 1])) errors.push(`${key}.${k}: quantiles must be ascending`);
+      }
+      break;
+    }
+
+    case "knotMap":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${key}: expected an object`);
+        break;
+      }
+      for (const [k, v] of Object.entries(value)) {
+        if (!/^[A-Z0-9]+$/.test(k)) errors.push(`${key}: key "${k}" is not an asset symbol`);
+        if (!Array.isArray(v) || v.length === 0 || !v.every(knot => Array.isArray(knot) && knot.length === 2)) {
+          errors.push(`${key}.${k}: expected a non-empty array of [x, y] knots`);
+          continue;
+        }
+        v.forEach(([x, y], i) => {
+          checkNumber(errors, `${key}.${k}[${i}][0]`, x, { min: 0, max: 1 });
+          checkNumber(errors, `${key}.${k}[${i}][1]`, y, { min: 0, max: 1 });
+          if (i > 0 && !(x > v[i - 1][0])) errors.push(`${key}.${k}[${i}]: x must be above the knot before it`);
+          if (i > 0 && y < v[i - 1][1]) errors.push(`${key}.${k}[${i}]: y must not be below the knot before it`);
+        });
+      }
+      break;
+
+    case "scalingMap":
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        errors.push(`${key}: expected an object`);
+        break;
+      }
+      for (const [k, v] of Object.entries(value)) {
+        if (!/^[a-z0-9]+$/.test(k)) errors.push(`${key}: key "${k}" is not a market type like 15m or daily`);
+        if (v !== "absolute" && v !== "fraction") errors.push(`${key}.${k}: expected "absolute" or "fraction", got ${JSON.stringify(v)}`);
+      }
+      break;
+  }
+}
+
+/**
+ * Validate a fully resolved config.
+ * @returns {string[]} Error messages (empty when valid)
+ */
+function validate(config) {
+  const errors = [];
+
+  for (const key of Object.keys(config)) {
+    if (!SCHEMA[key]) {
+      errors.push(`${key}: unknown setting`);
+      continue;
+    }
+    checkValue(errors, key, config[key]);
+  }
+  if (errors.length > 0) return errors;
+
+  // Cross-field checks
+  if (config.LAYER_MIN_EV.length !== config.LAYER_OFFSETS.length) {
+    errors.push(`LAYER_MIN_EV: needs one entry per LAYER_OFFSETS layer (${config.LAYER_OFFSETS.length})`);
+  }
+  if (config.REGIME_SCALAR_MIN > config.REGIME_SCALAR_MAX) {
+    errors.push(`REGIME_SCALAR_MIN: ${config.REGIME_SCALAR_MIN} is above REGIME_SCALAR_MAX ${config.REGIME_SCALAR_MAX}`);
+  }
+  if (config.Z_MAX_FAR > 0 && config.Z_MAX_FAR_MINUTES <= config.Z_MAX_NEAR_MINUTES) {
+    errors.push(`Z_MAX_FAR_MINUTES: ${config.Z_MAX_FAR_MINUTES} must be above Z_MAX_NEAR_MINUTES ${config.Z_MAX_NEAR_MINUTES}`);
+  }
+  if (config.VOL_GARCH_ALPHA + config.VOL_GARCH_BETA >= 1) {
+    errors.push(`VOL_GARCH_ALPHA + VOL_GARCH_BETA: ${config.VOL_GARCH_ALPHA + config.VOL_GARCH_BETA} must be below 1`);
+  }
+
+  return errors;
+}
+
+// ---------- PROFILES ----------
+
+// Walk the "extends" chain and return the profile's settings, parents first
+function resolveProfile(profiles, name, seen = []) {
+  const profile = profiles[name];
+  if (!profile) throw new Error(`[CONFIG] Unknown profile "${name}" (have: ${Object.keys(profiles).join(", ")})`);
+  if (seen.includes(name)) throw new Error(`[CONFIG] Profile cycle: ${[...seen, name].join(" -> ")}`);
+
+  const parent = profile.extends ? resolveProfile(profiles, profile.extends, [...seen, name]) : {};
+  const own = Object.fromEntries(Object.entries(profile).filter(([k]) => !RESERVED_KEYS.has(k)));
+  return { ...parent, ...own };
+}
+
+/**
+ * Load and validate a profile.
+ * @param {Object} opts
+ * @param {string} [opts.file] - Config file (default strategy_config.json)
+ * @param {string} [opts.profile] - Profile name (default: the file's defaultProfile)
+ * @param {Object} [opts.overrides] - Extra settings on top of the profile (e.g. backtest sweeps)
+ * @returns {{ profile: string, config: Object }}
+ * @throws {Error} If the file, profile or resulting config is invalid
+ */
+function load({ file = CONFIG_FILE, profile = null, overrides = {} } = {}) {
+  let profiles = {};
+  let name = profile;
+
+  if (fs.existsSync(file)) {
+    let raw;
+    try {
+      raw = JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (e) {
+      throw new Error(`[CONFIG] ${file} is not valid JSON: ${e.message}`);
+    }
+    profiles = raw.profiles || {};
+    name = name || raw.defaultProfile;
+  } else if (profile) {
+    throw new Error(`[CONFIG] ${file} not found (needed for profile "${profile}")`);
+  }
+
+  const settings = name ? resolveProfile(profiles, name) : {};
+  const config = { ...StrategyCore.DEFAULT_CONFIG, ...settings, ...overrides };
+  for (const [key, table] of Object.entries(AssetRegistry.strategyDefaults())) {
+    config[key] = { ...table, ...config[key] };
+  }
+
+  const errors = validate(config);
+  if (errors.length > 0) {
+    throw new Error(`[CONFIG] Profile "${name || "defaults"}" is invalid:\n  - ${errors.join("\n  - ")}`);
+  }
+
+  return { profile: name || "defaults", config };
+}
+
+/**
+ * Reload the profile whenever the file changes.
+ * onChange(config, changedKeys) is only called with configs that passed validation.
+ * @returns {Function} Stops watching
+ */
+function watch({ file = CONFIG_FILE, profile = null, current, onChange }) {
+  let active = current;
+
+  const listener = (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+
+    try {
+      const { profile: name, config } = load({ file, profile });
+      const changed = Object.keys(config).filter(k => JSON.stringify(config[k]) !== JSON.stringify(active?.[k]));
+      if (changed.length === 0) return;
+
+      active = config;
+      console.log(`[CONFIG] 🔄 Reloaded profile "${name}" from ${file}: ${changed.join(", ")}`);
+      onChange(config, changed);
+    } catch (e) {
+      console.error(`${e.message}\n[CONFIG] Keeping the running config`);
+    }
+  };
+
+  fs.watchFile(file, { interval: 2000 }, listener);
+  return () => fs.unwatchFile(file, listener);
+}
+
+export const StrategyConfig = {
+  CONFIG_FILE,
+  load,
+  watch,
+  validate
+};
@@ -0,0 +1,1708 @@
+// Strategy core - the entry/exit decision logic shared by crypto.js and backtest.js.
+//
+// Everything in here is side-effect free: decide() takes a market snapshot plus the per-slug
+// signal state and returns the exits/orders to place together with the next signal state.
+// The only output besides the return value is lines written to the supplied logger, so the
+// live bot and the backtester run exactly the same gating.
+
+import { BookFeatures } from "./BookFeatures.js";
+import { Distributions } from "./Distributions.js";
+import { Calibration } from "./Calibration.js";
+
+// ---------- DEFAULT CONFIG (v2.4.1) ----------
+// Profiles in strategy_config.json override these (see StrategyConfig.js)
+const DEFAULT_CONFIG = {
+  // Basis to the resolution source (Chainlink) comes from BasisTracker as snapshot.basis.
+  // Within 2 minutes of expiry, stay BASIS_BUFFER_SIGMAS basis σ from the strike
+  // (never less than BASIS_MIN_BUFFER_BPS); BASIS_FALLBACK_BPS until the tracker has data
+  BASIS_BUFFER_SIGMAS: 3,
+  BASIS_MIN_BUFFER_BPS: 2,
+  BASIS_FALLBACK_BPS: 10,
+
+  MAX_PRICE_BY_TIME: {
+    8: 0.86,
+    5: 0.90,   // >5 mins
+    3: 0.93,   // 3-5 mins
+    2: 0.95,   // 2-3 mins
+    1: 0.96,   // 1-2 mins
+    0.5: 0.97, // 30s-1 min
+    0: 0.98    // <30s
+  },
+
+  // Per-asset tables (MAX_SHARES_PER_MARKET, ASSET_SPECIFIC_KELLY_FRACTION, CORRELATION_MATRIX)
+  // are filled from asset_registry.json by StrategyConfig.load()
+  MAX_SHARES_PER_MARKET: {},
+
+  ASSET_SPECIFIC_KELLY_FRACTION: {},
+
+  // Correlation matrix (for position limits)
+  CORRELATION_MATRIX: {},
+
+  // Portfolio circuit breaker (RiskGuard.js): 0 turns a check off
+  RISK_MAX_DAILY_LOSS: 200,       // $ lost today (realized + marked) before entries halt
+  RISK_MAX_LOSING_INTERVALS: 8,   // Settled intervals in a row with a loss
+  RISK_MAX_REJECT_RATE: 0.5,      // Share of rejected orders ...
+  RISK_REJECT_WINDOW: 20,         // ... over this many recent orders
+
+  // Exits (v2.4.0+)
+  ENABLE_EXITS: true,
+  EXIT_REVERSAL_THRESHOLD: 0.8, // Exit if signal reverses by this many σ after sign flip
+  EXIT_PROBABILITY_THRESHOLD: 0.75, // Emergency exit if probability against position > 75%
+  EXIT_MIN_POSITION_SIZE: 10, // Don't bother exiting positions smaller than this
+  // Exit execution (ExitExecutor.js): child orders down the bid side, never below model value minus slippage
+  EXIT_MAX_SLIPPAGE: 0.03,
+  EXIT_MAX_SLIPPAGE_EMERGENCY: 0.06,
+  EXIT_CHILD_MAX_SHARES: 100,  // Largest single child order
+  EXIT_CHILD_WAIT_SECS: 2,     // How long children work before the rest is cancelled and retried
+  EXIT_MAX_ROUNDS: 3,
+
+  // Exchange fees in bps of notional per market type: taker for orders that cross the spread,
+  // maker for bids that rest first. EV, sizing, risk/reward and exits are all net of them
+  TAKER_FEE_BPS: { "15m": 10, "1h": 10, "4h": 10, daily: 10 },
+  MAKER_FEE_BPS: { "15m": 0, "1h": 0, "4h": 0, daily: 0 },
+
+  // Depth-aware sizing for entries that take (NORMAL, EXTREME): size is capped by the shares
+  // offered from the ask up to DEPTH_TOLERANCE above it. Above 0 it sweeps several levels and
+  // the EV check uses their volume-weighted price. No cap when the snapshot has no depth
+  DEPTH_TOLERANCE: 0,
+  DEPTH_MIN_SHARES: 10, // Skip when less than this is offered
+
+  // Order-book features (BookFeatures.js): logged with every tick, and blended into pUp as a
+  // z-score shift when a weight is set. Weights are z per unit of feature; 0 leaves the model alone
+  BOOK_WINDOW_SECS: 30,       // History for depth rates and ask moves
+  BOOK_DEPTH_BAND: 0.05,      // Depth counts the asks up to this far above the best ask
+  BOOK_IMBALANCE_WEIGHT: 0,   // (DOWN depth - UP depth) / total, -1..1
+  BOOK_DEPTH_RATE_WEIGHT: 0,  // DOWN minus UP depth change per minute (fraction), clamped to -1..1
+  BOOK_ASK_MOVE_WEIGHT: 0,    // UP ask move minus DOWN ask move over the window
+  BOOK_MAX_Z_SHIFT: 0.5,
+
+  // Probability model behind pUp/pDown (Distributions.js): "normal", "student_t" (unit-variance
+  // t, degrees of freedom per asset in STUDENT_T_DF) or "empirical" (residual quantiles per asset
+  // in EMPIRICAL_CDF). fit_tails.js fits both from tick logs; assets not listed stay normal
+  PROB_MODEL: "normal",
+  STUDENT_T_DF: {},
+  EMPIRICAL_CDF: {},
+  // Per-asset map from model pUp to the win rate it actually had (Calibration.js), fitted by
+  // calibrate.js and applied on top of the model before EV. Assets not listed are uncalibrated
+  CALIBRATION_MAP: {},
+
+  // Entries: "taker" crosses the spread at the ask, "maker" rests a bid at or below
+  // fair value minus the required edge (re-priced / cancelled by the caller as the quote moves)
+  ENTRY_MODE: "taker",
+  MAKER_IMPROVE_TICKS: 1,  // Ticks above the best bid to quote (0 = join it)
+  MAKER_REPRICE_TICKS: 1,  // Leave a resting bid alone until the quote moves this many ticks
+  MAKER_LATE_GAME_TAKES: false, // In maker mode, still let the late game take (LATE_LAYER / EXTREME)
+
+  // Time knobs and gates are written for a 15-minute interval. Per market type they
+  // apply as absolute minutes left, or as a fraction of the interval (see thresholdMinsLeft)
+  TIME_SCALING: { "15m": "absolute", "1h": "fraction", "4h": "fraction", daily: "fraction" },
+
+  // Time / edge thresholds
+  MINUTES_LEFT: 3,
+  MIN_EDGE_EARLY: 0.03,
+  MIN_EDGE_LATE: 0.02,
+  LOW_PROB_MIN_EDGE: 0.03, // Edge floor for candidates with prob < 90%
+  EDGE_ADJUST_BY_ASSET: {}, // Extra edge required per asset, e.g. { SOL: 0.02 }
+
+  // Trading window
+  OVERRIDE_US_TRADING_HOURS: true, // Toggle to trade early even during US hours
+  ENABLE_EARLY_TRADING: true, // Toggle this to enable/disable early trading
+  MAX_SHARES_WEAK_SIGNAL: 70,
+  EARLY_TRADE_SIZE_MULTIPLIER: 1.0, // Size multiplier for trades with >5 mins left
+
+  // effectiveZMin ladder: first rung with minsLeft > minsAbove wins (scaled by regime)
+  Z_MIN_LADDER: [
+    { minsAbove: 10, z: 2.2 }, // Super early: very strict
+    { minsAbove: 8, z: 1.9 },  // Kinda early: still strict
+    { minsAbove: 5, z: 1.6 },  // Very early: strict
+    { minsAbove: 4, z: 1.2 },
+    { minsAbove: 3, z: 1.1 },  // Mid early: moderate
+    { minsAbove: 2, z: 0.9 },  // Getting close: normal
+    { minsAbove: 0, z: 0.7 }   // Late game: aggressive
+  ],
+  // US hours (or early trading disabled): no entries above US_MAX_MINS_LEFT
+  US_MAX_MINS_LEFT: 4,
+  Z_MIN_LADDER_US: [
+    { minsAbove: 3, z: 1.6 },
+    { minsAbove: 2, z: 1.0 },
+    { minsAbove: 0, z: 0.7 }
+  ],
+  US_LATE_VOLATILE_Z: 1.0, // Replaces the last US rung when regime scalar >= 1.15
+
+  // Regime scalar bounds (prevent extreme adjustments)
+  REGIME_SCALAR_MIN: 0.7, // Don't make thresholds too high in low vol
+  REGIME_SCALAR_MAX: 1.4, // Don't make thresholds too low in high vol
+  LOW_VOL_BOOST: 0.85, // 15% easier in low vol
+  LOW_VOL_EXTREME_BOOST: 0.95, // 5% easier extreme threshold in low vol
+
+  // Late-game routing: the last 2 minutes always go to the late game. With Z_MAX_FAR above 0,
+  // so does a signal with |z| above a cap that falls from Z_MAX_FAR (Z_MAX_FAR_MINUTES or more
+  // left) to Z_MAX_NEAR (Z_MAX_NEAR_MINUTES or less) - altcrypto.js's momentum filter
+  Z_MAX_FAR: 0,
+  Z_MAX_NEAR: 0,
+  Z_MAX_FAR_MINUTES: 6,
+  Z_MAX_NEAR_MINUTES: 3,
+
+  // Normal-entry gates: the MAX_PRICE_BY_TIME cap and the risk/reward ratio check
+  // (the latter also for LATE_LAYER entries above MINUTES_LEFT)
+  ENABLE_MAX_PRICE_BY_TIME: true,
+  ENABLE_RISK_REWARD_CHECK: true,
+
+  // Extreme late-game constants
+  Z_HUGE: 2.8, // Requires ~99.7% probability
+  LATE_GAME_EXTREME_SECS: 8,
+  LATE_GAME_MIN_EV: 0.01,
+  LATE_GAME_MAX_PRICE: 0.97,
+
+  // LATE_LAYER ladder
+  LAYER_OFFSETS: [-0.02, -0.01, 0.0, +0.01],
+  LAYER_MIN_EV: [0.001, 0.002, 0.003, 0.005],
+  LAYER_LOW_PROB_PENALTY: 0.015, // Added to layer min EV when prob < 90%
+  LAYER_PENALTY_BY_ASSET: {},
+  LAYER_REGIME_EV_MULT: 0.5, // Layer min EV multiplier when regime scalar < 1.2
+
+  // Price feed: no new entries when the oracle price is older than this
+  PRICE_STALE_SECS: 5,
+
+  // Realized sigma (VolatilityManager / VolEstimators.js): "stdev", "ewma", "garch" or "parkinson"
+  // (1-minute high/low ranges). VOL_SEASONALITY rescales it by learned hour-of-week multipliers
+  VOL_ESTIMATOR: "stdev",
+  VOL_EWMA_LAMBDA: 0.97,  // Per-minute decay
+  VOL_GARCH_ALPHA: 0.05,
+  VOL_GARCH_BETA: 0.90,
+  VOL_SEASONALITY: false,
+  // Minutes of 1-minute bars behind sigma and drift (PriceStore keeps 3 days)
+  VOL_WINDOW_MINS: 60,
+  DRIFT_WINDOW_MINS: 60,
+
+  // Jump guard: VolatilityManager flags a jump when the price moves JUMP_SIGMAS realized 1-minute σ
+  // (scaled to the horizon) within JUMP_LOOKBACK_SECS. For JUMP_COOLDOWN_SECS after it, "inflate"
+  // multiplies sigma by JUMP_SIGMA_MULT and "block" stops entries on that asset (exits still run)
+  JUMP_GUARD: "inflate",
+  JUMP_SIGMAS: 4,
+  JUMP_LOOKBACK_SECS: 10,
+  JUMP_COOLDOWN_SECS: 60,
+  JUMP_SIGMA_MULT: 2,
+
+  // Risk bands
+  PRICE_MIN_CORE: 0.90, PROB_MIN_CORE: 0.97,
+  PRICE_MAX_RISKY: 0.90, PROB_MAX_RISKY: 0.95,
+  MAX_REL_DIFF: 0.05,
+};
+
+const Z_HISTORY_MS = 30000;
+const BASE_INTERVAL_MINS = 15;
+const PRICE_TICK = 0.01;
+
+const NOOP_LOGGER = { log() {}, warn() {}, error() {} };
+
+// ---------- STATISTICAL FUNCTIONS ----------
+
+/**
+ * Drift estimation (linear regression on log prices) - WITH CLAMPING
+ * @param {Array<{price: number, timestamp: number}>} history - Oldest first
+ * @returns {number} Drift in USD per minute
+ */
+function estimateDrift(history) {
+  if (!history || history.length < 10) return 0;
+
+  const n = history.length;
+  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+
+  const baseTime = history[0].timestamp;
+
+  for (let i = 0; i < n; i++) {
+    const x = (history[i].timestamp - baseTime) / 60000; // minutes
+    const y = Math.log(history[i].price);
+    sumX += x;
+    sumY += y;
+    sumXY += x * y;
+    sumX2 += x * x;
+  }
+
+  const denominator = n * sumX2 - sumX * sumX;
+  if (Math.abs(denominator) < 1e-10) return 0;
+
+  const slope = (n * sumXY - sumX * sumY) / denominator;
+
+  const currentPrice = history[history.length - 1].price;
+  const driftPerMinute = slope * currentPrice;
+
+  // Clamp drift to ±0.1% of price per minute (prevents extreme values)
+  const maxDrift = currentPrice * 0.001; // 0.1%
+  return Math.max(-maxDrift, Math.min(maxDrift, driftPerMinute));
+}
+
+// Kelly Criterion for position sizing (fee: $ per share paid on top of the price)
+function kellySize(prob, price, maxShares, fraction = 0.15, fee = 0) {
+  // Edge cases
+  if (price >= 0.99 || price <= 0.01) return 10; // fallback for extreme prices
+  const cost = price + fee;
+  if (prob <= cost) return 0; // no edge, minimum bet
+
+  // Kelly formula for binary outcomes: (p - cost) / (1 - cost)
+  // Where you pay 'cost' and get $1 if you win
+  const kellyFraction = (prob - cost) / (1 - cost);
+
+  // Apply fractional Kelly for risk management
+  const fractionalKelly = kellyFraction * fraction;
+
+  // Convert to share size (as a fraction of max position)
+  const rawSize = fractionalKelly * maxShares;
+
+  // Round to nearest 10 shares, minimum 10
+  const roundedSize = Math.max(10, Math.floor(rawSize / 10) * 10);
+
+  // Cap at maxShares
+  return Math.min(roundedSize, maxShares);
+}
+
+// Time decay INCREASES volatility near expiry (gamma risk)
+function getTimeDecayFactor(minsLeft) {
+  if (minsLeft >= 1) return 1.0;
+
+  const secsLeft = minsLeft * 60;
+  if (secsLeft >= 30) return 1.0;
+
+  // Increase vol by up to 40% in final 30 seconds
+  const t = Math.max(0, Math.min(1, (30 - secsLeft) / 30));
+  return 1.0 + t * 0.4; // 1.0 -> 1.4
+}
+
+// |z| cap for late-game routing, linear between the far and near bounds (Z_MAX_* knobs)
+function dynamicZMax(minsLeft, config = DEFAULT_CONFIG) {
+  const { Z_MAX_FAR, Z_MAX_NEAR, Z_MAX_FAR_MINUTES, Z_MAX_NEAR_MINUTES } = config;
+  if (minsLeft >= Z_MAX_FAR_MINUTES) return Z_MAX_FAR;
+  if (minsLeft <= Z_MAX_NEAR_MINUTES) return Z_MAX_NEAR;
+  const t = (Z_MAX_FAR_MINUTES - minsLeft) / (Z_MAX_FAR_MINUTES - Z_MAX_NEAR_MINUTES);
+  return Z_MAX_FAR - t * (Z_MAX_FAR - Z_MAX_NEAR);
+}
+
+function requiredLateProb(secsLeft) {
+  const maxSecs = 120, pHigh = 0.90, pLow = 0.85;
+  const clamped = Math.max(0, Math.min(maxSecs, secsLeft));
+  const t = (maxSecs - clamped) / maxSecs;
+  return pHigh + (pLow - pHigh) * t;
+}
+
+// ---------- FEES ----------
+
+/**
+ * Fee in $ per share for a fill at price.
+ * @param {number} price
+ * @param {"taker"|"maker"} liquidity
+ * @param {string} [marketType]
+ */
+function feePerShare(price, liquidity, marketType = "15m", config = DEFAULT_CONFIG) {
+  const table = liquidity === "maker" ? config.MAKER_FEE_BPS : config.TAKER_FEE_BPS;
+  return price * (table[marketType] ?? 0) / 10000;
+}
+
+// ---------- TIME WINDOWS ----------
+
+/**
+ * Minutes left as the time thresholds read them.
+ * "fraction" maps the market's interval onto 15 minutes (3 mins left on an hourly
+ * market reads as 0.75); "absolute" (and any type without an entry) uses real minutes.
+ * @param {Object} market - { minsLeft, marketType, intervalMins }
+ */
+function thresholdMinsLeft({ minsLeft, marketType = "15m", intervalMins = BASE_INTERVAL_MINS }, config = DEFAULT_CONFIG) {
+  if (config.TIME_SCALING[marketType] !== "fraction") return minsLeft;
+  return minsLeft * BASE_INTERVAL_MINS / intervalMins;
+}
+
+function isInSlamWindow(date = new Date()) {
+  const totalMins = date.getUTCHours() * 60 + date.getUTCMinutes();
+  return totalMins >= 14 * 60 + 45 && totalMins < 15 * 60;
+}
+
+function isUSTradingHours(date = new Date(), config = DEFAULT_CONFIG) {
+  const totalMins = date.getUTCHours() * 60 + date.getUTCMinutes();
+  const dayOfWeek = date.getUTCDay(); // 0=Sunday, 1=Monday, ..., 6=Saturday
+
+  // Only Monday-Friday (1-5), not weekends (0, 6)
+  const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
+  const isInTimeRange = totalMins >= 13 * 60 + 45 && totalMins < 20 * 60 + 30;
+
+  return !config.OVERRIDE_US_TRADING_HOURS && isWeekday && isInTimeRange;
+}
+
+// Whether the bot looks at this interval at all (checked before any network calls).
+// minsLeft is on the threshold clock (thresholdMinsLeft)
+function isTradingWindow(minsLeft, now = Date.now()) {
+  if (isInSlamWindow(new Date(now))) return false;
+  if (minsLeft > 14) return false;
+  return true;
+}
+
+// ---------- SIZING & LIMITS ----------
+
+// Table keys are "more than N mins left" breakpoints; key 0 covers the rest
+function getMaxPriceForTime(minsLeft, config = DEFAULT_CONFIG) {
+  const table = config.MAX_PRICE_BY_TIME;
+  const breakpoints = Object.keys(table).map(Number).sort((a, b) => b - a);
+  for (const mins of breakpoints) {
+    if (minsLeft > mins) return table[mins];
+  }
+  return table[0];
+}
+
+// Smart Sizing
+function sizeForTrade(ev, minsLeft, opts = {}, config = DEFAULT_CONFIG) {
+  const { minEdgeOverride = null, riskBand = "medium" } = opts;
+  const { MINUTES_LEFT } = config;
+  const minEdge = minEdgeOverride !== null ? minEdgeOverride : (minsLeft > MINUTES_LEFT ? config.MIN_EDGE_EARLY : config.MIN_EDGE_LATE);
+  if (ev <= minEdge) return 0;
+
+  let BASE_MIN, BASE_MAX, ABS_MAX, EV_CAP;
+  if (riskBand === "core") { BASE_MIN = 60; BASE_MAX = 180; ABS_MAX = 250; EV_CAP = 0.18; }
+  else if (riskBand === "risky") { BASE_MIN = 10; BASE_MAX = 40; ABS_MAX = 60; EV_CAP = 0.08; }
+  else { BASE_MIN = 40; BASE_MAX = 120; ABS_MAX = 160; EV_CAP = 0.12; }
+
+  const effectiveMax = Math.max(EV_CAP, minEdge + 0.01);
+  const evNorm = Math.min(1, (Math.min(ev, EV_CAP) - minEdge) / (effectiveMax - minEdge));
+  const clampedMins = Math.max(0, Math.min(MINUTES_LEFT, minsLeft));
+  const timeFactor = 0.7 + 0.6 * (1 - clampedMins / MINUTES_LEFT);
+
+  let size = BASE_MIN + evNorm * (BASE_MAX - BASE_MIN);
+  size = Math.round((size * timeFactor) / 10) * 10;
+
+  // Apply early trading size reduction if >5 mins left
+  if (minsLeft > 5 && config.EARLY_TRADE_SIZE_MULTIPLIER !== 1.0) {
+    size = Math.round((size * config.EARLY_TRADE_SIZE_MULTIPLIER) / 10) * 10;
+  }
+
+  return Math.min(size, ABS_MAX);
+}
+
+// Maker entries: bid MAKER_IMPROVE_TICKS above the best bid (fair value minus the
+// required edge when there is no bid), never above that fair limit, never crossing the ask.
+// Returns null when no price on the tick grid fits.
+function makerBidPrice(bid, ask, limit, config = DEFAULT_CONFIG) {
+  let price = bid ? bid + config.MAKER_IMPROVE_TICKS * PRICE_TICK : limit;
+  price = Math.min(price, limit, ask ? ask - PRICE_TICK : 1);
+  price = Math.floor(price / PRICE_TICK + 1e-9) * PRICE_TICK;
+  return price >= PRICE_TICK ? Number(price.toFixed(2)) : null;
+}
+
+/**
+ * Walk the asks (cheapest first) for up to size shares priced at or below limit.
+ * @param {{price: number, size: number}[]} [levels]
+ * @returns {{size: number, vwap: number|null, worst: number|null, levels: number, offered: number}|null}
+ *   size rounded down to 10 shares; null without depth data (backtest ticks)
+ */
+function sweepAsks(levels, size, limit) {
+  if (!levels?.length) return null;
+
+  const walk = (want) => {
+    let filled = 0, cost = 0, worst = null, n = 0;
+    for (const level of levels) {
+      if (filled >= want || level.price > limit + 1e-9) break;
+      const take = Math.min(level.size, want - filled);
+      filled += take;
+      cost += take * level.price;
+      worst = level.price;
+      n++;
+    }
+    return { size: filled, vwap: filled > 0 ? cost / filled : null, worst, levels: n };
+  };
+
+  const offered = walk(Infinity).size;
+  return { ...walk(Math.floor(Math.min(size, offered) / 10) * 10), offered };
+}
+
+function getRiskBand(prob, price, config = DEFAULT_CONFIG) {
+  if (prob >= config.PROB_MIN_CORE && price >= config.PRICE_MIN_CORE) return "core";
+  if (prob <= config.PROB_MAX_RISKY && price <= config.PRICE_MAX_RISKY) return "risky";
+  return "medium";
+}
+
+/**
+ * Per-market share cap. Hedges (orders that shrink the net position) may go beyond it.
+ * @param {{UP: number, DOWN: number}} position - Shares tracked on each side
+ * @param {number} sharesBought - Total shares bought in this market so far
+ */
+function canPlaceOrder(position, sharesBought, side, size, assetSymbol, config = DEFAULT_CONFIG) {
+  const totalCap = config.MAX_SHARES_PER_MARKET[assetSymbol] || 500;
+  const totalBefore = sharesBought || 0;
+  const pos = position || { UP: 0, DOWN: 0 };
+  const netBefore = (pos.UP || 0) - (pos.DOWN || 0);
+  const sideSign = side === "UP" ? 1 : -1;
+  const netAfter = netBefore + sideSign * size;
+  const totalAfter = totalBefore + size;
+
+  if (totalAfter <= totalCap) return { ok: true, reason: "within_cap", totalBefore, totalAfter, netBefore, netAfter };
+  if (Math.abs(netAfter) < Math.abs(netBefore)) return { ok: true, reason: "hedge_beyond_cap", totalBefore, totalAfter, netBefore, netAfter };
+
+  return { ok: false, reason: "risk_increase_beyond_cap", totalBefore, totalAfter, netBefore, netAfter };
+}
+
+/**
+ * Correlation-adjusted position limit check
+ * @param {Object<string, number>} portfolio - symbol -> net shares (UP - DOWN) across all assets
+ */
+function checkCorrelationRisk(portfolio, newSymbol, newSide, newSize, config = DEFAULT_CONFIG) {
+  const positions = {};
+  for (const [sym, net] of Object.entries(portfolio || {})) {
+    if (net !== 0) positions[sym] = net;
+  }
+
+  // Add proposed position
+  const proposedNet = (positions[newSymbol] || 0) + (newSide === 'UP' ? newSize : -newSize);
+  positions[newSymbol] = proposedNet;
+
+  // Calculate correlation-adjusted exposure
+  let totalRisk = 0;
+  const symbols = Object.keys(positions);
+
+  for (let i = 0; i < symbols.length; i++) {
+    for (let j = 0; j < symbols.length; j++) {
+      const sym1 = symbols[i];
+      const sym2 = symbols[j];
+
+      const pos1 = positions[sym1] || 0;
+      const pos2 = positions[sym2] || 0;
+
+      let corr = 1.0;
+      if (sym1 !== sym2) {
+        const key = [sym1, sym2].sort().join('-');
+        corr = config.CORRELATION_MATRIX[key] || 0.5; // default to 0.5
+      }
+
+      totalRisk += pos1 * pos2 * corr;
+    }
+  }
+
+  const portfolioStd = Math.sqrt(Math.max(0, totalRisk));
+
+  // Risk limit: 3x average single-asset limit
+  const caps = Object.values(config.MAX_SHARES_PER_MARKET);
+  const avgLimit = caps.length > 0 ? caps.reduce((a, b) => a + b, 0) / caps.length : 500;
+  const riskLimit = avgLimit * 3;
+
+  return {
+    ok: portfolioStd <= riskLimit,
+    portfolioRisk: portfolioStd,
+    limit: riskLimit
+  };
+}
+
+// basis: { meanBps, stdBps } of our feed vs the resolution source, or null
+function checkBasisRiskHybrid(currentPrice, startPrice, minsLeft, z, pUp, pDown, upAsk, downAsk, symbol, logger, sharesUp = 0, sharesDown = 0, basis = null, config = DEFAULT_CONFIG) {
+  // Where the resolution source most likely is, given our price
+  const resolutionPrice = basis ? currentPrice / (1 + basis.meanBps / 10000) : currentPrice;
+
+  if (minsLeft > 5) {
+    const distFromStrike = (resolutionPrice - startPrice) / startPrice * 10000; // in bps
+
+    // If price moved significantly against existing position, STOP
+    if (distFromStrike < -20 && sharesUp > 0) {
+      logger.log(`⛔ EARLY STOP: Price ${distFromStrike.toFixed(1)}bps below strike, holding ${sharesUp} UP`);
+      return { safe: false, reason: "Price crossed strike early (UP position)" };
+    }
+
+    if (distFromStrike > 20 && sharesDown > 0) {
+      logger.log(`⛔ EARLY STOP: Price ${distFromStrike.toFixed(1)}bps above strike, holding ${sharesDown} DOWN`);
+      return { safe: false, reason: "Price crossed strike early (DOWN position)" };
+    }
+  }
+
+  if (minsLeft >= 2) {
+    return { safe: true, reason: "Not in danger zone" };
+  }
+
+  const distBps = (Math.abs(resolutionPrice - startPrice) / startPrice) * 10000;
+  let minSafeDist = basis
+    ? Math.max(config.BASIS_MIN_BUFFER_BPS, config.BASIS_BUFFER_SIGMAS * basis.stdBps)
+    : config.BASIS_FALLBACK_BPS;
+  // TODO: consider removing this
+  if (Math.abs(z) > 1.5) {
+    minSafeDist *= 0.5;
+  } else if (Math.abs(z) > 1.2) {
+    minSafeDist *= 0.75;
+  } else if (Math.abs(z) > 0.8) {
+    minSafeDist *= 0.9;
+  }
+
+  if (distBps >= minSafeDist) {
+    return { safe: true, reason: `Far from strike: ${distBps.toFixed(1)}bps` };
+  }
+
+  // In danger zone - apply strict rules
+  const priceIsAboveStrike = resolutionPrice > startPrice;
+  const absZ = Math.abs(z);
+
+  // Calculate edge for both directions
+  const upEdge = upAsk ? pUp - upAsk : 0;
+  const downEdge = downAsk ? pDown - downAsk : 0;
+
+  if (priceIsAboveStrike) {
+    // Price above strike - UP is safer, DOWN is dangerous
+    if (z > 0 && upEdge > 0.05) {
+      // Trading WITH direction + good edge = allow
+      logger.log(`✅ Basis OK: WITH direction (UP), edge=${(upEdge*100).toFixed(1)}%, dist=${distBps.toFixed(1)}bps`);
+      return { safe: true, reason: "Trading with direction" };
+    }
+    if (z < 0) {
+      // Trading AGAINST direction - need exceptional signal
+      if (absZ > 2.0 && downEdge > 0.15) {
+        logger.log(`⚠️  Basis override: Extreme signal (z=${z.toFixed(2)}, edge=${(downEdge*100).toFixed(1)}%)`);
+        return { safe: true, reason: "Extreme counter-signal" };
+      }
+      logger.log(`🚫 BASIS RISK: Against direction, insufficient signal (z=${z.toFixed(2)})`);
+      return { safe: false, reason: "Against direction in danger zone" };
+    }
+  } else {
+    // Price below strike - DOWN is safer, UP is dangerous
+    if (z < 0 && downEdge > 0.05) {
+      logger.log(`✅ Basis OK: WITH direction (DOWN), edge=${(downEdge*100).toFixed(1)}%, dist=${distBps.toFixed(1)}bps`);
+      return { safe: true, reason: "Trading with direction" };
+    }
+    if (z > 0) {
+      if (absZ > 2.0 && upEdge > 0.15) {
+        logger.log(`⚠️  Basis override: Extreme signal (z=${z.toFixed(2)}, edge=${(upEdge*100).toFixed(1)}%)`);
+        return { safe: true, reason: "Extreme counter-signal" };
+      }
+      logger.log(`🚫 BASIS RISK: Against direction, insufficient signal (z=${z.toFixed(2)})`);
+      return { safe: false, reason: "Against direction in danger zone" };
+    }
+  }
+
+  logger.log(`🚫 BASIS RISK: Danger zone (${distBps.toFixed(1)}bps) with poor edge`);
+  return { safe: false, reason: "Danger zone with insufficient edge" };
+}
+
+function checkRiskReward(price, size, prob, minsLeft, logger, fee = 0) {
+  const reward = size * (1.00 - price - fee);
+  const risk = size * (price + fee);
+  const ratio = risk / reward;
+
+  // Calculate probability-adjusted max ratio
+  // Higher probability = allow worse ratios
+  // At 50% prob: max 15:1
+  // At 90% prob: max 50:1
+  // At 99% prob: max 200:1
+
+  let maxRatio;
+  if (prob >= 0.95) {
+    // Very high probability: allow up to 100:1
+    maxRatio = 100;
+  } else if (prob >= 0.90) {
+    // High probability: allow up to 50:1
+    maxRatio = 50;
+  } else if (prob >= 0.80) {
+    // Medium-high: allow up to 25:1
+    maxRatio = 25;
+  } else {
+    // Lower probability: strict 15:1
+    maxRatio = 15;
+  }
+
+  if (ratio > maxRatio) {
+    logger.log(`🛑 Risk/reward: ${ratio.toFixed(1)}:1 > ${maxRatio.toFixed(1)}:1 max (prob=${(prob*100).toFixed(1)}%)`);
+    logger.log(`   Risking $${risk.toFixed(2)} to win $${reward.toFixed(2)}`);
+    return false;
+  }
+
+  return true;
+}
+
+// ========================================
+// EXIT LOGIC
+// ========================================
+
+function shouldExitPosition(state, z, pUp, pDown, sharesUp, sharesDown, minsLeft, logger, config = DEFAULT_CONFIG) {
+  const { EXIT_REVERSAL_THRESHOLD, EXIT_PROBABILITY_THRESHOLD } = config;
+  const entryZ = state.entryZ;
+  const totalShares = sharesUp + sharesDown;
+
+  // No position or too small to bother
+  if (totalShares < config.EXIT_MIN_POSITION_SIZE) {
+    return { shouldExit: false };
+  }
+
+  // No entry signal recorded (shouldn't happen but be safe)
+  if (entryZ === null || entryZ === undefined) {
+    return { shouldExit: false };
+  }
+
+  if (minsLeft < 0.5) {
+    const entrySignal = state.entryZ || 0;
+    const currentSignal = z;
+    const reversalMagnitude = Math.abs(currentSignal - entrySignal);
+    const signalFlipped = Math.sign(entrySignal) !== Math.sign(currentSignal) &&
+                          Math.sign(entrySignal) !== 0 &&
+                          Math.sign(currentSignal) !== 0;
+
+    // Allow exit if reversal >1.2σ (50% higher than normal to account for exit costs)
+    if (!(signalFlipped && reversalMagnitude > 1.2)) {
+      logger.log(`⏰ <30s left: only large reversals (>1.2σ) allowed, current: ${reversalMagnitude.toFixed(2)}σ`);
+      return { shouldExit: false };
+    }
+
+    logger.log(`🚨 ULTRA-LATE EXIT: Reversal ${reversalMagnitude.toFixed(2)}σ with ${(minsLeft*60).toFixed(0)}s left`);
+    // Allow exit to continue...
+  }
+
+  // EXIT CONDITION 1: Signal Reversal
+  // Only triggers if sign has flipped AND magnitude is significant
+  const currentZ = z;
+  const signalFlipped = Math.sign(entryZ) !== Math.sign(currentZ) &&
+                        Math.sign(entryZ) !== 0 &&
+                        Math.sign(currentZ) !== 0;
+
+  if (signalFlipped) {
+    const reversalMagnitude = Math.abs(currentZ - entryZ);
+
+    if (reversalMagnitude > EXIT_REVERSAL_THRESHOLD) {
+      const exitSide = sharesUp > 0 ? 'UP' : 'DOWN';
+      const exitShares = sharesUp > 0 ? sharesUp : sharesDown;
+
+      logger.log(`🚨 SIGNAL REVERSAL DETECTED`);
+      logger.log(`   Entry z=${entryZ.toFixed(2)} → Current z=${currentZ.toFixed(2)}`);
+      logger.log(`   Reversal magnitude: ${reversalMagnitude.toFixed(2)}σ > ${EXIT_REVERSAL_THRESHOLD}σ threshold`);
+
+      return {
+        shouldExit: true,
+        reason: 'signal_reversal',
+        side: exitSide,
+        shares: exitShares,
+        urgency: 'normal',
+        magnitude: reversalMagnitude
+      };
+    }
+  }
+
+  // EXIT CONDITION 2: Emergency Probability Override
+  // If probability strongly favors opposite side, exit immediately
+  if (sharesUp > 0 && pDown > EXIT_PROBABILITY_THRESHOLD) {
+    logger.log(`🚨 EMERGENCY EXIT TRIGGERED`);
+    logger.log(`   Holding ${sharesUp} UP shares but pDown=${(pDown*100).toFixed(1)}% (>${(EXIT_PROBABILITY_THRESHOLD*100).toFixed(0)}% threshold)`);
+
+    return {
+      shouldExit: true,
+      reason: 'emergency_probability',
+      side: 'UP',
+      shares: sharesUp,
+      urgency: 'emergency',
+      probability: pDown
+    };
+  }
+
+  if (sharesDown > 0 && pUp > EXIT_PROBABILITY_THRESHOLD) {
+    logger.log(`🚨 EMERGENCY EXIT TRIGGERED`);
+    logger.log(`   Holding ${sharesDown} DOWN shares but pUp=${(pUp*100).toFixed(1)}% (>${(EXIT_PROBABILITY_THRESHOLD*100).toFixed(0)}% threshold)`);
+
+    return {
+      shouldExit: true,
+      reason: 'emergency_probability',
+      side: 'DOWN',
+      shares: sharesDown,
+      urgency: 'emergency',
+      probability: pUp
+    };
+  }
+
+  return { shouldExit: false };
+}
+
+// Thresholds apply to what a sale brings in after the taker fee (sellFee: price => $ per share)
+function shouldTakeProfits(upAsk, downAsk, minsLeft, z, sharesUp, sharesDown, logger, sellFee = () => 0) {
+  if (sharesUp === 0 && sharesDown === 0) {
+    return { shouldExit: false };
+  }
+
+  const side = sharesUp > 0 ? 'UP' : 'DOWN';
+  const shares = sharesUp > 0 ? sharesUp : sharesDown;
+  const quotedAsk = side === 'UP' ? upAsk : downAsk;
+
+  if (!quotedAsk) return { shouldExit: false };
+  const currentAsk = quotedAsk - sellFee(quotedAsk);
+
+  // RULE 1: Always exit at 99¢+ (only 1¢ upside left)
+  if (currentAsk >= 0.99) {
+    logger.log(`💰 PROFIT TAKING: Price ${(currentAsk*100).toFixed(0)}¢ - only 1¢ upside left`);
+    return {
+      shouldExit: true,
+      reason: 'profit_taking_max_price',
+      side: side,
+      shares: shares,
+      urgency: 'normal'
+    };
+  }
+
+  // RULE 2: Exit at 97¢+ if signal weakened
+  if (currentAsk >= 0.97 && Math.abs(z) < 1.5) {
+    logger.log(`💰 PROFIT TAKING: Price ${(currentAsk*100).toFixed(0)}¢ with weak signal z=${z.toFixed(2)}`);
+    logger.log(`   Expensive position + weak signal = reversal risk`);
+    return {
+      shouldExit: true,
+      reason: 'profit_taking_weak_signal',
+      side: side,
+      shares: shares,
+      urgency: 'normal'
+    };
+  }
+
+  // RULE 3: Exit at 95¢+ if <1 min with poor risk/reward
+  if (minsLeft < 1 && currentAsk >= 0.95) {
+    const risking = currentAsk;
+    const gaining = 1.00 - currentAsk;
+    const ratio = risking / gaining;
+
+    if (ratio > 15) {
+      logger.log(`💰 PROFIT TAKING: R/R ${ratio.toFixed(1)}:1 with ${(minsLeft*60).toFixed(0)}s left`);
+      logger.log(`   Risking ${(risking*100).toFixed(0)}¢ to gain ${(gaining*100).toFixed(0)}¢ - not worth it`);
+      return {
+        shouldExit: true,
+        reason: 'profit_taking_rr',
+        side: side,
+        shares: shares,
+        urgency: 'normal'
+      };
+    }
+  }
+
+  return { shouldExit: false };
+}
+
+// Signal bookkeeping to reset once a position has been closed
+function stateAfterExit() {
+  return {
+    entryZ: null,
+    minZSinceEntry: null,
+    weakSignalHistory: [],
+    weakSignalCount: 0
+  };
+}
+
+// ---------- SIGNAL ----------
+
+/**
+ * Fresh per-slug signal state. Positions are not part of it - they are passed in the snapshot.
+ */
+function createSlugState() {
+  return {
+    zHistory: [],
+    entryZ: null,  // Store entry z-score for reversal detection
+    minZSinceEntry: null,
+    weakSignalCount: 0,
+    weakSignalHistory: [],
+    bookHistory: []  // BookFeatures samples
+  };
+}
+
+/**
+ * z-score and model probabilities for a snapshot.
+ * @param {Object} snapshot - { symbol, minsLeft, startPrice, currentPrice, sigmaPerMin, drift, volRatio, basis, book }
+ *   book: BookFeatures.compute() output; its zShift moves pUp/pDown, not z (gating stays on the price model)
+ */
+function computeSignal(snapshot, config = DEFAULT_CONFIG) {
+  const { symbol, minsLeft, startPrice, currentPrice, sigmaPerMin, drift = 0, volRatio = 1.0, basis = null, book = null } = snapshot;
+
+  const effectiveSigma = sigmaPerMin * getTimeDecayFactor(minsLeft);
+
+  // Regime scalar clamped to prevent extreme adjustments
+  const rawRegimeScalar = Math.sqrt(volRatio);
+  const regimeScalar = Math.max(config.REGIME_SCALAR_MIN, Math.min(config.REGIME_SCALAR_MAX, rawRegimeScalar));
+
+  // The market resolves on Chainlink, not our feed: move the price onto the resolution
+  // source by the mean basis and add the basis variance to the diffusion variance
+  const basisOffset = basis ? currentPrice - currentPrice / (1 + basis.meanBps / 10000) : 0;
+  const basisSigma = basis ? currentPrice * basis.stdBps / 10000 : 0;
+  const sigmaT = Math.hypot(effectiveSigma * Math.sqrt(minsLeft), basisSigma);
+
+  // Include drift in z-score calculation
+  const z = (currentPrice - basisOffset - startPrice + drift * minsLeft) / sigmaT;
+
+  // Normal unless the profile picks a fat-tailed model for this asset (PROB_MODEL)
+  const model = Distributions.modelFor(symbol, config);
+  const bookShift = BookFeatures.zShift(book, config);
+  const pUpRaw = Distributions.probUp(z + bookShift, model);
+  const pUp = Calibration.apply(pUpRaw, config.CALIBRATION_MAP?.[symbol]);
+  const pDown = 1 - pUp;
+
+  return { z, pUp, pDown, pUpRaw, model: model.name, bookShift, sigmaT, effectiveSigma, volRatio, rawRegimeScalar, regimeScalar };
+}
+
+function pickZMin(ladder, minsLeft) {
+  for (const rung of ladder) {
+    if (minsLeft > rung.minsAbove) return rung.z;
+  }
+  return ladder[ladder.length - 1].z;
+}
+
+// Time-Based Z-Threshold (SET ONCE). Returns null when entries are not allowed at this time.
+function getEffectiveZMin(minsLeft, regimeScalar, rawRegimeScalar, isUS, logger, config = DEFAULT_CONFIG) {
+  let effectiveZMin;
+
+  if (config.ENABLE_EARLY_TRADING && !isUS) {
+    // Early trading enabled (non-US hours) - graduated thresholds
+    effectiveZMin = pickZMin(config.Z_MIN_LADDER, minsLeft) * regimeScalar;
+  } else {
+    // US hours or early trading disabled
+    if (minsLeft > config.US_MAX_MINS_LEFT) {
+      logger.log(`Skip (${minsLeft.toFixed(1)} mins left): ${isUS ? 'US hours' : 'Early trading disabled'}`);
+      return null;
+    }
+    const ladder = config.Z_MIN_LADDER_US;
+    const lastRung = ladder[ladder.length - 1];
+    const rung = ladder.find(r => minsLeft > r.minsAbove) || lastRung;
+    if (rung === lastRung) {
+      effectiveZMin = (regimeScalar < 1.15) ? (lastRung.z * regimeScalar) : (config.US_LATE_VOLATILE_Z * regimeScalar);
+      logger.log(`Late game threshold: ${effectiveZMin.toFixed(2)} (regime ${regimeScalar < 1.15 ? 'CALM' : 'VOLATILE'})`);
+    } else {
+      effectiveZMin = rung.z * regimeScalar;
+    }
+  }
+
+  // RESTORED: Low-Vol Boost
+  // In calm markets, signals are more reliable → trade more aggressively
+  if (rawRegimeScalar < 1.1) {
+    const oldThreshold = effectiveZMin;
+    effectiveZMin *= config.LOW_VOL_BOOST;
+
+    logger.log(`[Low Vol Regime] Threshold reduced: ${oldThreshold.toFixed(2)} → ${effectiveZMin.toFixed(2)} (${((1-config.LOW_VOL_BOOST)*100).toFixed(0)}% easier)`);
+  }
+
+  return effectiveZMin;
+}
+
+// ---------- DECISION ----------
+
+/**
+ * Decide what to do on one tick for one market.
+ *
+ * @param {Object} snapshot
+ * @param {number} snapshot.now - Tick time (ms)
+ * @param {string} snapshot.symbol
+ * @param {string} snapshot.slug
+ * @param {number} snapshot.minsLeft - Real minutes left (time gates use thresholdMinsLeft)
+ * @param {string} [snapshot.marketType] - "15m", "1h", "4h", "daily" (default "15m")
+ * @param {number} [snapshot.intervalMins] - Interval length (default 15)
+ * @param {number} snapshot.startPrice
+ * @param {number} snapshot.currentPrice
+ * @param {number} snapshot.sigmaPerMin - Raw realized sigma in USD per minute
+ * @param {number} snapshot.drift - USD per minute
+ * @param {number} snapshot.volRatio - Sigma relative to the vol floor
+ * @param {number|null} snapshot.upAsk
+ * @param {number|null} snapshot.downAsk
+ * @param {{price: number, size: number}[]} [snapshot.upAsks] - Ask levels, cheapest first (depth-aware sizing)
+ * @param {{price: number, size: number}[]} [snapshot.downAsks]
+ * @param {number} [snapshot.upDepth] - Book feature depth when there are no ask levels (replayed tick logs)
+ * @param {number} [snapshot.downDepth]
+ * @param {Object|null} [snapshot.jump] - Last jump event of the asset (VolatilityManager.checkJump), { ts, sigmas, ... }
+ * @param {number|null} [snapshot.upBid] - Maker bid pricing; recorded in the tick log (backtest exit pricing)
+ * @param {number|null} [snapshot.downBid]
+ * @param {{UP: number, DOWN: number}} snapshot.position - Tracked shares in this market (without a resting maker bid)
+ * @param {number} snapshot.sharesBought - Shares bought in this market (cap accounting, without a resting maker bid)
+ * @param {Object<string, number>} [snapshot.portfolio] - symbol -> net shares across all assets
+ * @param {Object} slugState - Signal state from createSlugState() / a previous decision
+ * @param {Object} [config]
+ * @param {Object} [logger]
+ * @returns {{signal: Object|null, exit: Object|null, orders: Array, quote: Object|null, tick: Object|null, skip: Object|null, state: Object}}
+ *   quote (ENTRY_MODE "maker") is the entry bid to keep resting; null means cancel any resting bid.
+ *   Its entryZ becomes the slug state's entryZ when it fills (if none is set by then)
+ */
+function decide(snapshot, slugState, config = DEFAULT_CONFIG, logger = NOOP_LOGGER) {
+  const { now, symbol, slug, startPrice, currentPrice, upAsk, downAsk } = snapshot;
+  const { marketType = "15m", intervalMins = BASE_INTERVAL_MINS } = snapshot;
+  // Gating below runs on the threshold clock; the model (computeSignal) uses real minutes
+  const minsLeft = thresholdMinsLeft(snapshot, config);
+  const orderTtlSecs = intervalMins * 60;
+  const prev = slugState || {};
+  const state = {
+    zHistory: [...(prev.zHistory || [])],
+    entryZ: prev.entryZ ?? null,
+    minZSinceEntry: prev.minZSinceEntry ?? null,
+    weakSignalCount: prev.weakSignalCount || 0,
+    weakSignalHistory: [...(prev.weakSignalHistory || [])],
+    bookHistory: prev.bookHistory || []
+  };
+  const result = { signal: null, exit: null, orders: [], quote: null, tick: null, skip: null, state };
+  const skip = (reason, detail = {}) => {
+    result.skip = { reason, ...detail };
+    return result;
+  };
+  const fee = (price, liquidity) => feePerShare(price, liquidity, marketType, config);
+
+  if (!isTradingWindow(minsLeft, now)) return skip("outside_window");
+  if (minsLeft !== snapshot.minsLeft) {
+    logger.log(`⏱️ ${marketType}: ${snapshot.minsLeft.toFixed(1)} mins left → ${minsLeft.toFixed(2)} on the 15m threshold clock`);
+  }
+
+  // Current Price & Sanity
+  if (Math.abs(currentPrice - startPrice) / startPrice > config.MAX_REL_DIFF) {
+    logger.log(`Price sanity FAILED. Skipping.`);
+    return skip("price_sanity");
+  }
+
+  // Order-book features, then Volatility & Drift
+  state.bookHistory = BookFeatures.record(state.bookHistory, BookFeatures.sample(snapshot, config), config);
+  const bookFeatures = BookFeatures.compute(state.bookHistory);
+  const jumpAgeSecs = snapshot.jump ? (now - snapshot.jump.ts) / 1000 : Infinity;
+  const jump = config.JUMP_GUARD !== "off" && jumpAgeSecs >= 0 && jumpAgeSecs < config.JUMP_COOLDOWN_SECS ? snapshot.jump : null;
+  const sigmaPerMin = jump && config.JUMP_GUARD === "inflate" ? snapshot.sigmaPerMin * config.JUMP_SIGMA_MULT : snapshot.sigmaPerMin;
+  const signal = computeSignal({ ...snapshot, sigmaPerMin, book: bookFeatures }, config);
+  result.signal = signal;
+  const { z, pUp, pDown, volRatio, rawRegimeScalar, regimeScalar } = signal;
+
+  state.zHistory.push({ z, ts: now });
+  state.zHistory = state.zHistory.filter(h => now - h.ts < Z_HISTORY_MS);
+
+  logger.log(
+    `σ_raw: $${snapshot.sigmaPerMin.toFixed(4)} (Ratio: ${volRatio.toFixed(2)}x, Scalar: ${rawRegimeScalar.toFixed(2)}x -> ${regimeScalar.toFixed(2)}x clamped) | ` +
+    `Drift: $${(snapshot.drift || 0).toFixed(4)}/min | z: ${z.toFixed(3)}`
+  );
+  if (jump) {
+    logger.warn(`⚡ Jump ${jumpAgeSecs.toFixed(0)}s ago (${jump.sigmas.toFixed(1)}σ) - ${config.JUMP_GUARD === "inflate" ? `σ x${config.JUMP_SIGMA_MULT}` : "entries blocked"}`);
+  }
+  if (snapshot.basis) {
+    logger.log(`Basis vs Chainlink: ${snapshot.basis.meanBps >= 0 ? "+" : ""}${snapshot.basis.meanBps.toFixed(2)}bps ± ${snapshot.basis.stdBps.toFixed(2)}bps (${snapshot.basis.samples} samples)`);
+  }
+  if (signal.bookShift !== 0) {
+    logger.log(`📚 Book: imbalance ${bookFeatures.imbalance?.toFixed(2) ?? "n/a"} | z shift ${signal.bookShift >= 0 ? "+" : ""}${signal.bookShift.toFixed(3)} → pUp ${signal.pUpRaw.toFixed(4)} (model ${Distributions.probUp(z, Distributions.modelFor(symbol, config)).toFixed(4)})`);
+  }
+  if (pUp !== signal.pUpRaw) {
+    logger.log(`🎯 Calibrated pUp: ${signal.pUpRaw.toFixed(4)} → ${pUp.toFixed(4)}`);
+  }
+
+  if (!upAsk && !downAsk) {
+    logger.log("No asks.");
+    return skip("no_asks");
+  }
+
+  const sharesUp = snapshot.position?.UP || 0;
+  const sharesDown = snapshot.position?.DOWN || 0;
+
+  if (sharesUp > 0 && pUp < 0.50) logger.log(`>>> COUNTERSIGNAL: Holding UP but pUp=${pUp.toFixed(4)}`);
+  if (sharesDown > 0 && pDown < 0.50) logger.log(`>>> COUNTERSIGNAL: Holding DOWN but pDown=${pDown.toFixed(4)}`);
+
+  // CHECK EXIT CONDITIONS
+  if (config.ENABLE_EXITS) {
+    // modelValue: what a share of the side being sold is worth to the model (caps exit slippage)
+    const exitCheck = shouldExitPosition(state, z, pUp, pDown, sharesUp, sharesDown, minsLeft, logger, config);
+    if (exitCheck.shouldExit) {
+      result.exit = { ...exitCheck, modelValue: exitCheck.side === "UP" ? pUp : pDown };
+      return result;
+    }
+
+    const profitCheck = shouldTakeProfits(upAsk, downAsk, minsLeft, z, sharesUp, sharesDown, logger, price => fee(price, "taker"));
+    if (profitCheck.shouldExit) {
+      result.exit = { ...profitCheck, modelValue: profitCheck.side === "UP" ? pUp : pDown };
+      return result;
+    }
+  }
+
+  if (minsLeft < 0.15) { // ~10 seconds
+    logger.log(`🛑 ULTRA LATE: ${(minsLeft * 60).toFixed(0)}s left - no trading`);
+    return skip("ultra_late");
+  }
+
+  // Stale oracle price: exits above still run, but no new risk on an old price
+  if (snapshot.priceStale) {
+    logger.warn(`⏸️ Price feed stale - entries blocked`);
+    return skip("stale_price");
+  }
+  if (jump && config.JUMP_GUARD === "block") return skip("jump", { sigmas: jump.sigmas });
+
+  result.tick = {
+    ts: now, symbol, slug, minsLeft: snapshot.minsLeft,
+    marketType, intervalMins,
+    startPrice, currentPrice,
+    sigmaPerMin: snapshot.sigmaPerMin,
+    drift: snapshot.drift,
+    volRatio,
+    basis: snapshot.basis ?? null,
+    jump,
+    book: bookFeatures,
+    z, pUp, pDown, pUpRaw: signal.pUpRaw, probModel: signal.model, upAsk, downAsk,
+    upBid: snapshot.upBid ?? null, downBid: snapshot.downBid ?? null,
+    sharesUp, sharesDown,
+  };
+
+  const absZ = Math.abs(z);
+  const isUS = isUSTradingHours(new Date(now), config);
+  let effectiveZMin = getEffectiveZMin(minsLeft, regimeScalar, rawRegimeScalar, isUS, logger, config);
+  if (effectiveZMin === null) return skip("us_hours");
+
+  // Single gating check
+  if (absZ < effectiveZMin) {
+    const evUp = upAsk ? pUp - upAsk : 0;
+    const evDown = downAsk ? pDown - downAsk : 0;
+    logger.log(`Skip: |z|=${absZ.toFixed(3)} < ${effectiveZMin.toFixed(2)} (${minsLeft.toFixed(1)}min left) | EV Up/Down: ${evUp.toFixed(3)}/${evDown.toFixed(3)}`);
+    return skip("z_threshold", { z, required: effectiveZMin });
+  }
+
+  // Signal decay detection
+  if (state.zHistory.length >= 5) {
+    const recentZ = state.zHistory.slice(-5);
+    const zChange = recentZ[0].z - recentZ[recentZ.length - 1].z;
+    const zDecayThreshold = minsLeft < 3 ? 0.25 : 0.4;
+
+    // Only enforce if we have significant position
+    const significantPosition = sharesUp > 100 || sharesDown > 100;
+
+    // Check UP positions (z falling)
+    if (significantPosition && sharesUp > 0 && zChange > zDecayThreshold) {
+      logger.log(`⛔ RAPID SIGNAL DECAY (UP): z fell ${zChange.toFixed(2)} in 30s`);
+      return skip("signal_decay", { side: "UP", zChange, threshold: zDecayThreshold });
+    }
+
+    // Check DOWN positions (z rising)
+    if (significantPosition && sharesDown > 0 && zChange < -zDecayThreshold) {
+      logger.log(`⛔ RAPID SIGNAL DECAY (DOWN): z rose ${Math.abs(zChange).toFixed(2)} in 30s`);
+      return skip("signal_decay", { side: "DOWN", zChange: Math.abs(zChange), threshold: zDecayThreshold });
+    }
+  }
+
+  // Method 1: Consecutive weak signals (fast response)
+  if (sharesUp > 0 && z > 0 && z < 0.8) {
+    state.weakSignalCount++;
+    if (state.weakSignalCount > 3) {
+      logger.log(`⛔ UP signal weak for ${state.weakSignalCount} ticks, stopping`);
+      return skip("weak_signal_consecutive", { side: "UP", count: state.weakSignalCount });
+    }
+  } else if (sharesDown > 0 && z < 0 && z > -0.8) {
+    state.weakSignalCount++;
+    if (state.weakSignalCount > 3) {
+      logger.log(`⛔ DOWN signal weak for ${state.weakSignalCount} ticks, stopping`);
+      return skip("weak_signal_consecutive", { side: "DOWN", count: state.weakSignalCount });
+    }
+  } else {
+    state.weakSignalCount = 0;
+  }
+
+  // Method 2: Ratio (robust against oscillation)
+  const isWeak = (sharesUp > 0 && z > 0 && z < 0.8) || (sharesDown > 0 && z < 0 && z > -0.8);
+  state.weakSignalHistory.push(isWeak);
+  if (state.weakSignalHistory.length > 10) {
+    state.weakSignalHistory.shift();
+  }
+
+  const weakCount = state.weakSignalHistory.filter(x => x).length;
+  if (weakCount >= 6) {
+    logger.log(`⛔ Signal weak for ${weakCount}/10 ticks`);
+    return skip("weak_signal_ratio", { weakCount });
+  }
+
+  // Large Signal Reversal Detector
+  if (state.zHistory.length >= 2) {
+    const recent = state.zHistory.slice(-2);
+    const oldZ = recent[0].z;
+    const newZ = recent[recent.length - 1].z;
+
+    const oldSign = Math.sign(oldZ);
+    const newSign = Math.sign(newZ);
+
+    // Signal flipped sign?
+    if (oldSign !== newSign && oldSign !== 0 && newSign !== 0) {
+      const reversalMagnitude = Math.abs(newZ - oldZ);
+
+      // Large reversal (>1σ)?
+      if (reversalMagnitude > 1.0) {
+        logger.log(`⚠️  SIGNAL REVERSAL: z=${oldZ.toFixed(2)} → ${newZ.toFixed(2)}`);
+
+        // Only block if we have position in OLD direction
+        if ((oldSign > 0 && sharesUp > 0) || (oldSign < 0 && sharesDown > 0)) {
+          logger.log(`⛔ Blocking: would add to losing ${oldSign > 0 ? 'UP' : 'DOWN'} position`);
+          return skip("signal_reversal", { oldZ, newZ });
+        }
+
+        logger.log(`✅ Allowing reversal trade in ${newSign > 0 ? 'UP' : 'DOWN'} direction`);
+      }
+    }
+  }
+
+  // Decision Gating with Basis Risk Check
+  const basisCheck = checkBasisRiskHybrid(
+    currentPrice, startPrice, minsLeft, z, pUp, pDown, upAsk, downAsk,
+    symbol, logger, sharesUp, sharesDown, snapshot.basis ?? null, config
+  );
+
+  if (!basisCheck.safe) {
+    logger.log(`Skipping trade: ${basisCheck.reason}`);
+    return skip("basis_risk", { detail: basisCheck.reason });
+  }
+
+  // Trade Logic - Directional
+  // EXPERIMENT: Keep track
+  let zVelocity = 0;
+  let cappedPredictedZ = z; // Default to current z
+  if (state.zHistory.length >= 3) {
+    const recent = state.zHistory.slice(-3);
+    const timeSpan = (recent[2].ts - recent[0].ts) / 1000; // seconds
+    const zChange = recent[2].z - recent[0].z;
+    zVelocity = timeSpan > 0 ? zChange / timeSpan : 0;
+
+    // Predict where z will be in 20 seconds
+    const predictedZ = z + (zVelocity * 20);
+    const maxPrediction = Math.abs(z) + 2.0; // Can't predict more than +2σ from current
+    cappedPredictedZ = Math.sign(predictedZ) * Math.min(Math.abs(predictedZ), maxPrediction);
+
+    logger.log(`💭 Prediction: z=${z.toFixed(2)}, velocity=${zVelocity.toFixed(3)}/s, predicted20s=${predictedZ.toFixed(2)}${predictedZ !== cappedPredictedZ ? ` (capped to ${cappedPredictedZ.toFixed(2)})` : ''}`);
+
+    // Lower threshold if strong upward trajectory
+    const minVelocity = 0.05; // Must be moving at least 0.05 z-score per second
+    if (Math.abs(cappedPredictedZ) > 2.0 &&
+        Math.sign(cappedPredictedZ) === Math.sign(z) &&
+        Math.abs(zVelocity) > minVelocity) {
+      const originalZMin = effectiveZMin;
+      effectiveZMin *= 0.85;
+      logger.log(`📈 Strong trajectory detected: threshold ${originalZMin.toFixed(2)} → ${effectiveZMin.toFixed(2)}`);
+    }
+  }
+
+  let candidates = [];
+  if (z >= effectiveZMin && upAsk) {
+    const evBuyUp = pUp - upAsk - fee(upAsk, "taker");
+    logger.log(`Up ask=${upAsk.toFixed(3)}, pUp=${pUp}, EV buy Up=${evBuyUp.toFixed(4)} after fees`);
+    candidates.push({ side: "UP", ev: evBuyUp, ask: upAsk, bid: snapshot.upBid });
+  } else {
+    logger.log(`We don't buy Up here (z=${z.toFixed(3)} < ${effectiveZMin.toFixed(2)} or no ask).`);
+  }
+
+  if (z <= -effectiveZMin && downAsk) {
+    const evBuyDown = pDown - downAsk - fee(downAsk, "taker");
+    logger.log(`Down ask=${downAsk.toFixed(3)}, pDown=${pDown}, EV buy Down=${evBuyDown.toFixed(4)} after fees`);
+    candidates.push({ side: "DOWN", ev: evBuyDown, ask: downAsk, bid: snapshot.downBid });
+  } else {
+    logger.log(`We don't buy Down here (z=${z.toFixed(3)} > ${-effectiveZMin.toFixed(2)} or no ask).`);
+  }
+
+  // Dynamic edge requirements
+  let dynamicMinEdge = (minsLeft > config.MINUTES_LEFT ? config.MIN_EDGE_EARLY : config.MIN_EDGE_LATE);
+
+  // Low vol adjustment
+  if (regimeScalar <= 1.1) {
+    dynamicMinEdge = dynamicMinEdge * 0.6;
+  }
+
+  // Asset-specific adjustments
+  dynamicMinEdge += config.EDGE_ADJUST_BY_ASSET[symbol] || 0;
+
+  logger.log(`Min Edge Required: ${dynamicMinEdge.toFixed(4)} (Scalar: ${regimeScalar.toFixed(2)})`);
+
+  candidates = candidates.filter(c => {
+    let required = dynamicMinEdge;
+    const cProb = c.side === "UP" ? pUp : pDown;
+
+    if (cProb < 0.90) {
+      required = Math.max(required, config.LOW_PROB_MIN_EDGE);
+    }
+
+    // Maker: price the bid so the edge holds at our own price, not at the ask
+    if (config.ENTRY_MODE === "maker") {
+      // Fees are proportional to price: price + fee <= fair - required
+      c.price = makerBidPrice(c.bid, c.ask, (cProb - required) / (1 + fee(1, "maker")), config);
+      if (c.price === null) return false;
+      c.ev = cProb - c.price - fee(c.price, "maker");
+      logger.log(`Maker bid ${c.side} @ ${c.price.toFixed(2)} (bid ${c.bid ? c.bid.toFixed(2) : "none"}, ask ${c.ask.toFixed(2)}), EV=${c.ev.toFixed(4)}`);
+    }
+
+    c.required = required;
+    return c.ev > required;
+  });
+
+  if (z > 0 && z < 0.8 && sharesUp >= config.MAX_SHARES_WEAK_SIGNAL) {
+    logger.log(`⚠️  Weak signal position limit: ${sharesUp} UP shares`);
+    // Only allow DOWN (hedge)
+    candidates = candidates.filter(c => c.side === 'DOWN');
+    if (candidates.length === 0) return skip("weak_signal_limit", { side: "UP" });
+  }
+
+  if (z < 0 && z > -0.8 && sharesDown >= config.MAX_SHARES_WEAK_SIGNAL) {
+    logger.log(`⚠️  Weak signal position limit: ${sharesDown} DOWN shares`);
+    // Only allow UP (hedge)
+    candidates = candidates.filter(c => c.side === 'UP');
+    if (candidates.length === 0) return skip("weak_signal_limit", { side: "DOWN" });
+  }
+
+  // Positions as they will be once the orders returned so far are placed
+  const book = {
+    position: { UP: sharesUp, DOWN: sharesDown },
+    sharesBought: snapshot.sharesBought || 0,
+    portfolio: { ...(snapshot.portfolio || {}) }
+  };
+  const emit = (order) => {
+    result.orders.push(order);
+    book.position[order.side] += order.size;
+    book.sharesBought += order.size;
+    book.portfolio[symbol] = (book.portfolio[symbol] || 0) + (order.side === "UP" ? order.size : -order.size);
+  };
+
+  // ============================================================
+  // LATE GAME MODE (SIGNAL-AWARE)
+  // ============================================================
+  const zMaxRouted = config.Z_MAX_FAR > 0 && absZ > dynamicZMax(minsLeft, config);
+  const lateGame = minsLeft < 2 || zMaxRouted;
+  const lateGameTakes = config.ENTRY_MODE !== "maker" || config.MAKER_LATE_GAME_TAKES;
+  if (lateGame && !lateGameTakes) {
+    logger.log(`Maker mode: no late-game taker entries, quoting instead (MAKER_LATE_GAME_TAKES off)`);
+  } else if (zMaxRouted && minsLeft >= 2) {
+    logger.log(`📈 |z|=${absZ.toFixed(2)} > ${dynamicZMax(minsLeft, config).toFixed(2)} cap at ${minsLeft.toFixed(1)}m: late game`);
+  }
+  if (lateGame && lateGameTakes) {
+    const late = decideLateGame({
+      snapshot, minsLeft, orderTtlSecs, state, signal, absZ, sharesUp, sharesDown, zVelocity, cappedPredictedZ,
+      book, emit, skip, fee, result, logger, config
+    });
+    if (late) return late;
+  }
+
+  // --- Normal Entry ---
+  if (!candidates.length) {
+    logger.log("No trade candidates with positive EV.");
+    return skip("no_candidates");
+  }
+
+  const best = candidates.reduce((a, b) => a.ev > b.ev ? a : b);
+  let price = best.price ?? best.ask; // maker bid or the ask
+  let ev = best.ev;
+
+  const prob = best.side === "UP" ? pUp : pDown;
+  const riskBand = getRiskBand(prob, price, config);
+
+  let size = sizeForTrade(best.ev, minsLeft, { riskBand, minEdgeOverride: dynamicMinEdge }, config);
+  if (size <= 0) {
+    logger.log(`EV>0 but size=0`);
+    return skip("size_zero");
+  }
+  const wantedSize = size;
+
+  let maxPrice = config.ENABLE_MAX_PRICE_BY_TIME ? getMaxPriceForTime(minsLeft, config) : 1;
+  if (config.ENABLE_MAX_PRICE_BY_TIME && absZ > 3.0) {
+    maxPrice = 0.98;
+    logger.log(`🚀 Z=${z.toFixed(2)} overrides time-based price cap. New max: 0.98`);
+  }
+
+  // Take only what the book offers near the ask (a resting maker bid waits for sellers instead)
+  let depth = null;
+  if (config.ENTRY_MODE !== "maker" && price <= maxPrice) {
+    const limit = Math.min(best.ask + config.DEPTH_TOLERANCE, maxPrice);
+    depth = sweepAsks(best.side === "UP" ? snapshot.upAsks : snapshot.downAsks, size, limit);
+    if (depth && depth.size < size) {
+      logger.log(`💧 Liquidity-constrained: ${size} → ${depth.size} ${best.side} shares (${depth.offered} offered ≤ $${limit.toFixed(2)})`);
+    }
+    if (depth && depth.size < config.DEPTH_MIN_SHARES) {
+      return skip("thin_book", { side: best.side, offered: depth.offered, limit });
+    }
+  }
+  if (depth) {
+    size = depth.size;
+    price = depth.worst;
+    ev = prob - depth.vwap - fee(depth.vwap, "taker");
+    if (depth.levels > 1) {
+      logger.log(`Sweeping ${depth.levels} levels to $${price.toFixed(2)}: VWAP $${depth.vwap.toFixed(4)}, EV=${ev.toFixed(4)}`);
+      if (ev <= best.required) return skip("depth_edge", { vwap: depth.vwap, ev, required: best.required });
+    }
+  }
+
+  const capCheck = canPlaceOrder(book.position, book.sharesBought, best.side, size, symbol, config);
+  const corrCheck = checkCorrelationRisk(book.portfolio, symbol, best.side, size, config);
+
+  if (!capCheck.ok) {
+    logger.log(`Skip normal trade; cap hit. (reason=${capCheck.reason})`);
+    return skip("cap", { detail: capCheck.reason });
+  }
+
+  if (!corrCheck.ok) {
+    logger.log(`Skip normal trade; correlation risk: ${corrCheck.portfolioRisk.toFixed(1)} > ${corrCheck.limit}`);
+    return skip("correlation", { portfolioRisk: corrCheck.portfolioRisk, limit: corrCheck.limit });
+  }
+
+  // BUG FIX #3: Store entryZ right before placing order. A maker bid may never fill,
+  // so its z travels with the quote and the caller stores it on the first fill
+  if (state.entryZ === null && config.ENTRY_MODE !== "maker") {
+    state.entryZ = z;
+    logger.log(`[Entry Signal] Stored z=${z.toFixed(2)} (NORMAL entry)`);
+  }
+
+  if (price > maxPrice) {
+    logger.log(`🛑 Price ${price.toFixed(2)} > ${maxPrice.toFixed(2)} max (${minsLeft.toFixed(1)}m left)`);
+    return skip("max_price", { price, maxPrice });
+  }
+
+  const fillPrice = depth?.vwap ?? price;
+  if (config.ENABLE_RISK_REWARD_CHECK &&
+      !checkRiskReward(fillPrice, size, prob, minsLeft, logger, fee(fillPrice, config.ENTRY_MODE === "maker" ? "maker" : "taker"))) {
+    return skip("risk_reward");
+  }
+
+  if (minsLeft < 1.0) {
+    if (prob < 0.90) {
+      logger.log(`🛑 NORMAL order too late with low conviction: ${(prob * 100).toFixed(1)}% at ${(minsLeft * 60).toFixed(0)}s`);
+      return skip("late_low_conviction");
+    }
+
+    const profitMargin = 1.0 - price;
+    if (profitMargin < 0.20) {
+      logger.log(`🛑 NORMAL order: margin too thin ($${profitMargin.toFixed(2)}) for ${(prob * 100).toFixed(1)}% conviction`);
+      return skip("thin_profit_margin");
+    }
+  }
+
+  const order = {
+    type: "NORMAL",
+    side: best.side,
+    price,
+    size,
+    ev,
+    prob,
+    expiresAt: Math.floor(now / 1000) + orderTtlSecs
+  };
+  if (depth) Object.assign(order, { vwap: depth.vwap, wantedSize });
+
+  if (config.ENTRY_MODE === "maker") {
+    logger.log(`QUOTE: BID ${best.side} @ ${price.toFixed(2)} (Size: ${size}, fair ${prob.toFixed(3)})`);
+    result.quote = { ...order, type: "MAKER", entryZ: z };
+    return result;
+  }
+
+  logger.log(`SIGNAL: BUY ${best.side} @ ${price.toFixed(2)} (Size: ${size})`);
+  emit(order);
+
+  return result;
+}
+
+// LATE_LAYER / EXTREME entries in the final 2 minutes. Returns the result when the late
+// path handled the tick, or null to fall through to the normal entry.
+function decideLateGame(ctx) {
+  const { snapshot, minsLeft, orderTtlSecs, state, signal, absZ, sharesUp, sharesDown, zVelocity, cappedPredictedZ, book, emit, skip, fee, result, logger, config } = ctx;
+  const { now, symbol, startPrice, currentPrice, upAsk, downAsk } = snapshot;
+  const { z, pUp, pDown, rawRegimeScalar, regimeScalar } = signal;
+
+  // ==============================================
+  // Signal-Aware LATE_LAYER
+  // Check if signal has reversed since entry
+  // ==============================================
+
+  if (state.entryZ !== null) {
+    const entrySignal = state.entryZ;
+    const currentSignal = z;
+
+    const signalFlipped = Math.sign(entrySignal) !== Math.sign(currentSignal)
+                          && Math.sign(entrySignal) !== 0
+                          && Math.sign(currentSignal) !== 0;
+
+    const reversalMagnitude = Math.abs(currentSignal - entrySignal);
+    const largeReversal = reversalMagnitude > 1.0;
+
+    if (signalFlipped && largeReversal) {
+      logger.log(`⛔ LATE_LAYER BLOCKED: Signal reversed ${entrySignal.toFixed(2)} → ${currentSignal.toFixed(2)}`);
+      return skip("late_reversal", { entryZ: entrySignal });
+    }
+  }
+
+  if (minsLeft > 1.5 && state.zHistory.length >= 3) {
+    const recent30s = state.zHistory.filter(h => now - h.ts < Z_HISTORY_MS);
+
+    if (recent30s.length >= 3) {
+      const oldestZ = Math.abs(recent30s[0].z);
+      const currentZ = Math.abs(z);
+      const timeSpan = (now - recent30s[0].ts) / 1000;
+
+      // Signal increased >50% in last 30 seconds?
+      if (currentZ > oldestZ * 1.5 && oldestZ > 0.3) {
+        const percentIncrease = ((currentZ - oldestZ) / oldestZ * 100);
+
+        logger.log(`⚠️  SIGNAL SPIKE DETECTED`);
+        logger.log(`   z: ${oldestZ.toFixed(2)} → ${currentZ.toFixed(2)} (+${percentIncrease.toFixed(0)}%) in ${timeSpan.toFixed(0)}s`);
+
+        // Only block if we already have shares (prevents adding to spike)
+        if (sharesUp + sharesDown > 0) {
+          logger.log(`⛔ Skipping entry - spikes often reverse (mean reversion risk)`);
+          return skip("signal_spike");
+        }
+
+        logger.log(`   Exception: No position yet, allowing cautious entry`);
+      }
+    }
+  }
+
+  const expiresAt = Math.floor(now / 1000) + orderTtlSecs;
+  const secsLeft = minsLeft * 60;
+  let pReq = requiredLateProb(secsLeft);
+  if (Math.abs(cappedPredictedZ) > 2.5 && Math.abs(zVelocity) > 0.05) {
+    const originalPReq = pReq;
+    pReq *= 0.95; // 5% easier (85% → 80.75%)
+    logger.log(`📈 LATE_LAYER trajectory: pReq ${originalPReq.toFixed(3)} → ${pReq.toFixed(3)}`);
+  }
+
+  let lateSide = null, sideProb = 0, sideAsk = 0;
+
+  if (pUp >= pReq && z > Math.max(0.7 * regimeScalar, 0.3)) {
+    lateSide = "UP";
+    sideProb = pUp;
+    sideAsk = upAsk || 0.99;
+  } else if (pDown >= pReq && z < -Math.max(0.7 * regimeScalar, 0.3)) {
+    lateSide = "DOWN";
+    sideProb = pDown;
+    sideAsk = downAsk || 0.99;
+  }
+
+  if (minsLeft < 2 && minsLeft > 0.5 && sideAsk > 0.85) {
+    // Require price to be at least 0.5 sigma away from strike
+    const minDistanceRequired = 0.5 * snapshot.sigmaPerMin * Math.sqrt(snapshot.minsLeft);
+    const actualDistance = Math.abs(currentPrice - startPrice);
+
+    if (actualDistance < minDistanceRequired) {
+      logger.log(`⛔ THIN MARGIN: $${actualDistance.toFixed(2)} < $${minDistanceRequired.toFixed(2)} (0.5σ at ${snapshot.minsLeft.toFixed(1)}m)`);
+      logger.log(`   Too close to strike for expensive late entry`);
+      return skip("thin_margin");
+    } else {
+      logger.log(`✅ Margin OK: $${actualDistance.toFixed(2)} > $${minDistanceRequired.toFixed(2)} (${(actualDistance/minDistanceRequired).toFixed(1)}σ)`);
+    }
+  }
+
+  if (!lateSide) return null;
+
+  // Time-graduated maximum prices for LATE_LAYER
+  // Stricter caps as we get closer to expiry (higher gamma risk)
+  let lateGameMax;
+  if (minsLeft < 0.5) {
+    lateGameMax = 0.85;  // <30s: very strict (need 85%+ win rate)
+  } else if (minsLeft < 1.0) {
+    lateGameMax = 0.88;  // <1min: strict (need 88%+ win rate)
+  } else if (minsLeft < 1.5) {
+    lateGameMax = 0.92;  // <90s: moderate (need 92%+ win rate)
+  } else {
+    lateGameMax = config.LATE_GAME_MAX_PRICE;
+  }
+  if (sideAsk > lateGameMax) {
+    logger.log(`⛔ LATE GAME: ${(sideAsk*100).toFixed(0)}¢ > ${(lateGameMax*100).toFixed(0)}¢ max @ ${(minsLeft*60).toFixed(0)}s left`);
+    logger.log(`   ${symbol}: Too close to expiry for expensive bets`);
+    return skip("late_price_cap", { price: sideAsk, maxPrice: lateGameMax });
+  }
+
+  // 1. EXTREME SIGNAL - Kelly Criterion sizing
+  let zHugeDynamic = Math.min(2.8, config.Z_HUGE * regimeScalar); // Capped at 2.8
+
+  // RESTORED: Apply low-vol adjustment to extreme threshold
+  if (rawRegimeScalar < 1.1) {
+    const oldZHuge = zHugeDynamic;
+    zHugeDynamic *= config.LOW_VOL_EXTREME_BOOST;
+    logger.log(`[Low Vol] Extreme threshold: ${oldZHuge.toFixed(2)} → ${zHugeDynamic.toFixed(2)}`);
+  }
+
+  if (absZ >= zHugeDynamic && secsLeft <= config.LATE_GAME_EXTREME_SECS &&
+      sideAsk <= config.LATE_GAME_MAX_PRICE && (sideProb - sideAsk - fee(sideAsk, "taker")) >= config.LATE_GAME_MIN_EV) {
+
+    const limitPrice = Math.min(sideAsk, config.LATE_GAME_MAX_PRICE);
+    const maxShares = config.MAX_SHARES_PER_MARKET[symbol] || 500;
+
+    // Use Kelly instead of fixed fraction
+    const kellyShares = kellySize(sideProb, limitPrice, maxShares, config.ASSET_SPECIFIC_KELLY_FRACTION[symbol] || 0.15, fee(limitPrice, "taker"));
+    let bigSize = Math.max(10, Math.floor(kellyShares / 10) * 10); // Round to 10
+    let extremePrice = limitPrice;
+    let extremeEv = sideProb - limitPrice - fee(limitPrice, "taker");
+
+    // Capped by the depth near the ask, like normal entries
+    const depthLimit = Math.min(sideAsk + config.DEPTH_TOLERANCE, config.LATE_GAME_MAX_PRICE);
+    const depth = sweepAsks(lateSide === "UP" ? snapshot.upAsks : snapshot.downAsks, bigSize, depthLimit);
+    let depthOk = true;
+    if (depth) {
+      if (depth.size < bigSize) {
+        logger.log(`💧 Liquidity-constrained EXTREME: ${bigSize} → ${depth.size} ${lateSide} shares (${depth.offered} offered ≤ $${depthLimit.toFixed(2)})`);
+      }
+      extremeEv = depth.size > 0 ? sideProb - depth.vwap - fee(depth.vwap, "taker") : 0;
+      depthOk = depth.size >= config.DEPTH_MIN_SHARES && extremeEv >= config.LATE_GAME_MIN_EV;
+      if (depthOk) {
+        bigSize = depth.size;
+        extremePrice = depth.worst;
+      } else {
+        logger.log(`Skipping EXTREME; book too thin (${depth.offered} offered, EV=${extremeEv.toFixed(4)})`);
+      }
+    }
+
+    const capCheck = canPlaceOrder(book.position, book.sharesBought, lateSide, bigSize, symbol, config);
+    const corrCheck = checkCorrelationRisk(book.portfolio, symbol, lateSide, bigSize, config);
+
+    if (depthOk && capCheck.ok && corrCheck.ok) {
+      // BUG FIX #3: Store entryZ right before placing order
+      if (state.entryZ === null) {
+        state.entryZ = z;
+        logger.log(`[Entry Signal] Stored z=${z.toFixed(2)} (EXTREME entry)`);
+      }
+
+      logger.log(`EXTREME: Buying ${bigSize} ${lateSide} @ ${extremePrice} (Kelly-sized, z=${absZ.toFixed(2)})`);
+
+      emit({
+        type: "EXTREME",
+        side: lateSide,
+        price: extremePrice,
+        size: bigSize,
+        ev: extremeEv,
+        prob: sideProb,
+        expiresAt,
+        ...(depth && { vwap: depth.vwap })
+      });
+      return result;
+    } else {
+      if (!capCheck.ok) {
+        logger.log(`Skipping EXTREME; cap hit. (reason=${capCheck.reason})`);
+      }
+      if (!corrCheck.ok) {
+        logger.log(`Skipping EXTREME; correlation risk too high: ${corrCheck.portfolioRisk.toFixed(1)} > ${corrCheck.limit}`);
+      }
+    }
+  }
+
+  // ==============================================
+  // BUG FIX #2: Signal-Aware Position Cap
+  // Fixed logic to properly detect sign flips before checking weakening
+  // ==============================================
+
+  const totalShares = sharesUp + sharesDown;
+  if (totalShares >= 200 && state.entryZ !== null) {
+    const entrySignalForCap = state.entryZ;
+    const currentSignalForCap = z;  // Don't use Math.abs() - we need the sign!
+    const entryStrength = Math.abs(entrySignalForCap);
+
+    // CRITICAL: Check if signal flipped sign FIRST
+    const sameSign = Math.sign(entrySignalForCap) === Math.sign(currentSignalForCap);
+    if (!sameSign) {
+      // Signal reversed - always block regardless of magnitude
+      logger.log(`⛔ LATE_LAYER CAP: Signal reversed ${entrySignalForCap.toFixed(2)} → ${currentSignalForCap.toFixed(2)}`);
+      return skip("late_cap_reversed");
+    }
+
+    // WHIPSAW DETECTION: Track weakest signal since entry
+    // Initialize minZSinceEntry on first check
+    if (state.minZSinceEntry === undefined || state.minZSinceEntry === null) {
+      state.minZSinceEntry = entrySignalForCap;
+    }
+
+    // Update minimum if current signal is weaker (closer to zero)
+    if (Math.abs(currentSignalForCap) < Math.abs(state.minZSinceEntry)) {
+      state.minZSinceEntry = currentSignalForCap;
+      logger.log(`📊 New weakest signal: ${currentSignalForCap.toFixed(2)} (entry: ${entrySignalForCap.toFixed(2)})`);
+    }
+
+    // Check if signal EVER dropped >30% (even if it recovered)
+    const worstWeakening = (entryStrength - Math.abs(state.minZSinceEntry)) / entryStrength;
+
+    if (worstWeakening > 0.3) {
+      logger.log(`⛔ LATE_LAYER CAP: Signal dropped ${(worstWeakening*100).toFixed(0)}% since entry (WHIPSAW)`);
+      logger.log(`   Entry: ${entrySignalForCap.toFixed(2)} → Lowest: ${state.minZSinceEntry.toFixed(2)} → Current: ${currentSignalForCap.toFixed(2)}`);
+      return skip("late_whipsaw", { worstWeakening });
+    }
+
+    // Also check current weakening (kept as backup)
+    const currentStrength = Math.abs(currentSignalForCap);
+    const currentWeakening = (entryStrength - currentStrength) / entryStrength;
+
+    if (currentWeakening > 0.3) {
+      logger.log(`⛔ LATE_LAYER CAP: Signal currently weak ${(currentWeakening*100).toFixed(0)}% (${totalShares} shares)`);
+      return skip("late_weak", { currentWeakening });
+    }
+  }
+
+  // 2. HYBRID LAYERED MODEL
+  const { LAYER_OFFSETS, LAYER_MIN_EV } = config;
+
+  let edgePenalty = config.LAYER_PENALTY_BY_ASSET[symbol] || 0;
+  if (sideProb < 0.90) {
+    edgePenalty += config.LAYER_LOW_PROB_PENALTY;
+  }
+
+  logger.log(
+    `Late game hybrid: side=${lateSide}, prob=${sideProb.toFixed(4)}, ` +
+    `ask=${sideAsk.toFixed(3)}, Penalty=${edgePenalty.toFixed(3)}`
+  );
+
+  for (let i = 0; i < LAYER_OFFSETS.length; i++) {
+    let target = sideAsk + LAYER_OFFSETS[i];
+    target = Math.max(0.01, Math.min(target, lateGameMax));
+
+    // Layers at or above the ask take; the ones below it rest on the book
+    const layerFee = fee(target, target >= sideAsk ? "taker" : "maker");
+    const ev = sideProb - target - layerFee;
+    let minEv = LAYER_MIN_EV[i];
+
+    if (regimeScalar < 1.2) {
+      minEv *= config.LAYER_REGIME_EV_MULT;
+    }
+    const finalMinEv = minEv + edgePenalty;
+
+    if (ev < finalMinEv) {
+      logger.log(`Layer ${i}: skip @${target.toFixed(2)} (EV=${ev.toFixed(4)} < ${finalMinEv.toFixed(4)})`);
+      continue;
+    }
+
+    const layerRiskBand = getRiskBand(sideProb, target, config);
+
+    const layerSize = sizeForTrade(ev, minsLeft, { minEdgeOverride: 0.0, riskBand: layerRiskBand }, config);
+    if (layerSize <= 0) {
+      logger.log(`Late layer ${i}: size <= 0, skipping.`);
+      continue;
+    }
+
+    // Risk/reward check only applies for early LATE_LAYER entries (>3 mins)
+    // Late game LATE_LAYER (<3 mins) has higher confidence - trust the strategy
+    // This allows profitable 99¢ trades at 1-2 mins with 99%+ probability
+    if (config.ENABLE_RISK_REWARD_CHECK && minsLeft > config.MINUTES_LEFT &&
+        !checkRiskReward(target, layerSize, sideProb, minsLeft, logger, layerFee)) {
+      logger.log(`Layer ${i}: skip, risk/reward too poor`);
+      continue;
+    }
+
+    const capCheck = canPlaceOrder(book.position, book.sharesBought, lateSide, layerSize, symbol, config);
+    const corrCheck = checkCorrelationRisk(book.portfolio, symbol, lateSide, layerSize, config);
+
+    if (!capCheck.ok) {
+      logger.log(`Layer ${i} skip; cap hit. (reason=${capCheck.reason})`);
+      continue;
+    }
+
+    if (!corrCheck.ok) {
+      logger.log(`Layer ${i} skip; correlation risk: ${corrCheck.portfolioRisk.toFixed(1)} > ${corrCheck.limit}`);
+      continue;
+    }
+
+    if (capCheck.reason === "hedge_beyond_cap") {
+      logger.log(`Layer ${i} allowed beyond cap (hedge).`);
+    }
+
+    const limitPrice = Number(target.toFixed(2));
+
+    // BUG FIX #3: Store entryZ right before placing order
+    if (state.entryZ === null) {
+      state.entryZ = z;
+      logger.log(`[Entry Signal] Stored z=${z.toFixed(2)} (LATE_LAYER entry)`);
+    }
+
+    logger.log(`Late layer ${i}: BUY ${lateSide} @ ${limitPrice}, size=${layerSize}, EV=${ev.toFixed(4)} (Req: ${finalMinEv.toFixed(4)})`);
+
+    emit({
+      type: "LATE_LAYER",
+      layer: i,
+      side: lateSide,
+      price: limitPrice,
+      size: layerSize,
+      ev,
+      prob: sideProb,
+      expiresAt
+    });
+  }
+
+  return result; // Exit after late game processing
+}
+
+export const StrategyCore = {
+  DEFAULT_CONFIG,
+  createSlugState,
+  stateAfterExit,
+  computeSignal,
+  decide,
+  thresholdMinsLeft,
+  isTradingWindow,
+  isUSTradingHours,
+  estimateDrift,
+  normCdf: Distributions.normCdf,
+  kellySize,
+  feePerShare,
+  sizeForTrade,
+  canPlaceOrder,
+  checkCorrelationRisk
+};
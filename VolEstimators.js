@@ -0,0 +1,141 @@
+// Volatility estimators for VolatilityManager and compare_vol.js.
+// Each takes 1-minute bars, oldest first ({ ts, price, high, low } - price is the close,
+// high/low are missing on bars recorded before they were kept), and returns sigma of
+// 1-minute log returns, or null without enough data. Picked with VOL_ESTIMATOR:
+//   stdev      sample standard deviation of the log returns (the original estimator)
+//   ewma       exponentially weighted mean of squared returns, decay VOL_EWMA_LAMBDA per minute
+//   garch      GARCH(1,1) with VOL_GARCH_ALPHA / VOL_GARCH_BETA and the window's variance as the
+//              long-run level; with a horizon the forecast is averaged over the minutes left
+//   parkinson  high/low range of each bar (ln(H/L)^2 / 4 ln 2), about 5x as efficient as
+//              closes; falls back to stdev when too few bars carry a range
+//
+// Seasonality: hour-of-week multipliers (168, UTC, Sunday 00:00 first) learned from the
+// ranges of hourly candles and shrunk toward 1. VOL_SEASONALITY rescales an estimate from
+// the hour its window sat in to the current one.
+
+const MIN_RETURNS = 9;
+const SEASON_PRIOR_HOURS = 2; // Shrinkage: each slot starts with this many hours at the overall level
+const HOURS_PER_WEEK = 168;
+const PARKINSON_K = 1 / (4 * Math.log(2));
+
+function logReturns(bars) {
+  const returns = [];
+  for (let i = 1; i < bars.length; i++) returns.push(Math.log(bars[i].price / bars[i - 1].price));
+  return returns;
+}
+
+function stdev(bars) {
+  const returns = logReturns(bars);
+  if (returns.length < MIN_RETURNS) return null;
+  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
+  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
+  return Math.sqrt(variance);
+}
+
+function ewma(bars, config) {
+  const returns = logReturns(bars);
+  if (returns.length < MIN_RETURNS) return null;
+  const lambda = config.VOL_EWMA_LAMBDA;
+  // Seed with the first returns' mean square so the start isn't pinned at 0
+  const seed = returns.slice(0, MIN_RETURNS);
+  let variance = seed.reduce((sum, r) => sum + r * r, 0) / seed.length;
+  for (const r of returns.slice(MIN_RETURNS)) variance = lambda * variance + (1 - lambda) * r * r;
+  return Math.sqrt(variance);
+}
+
+function garch(bars, config, horizonMins) {
+  const returns = logReturns(bars);
+  if (returns.length < MIN_RETURNS) return null;
+  const alpha = config.VOL_GARCH_ALPHA;
+  const beta = config.VOL_GARCH_BETA;
+  const persistence = alpha + beta;
+
+  // Variance targeting: the window's mean square is the long-run level
+  const longRun = returns.reduce((sum, r) => sum + r * r, 0) / returns.length;
+  const omega = longRun * (1 - persistence);
+  let variance = longRun;
+  for (const r of returns) variance = omega + alpha * r * r + beta * variance;
+
+  // variance is the next minute's forecast; over h minutes it reverts toward the long run
+  const h = horizonMins > 1 ? horizonMins : 1;
+  const mean = h > 1 && persistence < 1
+    ? longRun + (variance - longRun) * (1 - Math.pow(persistence, h)) / (h * (1 - persistence))
+    : variance;
+  return Math.sqrt(mean);
+}
+
+function parkinson(bars) {
+  const ranged = bars.filter(b => b.high > 0 && b.low > 0 && b.high >= b.low);
+  if (ranged.length < MIN_RETURNS) return stdev(bars);
+  const variance = ranged.reduce((sum, b) => sum + Math.pow(Math.log(b.high / b.low), 2), 0) * PARKINSON_K / ranged.length;
+  return Math.sqrt(variance);
+}
+
+const ESTIMATORS = { stdev, ewma, garch, parkinson };
+
+/**
+ * Sigma of 1-minute log returns.
+ * @param {Object[]} bars - 1-minute bars, oldest first
+ * @param {Object} config - VOL_ESTIMATOR and its parameters
+ * @param {number} [horizonMins] - Minutes the forecast is for (garch)
+ * @returns {number|null}
+ */
+function estimate(bars, config, horizonMins = null) {
+  const fn = ESTIMATORS[config.VOL_ESTIMATOR] ?? stdev;
+  return fn(bars || [], config, horizonMins);
+}
+
+// ---------- SEASONALITY ----------
+
+function hourOfWeek(ts) {
+  const d = new Date(ts);
+  return d.getUTCDay() * 24 + d.getUTCHours();
+}
+
+/**
+ * Hour-of-week multipliers from hourly candles.
+ * @param {{ts: number, high: number, low: number}[]} candles - ts is the candle's open time
+ * @returns {number[]|null} 168 multipliers of sigma (1 = average hour), null without data
+ */
+function learnSeasonality(candles) {
+  const slots = Array.from({ length: HOURS_PER_WEEK }, () => ({ n: 0, sum: 0 }));
+  let n = 0;
+  let sum = 0;
+  for (const c of candles) {
+    if (!(c.high > 0 && c.low > 0)) continue;
+    const v = Math.pow(Math.log(c.high / c.low), 2);
+    const slot = slots[hourOfWeek(c.ts)];
+    slot.n++;
+    slot.sum += v;
+    n++;
+    sum += v;
+  }
+  if (n === 0 || sum === 0) return null;
+
+  const overall = sum / n;
+  return slots.map(s => {
+    const v = (s.sum + SEASON_PRIOR_HOURS * overall) / (s.n + SEASON_PRIOR_HOURS);
+    return Number(Math.sqrt(v / overall).toFixed(4));
+  });
+}
+
+/**
+ * Rescale an estimate from the hour its window was centred on to the hour of now.
+ * @param {number[]} multipliers - learnSeasonality()
+ * @param {number} now
+ * @param {number} windowMidTs - Middle of the estimator's window
+ */
+function seasonalFactor(multipliers, now, windowMidTs) {
+  if (!multipliers) return 1;
+  const from = multipliers[hourOfWeek(windowMidTs)];
+  const to = multipliers[hourOfWeek(now)];
+  return from > 0 && to > 0 ? to / from : 1;
+}
+
+export const VolEstimators = {
+  NAMES: Object.keys(ESTIMATORS),
+  estimate,
+  hourOfWeek,
+  learnSeasonality,
+  seasonalFactor
+};
@@ -1,116 +1,95 @@
 import fs from "fs";
+import { AssetRegistry } from "./AssetRegistry.js";
+import { VolEstimators } from "./VolEstimators.js";
+import { PriceStore } from "./PriceStore.js";
+import { Backfill } from "./Backfill.js";
 
-const HISTORY_FILE = "vol_history.json";
-const WINDOW_SIZE = 60; 
 const MIN_DATA_POINTS = 10; 
+const DEFAULT_WINDOW_MINS = 60;
+
+// Prices live in PriceStore: second-level prices for the last hour and 1-minute bars
+// (close plus the high/low of the prices seen during the minute, candles of the backfill
+// sources where missing) for the last 3 days, kept across restarts.
+// Sigma comes from the VOL_ESTIMATOR of the running profile (VolEstimators.js) on the bars
+// of the last VOL_WINDOW_MINS. With VOL_SEASONALITY the estimate is rescaled by hour-of-week multipliers
+// learned from ~6 weeks of hourly Binance candles, kept in SEASONALITY_FILE and refreshed daily.
+const SEASONALITY_FILE = "vol_seasonality.json";
+const SEASONALITY_CANDLES = 1000;
+const SEASONALITY_MAX_AGE_MS = 24 * 60 * 60 * 1000;
 
 // 1 Basis Point (bps) = 0.01% = 0.0001
-// These are the "Minimum Volatility" floors in Basis Points per Minute.
-// If realized vol drops below this, we assume this floor to prevent noise trading.
-const MIN_VOL_BPS = {
-  BTC: 3.5,  // Lowered to capture more BTC volume (your best asset)
-  ETH: 5.0,  // Keep steady
-  SOL: 6.0,  // Raised to reduce noise/churn (your worst asset)
-  XRP: 5.0,  // Keep steady
-};
+// Each asset's "Minimum Volatility" floor (minVolBps, bps per minute) and its backfill
+// symbols come from the asset registry (asset_registry.json).
+// If realized vol drops below the floor, we assume the floor to prevent noise trading.
+const DEFAULT_MIN_VOL_BPS = 5.0;
 
-// Map your symbols to Binance pairs for backfill
-const BINANCE_PAIRS = {
-  BTC: "BTCUSDT",
-  ETH: "ETHUSDT",
-  SOL: "SOLUSDT",
-  XRP: "XRPUSDT"
-};
+function minVolBps(symbol) {
+  return AssetRegistry.get(symbol)?.minVolBps ?? DEFAULT_MIN_VOL_BPS;
+}
 
-let history = {}; 
+let seasonality = {};  // symbol -> { updatedAt, multipliers }
 
-function loadHistory() {
-  try {
-    if (fs.existsSync(HISTORY_FILE)) {
-      history = JSON.parse(fs.readFileSync(HISTORY_FILE, "utf8"));
-    }
-  } catch (e) {
-    console.error("[VOL] Failed to load history, starting fresh.", e);
-  }
-}
+// Jump detection on sub-minute prices. The 1-minute closes above only see a sudden move
+// at the next bar, while z uses the current price right away - against a stale sigma.
+// checkJump() reads the second-level prices and flags a jump when the move over
+// JUMP_LOOKBACK_SECS exceeds JUMP_SIGMAS times the realized 1-minute sigma scaled to
+// that horizon. Events go to jumps-YYYYMMDD.jsonl next to the tick logs (backtest.js
+// replays them); StrategyCore decides what the guard does (JUMP_GUARD).
+let jumps = {};  // symbol -> last jump event
 
-function saveHistory() {
+function loadSeasonality() {
   try {
-    fs.writeFileSync(HISTORY_FILE, JSON.stringify(history));
+    if (fs.existsSync(SEASONALITY_FILE)) {
+      seasonality = JSON.parse(fs.readFileSync(SEASONALITY_FILE, "utf8"));
+    }
   } catch (e) {
-    console.error("[VOL] Failed to save history.", e);
+    console.error("[VOL] Failed to load seasonality, learning it again.", e.message);
   }
 }
 
 function updatePriceHistory(symbol, price) {
-  if (!history[symbol]) history[symbol] = [];
-  const now = Date.now();
-  const lastEntry = history[symbol][history[symbol].length - 1];
-
-  // Only add if ~1 minute has passed (58s buffer)
-  if (lastEntry && now - lastEntry.ts < 58 * 1000) {
-    return; 
-  }
-
-  history[symbol].push({ ts: now, price });
-  if (history[symbol].length > WINDOW_SIZE) {
-    history[symbol] = history[symbol].slice(-WINDOW_SIZE);
-  }
-  saveHistory();
+  PriceStore.record(symbol, price);
 }
 
 /**
  * NEW: Get price history for drift estimation
- * Returns array of price points within the specified window
+ * Returns the 1-minute closes within the specified window
  * @param {string} symbol - Asset symbol (BTC, ETH, etc.)
- * @param {number} windowMinutes - How many minutes of history to return
+ * @param {number} windowMinutes - How many minutes of history to return (up to 3 days)
  * @returns {Array<{price: number, timestamp: number}>} Price history
  */
 function getPriceHistory(symbol, windowMinutes = 60) {
-  const data = history[symbol];
-  
-  if (!data || data.length === 0) {
-    return [];
-  }
-
-  const now = Date.now();
-  const cutoffTime = now - (windowMinutes * 60 * 1000);
-  
-  // Filter to only include data within the window
-  const filtered = data.filter(entry => entry.ts >= cutoffTime);
-  
   // Return in format expected by drift calculation
-  return filtered.map(entry => ({
-    price: entry.price,
-    timestamp: entry.ts
+  return PriceStore.bars(symbol, windowMinutes).map(bar => ({
+    price: bar.price,
+    timestamp: bar.ts
   }));
 }
 
 /**
- * Calculates Realized Volatility (Standard Deviation of Log Returns).
+ * Calculates Realized Volatility (sigma of 1-minute log returns, in USD).
  * Enforces a dynamic floor based on Basis Points (BPS).
+ * @param {Object} [config] - VOL_ESTIMATOR and its knobs, VOL_WINDOW_MINS, VOL_SEASONALITY (default: sample stdev over 60 minutes)
+ * @param {number} [horizonMins] - Minutes the forecast is for (GARCH averages over them)
  */
-function getRealizedVolatility(symbol, currentPrice) {
-  const data = history[symbol];
+function getRealizedVolatility(symbol, currentPrice, config = null, horizonMins = null) {
+  const data = PriceStore.bars(symbol, config?.VOL_WINDOW_MINS ?? DEFAULT_WINDOW_MINS);
   
   // Calculate the Dynamic Floor in USD
-  const bps = MIN_VOL_BPS[symbol] || 5.0; // Default 5bps if symbol unknown
+  const bps = minVolBps(symbol); // Default 5bps if symbol unknown
   const dynamicFloorUSD = currentPrice * (bps / 10000);
 
-  if (!data || data.length < MIN_DATA_POINTS) {
+  if (data.length < MIN_DATA_POINTS) {
     return dynamicFloorUSD;
   }
 
-  const returns = [];
-  for (let i = 1; i < data.length; i++) {
-    // Log Return: ln(P_t / P_t-1)
-    const r = Math.log(data[i].price / data[i-1].price);
-    returns.push(r);
-  }
+  let stdDevReturns = VolEstimators.estimate(data, config ?? { VOL_ESTIMATOR: "stdev" }, horizonMins); // This is % volatility
+  if (stdDevReturns === null) return dynamicFloorUSD;
 
-  const mean = returns.reduce((a, b) => a + b, 0) / returns.length;
-  const variance = returns.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / (returns.length - 1);
-  const stdDevReturns = Math.sqrt(variance); // This is % volatility
+  if (config?.VOL_SEASONALITY) {
+    const windowMidTs = (data[0].ts + data[data.length - 1].ts) / 2;
+    stdDevReturns *= VolEstimators.seasonalFactor(seasonality[symbol]?.multipliers, Date.now(), windowMidTs);
+  }
 
   const calculatedSigmaUSD = currentPrice * stdDevReturns;
 
@@ -120,18 +99,54 @@ function getRealizedVolatility(symbol, currentPrice) {
   return Math.max(calculatedSigmaUSD, dynamicFloorUSD);
 }
 
+function jumpFile(ts) {
+  const d = new Date(ts);
+  return `jumps-${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, "0")}${String(d.getUTCDate()).padStart(2, "0")}.jsonl`;
+}
+
+/**
+ * Flag a jump of a price against the realized sigma (record it with updatePriceHistory first).
+ * A new event is only raised once the last one is older than JUMP_COOLDOWN_SECS.
+ * @param {Object} config - JUMP_SIGMAS, JUMP_LOOKBACK_SECS, JUMP_COOLDOWN_SECS
+ * @returns {Object|null} The new jump event { ts, symbol, price, fromPrice, secs, moveBps, sigmas }
+ */
+function checkJump(symbol, price, config, now = Date.now()) {
+  // Move since the oldest second inside the lookback
+  const from = PriceStore.seconds(symbol, config.JUMP_LOOKBACK_SECS + 1, now)
+    .find(s => now - s.ts <= config.JUMP_LOOKBACK_SECS * 1000);
+  if (!from || from.ts === now) return null;
+  const secs = Math.max((now - from.ts) / 1000, 1);
+  const move = Math.log(price / from.price);
+  const sigmaPerMin = getRealizedVolatility(symbol, price, config) / price;
+  const sigmas = Math.abs(move) / (sigmaPerMin * Math.sqrt(secs / 60));
+  if (!(sigmas >= config.JUMP_SIGMAS)) return null;
+
+  const prev = jumps[symbol];
+  if (prev && now - prev.ts < config.JUMP_COOLDOWN_SECS * 1000) return null;
+
+  const event = { ts: now, symbol, price, fromPrice: from.price, secs, moveBps: move * 10000, sigmas };
+  jumps[symbol] = event;
+  console.warn(`[VOL] ⚡ ${symbol} jump: ${event.moveBps.toFixed(1)}bps in ${secs.toFixed(0)}s (${sigmas.toFixed(1)}σ)`);
+  fs.appendFile(jumpFile(now), JSON.stringify(event) + "\n", (err) => { if (err) console.error("[VOL] Failed to record jump:", err.message); });
+  return event;
+}
+
+/** Last jump event of an asset (null if none since start) */
+function getJump(symbol) {
+  return jumps[symbol] ?? null;
+}
+
 function getVolRegimeRatio(symbol, currentSigmaUSD) {
   // We need to reconstruct the floor to calculate the ratio
   // Ratio = CurrentSigma / Floor
   // If Ratio is 1.0, we are at the floor (Low Vol)
   // If Ratio is 3.0, we are 3x above the floor (High Vol)
   
-  const data = history[symbol];
-  const lastPrice = data && data.length > 0 ? data[data.length - 1].price : 0;
+  const lastPrice = PriceStore.latest(symbol) ?? 0;
   
   if (lastPrice === 0) return 1.0;
 
-  const bps = MIN_VOL_BPS[symbol] || 5.0;
+  const bps = minVolBps(symbol);
   const dynamicFloorUSD = lastPrice * (bps / 10000);
   
   if (dynamicFloorUSD === 0) return 1.0;
@@ -139,51 +154,85 @@ function getVolRegimeRatio(symbol, currentSigmaUSD) {
   return currentSigmaUSD / dynamicFloorUSD;
 }
 
-async function backfillHistory(symbols) {
-  console.log("[VOL] Starting history backfill from Binance...");
-  
-  const promises = symbols.map(async (symbol) => {
-    if (history[symbol] && history[symbol].length > 50) {
-      const lastTs = history[symbol][history[symbol].length - 1].ts;
-      if (Date.now() - lastTs < 120 * 1000) {
-        console.log(`[VOL] ${symbol} history is fresh. Skipping backfill.`);
-        return;
+/**
+ * Fill the gaps in the stored bars from the backfill sources (Backfill.js), falling back
+ * from one source to the next. Cheap when nothing is missing, so it also runs periodically.
+ * @param {string[]} symbols
+ * @param {Object} [opts] - { sources } in the order to try them (default binance, pyth, file)
+ */
+async function backfillHistory(symbols, opts = {}) {
+  console.log("[VOL] Starting history backfill...");
+
+  await Promise.all(symbols.map(async (symbol) => {
+    try {
+      const { added, failed, missing } = await Backfill.fill(symbol, opts);
+      const filled = Object.entries(added).map(([source, n]) => `${n} ${source}`).join(", ");
+      console.log(`[VOL] ${symbol}: ${filled ? `filled ${filled}` : "no gaps filled"}${missing > 0 ? `, ${missing} minutes still missing` : ""}`);
+      for (const [source, message] of Object.entries(failed)) {
+        console.warn(`[VOL] ${symbol}: ${source} backfill failed (${message})${missing > 0 ? " - fell back to the next source" : ""}`);
       }
+    } catch (err) {
+      console.error(`[VOL] Failed to backfill ${symbol}:`, err.message);
     }
+  }));
+
+  console.log("[VOL] Backfill complete.");
+}
 
-    const pair = BINANCE_PAIRS[symbol];
+/**
+ * Learn hour-of-week multipliers from hourly Binance candles.
+ * Symbols learned within the last day are skipped; failures keep the old multipliers.
+ */
+async function backfillSeasonality(symbols) {
+  const stale = symbols.filter(s => !(Date.now() - (seasonality[s]?.updatedAt ?? 0) < SEASONALITY_MAX_AGE_MS));
+  if (stale.length === 0) return;
+
+  await Promise.all(stale.map(async (symbol) => {
+    const pair = AssetRegistry.get(symbol)?.backfillSymbol;
     if (!pair) return;
 
     try {
-      const url = `https://api.binance.com/api/v3/klines?symbol=${pair}&interval=1m&limit=${WINDOW_SIZE}`;
+      const url = `https://api.binance.com/api/v3/klines?symbol=${pair}&interval=1h&limit=${SEASONALITY_CANDLES}`;
       const res = await fetch(url);
       if (!res.ok) throw new Error(res.statusText);
-      
+
       const klines = await res.json();
-      const cleanData = klines.map(k => ({
-        ts: k[6],
-        price: parseFloat(k[4])
-      }));
-
-      history[symbol] = cleanData;
-      console.log(`[VOL] Backfilled ${symbol}: ${cleanData.length} candles.`);
-      
+      const multipliers = VolEstimators.learnSeasonality(klines.map(k => ({
+        ts: k[0],
+        high: parseFloat(k[2]),
+        low: parseFloat(k[3])
+      })));
+      if (!multipliers) throw new Error("no usable candles");
+
+      seasonality[symbol] = { updatedAt: Date.now(), multipliers };
+      console.log(`[VOL] Seasonality for ${symbol}: ${klines.length} hourly candles, multipliers ${Math.min(...multipliers).toFixed(2)}-${Math.max(...multipliers).toFixed(2)}`);
     } catch (err) {
-      console.error(`[VOL] Failed to backfill ${symbol}:`, err.message);
+      console.error(`[VOL] Failed to learn seasonality for ${symbol}:`, err.message);
     }
-  });
+  }));
 
-  await Promise.all(promises);
-  saveHistory();
-  console.log("[VOL] Backfill complete.");
+  try {
+    fs.writeFileSync(SEASONALITY_FILE, JSON.stringify(seasonality));
+  } catch (e) {
+    console.error("[VOL] Failed to save seasonality.", e.message);
+  }
+}
+
+/** Hour-of-week multipliers of an asset (null until learned) */
+function getSeasonality(symbol) {
+  return seasonality[symbol]?.multipliers ?? null;
 }
 
-loadHistory();
+loadSeasonality();
 
 export const VolatilityManager = {
   updatePriceHistory,
   getRealizedVolatility,
   getVolRegimeRatio,
+  checkJump,
+  getJump,
   backfillHistory,
+  backfillSeasonality,
+  getSeasonality,
   getPriceHistory
 };
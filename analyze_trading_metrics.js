@@ -15,6 +15,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import { PnlLedger } from './PnlLedger.js';
 
 // ============================================
 // CONFIGURATION
@@ -67,7 +68,7 @@ class TradeAnalyzer {
     }
     
     const files = fs.readdirSync(filesDir)
-      .filter(f => f.startsWith('orders-') && f.endsWith('.jsonl'));
+      .filter(f => /^orders-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f)); // Live logs only, not orders-<run>-paper-*
     
     console.log(`Found ${files.length} order log files in ${filesDir}`);
     
@@ -85,6 +86,8 @@ class TradeAnalyzer {
       for (const line of lines) {
         try {
           const order = JSON.parse(line);
+          if (order.type === 'FILL') continue; // fills of the orders, not orders
+          if (order.paper) continue; // Paper rows in logs from before paper runs had their own files
           
           if (order.type === 'EXIT') {
             this.exits.push(order);
@@ -110,7 +113,7 @@ class TradeAnalyzer {
     // Load tick logs to get final prices
     const filesDir = './files';
     const tickFiles = fs.readdirSync(filesDir)
-      .filter(f => f.startsWith('ticks-') && f.endsWith('.jsonl'));
+      .filter(f => /^ticks-\d{8}\.jsonl$/.test(f));
     
     // Map: slug -> array of ticks
     const ticksBySlug = new Map();
@@ -142,10 +145,23 @@ class TradeAnalyzer {
     console.log(`Loaded ticks for ${ticksBySlug.size} market intervals`);
     
     // Cache for interval outcomes to avoid duplicate API calls
-    const outcomeCache = new Map(); // slug -> { startPrice, endPrice, won: {UP: bool, DOWN: bool} }
+    const outcomeCache = new Map(); // slug -> { startPrice, endPrice, won: {UP: bool, DOWN: bool}, payouts? }
+    
+    // Official outcomes the bot booked at resolution come first
+    for (const row of PnlLedger.readResolved(filesDir, { paper: true })) { // Outcomes only, paper ledgers count too
+      outcomeCache.set(row.slug, {
+        startPrice: null,
+        endPrice: null,
+        won: { UP: row.payouts.UP === 1, DOWN: row.payouts.DOWN === 1 },
+        payouts: row.payouts,
+        source: 'ledger'
+      });
+    }
+    console.log(`Loaded ${outcomeCache.size} official outcomes from the PnL ledger`);
     
     // For each order, infer which interval it belongs to
     let matched = 0;
+    const matchedFromLedger = new Set(); // intervals, like the counters below
     let matchedFromTicks = 0;
     let matchedFromPolymarket = 0;
     let unmatched = 0;
@@ -156,6 +172,7 @@ class TradeAnalyzer {
         const slug = this.inferSlugFromTimestamp(order.ts, order.symbol);
         
         let outcome = outcomeCache.get(slug);
+        if (outcome?.source === 'ledger') matchedFromLedger.add(slug);
         
         // Try to get outcome from tick data first
         if (!outcome) {
@@ -193,8 +210,9 @@ class TradeAnalyzer {
           continue;
         }
         
-        // Determine if this specific order won
+        // Determine if this specific order won (a 50/50 resolution pays half)
         const won = outcome.won[order.side];
+        const payout = outcome.payouts ? outcome.payouts[order.side] : (won ? 1 : 0);
         
         // Calculate minutes left when order was placed
         const intervalStart = this.getIntervalStartFromSlug(slug);
@@ -210,7 +228,7 @@ class TradeAnalyzer {
           isUS: order.session === 'US',
           startPrice: outcome.startPrice,
           endPrice: outcome.endPrice,
-          pnl: won ? (order.size * (1 - order.price)) : (-order.size * order.price)
+          pnl: order.size * (payout - order.price)
         });
         
         matched++;
@@ -221,6 +239,7 @@ class TradeAnalyzer {
     }
     
     console.log(`Matched ${matched} trades with outcomes`);
+    console.log(`  From PnL ledger: ${matchedFromLedger.size}`);
     console.log(`  From tick logs: ${matchedFromTicks}`);
     console.log(`  From Polymarket API: ${matchedFromPolymarket}`);
     if (unmatched > 0) {
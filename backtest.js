@@ -1,51 +1,28 @@
 import fs from "fs";
 import readline from "readline";
+import { StrategyCore } from "./StrategyCore.js";
+import { StrategyConfig } from "./StrategyConfig.js";
+import { ExitExecutor } from "./ExitExecutor.js";
 
 // ================= CONFIG TO TEST =================
+// Entry/exit gating is StrategyCore.decide() - the same code the live bot runs.
+// PROFILE picks a profile from strategy_config.json; knobs to test on top of it go
+// in STRATEGY_OVERRIDES (keys of StrategyCore.DEFAULT_CONFIG, validated the same way).
 const CONFIG = {
-  // Core thresholds (NOW WITH TIME-BASED GRADUATION)
-  Z_MIN_VERY_EARLY: 1.8,  // >5 mins (NEW!)
-  Z_MIN_MID_EARLY: 1.4,   // 3-5 mins (NEW!)
-  Z_MIN_LATE_2TO3: 1.0,   // 2-3 mins (NEW! - prevents SOL loss)
-  Z_MIN_VERY_LATE: 0.8,   // <2 mins
-  
-  MIN_EDGE: 0.03,
-  MAX_SHARES: 500,
-  FEE_BPS: 10,
-  
+  PROFILE: "v2.4.1",
+  STRATEGY_OVERRIDES: {
+    // e.g. MIN_EDGE_EARLY: 0.04,
+  },
+
+  // Fees come from the profile's TAKER_FEE_BPS / MAKER_FEE_BPS for the market type:
+  // orders filled on placement pay taker, bids that rested first pay maker, exits pay taker
+
   // Feature toggles
-  ENABLE_EARLY_TRADING: true,    // Toggle early trading (>5 mins)
-  USE_DRIFT: true,               // Drift adjustment
-  USE_KELLY_SIZING: true,       // Kelly vs fixed size
-  KELLY_FRACTION: 0.15,
-  STANDARD_TRADE_SIZE: 100,
-  
-  // NEW: Advanced risk controls
-  USE_SIGNAL_DECAY_CHECK: true,      // Detect rapid z-score collapse
-  SIGNAL_DECAY_THRESHOLD_EARLY: 0.4, // z drop in 30s (normal)
-  SIGNAL_DECAY_THRESHOLD_LATE: 0.25, // z drop in 30s (late game)
-  
-  USE_WEAK_SIGNAL_COUNTER: true,     // Stop on persistent weak signals
-  WEAK_SIGNAL_CONSECUTIVE_LIMIT: 3,  // Consecutive weak ticks
-  WEAK_SIGNAL_RATIO_LIMIT: 6,        // 6 out of 10 ticks weak
-  
-  USE_EARLY_BASIS_RISK: true,        // Stop if price crosses strike early
-  EARLY_BASIS_RISK_THRESHOLD_BPS: 20, // Price movement threshold
-  
-  USE_REGIME_SCALAR: true,           // Adjust thresholds by volatility
-  REGIME_SCALAR_MIN: 0.7,
-  REGIME_SCALAR_MAX: 1.4,
-  
+  USE_DRIFT: true,               // Drift adjustment (uses logged drift when present)
+
   // Risk controls
   USE_MAX_DRAWDOWN: false,
   MAX_DRAWDOWN_PCT: 0.30,
-  
-  MIN_EDGE_BY_ASSET: {
-    BTC: 0.03,
-    ETH: 0.03,
-    SOL: 0.05,  // Require more edge for SOL
-    XRP: 0.04
-  },
 
   USE_FILL_PROB: false,
   FILL_PROB_LAYERS: [
@@ -58,6 +35,11 @@ const CONFIG = {
   ]
 };
 
+const { config: STRATEGY_CONFIG } = StrategyConfig.load({
+  profile: CONFIG.PROFILE,
+  overrides: CONFIG.STRATEGY_OVERRIDES
+});
+
 // ===================================================
 
 const LOG_FILES = [
@@ -67,65 +49,12 @@ const LOG_FILES = [
   "files/ticks-20251123.jsonl",
   "files/ticks-20251124.jsonl",
 ];
+// Jump events the live bot recorded on the same days (VolatilityManager), replayed through JUMP_GUARD
+const JUMP_FILES = LOG_FILES.map(f => f.replace("ticks-", "jumps-"));
 
 const allTrades = [];
-const blockedTrades = {
-  zThreshold: [],
-  signalDecay: [],
-  weakSignalConsecutive: [],
-  weakSignalRatio: [],
-  earlyBasisRisk: []
-};
-
-// Normal CDF
-function normCdf(z) {
-  const t = 1 / (1 + 0.2316419 * Math.abs(z));
-  const d = 0.3989423 * Math.exp(-0.5 * z * z);
-  let p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-  if (z > 0) p = 1 - p;
-  return p;
-}
-
-// Estimate drift from price history (UPDATED - uses timestamps)
-function estimateDrift(priceHistory) {
-  if (!priceHistory || priceHistory.length < 10) return 0;
-  
-  const n = priceHistory.length;
-  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-  
-  const baseTime = priceHistory[0].timestamp;
-  
-  for (let i = 0; i < n; i++) {
-    const x = (priceHistory[i].timestamp - baseTime) / 60000; // Actual minutes
-    const y = Math.log(priceHistory[i].price);
-    sumX += x;
-    sumY += y;
-    sumXY += x * y;
-    sumX2 += x * x;
-  }
-  
-  const denominator = n * sumX2 - sumX * sumX;
-  if (Math.abs(denominator) < 1e-10) return 0;
-  
-  const slope = (n * sumXY - sumX * sumY) / denominator;
-  
-  // Use current price, not oldest
-  const currentPrice = priceHistory[priceHistory.length - 1].price;
-  return slope * currentPrice;
-}
-
-// Kelly sizing (FIXED - binary options formula)
-function kellySize(prob, price, maxShares, fraction = 0.15) {
-  if (price >= 0.99 || price <= 0.01) return 0; // Changed from 10
-  if (prob <= price) return 0; // no edge
-  
-  const kellyFraction = (prob - price) / (1 - price);
-  const fractionalKelly = kellyFraction * fraction;
-  const rawSize = fractionalKelly * maxShares;
-  const roundedSize = Math.max(10, Math.floor(rawSize / 10) * 10);
-  
-  return Math.min(roundedSize, maxShares);
-}
+const allExits = [];
+const blockedTrades = {}; // skip reason -> [{ symbol, slug, ts, minsLeft, ... }]
 
 function getFillFraction(modelProb) {
   if (!CONFIG.USE_FILL_PROB) return 1.0;
@@ -159,16 +88,16 @@ async function loadMarketsFromFiles(files) {
         if (!markets[tick.slug]) {
           markets[tick.slug] = {
             symbol: tick.symbol,
+            marketType: tick.marketType ?? "15m",
             ticks: [],
             finalPrice: 0,
             startPrice: tick.startPrice,
             positions: { UP: 0, DOWN: 0, CASH: 0 },
+            sharesBought: 0,
+            restingOrders: [],
+            quote: null,
             trades: [],
-            
-            // NEW: State tracking for risk controls
-            zHistory: [],
-            weakSignalCount: 0,
-            weakSignalHistory: []
+            strategyState: StrategyCore.createSlugState()
           };
         }
 
@@ -186,8 +115,80 @@ async function loadMarketsFromFiles(files) {
   return markets;
 }
 
+// symbol -> jump events, oldest first
+function loadJumps(files) {
+  const bySymbol = {};
+  for (const file of files) {
+    if (!fs.existsSync(file)) continue;
+    for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+      try {
+        const event = JSON.parse(line);
+        (bySymbol[event.symbol] || (bySymbol[event.symbol] = [])).push(event);
+      } catch (e) {
+        // ignore corrupt lines
+      }
+    }
+  }
+  for (const events of Object.values(bySymbol)) events.sort((a, b) => a.ts - b.ts);
+  return bySymbol;
+}
+
+// Last jump at or before a tick, as VolatilityManager.getJump() would have returned it
+function lastJump(jumps, symbol, ts) {
+  return jumps[symbol]?.findLast(e => e.ts <= ts) ?? null;
+}
+
+// Positions as the live bot tracks them: filled shares plus orders still resting on the book
+function trackedPosition(m) {
+  const pos = { UP: m.positions.UP, DOWN: m.positions.DOWN };
+  for (const o of m.restingOrders) pos[o.side] += o.size;
+  return pos;
+}
+
+// Resting LATE_LAYER bids fill once the ask comes down to them
+function fillRestingOrders(m, slug, tick) {
+  const stillResting = [];
+  let volume = 0;
+
+  for (const o of m.restingOrders) {
+    const ask = o.side === "UP" ? tick.upAsk : tick.downAsk;
+    if (tick.ts / 1000 > o.expiresAt) continue;
+
+    if (ask && ask <= o.price) {
+      volume += executeTrade(m, o.side, o.price, o.size, tick.ts, "maker");
+      allTrades.push({ ...o.trade, entryPrice: o.price, liquidity: "maker", fillTs: tick.ts });
+    } else {
+      stillResting.push(o);
+    }
+  }
+
+  m.restingOrders = stillResting;
+  return volume;
+}
+
+// Maker mode: the bid quoted on the previous tick fills if the ask has come down to it
+// (someone sold into us); otherwise the new decision replaces or cancels it
+function fillQuote(m, tick) {
+  const q = m.quote;
+  if (!q) return 0;
+  const ask = q.side === "UP" ? tick.upAsk : tick.downAsk;
+  if (!ask || ask > q.price) return 0;
+
+  m.quote = null;
+  m.sharesBought += q.size;
+  if (m.strategyState.entryZ === null) m.strategyState = { ...m.strategyState, entryZ: q.entryZ }; // Entry signal starts at the fill
+  allTrades.push({ ...q.trade, entryPrice: q.price, liquidity: "maker", fillTs: tick.ts });
+  return executeTrade(m, q.side, q.price, q.size, tick.ts, "maker");
+}
+
+function recordBlocked(reason, entry) {
+  if (!blockedTrades[reason]) blockedTrades[reason] = [];
+  blockedTrades[reason].push(entry);
+}
+
 async function runBacktest() {
   const markets = await loadMarketsFromFiles(LOG_FILES);
+  const jumps = loadJumps(JUMP_FILES);
   console.log(
     `✅ Loaded ${Object.keys(markets).length} markets from ${LOG_FILES.length} files. Running simulation...\n`
   );
@@ -207,7 +208,7 @@ async function runBacktest() {
     const m = markets[slug];
     m.ticks.sort((a, b) => a.ts - b.ts);
 
-    // Build price history for drift
+    // Build price history for drift (only used when the tick has no logged drift)
     const priceHistory = m.ticks.map(t => ({ 
       price: t.currentPrice, 
       timestamp: t.ts 
@@ -215,300 +216,142 @@ async function runBacktest() {
 
     for (let i = 0; i < m.ticks.length; i++) {
       const tick = m.ticks[i];
-      let { z, pUp, pDown, upAsk, downAsk, minsLeft, sigmaPerMin } = tick;
+      const { upAsk, downAsk, minsLeft } = tick;
 
-      // Get current positions
-      const sharesUp = m.positions.UP || 0;
-      const sharesDown = m.positions.DOWN || 0;
+      totalVolume += fillRestingOrders(m, slug, tick);
+      totalVolume += fillQuote(m, tick);
 
-      // Asset-specific edge requirement
-      const minEdge = CONFIG.MIN_EDGE_BY_ASSET[m.symbol] || CONFIG.MIN_EDGE;
-      
-      // Drift adjustment
-      let adjustedZ = z;
+      let drift = 0;
       if (CONFIG.USE_DRIFT) {
-        const drift = estimateDrift(priceHistory.slice(0, i + 1));
-        const minsElapsed = 15 - minsLeft;
-        const sigmaT = sigmaPerMin * Math.sqrt(minsLeft);
-        
-        if (sigmaT > 0) {
-          adjustedZ = (tick.currentPrice - tick.startPrice - drift * minsElapsed) / sigmaT;
-        }
-      }
-      
-      const finalZ = adjustedZ;
-
-      // Update z-history for signal decay detection
-      m.zHistory.push({ z: finalZ, ts: tick.ts });
-      // Keep last 30 seconds (5 ticks at 6s intervals)
-      m.zHistory = m.zHistory.filter(h => tick.ts - h.ts < 30000);
-
-      // Regime scalar calculation
-      let regimeScalar = 1.0;
-      if (CONFIG.USE_REGIME_SCALAR && tick.volRatio) {
-        const rawScalar = Math.sqrt(tick.volRatio);
-        regimeScalar = Math.max(CONFIG.REGIME_SCALAR_MIN, Math.min(CONFIG.REGIME_SCALAR_MAX, rawScalar));
+        drift = tick.drift ?? StrategyCore.estimateDrift(priceHistory.slice(0, i + 1));
       }
 
-      // ========== NEW: TIME-BASED Z-THRESHOLD (GRADUATED) ==========
-      let effectiveZMin;
-      
-      if (CONFIG.ENABLE_EARLY_TRADING) {
-        if (minsLeft > 5) {
-          effectiveZMin = CONFIG.Z_MIN_VERY_EARLY; // 1.8
-        } else if (minsLeft > 3) {
-          effectiveZMin = CONFIG.Z_MIN_MID_EARLY; // 1.4
-        } else if (minsLeft > 2) {
-          effectiveZMin = CONFIG.Z_MIN_LATE_2TO3 * regimeScalar; // 1.0 (NEW!)
-        } else {
-          effectiveZMin = CONFIG.Z_MIN_VERY_LATE * regimeScalar; // 0.8
-        }
-      } else {
-        // Early trading disabled
-        if (minsLeft > 5) {
-          continue; // Skip
-        } else if (minsLeft > 3) {
-          effectiveZMin = 2.8 * regimeScalar; // Z_HUGE
-        } else if (minsLeft > 2) {
-          effectiveZMin = CONFIG.Z_MIN_LATE_2TO3 * regimeScalar; // 1.0 (NEW!)
-        } else {
-          effectiveZMin = CONFIG.Z_MIN_VERY_LATE * regimeScalar; // 0.8
+      const decision = StrategyCore.decide({
+        now: tick.ts,
+        symbol: m.symbol,
+        slug,
+        minsLeft,
+        // Ticks logged before market types existed are all 15m
+        marketType: tick.marketType ?? "15m",
+        intervalMins: tick.intervalMins ?? 15,
+        startPrice: tick.startPrice,
+        currentPrice: tick.currentPrice,
+        sigmaPerMin: tick.sigmaPerMin,
+        drift,
+        volRatio: tick.volRatio ?? 1.0,
+        basis: tick.basis ?? null,
+        jump: lastJump(jumps, m.symbol, tick.ts),
+        upAsk, downAsk,
+        upBid: tick.upBid, downBid: tick.downBid,
+        upDepth: tick.book?.upDepth, downDepth: tick.book?.downDepth,
+        position: trackedPosition(m),
+        sharesBought: m.sharesBought,
+        portfolio: {}
+      }, m.strategyState, STRATEGY_CONFIG);
+      m.strategyState = decision.state;
+      m.quote = decision.quote && {
+        ...decision.quote,
+        trade: {
+          symbol: m.symbol,
+          side: decision.quote.side,
+          type: decision.quote.type,
+          modelProb: decision.quote.prob,
+          minsLeft,
+          intervalMins: tick.intervalMins ?? 15,
+          size: decision.quote.size,
+          intendedSize: decision.quote.size,
+          fillFraction: 1.0,
+          marketSlug: slug,
+          timestamp: tick.ts,
+          z: decision.signal.z,
+          ev: decision.quote.ev,
+          regimeScalar: decision.signal.regimeScalar
         }
-      }
+      };
 
-      const absZ = Math.abs(finalZ);
-      
-      // Entry gating check
-      if (absZ < effectiveZMin) {
-        blockedTrades.zThreshold.push({
+      if (decision.skip) {
+        recordBlocked(decision.skip.reason, {
           symbol: m.symbol,
-          slug: slug,
+          slug,
           ts: tick.ts,
-          minsLeft: minsLeft,
-          z: finalZ,
-          required: effectiveZMin,
-          upAsk: upAsk,
-          downAsk: downAsk,
-          pUp: pUp,
-          pDown: pDown
+          minsLeft,
+          ...decision.skip
         });
         continue;
       }
 
-      // ========== NEW: SIGNAL DECAY CHECK ==========
-      if (CONFIG.USE_SIGNAL_DECAY_CHECK && m.zHistory.length >= 5) {
-        const recentZ = m.zHistory.slice(-5);
-        const zChange = recentZ[0].z - recentZ[recentZ.length - 1].z;
-        const decayThreshold = minsLeft < 3 
-          ? CONFIG.SIGNAL_DECAY_THRESHOLD_LATE 
-          : CONFIG.SIGNAL_DECAY_THRESHOLD_EARLY;
-
-        // Check UP positions (z falling)
-        if (sharesUp > 0 && zChange > decayThreshold) {
-          blockedTrades.signalDecay.push({
-            symbol: m.symbol,
-            slug: slug,
-            ts: tick.ts,
-            minsLeft: minsLeft,
-            side: 'UP',
-            z: finalZ,
-            zChange: zChange,
-            threshold: decayThreshold,
-            sharesUp: sharesUp
-          });
+      // --- EXITS ---
+      if (decision.exit) {
+        const { side, urgency, reason } = decision.exit;
+        const shares = m.positions[side];
+        const otherAsk = side === "UP" ? downAsk : upAsk;
+        const bid = (side === "UP" ? tick.upBid : tick.downBid) ?? (otherAsk ? 1 - otherAsk : null);
+        if (!bid || shares < STRATEGY_CONFIG.EXIT_MIN_POSITION_SIZE) continue;
+
+        // Same floor as the live ExitExecutor: a bid below it gets no child order, so the
+        // position is held and the next tick decides again. Ticks only carry the best bid,
+        // so walking down the book is approximated by a slippage off it, never below the floor
+        const floor = ExitExecutor.floorPrice(decision.exit, bid, STRATEGY_CONFIG, m.marketType);
+        if (bid < floor) {
+          recordBlocked("exit_floor", { symbol: m.symbol, slug, ts: tick.ts, minsLeft, side, bid, floor });
           continue;
         }
+        const slippage = urgency === "emergency" ? 0.02 : 0.01;
+        const sellPrice = Math.max(floor, Math.min(0.99, bid - slippage));
+        totalVolume += executeSell(m, side, sellPrice, shares, tick.ts);
 
-        // Check DOWN positions (z rising)
-        if (sharesDown > 0 && zChange < -decayThreshold) {
-          blockedTrades.signalDecay.push({
-            symbol: m.symbol,
-            slug: slug,
-            ts: tick.ts,
-            minsLeft: minsLeft,
-            side: 'DOWN',
-            z: finalZ,
-            zChange: Math.abs(zChange),
-            threshold: decayThreshold,
-            sharesDown: sharesDown
-          });
-          continue;
-        }
-      }
+        allExits.push({ symbol: m.symbol, side, reason, urgency, shares, price: sellPrice, floor, minsLeft, marketSlug: slug, timestamp: tick.ts });
 
-      // ========== NEW: WEAK SIGNAL COUNTER (METHOD 1 - CONSECUTIVE) ==========
-      if (CONFIG.USE_WEAK_SIGNAL_COUNTER) {
-        if (sharesUp > 0 && finalZ > 0 && finalZ < 0.8) {
-          m.weakSignalCount++;
-          
-          if (m.weakSignalCount > CONFIG.WEAK_SIGNAL_CONSECUTIVE_LIMIT) {
-            blockedTrades.weakSignalConsecutive.push({
-              symbol: m.symbol,
-              slug: slug,
-              ts: tick.ts,
-              minsLeft: minsLeft,
-              side: 'UP',
-              z: finalZ,
-              count: m.weakSignalCount,
-              sharesUp: sharesUp
-            });
-            continue;
-          }
-        } else if (sharesDown > 0 && finalZ < 0 && finalZ > -0.8) {
-          m.weakSignalCount++;
-          
-          if (m.weakSignalCount > CONFIG.WEAK_SIGNAL_CONSECUTIVE_LIMIT) {
-            blockedTrades.weakSignalConsecutive.push({
-              symbol: m.symbol,
-              slug: slug,
-              ts: tick.ts,
-              minsLeft: minsLeft,
-              side: 'DOWN',
-              z: finalZ,
-              count: m.weakSignalCount,
-              sharesDown: sharesDown
-            });
-            continue;
-          }
-        } else {
-          m.weakSignalCount = 0;
-        }
-
-        // ========== NEW: METHOD 2 - RATIO-BASED ==========
-        const isWeak = (sharesUp > 0 && finalZ > 0 && finalZ < 0.8) || 
-                       (sharesDown > 0 && finalZ < 0 && finalZ > -0.8);
-        
-        m.weakSignalHistory.push(isWeak);
-        if (m.weakSignalHistory.length > 10) {
-          m.weakSignalHistory.shift();
-        }
-
-        const weakCount = m.weakSignalHistory.filter(x => x).length;
-        if (weakCount >= CONFIG.WEAK_SIGNAL_RATIO_LIMIT) {
-          blockedTrades.weakSignalRatio.push({
-            symbol: m.symbol,
-            slug: slug,
-            ts: tick.ts,
-            minsLeft: minsLeft,
-            z: finalZ,
-            weakCount: weakCount,
-            totalTicks: m.weakSignalHistory.length,
-            sharesUp: sharesUp,
-            sharesDown: sharesDown
-          });
-          continue;
-        }
-      }
-
-      // ========== NEW: EARLY BASIS RISK CHECK ==========
-      if (CONFIG.USE_EARLY_BASIS_RISK && minsLeft > 5) {
-        const distFromStrike = (tick.currentPrice - tick.startPrice) / tick.startPrice * 10000; // bps
-        
-        // If price crossed strike significantly against our position, stop
-        if (distFromStrike < -CONFIG.EARLY_BASIS_RISK_THRESHOLD_BPS && sharesUp > 0) {
-          blockedTrades.earlyBasisRisk.push({
-            symbol: m.symbol,
-            slug: slug,
-            ts: tick.ts,
-            minsLeft: minsLeft,
-            side: 'UP',
-            distFromStrike: distFromStrike,
-            sharesUp: sharesUp
-          });
-          continue;
-        }
-        
-        if (distFromStrike > CONFIG.EARLY_BASIS_RISK_THRESHOLD_BPS && sharesDown > 0) {
-          blockedTrades.earlyBasisRisk.push({
-            symbol: m.symbol,
-            slug: slug,
-            ts: tick.ts,
-            minsLeft: minsLeft,
-            side: 'DOWN',
-            distFromStrike: distFromStrike,
-            sharesDown: sharesDown
-          });
-          continue;
-        }
+        m.strategyState = { ...m.strategyState, ...StrategyCore.stateAfterExit() };
+        if (m.positions.UP === 0 && m.positions.DOWN === 0) m.sharesBought = 0;
+        continue;
       }
 
-      // ========== TRADE LOGIC ==========
-      const modelProbForTrade = finalZ > 0 ? pUp : pDown;
-      const priceForTrade = finalZ > 0 ? upAsk : downAsk;
-
-      let intendedSize = CONFIG.STANDARD_TRADE_SIZE;
-      if (CONFIG.USE_KELLY_SIZING && upAsk && downAsk && priceForTrade) {
-        intendedSize = kellySize(
-          modelProbForTrade,
-          priceForTrade,
-          CONFIG.MAX_SHARES,
-          CONFIG.KELLY_FRACTION
-        );
-      }
-      
-      const fillFraction = getFillFraction(modelProbForTrade);
-      let filledSize = Math.floor(intendedSize * fillFraction / 10) * 10;
-      if (filledSize < 10) filledSize = 0;
-
-      // --- UP LOGIC ---
-      if (upAsk && finalZ >= effectiveZMin) {
-        const ev = pUp - upAsk;
-        if (ev > minEdge && filledSize > 0) {
-          const vol = executeTrade(m, "UP", upAsk, filledSize, tick.ts);
-          totalVolume += vol;
-
-          allTrades.push({
-            symbol: m.symbol,
-            side: "UP",
-            entryPrice: upAsk,
-            modelProb: pUp,
-            minsLeft: minsLeft,
-            size: filledSize,
-            intendedSize: intendedSize,
-            fillFraction: fillFraction,
-            marketSlug: slug,
-            timestamp: tick.ts,
-            z: finalZ,
-            ev: ev,
-            effectiveZMin: effectiveZMin,
-            regimeScalar: regimeScalar
-          });
-        }
-      }
+      // --- ENTRIES ---
+      for (const order of decision.orders) {
+        const ask = order.side === "UP" ? upAsk : downAsk;
+        const fillFraction = getFillFraction(order.prob);
+        let filledSize = Math.floor(order.size * fillFraction / 10) * 10;
+        if (filledSize < 10) continue;
 
-      // --- DOWN LOGIC ---
-      if (downAsk && finalZ <= -effectiveZMin) {
-        const ev = pDown - downAsk;
-        if (ev > minEdge && filledSize > 0) {
-          const vol = executeTrade(m, "DOWN", downAsk, filledSize, tick.ts);
-          totalVolume += vol;
-
-          allTrades.push({
-            symbol: m.symbol,
-            side: "DOWN",
-            entryPrice: downAsk,
-            modelProb: pDown,
-            minsLeft: minsLeft,
-            size: filledSize,
-            intendedSize: intendedSize,
-            fillFraction: fillFraction,
-            marketSlug: slug,
-            timestamp: tick.ts,
-            z: finalZ,
-            ev: ev,
-            effectiveZMin: effectiveZMin,
-            regimeScalar: regimeScalar
-          });
+        const trade = {
+          symbol: m.symbol,
+          side: order.side,
+          type: order.type,
+          modelProb: order.prob,
+          minsLeft: minsLeft,
+          intervalMins: tick.intervalMins ?? 15,
+          size: filledSize,
+          intendedSize: order.size,
+          fillFraction: fillFraction,
+          marketSlug: slug,
+          timestamp: tick.ts,
+          z: decision.signal.z,
+          ev: order.ev,
+          regimeScalar: decision.signal.regimeScalar
+        };
+
+        m.sharesBought += filledSize;
+
+        if (ask && ask <= order.price) {
+          totalVolume += executeTrade(m, order.side, ask, filledSize, tick.ts, "taker");
+          allTrades.push({ ...trade, entryPrice: ask, liquidity: "taker" });
+        } else {
+          m.restingOrders.push({ side: order.side, price: order.price, size: filledSize, expiresAt: order.expiresAt, trade });
         }
       }
     }
 
+    // Unfilled bids expire with the market
+    m.restingOrders = [];
+    m.quote = null;
+
     // --- SETTLEMENT ---
     const winner = m.finalPrice > m.startPrice ? "UP" : "DOWN";
     const payout = (m.positions[winner] || 0) * 1.0;
     const netProfit = m.positions.CASH + payout;
 
-    if (m.positions.UP > 0 || m.positions.DOWN > 0) {
+    if (m.trades.length > 0) {
       totalPnL += netProfit;
       
       const settlementTime = m.ticks[m.ticks.length - 1]?.ts || Date.now();
@@ -564,11 +407,13 @@ async function runBacktest() {
   runDeepAnalysis(allTrades, markets);
   runAdvancedMetrics(allTrades, totalPnL, totalVolume);
   runBlockedTradesAnalysis(blockedTrades);
+  runExitAnalysis(allExits);
 
   console.log("\n================ RESULTS ================");
-  console.log(`Config: Early=${CONFIG.Z_MIN_VERY_EARLY}, Mid=${CONFIG.Z_MIN_MID_EARLY}, Late2-3=${CONFIG.Z_MIN_LATE_2TO3}, VeryLate=${CONFIG.Z_MIN_VERY_LATE}`);
-  console.log(`Features: Drift=${CONFIG.USE_DRIFT}, Kelly=${CONFIG.USE_KELLY_SIZING}, Early Trading=${CONFIG.ENABLE_EARLY_TRADING}`);
-  console.log(`Risk Controls: SignalDecay=${CONFIG.USE_SIGNAL_DECAY_CHECK}, WeakSignal=${CONFIG.USE_WEAK_SIGNAL_COUNTER}, EarlyBasis=${CONFIG.USE_EARLY_BASIS_RISK}`);
+  console.log(`Config: zMin ladder=${STRATEGY_CONFIG.Z_MIN_LADDER.map(r => `>${r.minsAbove}m:${r.z}`).join(' ')}`);
+  console.log(`Profile: ${CONFIG.PROFILE} | Overrides: ${JSON.stringify(CONFIG.STRATEGY_OVERRIDES)}`);
+  console.log(`Features: Drift=${CONFIG.USE_DRIFT}, Exits=${STRATEGY_CONFIG.ENABLE_EXITS}, Early Trading=${STRATEGY_CONFIG.ENABLE_EARLY_TRADING}`);
+  console.log(`Exits: ${allExits.length}`);
   console.log(`Markets Traded: ${wins + losses}`);
   console.log(`Win Rate: ${((wins / (wins + losses || 1)) * 100).toFixed(1)}%`);
   console.log(`Total Volume: ${totalVolume.toFixed(2)}`);
@@ -582,111 +427,77 @@ function runBlockedTradesAnalysis(blocked) {
   console.log("\n\n🛡️ ============ BLOCKED TRADES ANALYSIS ============");
   
   const totalBlocked = Object.values(blocked).reduce((sum, arr) => sum + arr.length, 0);
-  console.log(`Total Blocked: ${totalBlocked} trades\n`);
-  
-  // Z-Threshold blocks
-  if (blocked.zThreshold.length > 0) {
-    console.log(`--- [1] Z-THRESHOLD BLOCKS: ${blocked.zThreshold.length} ---`);
-    
-    const byTime = {
-      'VeryEarly (>5m)': [],
-      'MidEarly (3-5m)': [],
-      'Late2-3 (2-3m)': [],
-      'VeryLate (<2m)': []
-    };
-    
-    blocked.zThreshold.forEach(b => {
-      let key = 'VeryLate (<2m)';
-      if (b.minsLeft > 5) key = 'VeryEarly (>5m)';
-      else if (b.minsLeft > 3) key = 'MidEarly (3-5m)';
-      else if (b.minsLeft > 2) key = 'Late2-3 (2-3m)';
-      byTime[key].push(b);
-    });
-    
-    Object.entries(byTime).forEach(([period, blocks]) => {
-      if (blocks.length > 0) {
-        const avgZ = blocks.reduce((sum, b) => sum + Math.abs(b.z), 0) / blocks.length;
-        const avgReq = blocks.reduce((sum, b) => sum + b.required, 0) / blocks.length;
-        console.log(`  ${period}: ${blocks.length} blocks (avg |z|=${avgZ.toFixed(2)}, req=${avgReq.toFixed(2)})`);
-      }
-    });
-  }
-  
-  // Signal decay blocks
-  if (blocked.signalDecay.length > 0) {
-    console.log(`\n--- [2] SIGNAL DECAY BLOCKS: ${blocked.signalDecay.length} ---`);
-    
+  console.log(`Total Blocked: ${totalBlocked} ticks\n`);
+
+  const reasons = Object.keys(blocked).sort((a, b) => blocked[b].length - blocked[a].length);
+  reasons.forEach((reason, idx) => {
+    const blocks = blocked[reason];
+    console.log(`--- [${idx + 1}] ${reason.toUpperCase()}: ${blocks.length} ---`);
+
     const byAsset = {};
-    blocked.signalDecay.forEach(b => {
-      if (!byAsset[b.symbol]) byAsset[b.symbol] = [];
-      byAsset[b.symbol].push(b);
+    blocks.forEach(b => {
+      byAsset[b.symbol] = (byAsset[b.symbol] || 0) + 1;
     });
-    
-    Object.entries(byAsset).forEach(([sym, blocks]) => {
-      const avgDecay = blocks.reduce((sum, b) => sum + b.zChange, 0) / blocks.length;
-      console.log(`  ${sym}: ${blocks.length} blocks (avg z-drop=${avgDecay.toFixed(2)})`);
-    });
-    
-    // Show top 3 largest decays
-    console.log(`\n  Top 3 Largest Decays:`);
-    blocked.signalDecay
-      .sort((a, b) => b.zChange - a.zChange)
-      .slice(0, 3)
-      .forEach((b, i) => {
-        console.log(`    ${i+1}. ${b.symbol} ${b.side} z-drop=${b.zChange.toFixed(2)} (${b.minsLeft.toFixed(1)}min left, ${b.sharesUp || b.sharesDown} shares)`);
+    console.log(`  ${Object.entries(byAsset).map(([sym, n]) => `${sym}: ${n}`).join(' | ')}`);
+
+    // Z-Threshold blocks by time window
+    if (reason === "z_threshold") {
+      const byTime = {
+        'VeryEarly (>5m)': [],
+        'MidEarly (3-5m)': [],
+        'Late2-3 (2-3m)': [],
+        'VeryLate (<2m)': []
+      };
+      
+      blocks.forEach(b => {
+        let key = 'VeryLate (<2m)';
+        if (b.minsLeft > 5) key = 'VeryEarly (>5m)';
+        else if (b.minsLeft > 3) key = 'MidEarly (3-5m)';
+        else if (b.minsLeft > 2) key = 'Late2-3 (2-3m)';
+        byTime[key].push(b);
       });
-  }
-  
-  // Weak signal consecutive blocks
-  if (blocked.weakSignalConsecutive.length > 0) {
-    console.log(`\n--- [3] WEAK SIGNAL CONSECUTIVE BLOCKS: ${blocked.weakSignalConsecutive.length} ---`);
-    
-    const byAsset = {};
-    blocked.weakSignalConsecutive.forEach(b => {
-      if (!byAsset[b.symbol]) byAsset[b.symbol] = [];
-      byAsset[b.symbol].push(b);
-    });
-    
-    Object.entries(byAsset).forEach(([sym, blocks]) => {
-      console.log(`  ${sym}: ${blocks.length} blocks`);
-    });
-  }
-  
-  // Weak signal ratio blocks
-  if (blocked.weakSignalRatio.length > 0) {
-    console.log(`\n--- [4] WEAK SIGNAL RATIO BLOCKS: ${blocked.weakSignalRatio.length} ---`);
-    
-    const byAsset = {};
-    blocked.weakSignalRatio.forEach(b => {
-      if (!byAsset[b.symbol]) byAsset[b.symbol] = [];
-      byAsset[b.symbol].push(b);
-    });
-    
-    Object.entries(byAsset).forEach(([sym, blocks]) => {
-      const avgWeak = blocks.reduce((sum, b) => sum + b.weakCount, 0) / blocks.length;
-      console.log(`  ${sym}: ${blocks.length} blocks (avg ${avgWeak.toFixed(1)}/10 weak)`);
-    });
-  }
-  
-  // Early basis risk blocks
-  if (blocked.earlyBasisRisk.length > 0) {
-    console.log(`\n--- [5] EARLY BASIS RISK BLOCKS: ${blocked.earlyBasisRisk.length} ---`);
-    
-    const byAsset = {};
-    blocked.earlyBasisRisk.forEach(b => {
-      if (!byAsset[b.symbol]) byAsset[b.symbol] = [];
-      byAsset[b.symbol].push(b);
-    });
-    
-    Object.entries(byAsset).forEach(([sym, blocks]) => {
-      const avgDist = blocks.reduce((sum, b) => sum + Math.abs(b.distFromStrike), 0) / blocks.length;
-      console.log(`  ${sym}: ${blocks.length} blocks (avg ${avgDist.toFixed(1)}bps from strike)`);
-    });
-  }
+      
+      Object.entries(byTime).forEach(([period, periodBlocks]) => {
+        if (periodBlocks.length > 0) {
+          const avgZ = periodBlocks.reduce((sum, b) => sum + Math.abs(b.z), 0) / periodBlocks.length;
+          const avgReq = periodBlocks.reduce((sum, b) => sum + b.required, 0) / periodBlocks.length;
+          console.log(`  ${period}: ${periodBlocks.length} blocks (avg |z|=${avgZ.toFixed(2)}, req=${avgReq.toFixed(2)})`);
+        }
+      });
+    }
+
+    // Signal decay: show top 3 largest decays
+    if (reason === "signal_decay") {
+      console.log(`  Top 3 Largest Decays:`);
+      [...blocks]
+        .sort((a, b) => b.zChange - a.zChange)
+        .slice(0, 3)
+        .forEach((b, i) => {
+          console.log(`    ${i+1}. ${b.symbol} ${b.side} z-drop=${b.zChange.toFixed(2)} (${b.minsLeft.toFixed(1)}min left)`);
+        });
+    }
+  });
   
   console.log("\n====================================================\n");
 }
 
+function runExitAnalysis(exits) {
+  if (exits.length === 0) return;
+
+  console.log("\n--- [F] EXITS ---");
+  const byReason = {};
+  exits.forEach(e => {
+    if (!byReason[e.reason]) byReason[e.reason] = { count: 0, shares: 0, recovered: 0 };
+    byReason[e.reason].count++;
+    byReason[e.reason].shares += e.shares;
+    byReason[e.reason].recovered += e.shares * e.price;
+  });
+
+  Object.entries(byReason).forEach(([reason, s]) => {
+    console.log(`  ${reason}: ${s.count} exits, ${s.shares} shares, recovered $${s.recovered.toFixed(2)}`);
+  });
+}
+
 function runDeepAnalysis(trades, marketsMap) {
   console.log("\n\n📊 ============ DEEP DIVE ANALYSIS ============");
 
@@ -695,7 +506,7 @@ function runDeepAnalysis(trades, marketsMap) {
     const winner = m.finalPrice > m.startPrice ? "UP" : "DOWN";
     const won = trade.side === winner;
     const cost = trade.size * trade.entryPrice;
-    const fee = cost * (CONFIG.FEE_BPS / 10000);
+    const fee = trade.size * StrategyCore.feePerShare(trade.entryPrice, trade.liquidity, m.marketType, STRATEGY_CONFIG);
     const totalCost = cost + fee;
     const payout = won ? trade.size : 0;
     return payout - totalCost;
@@ -869,16 +680,13 @@ function runAdvancedMetrics(trades, totalPnL, totalVolume) {
   console.log(`Profit Factor: ${profitFactor.toFixed(2)}`);
   
   console.log(`Total Trades: ${trades.length}`);
-  console.log(`Avg Entry Time: ${(trades.reduce((sum, t) => sum + (15 - t.minsLeft), 0) / trades.length).toFixed(1)} mins into market`);
+  console.log(`Avg Entry Time: ${(trades.reduce((sum, t) => sum + (t.intervalMins - t.minsLeft), 0) / trades.length).toFixed(1)} mins into market`);
 }
 
-function executeTrade(market, side, price, size, timestamp) {
-  const currentSize = market.positions[side] || 0;
-  if (currentSize + size > CONFIG.MAX_SHARES) return 0;
-
+function executeTrade(market, side, price, size, timestamp, liquidity) {
   market.positions[side] += size;
   const rawCost = size * price;
-  const fee = rawCost * (CONFIG.FEE_BPS / 10000);
+  const fee = size * StrategyCore.feePerShare(price, liquidity, market.marketType, STRATEGY_CONFIG);
   const totalCost = rawCost + fee;
   market.positions.CASH -= totalCost;
   
@@ -893,4 +701,21 @@ function executeTrade(market, side, price, size, timestamp) {
   return rawCost;
 }
 
+function executeSell(market, side, price, size, timestamp) {
+  market.positions[side] -= size;
+  const rawProceeds = size * price;
+  const fee = size * StrategyCore.feePerShare(price, "taker", market.marketType, STRATEGY_CONFIG);
+  market.positions.CASH += rawProceeds - fee;
+
+  market.trades.push({
+    side,
+    price,
+    size: -size,
+    timestamp,
+    cost: -(rawProceeds - fee)
+  });
+
+  return rawProceeds;
+}
+
 runBacktest();
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+/**
+ * Probability calibration report - does "pUp = 0.92" win 92% of the time?
+ * Joins every tick snapshot with its interval's outcome (the official one from the PnL
+ * ledgers, otherwise the last logged price when the market was logged to its final
+ * seconds), then per asset prints Brier score and log loss by minutes-left bucket and a
+ * reliability curve, and fits an isotonic calibration map (Calibration.js). The maps
+ * are printed as a strategy_config.json profile; the fit is in-sample.
+ * Ticks are scored on the model pUp before any calibration (pUpRaw), so a map is
+ * always refitted against the model it corrects. It is only valid for the PROB_MODEL
+ * the ticks were logged with.
+ *
+ * Usage: node calibrate.js [--dir ./files] [--ledger ./files] [--symbol BTC] [--every 10] [--bins 10] [--min-samples 500] [--pooled]
+ *   --dir          -> directory with ticks-*.jsonl
+ *   --ledger       -> directory with pnl_ledger*.jsonl (default: --dir)
+ *   --symbol       -> only this asset
+ *   --every        -> seconds between ticks used per market
+ *   --bins         -> reliability curve bins
+ *   --min-samples  -> assets with fewer ticks get no map
+ *   --pooled       -> fit one map on all assets and give it to each of them
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { PnlLedger } from './PnlLedger.js';
+import { Calibration } from './Calibration.js';
+
+const FINAL_MAX_MINS = 0.25; // The last tick must be this close to expiry to stand in for the outcome
+const MINS_BUCKETS = [
+  { label: '>10m', above: 10 },
+  { label: '5-10m', above: 5 },
+  { label: '3-5m', above: 3 },
+  { label: '1-3m', above: 1 },
+  { label: '<1m', above: -Infinity }
+];
+
+const args = process.argv.slice(2);
+let dir = './files';
+let ledgerDir = null;
+let onlySymbol = null;
+let everySecs = 10;
+let bins = 10;
+let minSamples = 500;
+let pooled = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--dir' && args[i + 1]) dir = args[i + 1];
+  if (args[i] === '--ledger' && args[i + 1]) ledgerDir = args[i + 1];
+  if (args[i] === '--symbol' && args[i + 1]) onlySymbol = args[i + 1].toUpperCase();
+  if (args[i] === '--every' && args[i + 1]) everySecs = Number(args[i + 1]);
+  if (args[i] === '--bins' && args[i + 1]) bins = Number(args[i + 1]);
+  if (args[i] === '--min-samples' && args[i + 1]) minSamples = Number(args[i + 1]);
+  if (args[i] === '--pooled') pooled = true;
+}
+
+if (!fs.existsSync(dir)) {
+  console.error(`❌ Directory ${dir} not found`);
+  process.exit(1);
+}
+
+// ---------- LOAD ----------
+
+async function loadTicks() {
+  const files = fs.readdirSync(dir).filter(f => /^ticks-\d{8}\.jsonl$/.test(f)).sort(); // Not paper runs' ticks
+  const bySlug = new Map();
+
+  for (const file of files) {
+    const rl = readline.createInterface({ input: fs.createReadStream(path.join(dir, file)), crlfDelay: Infinity });
+    for await (const line of rl) {
+      let t;
+      try {
+        t = JSON.parse(line);
+      } catch (e) {
+        continue; // Skip invalid lines
+      }
+      const p = t.pUpRaw ?? t.pUp;
+      if (!t.slug || !t.symbol || typeof p !== 'number' || (onlySymbol && t.symbol !== onlySymbol)) continue;
+      if (!bySlug.has(t.slug)) bySlug.set(t.slug, []);
+      bySlug.get(t.slug).push({
+        ts: t.ts, symbol: t.symbol, minsLeft: t.minsLeft, p,
+        startPrice: t.startPrice, currentPrice: t.currentPrice, probModel: t.probModel ?? 'normal'
+      });
+    }
+  }
+  console.log(`Loaded ${files.length} tick files, ${bySlug.size} markets`);
+  return bySlug;
+}
+
+// slug -> true (up) / false (down); official outcomes win over the last logged price
+function outcomes(bySlug) {
+  const official = new Map();
+  for (const row of PnlLedger.readResolved(ledgerDir || dir, { paper: true })) { // Outcomes only, paper ledgers count too
+    if (row.winner === 'UP' || row.winner === 'DOWN') official.set(row.slug, row.winner === 'UP');
+  }
+
+  const result = new Map();
+  let fromLedger = 0;
+  let unknown = 0;
+  for (const [slug, ticks] of bySlug) {
+    if (official.has(slug)) {
+      result.set(slug, official.get(slug));
+      fromLedger++;
+      continue;
+    }
+    const last = ticks.reduce((a, b) => (b.ts > a.ts ? b : a));
+    if (last.minsLeft > FINAL_MAX_MINS) {
+      unknown++;
+      continue;
+    }
+    result.set(slug, last.currentPrice >= last.startPrice);
+  }
+  console.log(`Outcomes: ${fromLedger} official, ${result.size - fromLedger} from the last tick, ${unknown} unknown (skipped)`);
+  return result;
+}
+
+function samplesBySymbol(bySlug, outcomeBySlug) {
+  const bySymbol = {};
+  for (const [slug, ticks] of bySlug) {
+    if (!outcomeBySlug.has(slug)) continue;
+    const up = outcomeBySlug.get(slug);
+    ticks.sort((a, b) => a.ts - b.ts);
+
+    let lastUsed = -Infinity;
+    for (const t of ticks) {
+      if (t.ts - lastUsed < everySecs * 1000) continue;
+      lastUsed = t.ts;
+      const list = bySymbol[t.symbol] || (bySymbol[t.symbol] = []);
+      list.push({ p: t.p, up, minsLeft: t.minsLeft, probModel: t.probModel });
+    }
+  }
+  return bySymbol;
+}
+
+// ---------- REPORT ----------
+
+function fmt(n, dp = 4) {
+  return n == null ? 'n/a' : n.toFixed(dp);
+}
+
+function printScores(samples) {
+  console.log(`   ${'Bucket'.padEnd(8)} ${'Ticks'.padStart(7)} ${'Brier'.padStart(8)} ${'LogLoss'.padStart(8)}`);
+  const all = Calibration.score(samples);
+  console.log(`   ${'all'.padEnd(8)} ${String(all.n).padStart(7)} ${fmt(all.brier).padStart(8)} ${fmt(all.logLoss).padStart(8)}`);
+  for (const bucket of MINS_BUCKETS) {
+    const prev = MINS_BUCKETS[MINS_BUCKETS.indexOf(bucket) - 1];
+    const s = Calibration.score(samples.filter(x => x.minsLeft > bucket.above && (!prev || x.minsLeft <= prev.above)));
+    if (s.n === 0) continue;
+    console.log(`   ${bucket.label.padEnd(8)} ${String(s.n).padStart(7)} ${fmt(s.brier).padStart(8)} ${fmt(s.logLoss).padStart(8)}`);
+  }
+}
+
+function printReliability(samples) {
+  console.log(`   ${'pUp'.padEnd(11)} ${'Ticks'.padStart(7)} ${'Predicted'.padStart(10)} ${'Realized'.padStart(9)} ${'Gap'.padStart(7)}`);
+  for (const r of Calibration.reliability(samples, bins)) {
+    const gap = r.realized - r.predicted;
+    console.log(
+      `   ${`${r.from.toFixed(2)}-${r.to.toFixed(2)}`.padEnd(11)} ${String(r.n).padStart(7)} ` +
+      `${fmt(r.predicted, 3).padStart(10)} ${fmt(r.realized, 3).padStart(9)} ${`${gap >= 0 ? '+' : ''}${gap.toFixed(3)}`.padStart(7)}`
+    );
+  }
+}
+
+const bySlug = await loadTicks();
+const bySymbol = samplesBySymbol(bySlug, outcomes(bySlug));
+const maps = {};
+
+const models = new Set(Object.values(bySymbol).flat().map(s => s.probModel));
+if (models.size > 1) {
+  console.warn(`⚠️  Ticks mix probability models (${[...models].join(', ')}) - filter the files to one PROB_MODEL before using the maps`);
+}
+
+for (const symbol of Object.keys(bySymbol).sort()) {
+  const samples = bySymbol[symbol];
+  console.log(`\n${'='.repeat(60)}\n${symbol}: ${samples.length} ticks`);
+  printScores(samples);
+  console.log('\n   Reliability:');
+  printReliability(samples);
+
+  if (pooled) continue;
+  if (samples.length < minSamples) {
+    console.log(`\n   Fewer than ${minSamples} ticks - no map`);
+    continue;
+  }
+  maps[symbol] = Calibration.fit(samples);
+  const after = Calibration.score(samples.map(s => ({ ...s, p: Calibration.apply(s.p, maps[symbol]) })));
+  console.log(`\n   Map: ${maps[symbol].length} knots | Brier ${fmt(after.brier)} | LogLoss ${fmt(after.logLoss)} (in-sample)`);
+}
+
+if (pooled) {
+  const all = Object.values(bySymbol).flat();
+  if (all.length >= minSamples) {
+    const knots = Calibration.fit(all);
+    for (const symbol of Object.keys(bySymbol)) maps[symbol] = knots;
+    const after = Calibration.score(all.map(s => ({ ...s, p: Calibration.apply(s.p, knots) })));
+    console.log(`\n${'='.repeat(60)}\nPooled map (${all.length} ticks): ${knots.length} knots | Brier ${fmt(after.brier)} | LogLoss ${fmt(after.logLoss)} (in-sample)`);
+  }
+}
+
+if (Object.keys(maps).length === 0) {
+  console.log('\nNo calibration map fitted.');
+  process.exit(0);
+}
+
+const defaultProfile = fs.existsSync('strategy_config.json')
+  ? JSON.parse(fs.readFileSync('strategy_config.json', 'utf8')).defaultProfile
+  : null;
+const lines = Object.entries(maps).sort().map(([k, v]) => `        "${k}": ${JSON.stringify(v)}`).join(',\n');
+
+console.log(`\n${'='.repeat(60)}\nProfile for strategy_config.json:\n`);
+console.log(`    "calibrated": {
+      "description": "Calibration maps fitted by calibrate.js on ${new Date().toISOString().slice(0, 10)}",${defaultProfile ? `\n      "extends": "${defaultProfile}",` : ''}
+      "CALIBRATION_MAP": {
+${lines}
+      }
+    }`);
@@ -1,10 +1,12 @@
 import fs from 'fs';
 import readline from 'readline';
 import path from 'path';
+import { PnlLedger } from './PnlLedger.js';
 
 // ================= CONFIG =================
 const TICK_FILES_DIR = './files';  // Directory with ticks-*.jsonl files
 const ORDER_FILES_DIR = './files'; // Directory with orders-*.jsonl files
+const LEDGER_FILES_DIR = './files'; // Directory with pnl_ledger*.jsonl files (official outcomes)
 const OUTPUT_BASE_DIR = './files';
 
 const WINNERS_DIR = path.join(OUTPUT_BASE_DIR, 'winners');
@@ -33,6 +35,16 @@ async function loadJsonl(filepath) {
   return data;
 }
 
+// PnL ledger of the bot that placed an order (RUN_SUFFIX in crypto.js): pnl_ledger.jsonl for
+// v2.4.1 on 15m markets, pnl_ledger-<profile>[-<market type>].jsonl for the others. Orders
+// logged before they carried profile/market are the v2.4.1 15m bot's.
+function ledgerOfOrder(order) {
+  const profile = order.profile ?? 'v2.4.1';
+  const market = order.market ?? '15m';
+  if (profile === 'v2.4.1' && market === '15m') return PnlLedger.DEFAULT_FILE;
+  return `pnl_ledger-${profile}${market !== '15m' ? `-${market}` : ''}.jsonl`;
+}
+
 function extractSlugFromTick(tick) {
   // Ticks have a 'slug' field directly
   return tick.slug || null;
@@ -99,6 +111,33 @@ function calculatePnL(ticks, orders) {
   };
 }
 
+// Markets the bot booked at resolution: official winner and realized PnL (exits included)
+// instead of guessing the winner from the last tick
+function ledgerPnL(resolved, ticks) {
+  const startPrice = ticks[0]?.startPrice ?? null;
+  const finalPrice = ticks[ticks.length - 1]?.currentPrice ?? null;
+  const upCost = resolved.entries.UP.cost;
+  const downCost = resolved.entries.DOWN.cost;
+  const payout = resolved.held.UP * resolved.payouts.UP + resolved.held.DOWN * resolved.payouts.DOWN
+    + resolved.exits.UP.proceeds + resolved.exits.DOWN.proceeds;
+
+  return {
+    startPrice,
+    finalPrice,
+    priceChange: startPrice && finalPrice ? ((finalPrice - startPrice) / startPrice * 100).toFixed(3) : 'n/a',
+    winner: resolved.winner,
+    upShares: resolved.entries.UP.shares,
+    downShares: resolved.entries.DOWN.shares,
+    upCost,
+    downCost,
+    totalCost: upCost + downCost,
+    payout,
+    pnl: resolved.realizedPnl,
+    isWinner: resolved.realizedPnl > 0,
+    source: 'ledger'
+  };
+}
+
 async function processAllTrades() {
   console.log('🚀 Starting trade classification...\n');
   
@@ -115,8 +154,9 @@ async function processAllTrades() {
   
   // Find all tick and order files
   const allFiles = fs.readdirSync(TICK_FILES_DIR);
-  const tickFiles = allFiles.filter(f => f.startsWith('ticks-') && f.endsWith('.jsonl'));
-  const orderFiles = allFiles.filter(f => f.startsWith('orders-') && f.endsWith('.jsonl'));
+  // Live logs only - paper runs write ticks-<run>-paper-* / orders-<run>-paper-*
+  const tickFiles = allFiles.filter(f => /^ticks-\d{8}\.jsonl$/.test(f));
+  const orderFiles = allFiles.filter(f => /^orders-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f));
   
   console.log(`\n📊 Found ${tickFiles.length} tick files and ${orderFiles.length} order files`);
   
@@ -141,9 +181,9 @@ async function processAllTrades() {
     });
   }
   
-  // Load ALL orders and group by derived slug
+  // Load ALL orders and group by bot (ledger) and derived slug
   console.log('\n⏳ Loading all orders...');
-  const ordersBySlug = {};
+  const ordersByKey = {};
   
   for (const orderFile of orderFiles) {
     const orderPath = path.join(ORDER_FILES_DIR, orderFile);
@@ -152,24 +192,32 @@ async function processAllTrades() {
     console.log(`   ${orderFile}: ${orders.length} orders`);
     
     orders.forEach(order => {
+      if (order.paper) return; // Paper rows in logs from before paper runs had their own files
       const slug = extractSlugFromOrder(order, order.ts);
       if (slug) {
-        if (!ordersBySlug[slug]) {
-          ordersBySlug[slug] = [];
+        const key = `${ledgerOfOrder(order)}|${slug}`;
+        if (!ordersByKey[key]) {
+          ordersByKey[key] = [];
         }
-        ordersBySlug[slug].push(order);
+        ordersByKey[key].push(order);
       }
     });
   }
   
-  // Get all unique slugs (union of ticks and orders)
-  const allSlugs = new Set([
-    ...Object.keys(ticksBySlug),
-    ...Object.keys(ordersBySlug)
-  ]);
+  // Official outcomes booked by the bots - one row per ledger (profile/market type) and slug
+  const resolvedByKey = {};
+  for (const row of PnlLedger.readResolved(LEDGER_FILES_DIR)) resolvedByKey[`${row.ledger}|${row.slug}`] = row;
+  console.log(`\n📒 ${Object.keys(resolvedByKey).length} markets in the PnL ledgers`);
+  
+  // Every bot's markets (orders and ledger); markets with only ticks go under the main bot
+  const allKeys = new Set([...Object.keys(ordersByKey), ...Object.keys(resolvedByKey)]);
+  const tradedSlugs = new Set([...allKeys].map(key => key.split('|')[1]));
+  for (const slug of Object.keys(ticksBySlug)) {
+    if (!tradedSlugs.has(slug)) allKeys.add(`${PnlLedger.DEFAULT_FILE}|${slug}`);
+  }
   
-  const slugs = Array.from(allSlugs).sort();
-  console.log(`\n📋 Processing ${slugs.length} unique markets...\n`);
+  const keys = Array.from(allKeys).sort();
+  console.log(`\n📋 Processing ${keys.length} unique markets...\n`);
   
   let processedCount = 0;
   let winnersCount = 0;
@@ -182,22 +230,26 @@ async function processAllTrades() {
     skipped: []
   };
   
-  for (const slug of slugs) {
+  for (const key of keys) {
+    const [ledger, slug] = key.split('|');
+    const runSuffix = ledger.slice('pnl_ledger'.length, -'.jsonl'.length);
+    const label = `${slug}${runSuffix}`;
     try {
       const ticks = ticksBySlug[slug] || [];
-      const orders = ordersBySlug[slug] || [];
+      const orders = ordersByKey[key] || [];
+      const resolved = resolvedByKey[key];
       
-      if (ticks.length === 0) {
-        console.log(`⚠️  ${slug}: No ticks found, skipping`);
+      if (ticks.length === 0 && !resolved) {
+        console.log(`⚠️  ${label}: No ticks found, skipping`);
         skippedCount++;
-        summary.skipped.push({ slug, reason: 'No ticks' });
+        summary.skipped.push({ slug, ledger, reason: 'No ticks' });
         continue;
       }
       
-      if (orders.length === 0) {
-        console.log(`⚠️  ${slug}: No orders placed, skipping`);
+      if (orders.length === 0 && !resolved) {
+        console.log(`⚠️  ${label}: No orders placed, skipping`);
         skippedCount++;
-        summary.skipped.push({ slug, reason: 'No orders' });
+        summary.skipped.push({ slug, ledger, reason: 'No orders' });
         continue;
       }
       
@@ -205,23 +257,24 @@ async function processAllTrades() {
       ticks.sort((a, b) => a.ts - b.ts);
       orders.sort((a, b) => a.ts - b.ts);
       
-      // Calculate P&L
-      const analysis = calculatePnL(ticks, orders);
+      // Calculate P&L (ledger first, tick-based guess for markets it doesn't have)
+      const analysis = resolved ? ledgerPnL(resolved, ticks) : calculatePnL(ticks, orders);
       
       if (!analysis) {
-        console.log(`⚠️  ${slug}: Could not calculate P&L, skipping`);
+        console.log(`⚠️  ${label}: Could not calculate P&L, skipping`);
         skippedCount++;
-        summary.skipped.push({ slug, reason: 'P&L calculation failed' });
+        summary.skipped.push({ slug, ledger, reason: 'P&L calculation failed' });
         continue;
       }
       
       // Create output object
       const output = {
         slug,
-        symbol: ticks[0].symbol,
-        timestamp: ticks[0].ts,
-        startTime: new Date(ticks[0].ts).toISOString(),
-        endTime: new Date(ticks[ticks.length - 1].ts).toISOString(),
+        ledger,
+        symbol: ticks[0]?.symbol ?? resolved.symbol,
+        timestamp: ticks[0]?.ts ?? resolved.endMs,
+        startTime: ticks.length ? new Date(ticks[0].ts).toISOString() : null,
+        endTime: new Date(ticks.length ? ticks[ticks.length - 1].ts : resolved.endMs).toISOString(),
         analysis: {
           startPrice: analysis.startPrice,
           finalPrice: analysis.finalPrice,
@@ -236,7 +289,8 @@ async function processAllTrades() {
             payout: analysis.payout
           },
           pnl: analysis.pnl,
-          isWinner: analysis.isWinner
+          isWinner: analysis.isWinner,
+          source: analysis.source || 'ticks'
         },
         stats: {
           tickCount: ticks.length,
@@ -254,7 +308,7 @@ async function processAllTrades() {
       
       // Determine output directory and filename
       const outputDir = analysis.isWinner ? WINNERS_DIR : LOSERS_DIR;
-      const outputFile = path.join(outputDir, `${slug}.json`);
+      const outputFile = path.join(outputDir, `${label}.json`);
       
       // Write to file
       fs.writeFileSync(outputFile, JSON.stringify(output, null, 2));
@@ -265,26 +319,28 @@ async function processAllTrades() {
         winnersCount++;
         summary.winners.push({
           slug,
+          ledger,
           pnl: analysis.pnl,
           winner: analysis.winner,
           priceChange: analysis.priceChange
         });
-        console.log(`✅ ${slug}: WIN  | PnL: $${analysis.pnl.toFixed(2)} | ${analysis.winner} (${analysis.priceChange}%)`);
+        console.log(`✅ ${label}: WIN  | PnL: $${analysis.pnl.toFixed(2)} | ${analysis.winner} (${analysis.priceChange}%)`);
       } else {
         losersCount++;
         summary.losers.push({
           slug,
+          ledger,
           pnl: analysis.pnl,
           winner: analysis.winner,
           priceChange: analysis.priceChange
         });
-        console.log(`❌ ${slug}: LOSS | PnL: $${analysis.pnl.toFixed(2)} | ${analysis.winner} (${analysis.priceChange}%)`);
+        console.log(`❌ ${label}: LOSS | PnL: $${analysis.pnl.toFixed(2)} | ${analysis.winner} (${analysis.priceChange}%)`);
       }
       
     } catch (error) {
-      console.error(`❌ ${slug}: Error - ${error.message}`);
+      console.error(`❌ ${label}: Error - ${error.message}`);
       skippedCount++;
-      summary.skipped.push({ slug, reason: error.message });
+      summary.skipped.push({ slug, ledger, reason: error.message });
     }
   }
   
@@ -292,7 +348,7 @@ async function processAllTrades() {
   console.log('\n' + '='.repeat(80));
   console.log('📊 FINAL SUMMARY');
   console.log('='.repeat(80));
-  console.log(`Total markets found: ${slugs.length}`);
+  console.log(`Total markets found: ${keys.length}`);
   console.log(`Processed: ${processedCount}`);
   console.log(`  Winners: ${winnersCount} (${(winnersCount / processedCount * 100).toFixed(1)}%)`);
   console.log(`  Losers:  ${losersCount} (${(losersCount / processedCount * 100).toFixed(1)}%)`);
@@ -308,6 +364,15 @@ async function processAllTrades() {
   console.log(`Total losses: $${totalLossPnL.toFixed(2)}`);
   console.log(`Net P&L:      $${netPnL.toFixed(2)}`);
   
+  // Per bot, so one profile's results don't hide in another's
+  const netByLedger = {};
+  [...summary.winners, ...summary.losers].forEach(t => {
+    netByLedger[t.ledger] = (netByLedger[t.ledger] || 0) + t.pnl;
+  });
+  Object.entries(netByLedger).sort(([a], [b]) => a.localeCompare(b)).forEach(([ledger, pnl]) => {
+    console.log(`  ${ledger}: $${pnl.toFixed(2)}`);
+  });
+  
   console.log(`\n📁 OUTPUT DIRECTORIES:`);
   console.log(`Winners: ${WINNERS_DIR}`);
   console.log(`Losers:  ${LOSERS_DIR}`);
@@ -315,7 +380,7 @@ async function processAllTrades() {
   if (skippedCount > 0) {
     console.log(`\n⚠️  SKIPPED MARKETS:`);
     summary.skipped.forEach(s => {
-      console.log(`  ${s.slug}: ${s.reason}`);
+      console.log(`  ${s.slug} (${s.ledger}): ${s.reason}`);
     });
   }
   
@@ -324,7 +389,7 @@ async function processAllTrades() {
   fs.writeFileSync(summaryFile, JSON.stringify({
     generatedAt: new Date().toISOString(),
     totals: {
-      marketsFound: slugs.length,
+      marketsFound: keys.length,
       processed: processedCount,
       winners: winnersCount,
       losers: losersCount,
@@ -334,7 +399,8 @@ async function processAllTrades() {
     pnl: {
       totalWins: totalWinPnL,
       totalLosses: totalLossPnL,
-      net: netPnL
+      net: netPnL,
+      netByLedger
     },
     winners: summary.winners.sort((a, b) => b.pnl - a.pnl), // Sort by PnL desc
     losers: summary.losers.sort((a, b) => a.pnl - b.pnl),   // Sort by PnL asc (worst first)
@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * Volatility estimator comparison - which sigma forecasts the next 15 minutes best?
+ * Builds 1-minute bars (close, high, low) per asset from the prices in ticks-*.jsonl and,
+ * every --step minutes with a full window behind and the bar 15 minutes ahead logged,
+ * forecasts the 15-minute log move with each estimator of VolEstimators.js (and each one
+ * with the hour-of-week seasonality of vol_seasonality.json, when present). Scores:
+ *   QLIKE     mean of ln(σ²) + r²/σ² - the standard loss for variance forecasts, lower is better
+ *   z²        mean of r²/σ² - 1 when the forecast is unbiased, above 1 when it is too low
+ *   in ±1.96σ share of moves inside the 95% band
+ * Estimator knobs (VOL_EWMA_LAMBDA, VOL_GARCH_*) come from the profile. Raw estimates: the
+ * minVolBps floor is left out so the estimators are compared on their own. Bar ranges come
+ * from the logged ticks, so with sparse ticks parkinson sees less of each minute's range
+ * than the bot does live (it samples every price update).
+ *
+ * Usage: node compare_vol.js [--dir ./files] [--symbol BTC] [--profile v2.4.1] [--window 60] [--horizon 15] [--step 5]
+ *   --dir      -> directory with ticks-*.jsonl
+ *   --symbol   -> only this asset
+ *   --profile  -> strategy_config.json profile for the estimator knobs
+ *   --window   -> 1-minute bars per estimate (VOL_WINDOW_MINS in the bot)
+ *   --horizon  -> minutes ahead to score
+ *   --step     -> minutes between forecasts
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { StrategyConfig } from './StrategyConfig.js';
+import { VolEstimators } from './VolEstimators.js';
+
+const SEASONALITY_FILE = 'vol_seasonality.json';
+const MINUTE_MS = 60 * 1000;
+
+const args = process.argv.slice(2);
+let dir = './files';
+let onlySymbol = null;
+let profile = null;
+let window = 60;
+let horizon = 15;
+let step = 5;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--dir' && args[i + 1]) dir = args[i + 1];
+  if (args[i] === '--symbol' && args[i + 1]) onlySymbol = args[i + 1].toUpperCase();
+  if (args[i] === '--profile' && args[i + 1]) profile = args[i + 1];
+  if (args[i] === '--window' && args[i + 1]) window = Number(args[i + 1]);
+  if (args[i] === '--horizon' && args[i + 1]) horizon = Number(args[i + 1]);
+  if (args[i] === '--step' && args[i + 1]) step = Number(args[i + 1]);
+}
+
+if (!fs.existsSync(dir)) {
+  console.error(`❌ Directory ${dir} not found`);
+  process.exit(1);
+}
+if (!(window >= 10 && horizon >= 1 && step >= 1)) {
+  console.error('❌ --window must be at least 10, --horizon and --step at least 1');
+  process.exit(1);
+}
+
+const { profile: profileName, config } = StrategyConfig.load({ profile });
+const seasonality = fs.existsSync(SEASONALITY_FILE) ? JSON.parse(fs.readFileSync(SEASONALITY_FILE, 'utf8')) : {};
+
+// ---------- BARS ----------
+
+// symbol -> Map(minute -> { ts, price, high, low }); the close is the minute's last price
+async function loadBars() {
+  const files = fs.readdirSync(dir).filter(f => /^ticks-\d{8}\.jsonl$/.test(f)).sort(); // Not paper runs' ticks
+  const bySymbol = {};
+
+  for (const file of files) {
+    const rl = readline.createInterface({ input: fs.createReadStream(path.join(dir, file)), crlfDelay: Infinity });
+    for await (const line of rl) {
+      let t;
+      try {
+        t = JSON.parse(line);
+      } catch (e) {
+        continue; // Skip invalid lines
+      }
+      if (!t.symbol || !(t.currentPrice > 0) || !t.ts || (onlySymbol && t.symbol !== onlySymbol)) continue;
+
+      const bars = bySymbol[t.symbol] || (bySymbol[t.symbol] = new Map());
+      const minute = Math.floor(t.ts / MINUTE_MS);
+      const bar = bars.get(minute);
+      if (!bar) {
+        bars.set(minute, { ts: t.ts, price: t.currentPrice, high: t.currentPrice, low: t.currentPrice });
+        continue;
+      }
+      bar.high = Math.max(bar.high, t.currentPrice);
+      bar.low = Math.min(bar.low, t.currentPrice);
+      if (t.ts >= bar.ts) {
+        bar.ts = t.ts;
+        bar.price = t.currentPrice;
+      }
+    }
+  }
+  console.log(`Loaded ${files.length} tick files | profile ${profileName} | window ${window}m, horizon ${horizon}m, every ${step}m`);
+  return bySymbol;
+}
+
+// ---------- SCORING ----------
+
+function emptyScore() {
+  return { n: 0, qlike: 0, z2: 0, inside: 0 };
+}
+
+function addScore(score, move, sigma) {
+  const variance = sigma * sigma * horizon;
+  if (!(variance > 0)) return;
+  score.n++;
+  score.qlike += Math.log(variance) + move * move / variance;
+  score.z2 += move * move / variance;
+  if (Math.abs(move) <= 1.96 * Math.sqrt(variance)) score.inside++;
+}
+
+function scoreSymbol(symbol, bars) {
+  const variants = VolEstimators.NAMES.map(name => ({ label: name, name, seasonal: false }));
+  const multipliers = seasonality[symbol]?.multipliers ?? null;
+  if (multipliers) {
+    for (const name of VolEstimators.NAMES) variants.push({ label: `${name}+season`, name, seasonal: true });
+  }
+  const scores = Object.fromEntries(variants.map(v => [v.label, emptyScore()]));
+
+  const minutes = [...bars.keys()].sort((a, b) => a - b);
+  for (const minute of minutes) {
+    if (minute % step !== 0) continue;
+    const ahead = bars.get(minute + horizon);
+    if (!ahead) continue;
+
+    // A full window of consecutive bars ending at this minute
+    const windowBars = [];
+    for (let m = minute - window + 1; m <= minute; m++) {
+      const bar = bars.get(m);
+      if (!bar) break;
+      windowBars.push(bar);
+    }
+    if (windowBars.length < window) continue;
+
+    const now = windowBars[windowBars.length - 1];
+    const move = Math.log(ahead.price / now.price);
+    const windowMidTs = (windowBars[0].ts + now.ts) / 2;
+
+    for (const v of variants) {
+      let sigma = VolEstimators.estimate(windowBars, { ...config, VOL_ESTIMATOR: v.name }, horizon);
+      if (sigma === null) continue;
+      if (v.seasonal) sigma *= VolEstimators.seasonalFactor(multipliers, now.ts, windowMidTs);
+      addScore(scores[v.label], move, sigma);
+    }
+  }
+  return scores;
+}
+
+// ---------- REPORT ----------
+
+const bySymbol = await loadBars();
+if (!fs.existsSync(SEASONALITY_FILE)) {
+  console.log(`(No ${SEASONALITY_FILE} - run a bot once to learn seasonality; comparing without it)`);
+}
+
+for (const symbol of Object.keys(bySymbol).sort()) {
+  const scores = scoreSymbol(symbol, bySymbol[symbol]);
+  const ranked = Object.entries(scores).filter(([, s]) => s.n > 0).sort((a, b) => a[1].qlike / a[1].n - b[1].qlike / b[1].n);
+
+  console.log(`\n${'='.repeat(60)}\n${symbol}: ${bySymbol[symbol].size} one-minute bars`);
+  if (ranked.length === 0) {
+    console.log(`   No forecast with a full ${window}m window and a bar ${horizon}m ahead`);
+    continue;
+  }
+  console.log(`   ${'Estimator'.padEnd(18)} ${'N'.padStart(6)} ${'QLIKE'.padStart(9)} ${'z²'.padStart(7)} ${'in ±1.96σ'.padStart(10)}`);
+  for (const [label, s] of ranked) {
+    console.log(
+      `   ${label.padEnd(18)} ${String(s.n).padStart(6)} ${(s.qlike / s.n).toFixed(3).padStart(9)} ` +
+      `${(s.z2 / s.n).toFixed(2).padStart(7)} ${`${(s.inside / s.n * 100).toFixed(1)}%`.padStart(10)}`
+    );
+  }
+  console.log(`   Best: ${ranked[0][0]} (set VOL_ESTIMATOR${ranked[0][0].endsWith('+season') ? ' and VOL_SEASONALITY' : ''} in the profile)`);
+}
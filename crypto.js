@@ -19,12 +19,27 @@
 // Combined with v2.3.2 fixes: 75-85% total loss reduction
 
 import 'dotenv/config';
-import cron from "node-cron";
 import clob from "@polymarket/clob-client";
 const { ClobClient, Side, OrderType } = clob;
 import { Wallet } from "@ethersproject/wallet";
 import fs from "fs";
 import { VolatilityManager } from "./VolatilityManager.js";
+import { Backfill } from "./Backfill.js";
+import { PriceStore } from "./PriceStore.js";
+import { StrategyCore } from "./StrategyCore.js";
+import { PaperExchange } from "./PaperExchange.js";
+import { StateJournal } from "./StateJournal.js";
+import { StrategyConfig } from "./StrategyConfig.js";
+import { PriceFeed } from "./PriceFeed.js";
+import { OrderBookCache } from "./OrderBookCache.js";
+import { FillTracker } from "./FillTracker.js";
+import { MarketTypes } from "./MarketTypes.js";
+import { AssetRegistry } from "./AssetRegistry.js";
+import { BasisTracker } from "./BasisTracker.js";
+import { AssetLoop } from "./AssetLoop.js";
+import { RiskGuard } from "./RiskGuard.js";
+import { PnlLedger } from "./PnlLedger.js";
+import { ExitExecutor } from "./ExitExecutor.js";
 
 // ---------- LOGGER FN (Buffered) --------------
 function createScopedLogger(symbol) {
@@ -48,85 +63,72 @@ function createScopedLogger(symbol) {
 }
 
 // ---------- GLOBAL CONFIG ----------
-let interval = 2; // seconds between runs
-
-const ASSETS = [
-  { symbol: "BTC", slugPrefix: "btc", pythId: "0xe62df6c8b4a85fe1a67db44dc12de5db330f7ac66b72dc658afedf0f4a415b43" },
-  { symbol: "ETH", slugPrefix: "eth", pythId: "0xff61491a931112ddf1bd8147cd1b641375f79f5825126d665480874634fd0ace" },
-  { symbol: "SOL", slugPrefix: "sol", pythId: "0xef0d8b6fda2ceba41da15d4095d1da392a0d2f8ed0c6c7bc0f4cfac8c280b56d" },
-  { symbol: "XRP", slugPrefix: "xrp", pythId: "0xec5d399846a9209f3fe5881d70aae9268c94339ff9817e8d18ff19fa05eea1c8" },
-];
-
-const BASIS_BUFFER_BPS = {
-  BTC: 5,
-  ETH: 7,
-  SOL: 7,
-  XRP: 7
-};
-
-const MAX_PRICE_BY_TIME = {
-  8: 0.86,
-  5: 0.90,   // >5 mins
-  3: 0.93,   // 3-5 mins
-  2: 0.95,   // 2-3 mins
-  1: 0.96,   // 1-2 mins
-  0.5: 0.97, // 30s-1 min
-  0: 0.98    // <30s
-};
-const MAX_RISK_REWARD_RATIO = 15;
-
-const MAX_SHARES_PER_MARKET = { BTC: 600, ETH: 300, SOL: 300, XRP: 200 };
-
-const ASSET_SPECIFIC_KELLY_FRACTION = {
-  BTC: 0.15,
-  ETH: 0.08,
-  SOL: 0.15,
-  XRP: 0.15
-};
-
-// Correlation matrix (for position limits)
-const CORRELATION_MATRIX = {
-  'BTC-ETH': 0.70,
-  'BTC-SOL': 0.60,
-  'BTC-XRP': 0.55,
-  'ETH-SOL': 0.65,
-  'ETH-XRP': 0.50,
-  'SOL-XRP': 0.45
-};
-
-// EXIT CONFIGURATION (NEW in v2.4.0)
-const EXIT_REVERSAL_THRESHOLD = 0.8; // Exit if signal reverses by this many σ after sign flip
-const EXIT_PROBABILITY_THRESHOLD = 0.75; // Emergency exit if probability against position > 75%
-const EXIT_MIN_POSITION_SIZE = 10; // Don't bother exiting positions smaller than this
-
-// Time / edge thresholds
-const MINUTES_LEFT = 3;
-const MIN_EDGE_EARLY = 0.03;
-const MIN_EDGE_LATE  = 0.02;
-
-// EARLY TRADING CONFIG (5-15 mins left)
-const OVERRIDE_US_TRADING_HOURS = true; // Toggle to trade early even during US hours
-const ENABLE_EARLY_TRADING = true; // Toggle this to enable/disable early trading
-const MAX_SHARES_WEAK_SIGNAL = 70;
-
-// Regime scalar bounds (prevent extreme adjustments)
-const REGIME_SCALAR_MIN = 0.7; // Don't make thresholds too high in low vol
-const REGIME_SCALAR_MAX = 1.4; // Don't make thresholds too low in high vol
-
-// Extreme late-game constants
-const Z_HUGE = 2.8; // Requires ~99.7% probability
-const LATE_GAME_EXTREME_SECS = 8;
-const LATE_GAME_MIN_EV = 0.01;
-const LATE_GAME_MAX_PRICE = 0.97;
-
-// Risk bands
-const PRICE_MIN_CORE = 0.90; const PROB_MIN_CORE  = 0.97;
-const PRICE_MAX_RISKY = 0.90; const PROB_MAX_RISKY  = 0.95;
-const MAX_REL_DIFF = 0.05;
+// Each asset runs its own loop on price/book updates (AssetLoop.js), at most once per
+// cadence: fast in the final minutes, slow while the interval has long to go.
+// Minutes are on the 15m threshold clock (see StrategyCore.thresholdMinsLeft).
+const LOOP_FINAL_MINS = 2;
+const LOOP_EARLY_MINS = 5;
+const LOOP_CADENCE_MS = { final: 500, normal: 2000, early: 4000 };
+
+// Paper trading: orders go to a simulated exchange that fills against the real
+// books (or PAPER_BOOKS_FILE recordings). Run with PAPER_TRADING=1 or --paper.
+const PAPER_TRADING = process.env.PAPER_TRADING === "1" || process.argv.includes("--paper");
+// Append every tick's books to this file, for PAPER_BOOKS_FILE replays
+const BOOKS_RECORD_FILE = process.env.BOOKS_RECORD_FILE || null;
+
+// Market type (interval length): 15m, 1h, 4h or daily. Pick one with MARKET_TYPE=... or --market ...
+const marketArgIdx = process.argv.indexOf("--market");
+const MARKET = MarketTypes.get(process.env.MARKET_TYPE || (marketArgIdx !== -1 ? process.argv[marketArgIdx + 1] : "15m"));
+
+// Coins come from asset_registry.json. Prices and vol history are kept for every
+// enabled asset; only assets with a listed market of MARKET.type are traded, and
+// that list is refreshed every interval (see discoverAssets).
+const REGISTRY_ASSETS = AssetRegistry.list();
+let ASSETS = [];
+
+// Price history gaps are filled from these sources in fallback order (Backfill.js):
+// BACKFILL_SOURCES=pyth,binance,file - default binance, then pyth, then local files
+const BACKFILL_SOURCES = process.env.BACKFILL_SOURCES
+  ? process.env.BACKFILL_SOURCES.split(",").map(s => s.trim()).filter(Boolean)
+  : Backfill.DEFAULT_SOURCES;
+const unknownSources = BACKFILL_SOURCES.filter(s => !Backfill.SOURCES.includes(s));
+if (unknownSources.length > 0) {
+  throw new Error(`BACKFILL_SOURCES: unknown ${unknownSources.join(", ")} (available: ${Backfill.SOURCES.join(", ")})`);
+}
+
+// Strategy knobs (thresholds, caps, Kelly fractions, exits) come from a profile in
+// strategy_config.json and are hot-reloaded. Pick one with STRATEGY_PROFILE=... or --profile ...
+const profileArgIdx = process.argv.indexOf("--profile");
+let { profile: STRATEGY_PROFILE, config: STRATEGY_CONFIG } = StrategyConfig.load({
+  profile: process.env.STRATEGY_PROFILE || (profileArgIdx !== -1 ? process.argv[profileArgIdx + 1] : null)
+});
+
+// Crash-safe state: rebuilt from the journal on startup, every transition appended to it.
+// One journal (and circuit-breaker state, PnL ledger, price history) per profile/market
+// type/mode so bots running side by side don't share caps or write each other's files.
+const RUN_SUFFIX = STRATEGY_PROFILE === "v2.4.1" && MARKET.type === "15m" && !PAPER_TRADING
+  ? ""
+  : `-${STRATEGY_PROFILE}${MARKET.type !== "15m" ? `-${MARKET.type}` : ""}${PAPER_TRADING ? "-paper" : ""}`;
+const journalFile = RUN_SUFFIX ? `state_journal${RUN_SUFFIX}.jsonl` : StateJournal.DEFAULT_FILE;
+const riskFile = RUN_SUFFIX ? `risk_state${RUN_SUFFIX}.json` : RiskGuard.DEFAULT_FILE;
+const ledgerFile = RUN_SUFFIX ? `pnl_ledger${RUN_SUFFIX}.jsonl` : PnlLedger.DEFAULT_FILE;
+const priceHistoryFile = RUN_SUFFIX ? `price_history${RUN_SUFFIX}.jsonl` : PriceStore.DEFAULT_FILE;
+// Paper runs log ticks and orders to their own files, so the analytics scripts (which read
+// ticks-YYYYMMDD.jsonl / orders-YYYY-MM-DD.jsonl) never mix simulated trades with live ones.
+// Live bots of other profiles/market types share the files; their rows carry profile/market.
+const LOG_SUFFIX = PAPER_TRADING ? RUN_SUFFIX : "";
+const restoredState = StateJournal.open(journalFile);
+PriceStore.open(priceHistoryFile);
 
 // Order tracking
-const ORDER_MONITOR_MS = 30000; // 30 seconds to fill
-const pendingOrders = new Map(); // orderID -> { asset, side, size, timestamp }
+const POSITION_CROSS_CHECK_MS = 60000; // Fills vs Data API
+// Orders leave pendingOrders on their FillTracker MATCHED / CANCELED update (handleOrderUpdate)
+const pendingOrders = new Map(Object.entries(restoredState.pendingOrders)); // orderID -> { asset, side, size, tokenId, slug, timestamp, sizeFilled }
+
+function closePendingOrder(orderID, status) {
+  pendingOrders.delete(orderID);
+  StateJournal.record("ORDER_CLOSED", { orderID, status });
+}
 
 // CLOB
 const CLOB_HOST = "https://clob.polymarket.com";
@@ -134,23 +136,36 @@ const CHAIN_ID = 137;
 const SIGNATURE_TYPE = 1;
 const FUNDER = "0xA69b1867a00c87928b5A1f6B1c2e9aC2246bD844";
 
-const signer = new Wallet(process.env.PRIVATE_KEY);
-const creds = await new ClobClient(CLOB_HOST, CHAIN_ID, signer).createOrDeriveApiKey();
-console.log("Address:", await signer.getAddress());
-const client = new ClobClient(CLOB_HOST, CHAIN_ID, signer, creds, SIGNATURE_TYPE, FUNDER);
-
-// ---------- STATISTICAL FUNCTIONS ----------
-
-// Normal CDF
-function normCdf(z) {
-  const t = 1 / (1 + 0.2316419 * Math.abs(z));
-  const d = 0.3989423 * Math.exp(-0.5 * z * z);
-  let p = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
-  if (z > 0) p = 1 - p;
-  return p;
+// Unauthenticated client for market data (REST books behind the websocket cache)
+const bookClient = new ClobClient(CLOB_HOST, CHAIN_ID);
+
+let client;
+let apiCreds = null; // Also authenticates the FillTracker user channel
+if (PAPER_TRADING) {
+  const getBook = process.env.PAPER_BOOKS_FILE
+    ? PaperExchange.recordedBookSource(process.env.PAPER_BOOKS_FILE, { resolve: tokenRole })
+    : (tokenId) => OrderBookCache.getBook(tokenId) ?? bookClient.getOrderBook(tokenId);
+  // Simulated fills and cancels feed the FillTracker like user-channel events would
+  client = PaperExchange.createClient({
+    getBook,
+    onFill: (fill) => FillTracker.applyFill({
+      orderID: fill.orderID, tokenId: fill.tokenId, orderSide: fill.side, price: fill.price, size: fill.size, ts: fill.ts
+    }),
+    onCancel: (order) => FillTracker.applyOrderUpdate({
+      orderID: order.id, tokenId: order.asset_id, orderSide: order.side, price: order.price,
+      size: order.original_size, sizeMatched: order.size_matched, status: "CANCELED"
+    })
+  });
+  console.log("📝 PAPER TRADING - orders are simulated, nothing is sent to the CLOB");
+} else {
+  const signer = new Wallet(process.env.PRIVATE_KEY);
+  apiCreds = await new ClobClient(CLOB_HOST, CHAIN_ID, signer).createOrDeriveApiKey();
+  console.log("Address:", await signer.getAddress());
+  client = new ClobClient(CLOB_HOST, CHAIN_ID, signer, apiCreds, SIGNATURE_TYPE, FUNDER);
 }
 
-// Drift estimation (linear regression on recent prices) - WITH CLAMPING
+// ---------- DRIFT ----------
+
 const driftCache = {}; // symbol -> { drift, lastUpdate }
 
 function estimateDrift(symbol, windowMinutes = 60) {
@@ -162,402 +177,24 @@ function estimateDrift(symbol, windowMinutes = 60) {
   
   const history = VolatilityManager.getPriceHistory(symbol, windowMinutes);
   if (!history || history.length < 10) return 0;
-  
-  const n = history.length;
-  let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-
-  const baseTime = history[0].timestamp;
-
-  for (let i = 0; i < n; i++) {
-    const x = (history[i].timestamp - baseTime) / 60000; // minutes
-    const y = Math.log(history[i].price);
-    sumX += x;
-    sumY += y;
-    sumXY += x * y;
-    sumX2 += x * x;
-  }
-  
-  const denominator = n * sumX2 - sumX * sumX;
-  if (Math.abs(denominator) < 1e-10) return 0;
-  
-  const slope = (n * sumXY - sumX * sumY) / denominator;
-  
-  const currentPrice = history[history.length - 1].price;
-  const driftPerMinute = slope * currentPrice;
-  
-  // Clamp drift to ±0.1% of price per minute (prevents extreme values)
-  const maxDrift = currentPrice * 0.001; // 0.1%
-  const clampedDrift = Math.max(-maxDrift, Math.min(maxDrift, driftPerMinute));
-  
+
+  const clampedDrift = StrategyCore.estimateDrift(history);
   driftCache[symbol] = { drift: clampedDrift, lastUpdate: now };
   return clampedDrift;
 }
 
-// Kelly Criterion for position sizing
-function kellySize(prob, price, maxShares, fraction = 0.15) {
-  // Edge cases
-  if (price >= 0.99 || price <= 0.01) return 10; // fallback for extreme prices
-  if (prob <= price) return 0; // no edge, minimum bet
-  
-  // Kelly formula for binary outcomes: (p - price) / (1 - price)
-  // Where you pay 'price' and get $1 if you win
-  const kellyFraction = (prob - price) / (1 - price);
-  
-  // Apply fractional Kelly for risk management
-  const fractionalKelly = kellyFraction * fraction;
-  
-  // Convert to share size (as a fraction of max position)
-  const rawSize = fractionalKelly * maxShares;
-  
-  // Round to nearest 10 shares, minimum 10
-  const roundedSize = Math.max(10, Math.floor(rawSize / 10) * 10);
-  
-  // Cap at maxShares
-  return Math.min(roundedSize, maxShares);
-}
-
-// Correlation-adjusted position limit check
-function checkCorrelationRisk(state, newSymbol, newSide, newSize) {
-  const positions = {};
-  
-  // Collect all current positions
-  for (const [sym, st] of Object.entries(stateBySymbol)) {
-    if (!st || !st.sideSharesBySlug) continue;
-    const slug = st.slug;
-    const pos = st.sideSharesBySlug[slug];
-    if (!pos) continue;
-    
-    const net = (pos.UP || 0) - (pos.DOWN || 0);
-    if (net !== 0) positions[sym] = net;
-  }
-  
-  // Add proposed position
-  const proposedNet = (positions[newSymbol] || 0) + (newSide === 'UP' ? newSize : -newSize);
-  positions[newSymbol] = proposedNet;
-  
-  // Calculate correlation-adjusted exposure
-  let totalRisk = 0;
-  const symbols = Object.keys(positions);
-  
-  for (let i = 0; i < symbols.length; i++) {
-    for (let j = 0; j < symbols.length; j++) {
-      const sym1 = symbols[i];
-      const sym2 = symbols[j];
-      
-      const pos1 = positions[sym1] || 0;
-      const pos2 = positions[sym2] || 0;
-      
-      let corr = 1.0;
-      if (sym1 !== sym2) {
-        const key = [sym1, sym2].sort().join('-');
-        corr = CORRELATION_MATRIX[key] || 0.5; // default to 0.5
-      }
-      
-      totalRisk += pos1 * pos2 * corr;
-    }
-  }
-  
-  const portfolioStd = Math.sqrt(Math.max(0, totalRisk));
-  
-  // Risk limit: 3x average single-asset limit
-  const avgLimit = Object.values(MAX_SHARES_PER_MARKET).reduce((a, b) => a + b, 0) / Object.keys(MAX_SHARES_PER_MARKET).length;
-  const riskLimit = avgLimit * 3;
-  
-  return {
-    ok: portfolioStd <= riskLimit,
-    portfolioRisk: portfolioStd,
-    limit: riskLimit
-  };
-}
-
-function checkBasisRiskHybrid(currentPrice, startPrice, minsLeft, z, pUp, pDown, upAsk, downAsk, asset, logger, sharesUp = 0, sharesDown = 0) {
-  if (minsLeft > 5) {
-    const distFromStrike = (currentPrice - startPrice) / startPrice * 10000; // in bps
-    
-    // If price moved significantly against existing position, STOP
-    if (distFromStrike < -20 && sharesUp > 0) {
-      logger.log(`⛔ EARLY STOP: Price ${distFromStrike.toFixed(1)}bps below strike, holding ${sharesUp} UP`);
-      return { safe: false, reason: "Price crossed strike early (UP position)" };
-    }
-    
-    if (distFromStrike > 20 && sharesDown > 0) {
-      logger.log(`⛔ EARLY STOP: Price ${distFromStrike.toFixed(1)}bps above strike, holding ${sharesDown} DOWN`);
-      return { safe: false, reason: "Price crossed strike early (DOWN position)" };
-    }
-  }
-
-  if (minsLeft >= 2) {
-    return { safe: true, reason: "Not in danger zone" };
-  }
-
-  const distBps = (Math.abs(currentPrice - startPrice) / startPrice) * 10000;
-  let minSafeDist = BASIS_BUFFER_BPS[asset.symbol] || 10;
-  // TODO: consider removing this
-  if (Math.abs(z) > 1.5) {
-    minSafeDist *= 0.5;
-  } else if (Math.abs(z) > 1.2) {
-    minSafeDist *= 0.75;
-  } else if (Math.abs(z) > 0.8) {
-    minSafeDist *= 0.9;
-  }
-  
-  if (distBps >= minSafeDist) {
-    return { safe: true, reason: `Far from strike: ${distBps.toFixed(1)}bps` };
-  }
-
-  // In danger zone - apply strict rules
-  const priceIsAboveStrike = currentPrice > startPrice;
-  const absZ = Math.abs(z);
-  
-  // Calculate edge for both directions
-  const upEdge = upAsk ? pUp - upAsk : 0;
-  const downEdge = downAsk ? pDown - downAsk : 0;
-
-  if (priceIsAboveStrike) {
-    // Price above strike - UP is safer, DOWN is dangerous
-    if (z > 0 && upEdge > 0.05) {
-      // Trading WITH direction + good edge = allow
-      logger.log(`✅ Basis OK: WITH direction (UP), edge=${(upEdge*100).toFixed(1)}%, dist=${distBps.toFixed(1)}bps`);
-      return { safe: true, reason: "Trading with direction" };
-    }
-    if (z < 0) {
-      // Trading AGAINST direction - need exceptional signal
-      if (absZ > 2.0 && downEdge > 0.15) {
-        logger.log(`⚠️  Basis override: Extreme signal (z=${z.toFixed(2)}, edge=${(downEdge*100).toFixed(1)}%)`);
-        return { safe: true, reason: "Extreme counter-signal" };
-      }
-      logger.log(`🚫 BASIS RISK: Against direction, insufficient signal (z=${z.toFixed(2)})`);
-      return { safe: false, reason: "Against direction in danger zone" };
-    }
-  } else {
-    // Price below strike - DOWN is safer, UP is dangerous
-    if (z < 0 && downEdge > 0.05) {
-      logger.log(`✅ Basis OK: WITH direction (DOWN), edge=${(downEdge*100).toFixed(1)}%, dist=${distBps.toFixed(1)}bps`);
-      return { safe: true, reason: "Trading with direction" };
-    }
-    if (z > 0) {
-      if (absZ > 2.0 && upEdge > 0.15) {
-        logger.log(`⚠️  Basis override: Extreme signal (z=${z.toFixed(2)}, edge=${(upEdge*100).toFixed(1)}%)`);
-        return { safe: true, reason: "Extreme counter-signal" };
-      }
-      logger.log(`🚫 BASIS RISK: Against direction, insufficient signal (z=${z.toFixed(2)})`);
-      return { safe: false, reason: "Against direction in danger zone" };
-    }
-  }
-
-  logger.log(`🚫 BASIS RISK: Danger zone (${distBps.toFixed(1)}bps) with poor edge`);
-  return { safe: false, reason: "Danger zone with insufficient edge" };
-  // return { safe: true, reason: "No clear signal" };
-}
-
-function getMaxPriceForTime(minsLeft) {
-  if (minsLeft > 8) return MAX_PRICE_BY_TIME[8];
-  if (minsLeft > 5) return MAX_PRICE_BY_TIME[5];
-  if (minsLeft > 3) return MAX_PRICE_BY_TIME[3];
-  if (minsLeft > 2) return MAX_PRICE_BY_TIME[2];
-  if (minsLeft > 1) return MAX_PRICE_BY_TIME[1];
-  if (minsLeft > 0.5) return MAX_PRICE_BY_TIME[0.5];
-  return MAX_PRICE_BY_TIME[0];
-}
-
-function checkRiskReward(price, size, prob, minsLeft, logger) {
-  const reward = size * (1.00 - price);
-  const risk = size * price;
-  const ratio = risk / reward;
-
-  // Calculate probability-adjusted max ratio
-  // Higher probability = allow worse ratios
-  // At 50% prob: max 15:1
-  // At 90% prob: max 50:1
-  // At 99% prob: max 200:1
-
-  let maxRatio;
-  if (prob >= 0.95) {
-    // Very high probability: allow up to 100:1
-    maxRatio = 100;
-  } else if (prob >= 0.90) {
-    // High probability: allow up to 50:1
-    maxRatio = 50;
-  } else if (prob >= 0.80) {
-    // Medium-high: allow up to 25:1
-    maxRatio = 25;
-  } else {
-    // Lower probability: strict 15:1
-    maxRatio = 15;
-  }
-
-  if (ratio > maxRatio) {
-    logger.log(`🛑 Risk/reward: ${ratio.toFixed(1)}:1 > ${maxRatio.toFixed(1)}:1 max (prob=${(prob*100).toFixed(1)}%)`);
-    logger.log(`   Risking $${risk.toFixed(2)} to win $${reward.toFixed(2)}`);
-    return false;
-  }
-
-  return true;
-}
-
-// ========================================
-// EXIT LOGIC (NEW in v2.4.0)
-// ========================================
-
-function shouldExitPosition(state, z, pUp, pDown, sharesUp, sharesDown, minsLeft, logger) {
-  const entryZ = state.entryZ;
-  const totalShares = sharesUp + sharesDown;
-
-  // No position or too small to bother
-  if (totalShares < EXIT_MIN_POSITION_SIZE) {
-    return { shouldExit: false };
-  }
-
-  // No entry signal recorded (shouldn't happen but be safe)
-  if (entryZ === null || entryZ === undefined) {
-    return { shouldExit: false };
-  }
-
-  if (minsLeft < 0.5) {
-    const entrySignal = state.entryZ || 0;
-    const currentSignal = z;
-    const reversalMagnitude = Math.abs(currentSignal - entrySignal);
-    const signalFlipped = Math.sign(entrySignal) !== Math.sign(currentSignal) && 
-                          Math.sign(entrySignal) !== 0 && 
-                          Math.sign(currentSignal) !== 0;
-
-    // Allow exit if reversal >1.2σ (50% higher than normal to account for exit costs)
-    if (!(signalFlipped && reversalMagnitude > 1.2)) {
-      logger.log(`⏰ <30s left: only large reversals (>1.2σ) allowed, current: ${reversalMagnitude.toFixed(2)}σ`);
-      return { shouldExit: false };
-    }
-
-    logger.log(`🚨 ULTRA-LATE EXIT: Reversal ${reversalMagnitude.toFixed(2)}σ with ${(minsLeft*60).toFixed(0)}s left`);
-    // Allow exit to continue...
-  }
-  
-  // EXIT CONDITION 1: Signal Reversal
-  // Only triggers if sign has flipped AND magnitude is significant
-  const currentZ = z;
-  const signalFlipped = Math.sign(entryZ) !== Math.sign(currentZ) && 
-                        Math.sign(entryZ) !== 0 && 
-                        Math.sign(currentZ) !== 0;
-  
-  if (signalFlipped) {
-    const reversalMagnitude = Math.abs(currentZ - entryZ);
-    
-    if (reversalMagnitude > EXIT_REVERSAL_THRESHOLD) {
-      const exitSide = sharesUp > 0 ? 'UP' : 'DOWN';
-      const exitShares = sharesUp > 0 ? sharesUp : sharesDown;
-      
-      logger.log(`🚨 SIGNAL REVERSAL DETECTED`);
-      logger.log(`   Entry z=${entryZ.toFixed(2)} → Current z=${currentZ.toFixed(2)}`);
-      logger.log(`   Reversal magnitude: ${reversalMagnitude.toFixed(2)}σ > ${EXIT_REVERSAL_THRESHOLD}σ threshold`);
-      
-      return {
-        shouldExit: true,
-        reason: 'signal_reversal',
-        side: exitSide,
-        shares: exitShares,
-        urgency: 'normal',
-        magnitude: reversalMagnitude
-      };
-    }
-  }
-  
-  // EXIT CONDITION 2: Emergency Probability Override
-  // If probability strongly favors opposite side, exit immediately
-  if (sharesUp > 0 && pDown > EXIT_PROBABILITY_THRESHOLD) {
-    logger.log(`🚨 EMERGENCY EXIT TRIGGERED`);
-    logger.log(`   Holding ${sharesUp} UP shares but pDown=${(pDown*100).toFixed(1)}% (>${(EXIT_PROBABILITY_THRESHOLD*100).toFixed(0)}% threshold)`);
-    
-    return {
-      shouldExit: true,
-      reason: 'emergency_probability',
-      side: 'UP',
-      shares: sharesUp,
-      urgency: 'emergency',
-      probability: pDown
-    };
-  }
-  
-  if (sharesDown > 0 && pUp > EXIT_PROBABILITY_THRESHOLD) {
-    logger.log(`🚨 EMERGENCY EXIT TRIGGERED`);
-    logger.log(`   Holding ${sharesDown} DOWN shares but pUp=${(pUp*100).toFixed(1)}% (>${(EXIT_PROBABILITY_THRESHOLD*100).toFixed(0)}% threshold)`);
-    
-    return {
-      shouldExit: true,
-      reason: 'emergency_probability',
-      side: 'DOWN',
-      shares: sharesDown,
-      urgency: 'emergency',
-      probability: pUp
-    };
-  }
-  
-  return { shouldExit: false };
-}
-
-function shouldTakeProfits(state, upAsk, downAsk, minsLeft, z, sharesUp, sharesDown, logger) {
-  const slug = state.slug;
-
-  if (sharesUp === 0 && sharesDown === 0) {
-    return { shouldExit: false };
-  }
-
-  const side = sharesUp > 0 ? 'UP' : 'DOWN';
-  const shares = sharesUp > 0 ? sharesUp : sharesDown;
-  const currentAsk = side === 'UP' ? upAsk : downAsk;
-
-  if (!currentAsk) return { shouldExit: false };
-
-  // RULE 1: Always exit at 99¢+ (only 1¢ upside left)
-  if (currentAsk >= 0.99) {
-    logger.log(`💰 PROFIT TAKING: Price ${(currentAsk*100).toFixed(0)}¢ - only 1¢ upside left`);
-    return {
-      shouldExit: true,
-      reason: 'profit_taking_max_price',
-      side: side,
-      shares: shares,
-      urgency: 'normal'
-    };
-  }
-
-  // RULE 2: Exit at 97¢+ if signal weakened
-  if (currentAsk >= 0.97 && Math.abs(z) < 1.5) {
-    logger.log(`💰 PROFIT TAKING: Price ${(currentAsk*100).toFixed(0)}¢ with weak signal z=${z.toFixed(2)}`);
-    logger.log(`   Expensive position + weak signal = reversal risk`);
-    return {
-      shouldExit: true,
-      reason: 'profit_taking_weak_signal',
-      side: side,
-      shares: shares,
-      urgency: 'normal'
-    };
-  }
-
-  // RULE 3: Exit at 95¢+ if <1 min with poor risk/reward
-  if (minsLeft < 1 && currentAsk >= 0.95) {
-    const risking = currentAsk;
-    const gaining = 1.00 - currentAsk;
-    const ratio = risking / gaining;
-
-    if (ratio > 15) {
-      logger.log(`💰 PROFIT TAKING: R/R ${ratio.toFixed(1)}:1 with ${(minsLeft*60).toFixed(0)}s left`);
-      logger.log(`   Risking ${(risking*100).toFixed(0)}¢ to gain ${(gaining*100).toFixed(0)}¢ - not worth it`);
-      return {
-        shouldExit: true,
-        reason: 'profit_taking_rr',
-        side: side,
-        shares: shares,
-        urgency: 'normal'
-      };
-    }
-  }
-
-  return { shouldExit: false };
-}
-
 /**
  * Get actual token positions from Polymarket Data API
  * This queries the real on-chain positions, not just what we think we have
  */
 async function getActualPositions(userAddress, tokenIds, logger) {
+  // Paper fills never reach the chain - the simulated exchange holds the positions
+  if (PAPER_TRADING) {
+    const paperPositions = client.getPositions(tokenIds);
+    logger.log(`🔍 [PAPER] Positions: ${paperPositions.UP} UP, ${paperPositions.DOWN} DOWN`);
+    return paperPositions;
+  }
+
   try {
     const [upTokenId, downTokenId] = tokenIds;
     
@@ -608,107 +245,88 @@ async function getActualPositions(userAddress, tokenIds, logger) {
 }
 
 /**
- * Reconcile tracked positions with actual on-chain positions
- * CRITICAL: Must account for pending orders that haven't filled yet
+ * Filled position for the current market.
+ * FillTracker has it from the user channel; the Data API is only asked when the
+ * tracker has seen nothing for this market yet (e.g. right after a restart).
+ */
+async function getFilledPositions(state, logger) {
+  const filled = FillTracker.getPosition(state.marketMeta.slug);
+  if (!filled) {
+    const actual = await getActualPositions(FUNDER, state.marketMeta.tokenIds, logger);
+    return actual && { ...actual, source: 'data-api' };
+  }
+
+  logger.log(`🔍 Filled: ${filled.UP.shares} UP @ avg $${filled.UP.avgCost.toFixed(3)}, ${filled.DOWN.shares} DOWN @ avg $${filled.DOWN.avgCost.toFixed(3)}`);
+  return { UP: filled.UP.shares, DOWN: filled.DOWN.shares, source: 'fills' };
+}
+
+const crossCheckMisses = {}; // slug -> consecutive fills/Data API mismatches
+
+/**
+ * Periodic cross-check of tracked fills against the Data API.
+ * The Data API lags, so a mismatch only counts once no fill has arrived for a
+ * full check period, and is adopted after two consecutive checks. A market the
+ * tracker knows nothing about (restart mid-interval) is seeded straight away.
  */
-async function reconcilePositions(state, logger) {
+async function crossCheckPositions(asset, state, logger) {
   try {
     const { tokenIds, slug } = state.marketMeta;
-    const [upTokenId, downTokenId] = tokenIds;
-    
-    // Check if we have pending orders for THIS specific market
-    const pendingForMarket = Array.from(pendingOrders.entries())
-      .filter(([orderId, data]) => data.slug === slug);
-    
-    if (pendingForMarket.length > 0) {
-      // Check age of oldest order
-      const oldestTimestamp = Math.min(...pendingForMarket.map(([id, data]) => data.timestamp));
-      const age = Date.now() - oldestTimestamp;
-      
-      if (age < 30000) {
-        // Orders < 30s old - definitely wait
-        logger.log(`⏳ Skipping reconciliation: ${pendingForMarket.length} pending orders <30s old`);
-        return;
-      } else if (age < 60000) {
-        // Orders 30-60s old - probably still filling, wait unless critical
-        logger.log(`⏳ Skipping reconciliation: pending orders ${(age/1000).toFixed(0)}s old (waiting for settlement)`);
-        return;
-      } else {
-        // Orders >60s old - likely settled (even if partially), safe to reconcile
-        logger.warn(`⚠️  Reconciling despite ${pendingForMarket.length} pending: orders ${(age/1000).toFixed(0)}s old (likely settled)`);
-        // Continue to reconciliation
-      }
-    }
-    
+    const filled = FillTracker.getPosition(slug);
+    const tracked = state.sideSharesBySlug[slug] || { UP: 0, DOWN: 0 };
+    if (!filled && tracked.UP === 0 && tracked.DOWN === 0) return;
+
     const actual = await getActualPositions(FUNDER, tokenIds, logger);
-    
     if (!actual) return;
-    
-    const tracked = state.sideSharesBySlug[slug] || { UP: 0, DOWN: 0 };
-    
-    const upDiff = Math.abs(actual.UP - tracked.UP);
-    const downDiff = Math.abs(actual.DOWN - tracked.DOWN);
-    
-    // Only reconcile if significant difference (>5 shares or >10%)
-    const upThreshold = Math.max(5, tracked.UP * 0.1);
-    const downThreshold = Math.max(5, tracked.DOWN * 0.1);
-    
-    if (upDiff > upThreshold || downDiff > downThreshold) {
-      logger.warn(`📊 POSITION RECONCILIATION NEEDED`);
-      logger.warn(`   UP: Tracked ${tracked.UP} → Actual ${actual.UP} (diff: ${upDiff})`);
-      logger.warn(`   DOWN: Tracked ${tracked.DOWN} → Actual ${actual.DOWN} (diff: ${downDiff})`);
-      
-      let shouldReconcile = false;
-      let reconcileReason = '';
-      
-      // RULE 1: Actual > Tracked = fills came in, always safe
-      if (actual.UP > tracked.UP || actual.DOWN > tracked.DOWN) {
-        shouldReconcile = true;
-        reconcileReason = 'Actual > Tracked (fills came in)';
-      }
-      
-      // RULE 2: Both zero = market expired or fully exited
-      else if (actual.UP === 0 && actual.DOWN === 0 && (tracked.UP > 0 || tracked.DOWN > 0)) {
-        shouldReconcile = true;
-        reconcileReason = 'Both positions zero (expired/exited)';
-      }
-      
-      // RULE 3: Partial fill - tracked > actual but actual > 0
-      else if (tracked.UP > actual.UP && actual.UP > 0 && tracked.DOWN === 0) {
-        shouldReconcile = true;
-        reconcileReason = `Partial fill: UP ${tracked.UP} → ${actual.UP}`;
-      }
-      else if (tracked.DOWN > actual.DOWN && actual.DOWN > 0 && tracked.UP === 0) {
-        shouldReconcile = true;
-        reconcileReason = `Partial fill: DOWN ${tracked.DOWN} → ${actual.DOWN}`;
-      }
-      
-      // RULE 4: Single position decreased (exit or sale)
-      else if (tracked.UP === 0 && actual.DOWN < tracked.DOWN && tracked.DOWN > 0) {
-        shouldReconcile = true;
-        reconcileReason = `DOWN decreased ${tracked.DOWN} → ${actual.DOWN}`;
-      }
-      else if (tracked.DOWN === 0 && actual.UP < tracked.UP && tracked.UP > 0) {
-        shouldReconcile = true;
-        reconcileReason = `UP decreased ${tracked.UP} → ${actual.UP}`;
-      }
-      
-      // RULE 5: Don't reconcile - probably pending fills
-      else {
-        logger.warn(`⚠️  NOT reconciling: Tracked > Actual suggests pending fills`);
-        logger.warn(`   This is expected immediately after placing orders`);
-        logger.warn(`   Will reconcile after orders complete or on next cycle`);
-        return;
-      }
 
-      if (shouldReconcile) {
-        logger.log(`✅ Reconciling: ${reconcileReason}`);
-        state.sideSharesBySlug[slug] = { UP: actual.UP, DOWN: actual.DOWN };
-        logger.log(`✅ Positions reconciled to actual values`);
-      }
+    if (!filled) {
+      if (actual.UP === 0 && actual.DOWN === 0) return;
+      logger.log(`♻️ Seeding fill tracker from Data API: ${actual.UP} UP, ${actual.DOWN} DOWN`);
+      FillTracker.setPosition(slug, actual);
+      return;
+    }
+
+    const upDiff = Math.abs(actual.UP - filled.UP.shares);
+    const downDiff = Math.abs(actual.DOWN - filled.DOWN.shares);
+    if (upDiff <= 5 && downDiff <= 5) {
+      delete crossCheckMisses[slug];
+      return;
+    }
+
+    if (filled.lastFillAt && Date.now() - filled.lastFillAt < POSITION_CROSS_CHECK_MS) {
+      logger.log(`⏳ Fills vs Data API differ, but fills are recent - Data API still settling`);
+      return;
     }
+
+    crossCheckMisses[slug] = (crossCheckMisses[slug] || 0) + 1;
+    logger.warn(`📊 FILLS vs DATA API MISMATCH (${crossCheckMisses[slug]}/2)`);
+    logger.warn(`   UP: Filled ${filled.UP.shares} → Data API ${actual.UP} (diff: ${upDiff})`);
+    logger.warn(`   DOWN: Filled ${filled.DOWN.shares} → Data API ${actual.DOWN} (diff: ${downDiff})`);
+    if (crossCheckMisses[slug] < 2) return;
+    delete crossCheckMisses[slug];
+
+    // Tracked exposure is what is filled plus what is still resting
+    const resting = { UP: 0, DOWN: 0 };
+    for (const data of pendingOrders.values()) {
+      if (data.slug === slug) resting[data.side] += data.size - (data.sizeFilled || 0);
+    }
+
+    FillTracker.setPosition(slug, actual);
+    state.sideSharesBySlug[slug] = { UP: actual.UP + resting.UP, DOWN: actual.DOWN + resting.DOWN };
+    StateJournal.record("RECONCILE", { symbol: asset.symbol, slug, ...state.sideSharesBySlug[slug], reason: "data_api_cross_check" });
+    logger.log(`✅ Adopted Data API positions (+ resting ${resting.UP} UP / ${resting.DOWN} DOWN)`);
   } catch (err) {
-    logger.error(`Position reconciliation failed: ${err.message}`);
+    logger.error(`Position cross-check failed: ${err.message}`);
+  }
+}
+
+async function crossCheckAll() {
+  for (const asset of ASSETS) {
+    const state = stateBySymbol[asset.symbol];
+    if (!state?.marketMeta || state.resetting || state.marketMeta.slug !== state.slug) continue;
+
+    const logger = createScopedLogger(asset.symbol);
+    await crossCheckPositions(asset, state, logger);
+    logger.flush();
   }
 }
 
@@ -720,15 +338,10 @@ async function executeExit(asset, state, exitDecision, upBook, downBook, logger)
   // ========================================
   // CRITICAL FIX: Verify actual position before exiting
   // sideSharesBySlug tracks orders placed, not actual fills!
-  // Must query Data API to get real position
   // ========================================
   
-  logger.log(`🔍 Verifying actual position before exit...`); 
-  const actualPositions = await getActualPositions(
-    FUNDER, // The funder address from config
-    tokenIds,
-    logger
-  );
+  logger.log(`🔍 Verifying filled position before exit...`); 
+  const actualPositions = await getFilledPositions(state, logger);
   
   const trackedShares = shares;
   let sharesToExit = trackedShares; // Default to tracked
@@ -740,6 +353,14 @@ async function executeExit(asset, state, exitDecision, upBook, downBook, logger)
     logger.warn(`   Risk: May attempt to sell more than we have (exchange will reject gracefully)`);
     // Continue with tracked shares - better to try and fail than not try at all
     sharesToExit = trackedShares;
+  } else if (actualPositions.source === 'fills') {
+    // Exact fills - anything tracked above them is a buy still resting on the book
+    sharesToExit = side === 'UP' ? actualPositions.UP : actualPositions.DOWN;
+    if (sharesToExit !== trackedShares) {
+      logger.log(`   Filled ${sharesToExit} of ${trackedShares} tracked ${side} shares (rest not filled yet)`);
+    } else {
+      logger.log(`✅ Position verified: ${sharesToExit} ${side} shares`);
+    }
   } else {
     // API returned data - verify it
     const actualShares = side === 'UP' ? actualPositions.UP : actualPositions.DOWN;
@@ -774,6 +395,7 @@ async function executeExit(asset, state, exitDecision, upBook, downBook, logger)
         } else {
           state.sideSharesBySlug[slug].DOWN = actualShares;
         }
+        StateJournal.record("RECONCILE", { symbol: asset.symbol, slug, ...state.sideSharesBySlug[slug], reason: "exit_already_flat" });
         
         return false;
       }
@@ -784,8 +406,10 @@ async function executeExit(asset, state, exitDecision, upBook, downBook, logger)
   }
   
   // Final check: only abort if position is truly tiny
-  if (sharesToExit < EXIT_MIN_POSITION_SIZE) {
-    logger.warn(`⚠️  Position too small to exit: ${sharesToExit} shares (min ${EXIT_MIN_POSITION_SIZE})`);
+  if (sharesToExit < STRATEGY_CONFIG.EXIT_MIN_POSITION_SIZE) {
+    logger.warn(`⚠️  Position too small to exit: ${sharesToExit} shares (min ${STRATEGY_CONFIG.EXIT_MIN_POSITION_SIZE})`);
+    // Tracked shares above the fills are resting buys - keep counting them
+    if (actualPositions?.source === 'fills') return false;
     
     // Update state
     if (side === 'UP') {
@@ -793,6 +417,7 @@ async function executeExit(asset, state, exitDecision, upBook, downBook, logger)
     } else {
       state.sideSharesBySlug[slug].DOWN = sharesToExit;
     }
+    StateJournal.record("RECONCILE", { symbol: asset.symbol, slug, ...state.sideSharesBySlug[slug], reason: "exit_too_small" });
     
     return false;
   }
@@ -802,7 +427,8 @@ async function executeExit(asset, state, exitDecision, upBook, downBook, logger)
   
   // Continue with exit using determined shares
   const tokenId = side === 'UP' ? upTokenId : downTokenId;
-  const orderBook = side === 'UP' ? upBook : downBook;
+  // Book may have moved while we verified the position - re-read the cache
+  const orderBook = OrderBookCache.getBook(tokenId) ?? (side === 'UP' ? upBook : downBook);
   
   const { bestBid } = getBestBidAsk(orderBook);
   
@@ -811,139 +437,178 @@ async function executeExit(asset, state, exitDecision, upBook, downBook, logger)
     return false;
   }
   
-  // Determine sell price based on urgency
-  let sellPrice;
-  if (urgency === 'emergency') {
-    // Very aggressive: 2 ticks below best bid for guaranteed fast fill
-    sellPrice = Math.max(0.01, Math.min(0.99, bestBid - 0.02));
-  } else {
-    // Normal: 1 tick below best bid for fast fill
-    sellPrice = Math.max(0.01, Math.min(0.99, bestBid - 0.01));
-  }
-
-  const expectedRecovery = sharesToExit * sellPrice;
+  // Walk the bids in child orders, never below model value minus the allowed slippage
+  const floor = ExitExecutor.floorPrice(exitDecision, bestBid, STRATEGY_CONFIG, MARKET.type);
 
   logger.log(`🚨 EXECUTING EXIT`);
-  logger.log(`   Selling: ${sharesToExit} ${side} shares @ $${sellPrice.toFixed(2)}`);
+  logger.log(`   Selling: ${sharesToExit} ${side} shares, best bid $${bestBid.toFixed(2)}, floor $${floor.toFixed(2)} (model $${exitDecision.modelValue?.toFixed(3) ?? 'n/a'})`);
   logger.log(`   Reason: ${reason} | Urgency: ${urgency}`);
-  logger.log(`   Expected recovery: $${expectedRecovery.toFixed(2)}`);
-  
+
+  let firstBook = orderBook;
+  const execution = await ExitExecutor.run({
+    shares: sharesToExit,
+    floor,
+    getBids: async () => {
+      const book = firstBook ?? await getOrderBook(tokenId);
+      firstBook = null;
+      return bidLevels(book);
+    },
+    place: child => placeExitChild(asset, state, side, tokenId, child, logger),
+    status: orderID => FillTracker.getOrder(orderID),
+    cancel: orderID => client.cancelOrder({ orderID }),
+    config: STRATEGY_CONFIG,
+    logger
+  });
+
+  const { sold, proceeds, expected, orderIDs } = execution;
+  if (orderIDs.length === 0) {
+    logger.error(`❌ Exit failed: no child order placed`);
+    return false;
+  }
+
+  const avgPrice = sold > 0 ? proceeds / sold : 0;
+  logger.log(`   Recovered $${proceeds.toFixed(2)} for ${sold}/${sharesToExit} shares (avg $${avgPrice.toFixed(3)}) vs expected $${expected.toFixed(2)} from the book` +
+    (exitDecision.modelValue != null ? `, model $${(sold * exitDecision.modelValue).toFixed(2)}` : ''));
+
+  logOrderAttempt({
+    ts: Date.now(),
+    symbol: asset.symbol,
+    orderID: orderIDs[0],
+    orderIDs,
+    side: side,
+    price: avgPrice,
+    size: sold,
+    type: "EXIT",
+    reason: reason,
+    urgency: urgency,
+    floor,
+    modelValue: exitDecision.modelValue ?? null,
+    expectedRecovery: expected,
+    actualRecovery: proceeds,
+    rounds: execution.rounds,
+    trackedShares: trackedShares,
+    actualShares: sharesToExit
+  });
+
+  if (sharesToExit - sold >= STRATEGY_CONFIG.EXIT_MIN_POSITION_SIZE) {
+    // Unsold shares were handed back as their children were cancelled - the next tick decides again.
+    // Children that hadn't settled yet hand back (or sell) theirs when their updates arrive
+    const settling = execution.unsettled > 0 ? `, ${execution.unsettled} children still settling` : '';
+    logger.warn(`⚠️  Partial exit: ${(sharesToExit - sold).toFixed(2)} ${side} shares not sold yet${settling}`);
+    StateJournal.record("RECONCILE", { symbol: asset.symbol, slug, ...state.sideSharesBySlug[slug], reason: "exit_partial" });
+    return false;
+  }
+
+  // Close enough to flat: the position is gone
+  state.sideSharesBySlug[slug][side] = 0;
+
+  // Clear entry Z since we've exited the position
+  state.entryZ = null;
+  state.minZSinceEntry = null;
+  state.exitTimestamp = Date.now();
+  StateJournal.record("EXIT", { symbol: asset.symbol, slug, side, shares: sold, orderID: orderIDs[0], reason });
+
+  const pos = state.sideSharesBySlug[slug];
+  if (pos.UP === 0 && pos.DOWN === 0) {
+    state.sharesBoughtBySlug[slug] = 0;
+    logger.log(`✅ Full exit - reset bought counter`);
+  }
+
+  return true;
+}
+
+// Bid levels of a book, best first
+function bidLevels(book) {
+  return (book?.bids || [])
+    .map(l => ({ price: Number(l.price), size: Number(l.size) }))
+    .filter(l => l.size > 0)
+    .sort((a, b) => b.price - a.price);
+}
+
+// Ask levels of a book, cheapest first
+function askLevels(book) {
+  return (book?.asks || [])
+    .map(l => ({ price: Number(l.price), size: Number(l.size) }))
+    .filter(l => l.size > 0)
+    .sort((a, b) => a.price - b.price);
+}
+
+// One child of an exit. Its shares leave the tracked position when placed; a cancel
+// hands the unfilled part back (handleOrderUpdate).
+async function placeExitChild(asset, state, side, tokenId, child, logger) {
   try {
     const resp = await client.createAndPostOrder({
       tokenID: tokenId,
-      price: sellPrice.toFixed(2),
+      price: child.price.toFixed(2),
       side: Side.SELL,  // CRITICAL: Use SELL not BUY
-      size: sharesToExit,
+      size: child.size,
       expiration: String(Math.floor(Date.now()/1000) + 300) // 5 min expiry
     }, { tickSize: "0.01", negRisk: false }, OrderType.GTD);
-    
-    if (resp && resp.orderID) {
-      logger.log(`✅ Exit order placed successfully: ${resp.orderID}`);
-      
-      // Log the exit order
-      logOrderAttempt({
-        ts: Date.now(),
-        symbol: asset.symbol,
-        orderID: resp.orderID,
-        side: side,
-        price: sellPrice,
-        size: sharesToExit,
-        type: "EXIT",
-        reason: reason,
-        urgency: urgency,
-        expectedRecovery: expectedRecovery,
-        trackedShares: trackedShares,
-        actualShares: sharesToExit
-      });
-      
-      // Update position to zero (we sold entire position)
-      if (side === 'UP') {
-        state.sideSharesBySlug[slug].UP = 0;
-      } else {
-        state.sideSharesBySlug[slug].DOWN = 0;
-      }
-      
-      // Clear entry Z since we've exited the position
-      state.entryZ = null;
-      state.minZSinceEntry = null;
-      state.exitTimestamp = Date.now();
-
-      const pos = state.sideSharesBySlug[slug];
-      if (pos.UP === 0 && pos.DOWN === 0) {
-        state.sharesBoughtBySlug[slug] = 0;
-        logger.log(`✅ Full exit - reset bought counter`);
-      }
 
-      return true;
+    RiskGuard.recordOrder(Boolean(resp?.orderID));
+    if (!resp?.orderID) {
+      logger.warn(`   Exit child ${child.size}@${child.price.toFixed(2)} rejected: ${resp?.errorMsg || 'no order ID'}`);
+      return null;
     }
+
+    FillTracker.trackOrder(resp.orderID, { tokenId, orderSide: 'SELL', price: child.price, size: child.size });
+    // The child's shares leave the position now; a cancel hands back what didn't fill (handleOrderUpdate)
+    const pos = state.sideSharesBySlug[state.slug];
+    pos[side] = Math.max(0, pos[side] - child.size);
+    StateJournal.record("RECONCILE", { symbol: asset.symbol, slug: state.slug, UP: pos.UP, DOWN: pos.DOWN, reason: `exit_child ${resp.orderID}` });
+    return resp.orderID;
   } catch (err) {
-    logger.error(`❌ Exit order failed: ${err.message}`);
-    return false;
+    RiskGuard.recordOrder(false);
+    logger.error(`   Exit child ${child.size}@${child.price.toFixed(2)} failed: ${err.message}`);
+    return null;
   }
-  
-  return false;
 }
 
-// ---------- UTILS ----------
 
-function current15mStartUnix(date = new Date()) {
-  const ms = date.getTime();
-  const intervalMs = 15 * 60 * 1000;
-  return Math.floor(ms / intervalMs) * (intervalMs / 1000);
-}
+// ---------- CIRCUIT BREAKER ----------
 
-function crypto15mSlug(slugPrefix, date = new Date()) {
-  return `${slugPrefix}-updown-15m-${current15mStartUnix(date)}`;
+// Filled shares at the current bids vs what they cost (no bid: worth nothing)
+function markPosition(slug, upBid, downBid) {
+  const filled = FillTracker.getPosition(slug);
+  if (!filled) return;
+  const pnl = filled.UP.shares * ((upBid ?? 0) - filled.UP.avgCost)
+    + filled.DOWN.shares * ((downBid ?? 0) - filled.DOWN.avgCost);
+  RiskGuard.mark(slug, pnl);
 }
 
-function current15mStartUTC(date = new Date()) {
-  const d = new Date(date);
-  d.setUTCMinutes(Math.floor(d.getUTCMinutes() / 15) * 15, 0, 0);
-  return d;
-}
+// Estimated settlement for a position the ledger has no fills for (seeded from the Data API
+// after a restart): winner from our price vs the interval's open, else the last mark.
+// Traded markets settle on the official outcome once PnlLedger resolves them.
+function settlementPnl(slug, state, priceData) {
+  const filled = FillTracker.getPosition(slug);
+  if (!filled) return 0;
 
-function current15mEndUTC(date = new Date()) {
-  const start = current15mStartUTC(date);
-  return new Date(start.getTime() + 15 * 60 * 1000);
-}
+  const openPrice = Number(state.cpData?.openPrice);
+  if (!openPrice) return RiskGuard.status().marked[slug] ?? 0;
 
-function isoNoMs(d) {
-  return d.toISOString().replace(/\.\d{3}Z$/, "Z");
+  const winner = priceData.price >= openPrice ? "UP" : "DOWN";
+  return ["UP", "DOWN"].reduce((sum, side) =>
+    sum + filled[side].shares * ((side === winner ? 1 : 0) - filled[side].avgCost), 0);
 }
 
-function cryptoPriceUrl({ symbol, date = new Date(), variant = "fifteen" }) {
-  const start = current15mStartUTC(date);
-  const end = current15mEndUTC(date);
-  const params = new URLSearchParams({ symbol, eventStartTime: isoNoMs(start), variant, endDate: isoNoMs(end) });
-  return `https://polymarket.com/api/crypto/crypto-price?${params.toString()}`;
-}
+// Kill switch: cancel every open order on the account (as cancelAllOpenOrders in old/main.js)
+async function cancelAllOpenOrders() {
+  const open = await client.getOpenOrders();
+  const batchSize = 5;
+  let failed = 0;
+
+  for (let i = 0; i < open.length; i += batchSize) {
+    const batch = open.slice(i, i + batchSize);
+    const results = await Promise.allSettled(batch.map(o => client.cancelOrder({ orderID: o.id })));
+    failed += results.filter(r => r.status === "rejected").length;
+    // tiny backoff between batches against 429s
+    if (i + batchSize < open.length) await sleep(150);
+  }
 
-// Time decay INCREASES volatility near expiry (gamma risk)
-function getTimeDecayFactor(minsLeft) {
-  if (minsLeft >= 1) return 1.0;
-  
-  const secsLeft = minsLeft * 60;
-  if (secsLeft >= 30) return 1.0;
-  
-  // Increase vol by up to 40% in final 30 seconds
-  const t = Math.max(0, Math.min(1, (30 - secsLeft) / 30));
-  return 1.0 + t * 0.4; // 1.0 -> 1.4
+  console.log(`[RISK] Cancelled ${open.length - failed}/${open.length} open orders${failed ? ` (${failed} failed)` : ""}`);
 }
 
-function canPlaceOrder(state, slug, side, size, assetSymbol) {
-  const totalCap = MAX_SHARES_PER_MARKET[assetSymbol] || 500;
-  const totalBefore = state.sharesBoughtBySlug[slug] || 0;
-  const pos = state.sideSharesBySlug[slug] || { UP: 0, DOWN: 0 };
-  const netBefore = (pos.UP || 0) - (pos.DOWN || 0);
-  const sideSign = side === "UP" ? 1 : -1;
-  const netAfter = netBefore + sideSign * size;
-  const totalAfter = totalBefore + size;
-
-  if (totalAfter <= totalCap) return { ok: true, reason: "within_cap", totalBefore, totalAfter, netBefore, netAfter };
-  if (Math.abs(netAfter) < Math.abs(netBefore)) return { ok: true, reason: "hedge_beyond_cap", totalBefore, totalAfter, netBefore, netAfter };
-  
-  return { ok: false, reason: "risk_increase_beyond_cap", totalBefore, totalAfter, netBefore, netAfter };
-}
+// ---------- UTILS ----------
 
 function getBestBidAsk(ob) {
   let bestBid = null, bestAsk = null;
@@ -952,6 +617,22 @@ function getBestBidAsk(ob) {
   return { bestBid: Number.isFinite(bestBid) ? bestBid : null, bestAsk: Number.isFinite(bestAsk) ? bestAsk : null };
 }
 
+// Books come from the websocket cache, REST only while the cache has no valid book.
+// Paper mode reads through the simulated exchange, which matches resting orders on each read.
+async function getOrderBook(tokenId) {
+  if (PAPER_TRADING) return client.getOrderBook(tokenId);
+  return OrderBookCache.getBook(tokenId) ?? client.getOrderBook(tokenId);
+}
+
+// Asset and side of a live token (recorded books are replayed by asset and side)
+function tokenRole(tokenId) {
+  for (const [symbol, st] of Object.entries(stateBySymbol)) {
+    const i = st.marketMeta?.tokenIds?.indexOf(tokenId) ?? -1;
+    if (i !== -1) return { symbol, outcome: i === 0 ? "UP" : "DOWN" };
+  }
+  return null;
+}
+
 function sleep(ms) { return new Promise((resolve) => setTimeout(resolve, ms)); }
 
 function getExistingSide(state, slug) {
@@ -967,142 +648,109 @@ function addPosition(state, slug, side, size) {
   state.sideSharesBySlug[slug][side] = (state.sideSharesBySlug[slug][side] || 0) + size;
 }
 
-function requiredLateProb(secsLeft) {
-  const maxSecs = 120, pHigh = 0.90, pLow = 0.85;
-  const clamped = Math.max(0, Math.min(maxSecs, secsLeft));
-  const t = (maxSecs - clamped) / maxSecs;
-  return pHigh + (pLow - pHigh) * t;
-}
-
-function isInSlamWindow(date = new Date()) {
-  const totalMins = date.getUTCHours() * 60 + date.getUTCMinutes();
-  return totalMins >= 14 * 60 + 45 && totalMins < 15 * 60;
-}
-
-function isUSTradingHours(date = new Date()) {
-  const totalMins = date.getUTCHours() * 60 + date.getUTCMinutes();
-  const dayOfWeek = date.getUTCDay(); // 0=Sunday, 1=Monday, ..., 6=Saturday
-  
-  // Only Monday-Friday (1-5), not weekends (0, 6)
-  const isWeekday = dayOfWeek >= 1 && dayOfWeek <= 5;
-  const isInTimeRange = totalMins >= 13 * 60 + 45 && totalMins < 20 * 60 + 30;
-  
-  return !OVERRIDE_US_TRADING_HOURS && isWeekday && isInTimeRange;
-}
-
 // Logging
 function logTickSnapshot(snapshot) {
   try {
     const d = new Date(snapshot.ts);
-    const filename = `ticks-${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, "0")}${String(d.getUTCDate()).padStart(2, "0")}.jsonl`;
+    const filename = `ticks${LOG_SUFFIX}-${d.getUTCFullYear()}${String(d.getUTCMonth() + 1).padStart(2, "0")}${String(d.getUTCDate()).padStart(2, "0")}.jsonl`;
     fs.appendFile(filename, JSON.stringify(snapshot) + "\n", (err) => { if (err) console.error("[TICK-LOG] Error:", err); });
   } catch (err) { console.error("[TICK-LOG] Failed:", err); }
 }
 
+function recordBooks(symbol, tokenIds, books) {
+  const ts = Date.now();
+  const lines = books.map((book, i) => JSON.stringify({
+    ts, tokenId: tokenIds[i], symbol, outcome: i === 0 ? "UP" : "DOWN", bids: book?.bids || [], asks: book?.asks || []
+  }) + "\n");
+  fs.appendFile(BOOKS_RECORD_FILE, lines.join(""), (err) => { if (err) console.error("[BOOK-LOG] Error:", err); });
+}
+
 function logOrderAttempt(orderData) {
   try {
-    const filename = `orders-${new Date().toISOString().slice(0,10)}.jsonl`;
-    const isUSHours = isUSTradingHours(new Date(orderData.ts));
+    const filename = `orders${LOG_SUFFIX}-${new Date().toISOString().slice(0,10)}.jsonl`;
+    const isUSHours = StrategyCore.isUSTradingHours(new Date(orderData.ts), STRATEGY_CONFIG);
     orderData.session = isUSHours ? 'US' : 'NON-US';
+    orderData.profile = STRATEGY_PROFILE;
+    orderData.market = MARKET.type;
+    if (PAPER_TRADING) orderData.paper = true;
     fs.appendFile(filename, JSON.stringify(orderData) + "\n", (err) => { 
       if (err) console.error("[ORDER-LOG] Failed:", err); 
     });
   } catch (e) { console.error("[ORDER-LOG] Error:", e); }
 }
 
-// Smart Sizing
-function sizeForTrade(ev, minsLeft, opts = {}) {
-  const { minEdgeOverride = null, riskBand = "medium" } = opts;
-  const minEdge = minEdgeOverride !== null ? minEdgeOverride : (minsLeft > MINUTES_LEFT ? MIN_EDGE_EARLY : MIN_EDGE_LATE);
-  if (ev <= minEdge) return 0;
-
-  let BASE_MIN, BASE_MAX, ABS_MAX, EV_CAP;
-  if (riskBand === "core") { BASE_MIN = 60; BASE_MAX = 180; ABS_MAX = 250; EV_CAP = 0.18; }
-  else if (riskBand === "risky") { BASE_MIN = 10; BASE_MAX = 40; ABS_MAX = 60; EV_CAP = 0.08; }
-  else { BASE_MIN = 40; BASE_MAX = 120; ABS_MAX = 160; EV_CAP = 0.12; }
+// Fills from the user channel (or the paper exchange), via FillTracker.
+// They go into the orders log next to the orders, so fill history doesn't depend on the Data API.
+function handleFill(fill) {
+  const size = fill.reversal ? -fill.size : fill.size;
+  const pending = pendingOrders.get(fill.orderID);
+  if (pending) pending.sizeFilled = (pending.sizeFilled || 0) + size;
+  StateJournal.record("FILL", { symbol: fill.symbol, slug: fill.slug, orderID: fill.orderID, side: fill.outcome, size, price: fill.price });
+  PnlLedger.recordFill({ ...fill, size });
+
+  // A maker bid's entry signal only counts once the bid fills
+  const state = stateBySymbol[fill.symbol];
+  if (state && state.slug === fill.slug && state.makerOrder?.orderID === fill.orderID && state.entryZ === null && size > 0) {
+    state.entryZ = state.makerOrder.entryZ;
+    StateJournal.record("SIGNAL", { symbol: fill.symbol, slug: fill.slug, entryZ: state.entryZ, minZSinceEntry: state.minZSinceEntry });
+    console.log(`[${fill.symbol}] [Entry Signal] Stored z=${state.entryZ.toFixed(2)} (MAKER fill)`);
+  }
 
-  const effectiveMax = Math.max(EV_CAP, minEdge + 0.01);
-  const evNorm = Math.min(1, (Math.min(ev, EV_CAP) - minEdge) / (effectiveMax - minEdge));
-  const clampedMins = Math.max(0, Math.min(MINUTES_LEFT, minsLeft));
-  const timeFactor = 0.7 + 0.6 * (1 - clampedMins / MINUTES_LEFT);
+  const held = fill.position[fill.outcome];
+  console.log(`[${fill.symbol}] ${PAPER_TRADING ? "📝 [PAPER] " : ""}${fill.reversal ? "↩️ FILL REVERSED" : "✅ FILL"} ${fill.orderSide} ${fill.size} ${fill.outcome} @ $${fill.price.toFixed(2)} (${fill.orderID}) → holding ${held.shares} @ avg $${held.avgCost.toFixed(3)}`);
+  logOrderAttempt({
+    ts: fill.ts,
+    symbol: fill.symbol,
+    orderID: fill.orderID,
+    tradeId: fill.tradeId,
+    side: fill.outcome,
+    orderSide: fill.orderSide,
+    price: fill.price,
+    size,
+    type: "FILL"
+  });
+
+  // A sell realizes PnL against the cost it took off the leg (held is already post-fill, and
+  // reads avgCost 0 once the leg is flat); a reversal carries the same deltas and undoes it
+  if (fill.orderSide === "SELL") {
+    const realized = -fill.shareDelta * fill.price + fill.costDelta;
+    RiskGuard.recordRealized(fill.slug, fill.reversal ? -realized : realized);
+  }
+}
 
-  let size = BASE_MIN + evNorm * (BASE_MAX - BASE_MIN);
-  size = Math.round((size * timeFactor) / 10) * 10;
-  
-  return Math.min(size, ABS_MAX);
-}
+// A fully matched order leaves pendingOrders; a cancelled or expired one also
+// hands its unfilled size back to sideSharesBySlug right away
+function handleOrderUpdate(order) {
+  if (order.status === "MATCHED") {
+    if (pendingOrders.has(order.orderID)) closePendingOrder(order.orderID, 'FILLED');
+    return;
+  }
+  if (order.status !== "CANCELED") return;
 
-// ---------- ORDER MONITORING ----------
+  if (pendingOrders.has(order.orderID)) closePendingOrder(order.orderID, 'CANCELED');
 
-async function monitorAndCancelOrder(orderID, asset, side, size, logger) {
-  const startTime = Date.now();
-  
-  try {
-    while (Date.now() - startTime < ORDER_MONITOR_MS) {
-      await sleep(5000); // Check every 5 seconds
-      
-      try {
-        const order = await client.getOrder(orderID);
-        
-        if (!order) {
-          logger.warn(`Order ${orderID} not found`);
-          pendingOrders.delete(orderID);
-          break;
-        }
-        
-        // Check if filled
-        const sizeFilled = Number(order.size_matched || 0);
-        if (sizeFilled >= size * 0.95) { // 95% filled = success
-          logger.log(`✅ Order ${orderID} filled: ${sizeFilled}/${size}`);
-          pendingOrders.delete(orderID);
-          return { filled: true, sizeFilled };
-        }
-        
-        // Check if cancelled or failed
-        if (order.status === 'CANCELLED' || order.status === 'FAILED') {
-          logger.warn(`Order ${orderID} ${order.status}`);
-          pendingOrders.delete(orderID);
-          return { filled: false, status: order.status };
-        }
-        
-      } catch (err) {
-        // Don't spam logs on temporary errors
-        if (Date.now() - startTime > ORDER_MONITOR_MS - 10000) {
-          logger.error(`Error checking order ${orderID}: ${err.message}`);
-        }
-      }
-    }
-    
-    // Timeout - cancel the order
-    logger.warn(`⏱️ Order ${orderID} timeout after ${ORDER_MONITOR_MS}ms - cancelling`);
-    
-    try {
-      await client.cancelOrder(orderID);
-      logger.log(`Cancelled order ${orderID}`);
-    } catch (cancelErr) {
-      logger.error(`Failed to cancel ${orderID}: ${cancelErr.message}`);
-    }
-    
-    pendingOrders.delete(orderID);
-    return { filled: false, status: 'TIMEOUT' };
-    
-  } catch (err) {
-    logger.error(`Monitor error for ${orderID}: ${err.message}`);
-    pendingOrders.delete(orderID);
-    return { filled: false, status: 'ERROR' };
-  }
+  const unfilled = order.size - order.sizeMatched;
+  const state = order.symbol ? stateBySymbol[order.symbol] : null;
+  if (unfilled <= 0 || !state || state.slug !== order.slug) return;
+
+  const pos = state.sideSharesBySlug[order.slug] || { UP: 0, DOWN: 0 };
+  pos[order.outcome] = order.orderSide === "BUY"
+    ? Math.max(0, pos[order.outcome] - unfilled)
+    : pos[order.outcome] + unfilled; // unsold exit shares are still held
+  state.sideSharesBySlug[order.slug] = pos;
+  StateJournal.record("RECONCILE", { symbol: order.symbol, slug: order.slug, UP: pos.UP, DOWN: pos.DOWN, reason: `order_canceled ${order.orderID}` });
+  console.log(`[${order.symbol}] 🚫 ${order.orderSide} ${order.outcome} order ${order.orderID} canceled with ${unfilled} unfilled → UP=${pos.UP}, DOWN=${pos.DOWN}`);
 }
 
 // ---------- STATE & EXECUTION ----------
 const stateBySymbol = {};
-const executionLock = {}; // Prevent race conditions
 
 function ensureState(asset, logger) {
   if (!stateBySymbol[asset.symbol]) {
-    const slug = crypto15mSlug(asset.slugPrefix);
+    const slug = MarketTypes.slugFor(MARKET.type, asset);
     stateBySymbol[asset.symbol] = {
       slug,
-      cryptoPriceUrl: cryptoPriceUrl({ symbol: asset.symbol }),
+      cryptoPriceUrl: MarketTypes.cryptoPriceUrl(MARKET.type, asset.symbol),
       gammaUrl: `https://gamma-api.polymarket.com/markets/slug/${slug}`,
       sharesBoughtBySlug: { [slug]: 0 },
       sideSharesBySlug: { [slug]: { UP: 0, DOWN: 0 } },
@@ -1114,29 +762,224 @@ function ensureState(asset, logger) {
       exitTimestamp: null,  // NEW in v2.4.0: Track when we last exited
       weakSignalCount: 0,
       weakSignalHistory: [],
-      liquidityHistory: [],
-      minZSinceEntry: null
+      bookHistory: [],  // BookFeatures samples (order-book imbalance / flow)
+      minZSinceEntry: null,
+      makerOrder: null  // Resting maker entry bid { orderID, side, price, size, tokenId, entryZ } (ENTRY_MODE "maker")
     };
     console.log(`[${asset.symbol}] Reset state for ${slug}`);
 
+    // Same interval as before a restart - pick up where the journal left off
+    const restored = restoredState.symbols[asset.symbol];
+    if (restored && restored.slug === slug) {
+      const st = stateBySymbol[asset.symbol];
+      st.sideSharesBySlug = restored.sideSharesBySlug;
+      st.sharesBoughtBySlug = restored.sharesBoughtBySlug;
+      st.entryZ = restored.entryZ;
+      st.minZSinceEntry = restored.minZSinceEntry;
+      st.exitTimestamp = restored.exitTimestamp;
+      if (restored.makerOrder) st.makerOrder = { ...restored.makerOrder, restored: true }; // pulled on the first tick
+      const pos = restored.sideSharesBySlug[slug];
+      console.log(`[${asset.symbol}] ♻️ Restored from journal: UP=${pos.UP}, DOWN=${pos.DOWN}, bought=${restored.sharesBoughtBySlug[slug]}, entryZ=${restored.entryZ?.toFixed(2) ?? 'none'}`);
+    }
+    delete restoredState.symbols[asset.symbol];
+
     for (const [orderID, data] of pendingOrders.entries()) {
+      if (data.asset !== asset.symbol || data.slug === slug) continue;
       logger.warn(`🧹 Cleaning stale order: ${orderID}`);
-      pendingOrders.delete(orderID);
+      closePendingOrder(orderID, 'STALE');
     }
   }
   return stateBySymbol[asset.symbol];
 }
 
-async function execForAsset(asset, priceData) {
-  const logger = createScopedLogger(asset.symbol);
+// Net shares per asset across all live markets (for the correlation limit)
+function getPortfolioNet() {
+  const portfolio = {};
+  for (const [sym, st] of Object.entries(stateBySymbol)) {
+    if (!st || !st.sideSharesBySlug) continue;
+    const pos = st.sideSharesBySlug[st.slug];
+    if (!pos) continue;
+
+    const net = (pos.UP || 0) - (pos.DOWN || 0);
+    if (net !== 0) portfolio[sym] = net;
+  }
+  return portfolio;
+}
 
-  // Prevent concurrent execution
-  if (executionLock[asset.symbol]) {
-    logger.log("Skipping - already executing");
+async function placeEntryOrder(asset, state, order, tokenIds, logger) {
+  const { slug } = state;
+  const [upTokenId, downTokenId] = tokenIds;
+  const tokenId = order.side === "UP" ? upTokenId : downTokenId;
+
+  try {
+    const resp = await client.createAndPostOrder({
+      tokenID: tokenId,
+      price: order.price.toFixed(2),
+      side: Side.BUY,
+      size: order.size,
+      expiration: String(order.expiresAt)
+    }, { tickSize: "0.01", negRisk: false }, OrderType.GTD);
+
+    if (order.type === "LATE_LAYER") logger.log(`LATE LAYER ${order.layer} RESP:`, resp);
+    else if (order.type === "NORMAL" || order.type === "MAKER") logger.log(`ORDER RESP:`, resp);
+    RiskGuard.recordOrder(Boolean(resp?.orderID));
+
+    if (resp && resp.orderID) {
+      logOrderAttempt({
+        ts: Date.now(),
+        symbol: asset.symbol,
+        orderID: resp.orderID,
+        side: order.side,
+        price: order.price,
+        size: order.size,
+        type: order.type,
+        ...(order.vwap !== undefined && { vwap: order.vwap }),
+        ...(order.wantedSize > order.size && { wantedSize: order.wantedSize })
+      });
+
+      pendingOrders.set(resp.orderID, {
+        asset: asset.symbol,
+        side: order.side,
+        size: order.size,
+        tokenId: tokenId,
+        slug: slug,
+        timestamp: Date.now(),
+        sizeFilled: 0
+      });
+
+      addPosition(state, slug, order.side, order.size);
+      state.sharesBoughtBySlug[slug] = (state.sharesBoughtBySlug[slug] || 0) + order.size;
+      StateJournal.record("ORDER_PLACED", {
+        symbol: asset.symbol, slug,
+        orderID: resp.orderID,
+        side: order.side,
+        size: order.size,
+        price: order.price,
+        orderType: order.type,
+        tokenId,
+        ...(order.type === "MAKER" && { entryZ: order.entryZ })
+      });
+      FillTracker.trackOrder(resp.orderID, { tokenId, orderSide: 'BUY', price: order.price, size: order.size });
+      return resp.orderID;
+    }
+  } catch (err) {
+    RiskGuard.recordOrder(false);
+    if (order.type === "LATE_LAYER") logger.error(`Error layer ${order.layer}: ${err.message}`);
+    else if (order.type === "MAKER") logger.error(`Maker bid failed: ${err.message}`);
+    else logger.error(`${order.type === "EXTREME" ? "EXTREME" : "Normal"} order failed: ${err.message}`);
+  }
+  return null;
+}
+
+// ---------- MAKER QUOTES ----------
+
+// The asset's resting maker bid with its unfilled size, or null once it's filled, cancelled or expired
+function restingQuote(state) {
+  const quote = state.makerOrder;
+  if (!quote) return null;
+
+  const tracked = FillTracker.getOrder(quote.orderID);
+  if (tracked && tracked.status !== "LIVE") {
+    state.makerOrder = null;
+    return null;
+  }
+  return { ...quote, unfilled: quote.size - (tracked?.sizeMatched || 0) };
+}
+
+// Pull the resting maker bid. Its unfilled size stops counting against the market cap here;
+// the position gives it back when the CANCELED update arrives (handleOrderUpdate).
+// On failure the bid stays tracked and the next tick tries again.
+async function cancelQuote(asset, state, reason, logger) {
+  const quote = restingQuote(state);
+  if (!quote) return true;
+
+  try {
+    const resp = await client.cancelOrder({ orderID: quote.orderID });
+    const refused = resp?.not_canceled?.[quote.orderID];
+    if (refused) {
+      logger.warn(`Maker bid ${quote.orderID} not cancelled: ${refused}`);
+      return false;
+    }
+  } catch (err) {
+    logger.error(`Failed to cancel maker bid ${quote.orderID}: ${err.message}`);
+    return false;
+  }
+
+  const { slug } = state;
+  state.makerOrder = null;
+  state.sharesBoughtBySlug[slug] = Math.max(0, (state.sharesBoughtBySlug[slug] || 0) - quote.unfilled);
+  StateJournal.record("QUOTE_CANCELED", { symbol: asset.symbol, slug, orderID: quote.orderID, unfilled: quote.unfilled });
+  logger.log(`🚫 Maker bid ${quote.side} @ ${quote.price.toFixed(2)} pulled (${reason}), ${quote.unfilled} unfilled`);
+  return true;
+}
+
+// A maker bid restored from the journal was placed before the restart: FillTracker never saw it,
+// and it may have filled or expired meanwhile. Cancel it and settle it from the exchange's view of
+// the order, so the strategy quotes afresh instead of stacking a second bid next to it.
+// On an API error it stays flagged and the next tick tries again.
+async function pullRestoredQuote(asset, state, logger) {
+  const quote = state.makerOrder;
+  const { slug } = state;
+  let order;
+  try {
+    await client.cancelOrder({ orderID: quote.orderID });
+    order = await client.getOrder(quote.orderID);
+  } catch (err) {
+    logger.error(`Failed to pull restored maker bid ${quote.orderID}: ${err.message}`);
     return;
   }
-  
-  executionLock[asset.symbol] = true;
+
+  state.makerOrder = null;
+  const matched = Number(order?.size_matched || 0);
+  const unfilled = order ? Math.max(0, quote.size - matched) : 0;
+  state.sharesBoughtBySlug[slug] = Math.max(0, (state.sharesBoughtBySlug[slug] || 0) - unfilled);
+  StateJournal.record("QUOTE_CANCELED", { symbol: asset.symbol, slug, orderID: quote.orderID, unfilled });
+  if (matched > 0 && state.entryZ === null && quote.entryZ !== null) {
+    state.entryZ = quote.entryZ;
+    StateJournal.record("SIGNAL", { symbol: asset.symbol, slug, entryZ: state.entryZ, minZSinceEntry: state.minZSinceEntry });
+  }
+  // Hands the unfilled size back to the position and closes the pending order (handleOrderUpdate)
+  if (order) {
+    FillTracker.applyOrderUpdate({
+      orderID: quote.orderID, tokenId: quote.tokenId, orderSide: "BUY", price: quote.price,
+      size: quote.size, sizeMatched: matched, status: unfilled > 0 ? "CANCELED" : "MATCHED"
+    });
+  }
+  logger.log(`🚫 Restored maker bid ${quote.side} @ ${quote.price.toFixed(2)} pulled (${order ? `${matched} filled, ${unfilled} unfilled` : 'not on the exchange'})`);
+}
+
+// Keep one maker bid resting per asset, following the strategy's quote: left alone while the
+// quote stays on its side within MAKER_REPRICE_TICKS, cancelled and re-posted when it moves,
+// cancelled when there is no quote (signal decayed, exit, circuit breaker)
+async function syncQuote(asset, state, quote, tokenIds, logger) {
+  const resting = restingQuote(state);
+
+  if (!quote) {
+    if (resting) await cancelQuote(asset, state, "no quote", logger);
+    return;
+  }
+
+  if (resting) {
+    const ticksMoved = Math.round(Math.abs(quote.price - resting.price) * 100);
+    if (resting.side === quote.side && ticksMoved < STRATEGY_CONFIG.MAKER_REPRICE_TICKS) {
+      logger.log(`Maker bid ${resting.side} @ ${resting.price.toFixed(2)} kept (quote ${quote.price.toFixed(2)}, ${resting.unfilled} unfilled)`);
+      return;
+    }
+    const reason = `re-price ${resting.side} ${resting.price.toFixed(2)} → ${quote.side} ${quote.price.toFixed(2)}`;
+    if (!await cancelQuote(asset, state, reason, logger)) return; // never stack a second bid
+  }
+
+  const orderID = await placeEntryOrder(asset, state, quote, tokenIds, logger);
+  if (orderID) {
+    const tokenId = tokenIds[quote.side === "UP" ? 0 : 1];
+    state.makerOrder = { orderID, side: quote.side, price: quote.price, size: quote.size, tokenId, entryZ: quote.entryZ };
+    logger.log(`📌 Maker bid ${quote.side} @ ${quote.price.toFixed(2)} x${quote.size} resting (${orderID})`);
+  }
+}
+
+// Only ever called from the asset's own loop, so runs for one asset never overlap
+async function execForAsset(asset, priceData) {
+  const logger = createScopedLogger(asset.symbol);
 
   try {
     const state = ensureState(asset, logger);
@@ -1157,12 +1000,16 @@ async function execForAsset(asset, priceData) {
         id: market.id, slug, question: market.question,
         endMs: new Date(market.endDate).getTime(),
         tokenIds: JSON.parse(market.clobTokenIds),
+        conditionId: market.conditionId,
         endDate: market.endDate
       };
+      OrderBookCache.setTokens(asset.symbol, state.marketMeta.tokenIds);
+      FillTracker.trackMarket(asset.symbol, slug, market.conditionId, state.marketMeta.tokenIds);
       logger.log(`Cached meta for ${market.id}`);
     }
 
     const { endMs, tokenIds } = state.marketMeta;
+    if (state.makerOrder?.restored) await pullRestoredQuote(asset, state, logger);
     const minsLeft = Math.max((endMs - Date.now()) / 60000, 0.001);
     logger.log(`Mins left: ${minsLeft.toFixed(3)}`);
 
@@ -1172,14 +1019,24 @@ async function execForAsset(asset, priceData) {
       logger.log(`Interval over. Resetting...`);
 
       state.sharesBoughtBySlug[slug] = 0;
+      const traded = PnlLedger.close(slug, { symbol: asset.symbol, conditionId: state.marketMeta.conditionId, marketType: MARKET.type, endMs });
+      if (!traded) RiskGuard.settle(slug, settlementPnl(slug, state, priceData));
+      StateJournal.record("INTERVAL_RESET", { symbol: asset.symbol, slug });
       logger.log(`✅ Market expired - reset bought counter to 0`);
+      OrderBookCache.setTokens(asset.symbol, []);
 
-      await sleep(30_000);
-      stateBySymbol[asset.symbol] = null;
+      // Late fills of the old market can still arrive; the loop keeps returning early until then
+      setTimeout(() => {
+        FillTracker.untrackMarket(slug);
+        stateBySymbol[asset.symbol] = null;
+      }, 30_000);
+      return;
+    }
+    const marketClock = { minsLeft, marketType: MARKET.type, intervalMins: MARKET.intervalMins };
+    if (!StrategyCore.isTradingWindow(StrategyCore.thresholdMinsLeft(marketClock, STRATEGY_CONFIG))) {
+      await syncQuote(asset, state, null, tokenIds, logger);
       return;
     }
-    if (isInSlamWindow()) return;
-    if (minsLeft > 14) return;
 
     // 2) Start Price
     let startPrice;
@@ -1206,60 +1063,32 @@ async function execForAsset(asset, priceData) {
       }
     }
 
-    // 3) Current Price & Sanity
+    // 3) Current Price
     const currentPrice = priceData.price;
-    logger.log(`Open $${startPrice.toFixed(4)} | Curr $${currentPrice.toFixed(4)}`);
-
-    if (Math.abs(currentPrice - startPrice) / startPrice > MAX_REL_DIFF) {
-      logger.log(`Price sanity FAILED. Skipping.`);
-      return;
+    logger.log(`Open $${startPrice.toFixed(4)} | Curr $${currentPrice.toFixed(4)} ±${priceData.conf.toFixed(4)} (age ${(priceData.ageMs / 1000).toFixed(1)}s)`);
+    if (priceData.stale) {
+      logger.warn(`⚠️  Pyth price is ${(priceData.ageMs / 1000).toFixed(1)}s old (limit ${STRATEGY_CONFIG.PRICE_STALE_SECS}s)`);
     }
 
-    // 4) Volatility & Drift
-    let rawSigmaPerMin = VolatilityManager.getRealizedVolatility(asset.symbol, currentPrice);
-    const drift = estimateDrift(asset.symbol, 60);
-
-    const effectiveSigma = rawSigmaPerMin * getTimeDecayFactor(minsLeft);
+    // 4) Volatility & Drift (z-score itself is computed by StrategyCore)
+    const rawSigmaPerMin = VolatilityManager.getRealizedVolatility(asset.symbol, currentPrice, STRATEGY_CONFIG, minsLeft);
+    const drift = estimateDrift(asset.symbol, STRATEGY_CONFIG.DRIFT_WINDOW_MINS);
     const volRatio = VolatilityManager.getVolRegimeRatio(asset.symbol, rawSigmaPerMin);
 
-    // Regime scalar clamped to prevent extreme adjustments
-    const rawRegimeScalar = Math.sqrt(volRatio);
-    const regimeScalar = Math.max(REGIME_SCALAR_MIN, Math.min(REGIME_SCALAR_MAX, rawRegimeScalar));
-
-    const sigmaT = effectiveSigma * Math.sqrt(minsLeft);
-
-    // Include drift in z-score calculation
-    const z = (currentPrice - startPrice + drift * minsLeft) / sigmaT;
-    if (!state.zHistory) state.zHistory = [];
-    state.zHistory.push({ z, ts: Date.now() });
-    state.zHistory = state.zHistory.filter(h => Date.now() - h.ts < 30000);
-
-    // Use normal distribution (well-calibrated for our use case)
-    const pUp = normCdf(z);
-    const pDown = 1 - pUp;
-
-    logger.log(
-      `σ_raw: $${rawSigmaPerMin.toFixed(4)} (Ratio: ${volRatio.toFixed(2)}x, Scalar: ${rawRegimeScalar.toFixed(2)}x -> ${regimeScalar.toFixed(2)}x clamped) | ` +
-      `Drift: $${drift.toFixed(4)}/min | z: ${z.toFixed(3)}`
-    );
-
     // 5) Order Books
     const [upTokenId, downTokenId] = tokenIds;
     const [upBook, downBook] = await Promise.all([
-      client.getOrderBook(upTokenId), 
-      client.getOrderBook(downTokenId)
+      getOrderBook(upTokenId),
+      getOrderBook(downTokenId)
     ]);
-    const { bestAsk: upAsk } = getBestBidAsk(upBook);
-    const { bestAsk: downAsk } = getBestBidAsk(downBook);
+    if (BOOKS_RECORD_FILE) recordBooks(asset.symbol, tokenIds, [upBook, downBook]);
+    const { bestBid: upBid, bestAsk: upAsk } = getBestBidAsk(upBook);
+    const { bestBid: downBid, bestAsk: downAsk } = getBestBidAsk(downBook);
+    markPosition(slug, upBid, downBid);
 
     const mid = (upAsk && downAsk) ? (upAsk + downAsk) / 2 : (upAsk || downAsk);
     logger.log(`Up ask / Down ask: ${upAsk?.toFixed(3) ?? 'n/a'} / ${downAsk?.toFixed(3) ?? 'n/a'}, mid≈${mid?.toFixed(3) ?? 'n/a'}`);
 
-    if (!upAsk && !downAsk) { 
-      logger.log("No asks."); 
-      return; 
-    }
-
     const existingSide = getExistingSide(state, slug);
     logger.log(`Existing net side: ${existingSide || "FLAT"}`);
 
@@ -1270,938 +1099,211 @@ async function execForAsset(asset, priceData) {
     logger.log(`📊 POSITION DEBUG:`);
     logger.log(`   sideSharesBySlug[${slug}]: UP=${pos.UP}, DOWN=${pos.DOWN}`);
     logger.log(`   sharesBoughtBySlug[${slug}]: ${totalBought}`);
+    const filled = FillTracker.getPosition(slug);
+    if (filled) logger.log(`   Filled: UP=${filled.UP.shares} @ $${filled.UP.avgCost.toFixed(3)}, DOWN=${filled.DOWN.shares} @ $${filled.DOWN.avgCost.toFixed(3)}`);
     logger.log(`   Net position: ${netPosition} (${netPosition > 0 ? 'UP' : netPosition < 0 ? 'DOWN' : 'FLAT'})`);
-    logger.log(`   Cap: ${totalBought}/${MAX_SHARES_PER_MARKET[asset.symbol]}`);
+    logger.log(`   Cap: ${totalBought}/${STRATEGY_CONFIG.MAX_SHARES_PER_MARKET[asset.symbol]}`);
 
     // Also log all slugs in state:
     logger.log(`   All tracked slugs: ${Object.keys(state.sharesBoughtBySlug).join(', ')}`);
 
-    const sharesUp = state.sideSharesBySlug[slug]?.UP || 0;
-    const sharesDown = state.sideSharesBySlug[slug]?.DOWN || 0;
-
-    if (sharesUp > 0 && pUp < 0.50) logger.log(`>>> COUNTERSIGNAL: Holding UP but pUp=${pUp.toFixed(4)}`);
-    if (sharesDown > 0 && pDown < 0.50) logger.log(`>>> COUNTERSIGNAL: Holding DOWN but pDown=${pDown.toFixed(4)}`);
+    // A resting maker bid gets re-priced, not added to: the strategy sizes as if it weren't there
+    const quote = restingQuote(state);
+    const quoted = { UP: 0, DOWN: 0 };
+    if (quote) quoted[quote.side] = quote.unfilled;
+    const portfolio = getPortfolioNet();
+    if (quote) portfolio[asset.symbol] = (portfolio[asset.symbol] || 0) - (quoted.UP - quoted.DOWN);
 
-    // Detect rapid liquidity drain (early warning signal)
-    // if (!state.liquidityHistory) state.liquidityHistory = [];
+    const sharesUp = (state.sideSharesBySlug[slug]?.UP || 0) - quoted.UP;
+    const sharesDown = (state.sideSharesBySlug[slug]?.DOWN || 0) - quoted.DOWN;
 
-    // const currentLiquidity = {
-    //   upDepth: upBook.asks?.reduce((sum, o) => sum + Number(o.size), 0) || 0,
-    //   downDepth: downBook.asks?.reduce((sum, o) => sum + Number(o.size), 0) || 0,
-    //   ts: Date.now()
-    // };
-
-    // state.liquidityHistory.push(currentLiquidity);
-    // state.liquidityHistory = state.liquidityHistory.filter(l => Date.now() - l.ts < 30000);
-
-    // if (state.liquidityHistory.length >= 3) {
-    //   const oldest = state.liquidityHistory[0];
-    //   const current = currentLiquidity;
-
-    //   if (z > 0 && current.upDepth < oldest.upDepth * 0.5) {
-    //     logger.log(`⚠️  LIQUIDITY ALERT: UP depth dropped ${((1 - current.upDepth/oldest.upDepth)*100).toFixed(0)}% in 30s`);
-    //     logger.log(`   This suggests strong buying pressure - consider early entry`);
-    //   }
-    // }
-
-    // ==============================================
-    // NEW in v2.4.0: RECONCILE POSITIONS (if we have any)
-    // ==============================================
-    
-    if (sharesUp > 5 || sharesDown > 5) {
-      // Only reconcile if we have a significant position
-      // This catches fill discrepancies before exit logic
-      await reconcilePositions(state, logger);
+    // 6) Decision (shared with backtest.js)
+    const decision = StrategyCore.decide({
+      now: Date.now(),
+      symbol: asset.symbol,
+      slug,
+      ...marketClock,
+      startPrice,
+      currentPrice,
+      sigmaPerMin: rawSigmaPerMin,
+      drift,
+      volRatio,
+      basis: BasisTracker.get(asset.symbol),
+      jump: VolatilityManager.getJump(asset.symbol),
+      upAsk, downAsk, upBid, downBid,
+      upAsks: askLevels(upBook), downAsks: askLevels(downBook),
+      priceStale: priceData.stale,
+      position: { UP: sharesUp, DOWN: sharesDown },
+      sharesBought: totalBought - quoted.UP - quoted.DOWN,
+      portfolio
+    }, state, STRATEGY_CONFIG, logger);
+    if (decision.state.entryZ !== state.entryZ || decision.state.minZSinceEntry !== state.minZSinceEntry) {
+      StateJournal.record("SIGNAL", { symbol: asset.symbol, slug, entryZ: decision.state.entryZ, minZSinceEntry: decision.state.minZSinceEntry });
     }
+    Object.assign(state, decision.state);
 
     // ==============================================
-    // NEW in v2.4.0: CHECK EXIT CONDITIONS
+    // NEW in v2.4.0: EXIT CONDITIONS
     // ==============================================
     
-    const exitCheck = shouldExitPosition(state, z, pUp, pDown, sharesUp, sharesDown, minsLeft, logger);
-    if (exitCheck.shouldExit) {
-      logger.log(`🚨 EXIT CONDITION MET - Attempting to close position`);
+    if (decision.exit) {
+      const isProfitTaking = decision.exit.reason.startsWith('profit_taking');
+      logger.log(isProfitTaking
+        ? `💰 PROFIT TAKING TRIGGERED - Attempting to close position`
+        : `🚨 EXIT CONDITION MET - Attempting to close position`);
       
-      const exitSuccess = await executeExit(asset, state, exitCheck, upBook, downBook, logger);
+      await syncQuote(asset, state, null, tokenIds, logger);
+      const exitSuccess = await executeExit(asset, state, decision.exit, upBook, downBook, logger);
       
       if (exitSuccess) {
         state.weakSignalHistory = [];
         state.weakSignalCount = 0;
-        logger.log(`✅ Position exited successfully - Stopping further trading this tick`);
-        return; // Don't trade for rest of this tick
+        logger.log(isProfitTaking
+          ? `✅ Profits secured - Stopping further trading this tick`
+          : `✅ Position exited successfully - Stopping further trading this tick`);
+      } else if (isProfitTaking) {
+        logger.warn(`⚠️  Profit-taking exit failed - Will retry next tick`);
       } else {
         logger.warn(`⚠️  Exit attempt failed - Will retry next tick`);
         logger.warn(`⚠️  Blocking new entries to prevent adding to losing position`);
-        return; // Don't add to position if exit failed
-      }
-    }
-
-    const profitCheck = shouldTakeProfits(state, upAsk, downAsk, minsLeft, z, sharesUp, sharesDown, logger);
-    if (profitCheck.shouldExit) {
-      logger.log(`💰 PROFIT TAKING TRIGGERED - Attempting to close position`);
-
-      const exitSuccess = await executeExit(asset, state, profitCheck, upBook, downBook, logger);
-
-      if (exitSuccess) {
-        state.weakSignalHistory = [];
-        state.weakSignalCount = 0;
-        logger.log(`✅ Profits secured - Stopping further trading this tick`);
-        return;
-      } else {
-        logger.warn(`⚠️  Profit-taking exit failed - Will retry next tick`);
-        return;
       }
-    }
-
-    if (minsLeft < 0.15) { // ~10 seconds
-      logger.log(`🛑 ULTRA LATE: ${(minsLeft * 60).toFixed(0)}s left - no trading`);
-      return;
+      return; // Don't trade for rest of this tick
     }
 
     // Log Snapshot
-    logTickSnapshot({
-      ts: Date.now(), symbol: asset.symbol, slug, minsLeft,
-      startPrice, currentPrice, 
-      sigmaPerMin: rawSigmaPerMin,
-      drift,
-      z, pUp, pDown, upAsk, downAsk,
-      sharesUp, sharesDown,
-    });
-
-    // Note: entryZ storage moved to right before order placement (see below)
-
-    // ==============================================
-    // Time-Based Z-Threshold (SET ONCE)
-    // ==============================================
-    
-    const absZ = Math.abs(z);
-    let effectiveZMin;
-
-    const isUS = isUSTradingHours();
-    if (ENABLE_EARLY_TRADING && !isUS) {
-      // Early trading enabled (non-US hours) - graduated thresholds
-      if (minsLeft > 10) {
-        effectiveZMin = 2.2 * regimeScalar; // Super early: very strict
-      } else if (minsLeft > 8) {
-        effectiveZMin = 1.9 * regimeScalar; // Kinda early: still strict
-      } else if (minsLeft > 5) {
-        effectiveZMin = 1.6 * regimeScalar; // Very early: strict
-      } else if (minsLeft > 4) {
-        effectiveZMin = 1.2 * regimeScalar;
-      } else if (minsLeft > 3) {
-        effectiveZMin = 1.1 * regimeScalar; // Mid early: moderate
-      } else if (minsLeft > 2) {
-        effectiveZMin = 0.9 * regimeScalar; // Getting close: normal
-      } else {
-        effectiveZMin = 0.7 * regimeScalar; // Late game: aggressive
-      }
-    } else {
-      // US hours or early trading disabled
-      if (minsLeft > 4) {
-        logger.log(`Skip (${minsLeft.toFixed(1)} mins left): ${isUS ? 'US hours' : 'Early trading disabled'}`);
-        return;
-      } else if (minsLeft > 3) {
-        effectiveZMin = 1.6 * regimeScalar; // Down from 1.8, strict for mid window
-      } else if (minsLeft > 2) {
-        effectiveZMin = 1.0 * regimeScalar; // Normal
-      } else {
-        effectiveZMin = (regimeScalar < 1.15) ? (0.7 * regimeScalar) : (1.0 * regimeScalar);
-        logger.log(`Late game threshold: ${effectiveZMin.toFixed(2)} (regime ${regimeScalar < 1.15 ? 'CALM' : 'VOLATILE'})`);
-      }
-    }
-
-    // ==============================================
-    // RESTORED: Low-Vol Boost
-    // In calm markets, signals are more reliable → trade more aggressively
-    // ==============================================
-    if (rawRegimeScalar < 1.1) {
-      const LOW_VOL_BOOST = 0.85; // 15% easier in low vol
-      const oldThreshold = effectiveZMin;
-      effectiveZMin *= LOW_VOL_BOOST;
-
-      logger.log(`[Low Vol Regime] Threshold reduced: ${oldThreshold.toFixed(2)} → ${effectiveZMin.toFixed(2)} (${((1-LOW_VOL_BOOST)*100).toFixed(0)}% easier)`);
-    }
-
-    // Single gating check
-    if (absZ < effectiveZMin) {
-      const evUp = upAsk ? pUp - upAsk : 0;
-      const evDown = downAsk ? pDown - downAsk : 0;
-      logger.log(`Skip: |z|=${absZ.toFixed(3)} < ${effectiveZMin.toFixed(2)} (${minsLeft.toFixed(1)}min left) | EV Up/Down: ${evUp.toFixed(3)}/${evDown.toFixed(3)}`);
-      return;
-    }
-
-    // Signal decay detection
-    if (state.zHistory.length >= 5) {
-      const recentZ = state.zHistory.slice(-5);
-      const zChange = recentZ[0].z - recentZ[recentZ.length - 1].z;
-      const zDecayThreshold = minsLeft < 3 ? 0.25 : 0.4;
-      
-      // Only enforce if we have significant position
-      const significantPosition = sharesUp > 100 || sharesDown > 100;
-
-      // Check UP positions (z falling)
-      if (significantPosition && sharesUp > 0 && zChange > zDecayThreshold) {
-        logger.log(`⛔ RAPID SIGNAL DECAY (UP): z fell ${zChange.toFixed(2)} in 30s`);
-        return;
-      }
-      
-      // Check DOWN positions (z rising)
-      if (significantPosition && sharesDown > 0 && zChange < -zDecayThreshold) {
-        logger.log(`⛔ RAPID SIGNAL DECAY (DOWN): z rose ${Math.abs(zChange).toFixed(2)} in 30s`);
-        return;
-      }
-    }
-
-    // Method 1: Consecutive weak signals (fast response)
-    if (!state.weakSignalCount) state.weakSignalCount = 0;
-
-    if (sharesUp > 0 && z > 0 && z < 0.8) {
-      state.weakSignalCount++;
-      if (state.weakSignalCount > 3) {
-        logger.log(`⛔ UP signal weak for ${state.weakSignalCount} ticks, stopping`);
-        return;
-      }
-    } else if (sharesDown > 0 && z < 0 && z > -0.8) {
-      state.weakSignalCount++;
-      if (state.weakSignalCount > 3) {
-        logger.log(`⛔ DOWN signal weak for ${state.weakSignalCount} ticks, stopping`);
-        return;
-      }
-    } else {
-      state.weakSignalCount = 0;
-    }
-
-    // Method 2: Ratio (robust against oscillation)
-    if (!state.weakSignalHistory) state.weakSignalHistory = [];
-
-    const isWeak = (sharesUp > 0 && z > 0 && z < 0.8) || (sharesDown > 0 && z < 0 && z > -0.8);
-    state.weakSignalHistory.push(isWeak);
-    if (state.weakSignalHistory.length > 10) {
-      state.weakSignalHistory.shift();
-    }
-
-    const weakCount = state.weakSignalHistory.filter(x => x).length;
-    if (weakCount >= 6) {
-      logger.log(`⛔ Signal weak for ${weakCount}/10 ticks`);
-      return;
-    }
-
-    // ==============================================
-    // Large Signal Reversal Detector
-    // ==============================================
-    
-    if (state.zHistory && state.zHistory.length >= 2) {
-      const recent = state.zHistory.slice(-2);
-      const oldZ = recent[0].z;
-      const newZ = recent[recent.length - 1].z;
-      
-      const oldSign = Math.sign(oldZ);
-      const newSign = Math.sign(newZ);
-      
-      // Signal flipped sign?
-      if (oldSign !== newSign && oldSign !== 0 && newSign !== 0) {
-        const reversalMagnitude = Math.abs(newZ - oldZ);
-        
-        // Large reversal (>1σ)?
-        if (reversalMagnitude > 1.0) {
-          logger.log(`⚠️  SIGNAL REVERSAL: z=${oldZ.toFixed(2)} → ${newZ.toFixed(2)}`);
-
-          // Only block if we have position in OLD direction
-          if ((oldSign > 0 && sharesUp > 0) || (oldSign < 0 && sharesDown > 0)) {
-            logger.log(`⛔ Blocking: would add to losing ${oldSign > 0 ? 'UP' : 'DOWN'} position`);
-            return;
-          }
-
-          logger.log(`✅ Allowing reversal trade in ${newSign > 0 ? 'UP' : 'DOWN'} direction`);
-        }
-      }
-    }
-
-    // 6) Decision Gating with Basis Risk Check
-    const basisCheck = checkBasisRiskHybrid(
-      currentPrice,
-      startPrice,
-      minsLeft,
-      z,
-      pUp,
-      pDown,
-      upAsk,
-      downAsk,
-      asset,
-      logger,
-      sharesUp,
-      sharesDown
-    );
-
-    if (!basisCheck.safe) {
-      logger.log(`Skipping trade: ${basisCheck.reason}`);
-      return;
-    }
-
-    // 7) Trade Logic - Directional
-    // EXPERIMENT: Keep track
-    let zVelocity = 0;
-    let cappedPredictedZ = z; // Default to current z
-    if (state.zHistory.length >= 3) {
-      const recent = state.zHistory.slice(-3);
-      const timeSpan = (recent[2].ts - recent[0].ts) / 1000; // seconds
-      const zChange = recent[2].z - recent[0].z;
-      zVelocity = zChange / timeSpan;
-
-      // Predict where z will be in 20 seconds
-      const predictedZ = z + (zVelocity * 20);
-      const maxPrediction = Math.abs(z) + 2.0; // Can't predict more than +2σ from current
-      cappedPredictedZ = Math.sign(predictedZ) * Math.min(Math.abs(predictedZ), maxPrediction);
-
-      logger.log(`💭 Prediction: z=${z.toFixed(2)}, velocity=${zVelocity.toFixed(3)}/s, predicted20s=${predictedZ.toFixed(2)}${predictedZ !== cappedPredictedZ ? ` (capped to ${cappedPredictedZ.toFixed(2)})` : ''}`);
-
-      // Lower threshold if strong upward trajectory
-      const minVelocity = 0.05; // Must be moving at least 0.05 z-score per second 
-      if (Math.abs(cappedPredictedZ) > 2.0 &&
-          Math.sign(cappedPredictedZ) === Math.sign(z) &&
-          Math.abs(zVelocity) > minVelocity) {
-        const originalZMin = effectiveZMin;
-        effectiveZMin *= 0.85;
-        logger.log(`📈 Strong trajectory detected: threshold ${originalZMin.toFixed(2)} → ${effectiveZMin.toFixed(2)}`);
-      }
-    }
-
-    let candidates = [];
-    if (z >= effectiveZMin && upAsk) {
-      const evBuyUp = pUp - upAsk;
-      logger.log(`Up ask=${upAsk.toFixed(3)}, pUp=${pUp}, EV buy Up=${evBuyUp.toFixed(4)}`);
-      candidates.push({ side: "UP", ev: evBuyUp, ask: upAsk });
-    } else {
-      logger.log(`We don't buy Up here (z=${z.toFixed(3)} < ${effectiveZMin.toFixed(2)} or no ask).`);
-    }
-
-    if (z <= -effectiveZMin && downAsk) {
-      const evBuyDown = pDown - downAsk;
-      logger.log(`Down ask=${downAsk.toFixed(3)}, pDown=${pDown}, EV buy Down=${evBuyDown.toFixed(4)}`);
-      candidates.push({ side: "DOWN", ev: evBuyDown, ask: downAsk });
-    } else {
-      logger.log(`We don't buy Down here (z=${z.toFixed(3)} > ${-effectiveZMin.toFixed(2)} or no ask).`);
-    }
-
-    // Dynamic edge requirements
-    let dynamicMinEdge = (minsLeft > MINUTES_LEFT ? MIN_EDGE_EARLY : MIN_EDGE_LATE);
-        
-    // Low vol adjustment
-    if (regimeScalar <= 1.1) {
-      dynamicMinEdge = dynamicMinEdge * 0.6;
-    }
-
-    logger.log(`Min Edge Required: ${dynamicMinEdge.toFixed(4)} (Scalar: ${regimeScalar.toFixed(2)})`);
-    
-    candidates = candidates.filter(c => {
-      let required = dynamicMinEdge;
-      const cProb = c.side === "UP" ? pUp : pDown;
-      
-      if (cProb < 0.90) {
-        required = Math.max(required, 0.03); // Down from 0.05
-      }
-      
-      return c.ev > required;
-    });
-
-    if (z > 0 && z < 0.8 && sharesUp >= MAX_SHARES_WEAK_SIGNAL) {
-      logger.log(`⚠️  Weak signal position limit: ${sharesUp} UP shares`);
-      // Only allow DOWN (hedge)
-      candidates = candidates.filter(c => c.side === 'DOWN');
-      if (candidates.length === 0) return;
-    }
-
-    if (z < 0 && z > -0.8 && sharesDown >= MAX_SHARES_WEAK_SIGNAL) {
-      logger.log(`⚠️  Weak signal position limit: ${sharesDown} DOWN shares`);
-      // Only allow UP (hedge)
-      candidates = candidates.filter(c => c.side === 'UP');
-      if (candidates.length === 0) return;
-    }
-
-    // ============================================================
-    // LATE GAME MODE (SIGNAL-AWARE)
-    // ============================================================
-    if (minsLeft < 2) {
-      // ==============================================
-      // Signal-Aware LATE_LAYER
-      // Check if signal has reversed since entry
-      // ==============================================
-      
-      if (state.entryZ !== null) {
-        const entrySignal = state.entryZ;
-        const currentSignal = z;
-
-        const signalFlipped = Math.sign(entrySignal) !== Math.sign(currentSignal) 
-                              && Math.sign(entrySignal) !== 0 
-                              && Math.sign(currentSignal) !== 0;
-        
-        const reversalMagnitude = Math.abs(currentSignal - entrySignal);
-        const largeReversal = reversalMagnitude > 1.0;
-
-        if (signalFlipped && largeReversal) {
-          logger.log(`⛔ LATE_LAYER BLOCKED: Signal reversed ${entrySignal.toFixed(2)} → ${currentSignal.toFixed(2)}`);
-          return;
-        }
-      }
-
-      if (minsLeft > 1.5 && state.zHistory && state.zHistory.length >= 3) {
-        const recent30s = state.zHistory.filter(h => Date.now() - h.ts < 30000);
-        
-        if (recent30s.length >= 3) {
-          const oldestZ = Math.abs(recent30s[0].z);
-          const currentZ = Math.abs(z);
-          const timeSpan = (Date.now() - recent30s[0].ts) / 1000;
-          
-          // Signal increased >50% in last 30 seconds?
-          if (currentZ > oldestZ * 1.5 && oldestZ > 0.3) {
-            const percentIncrease = ((currentZ - oldestZ) / oldestZ * 100);
-
-            logger.log(`⚠️  SIGNAL SPIKE DETECTED`);
-            logger.log(`   z: ${oldestZ.toFixed(2)} → ${currentZ.toFixed(2)} (+${percentIncrease.toFixed(0)}%) in ${timeSpan.toFixed(0)}s`);
-
-            // Only block if we already have shares (prevents adding to spike)
-            if (sharesUp + sharesDown > 0) {
-              logger.log(`⛔ Skipping entry - spikes often reverse (mean reversion risk)`);
-              return;
-            }
-            
-            logger.log(`   Exception: No position yet, allowing cautious entry`);
-          }
-        }
-      }
-
-      // ==============================================
-      // Original LATE_LAYER Logic Continues
-      // ==============================================
-
-      const expiresAt = Math.floor(Date.now() / 1000) + 15 * 60;
-      const secsLeft = minsLeft * 60;
-      let pReq = requiredLateProb(secsLeft);
-      if (Math.abs(cappedPredictedZ) > 2.5 && Math.abs(zVelocity) > 0.05) {
-        const originalPReq = pReq;
-        pReq *= 0.95; // 5% easier (85% → 80.75%)
-        logger.log(`📈 LATE_LAYER trajectory: pReq ${originalPReq.toFixed(3)} → ${pReq.toFixed(3)}`);
-      }
-
-      let lateSide = null, sideProb = 0, sideAsk = 0;
-
-      if (pUp >= pReq && z > Math.max(0.7 * regimeScalar, 0.3)) {
-        lateSide = "UP"; 
-        sideProb = pUp; 
-        sideAsk = upAsk || 0.99; 
-      } else if (pDown >= pReq && z < -Math.max(0.7 * regimeScalar, 0.3)) {
-        lateSide = "DOWN"; 
-        sideProb = pDown; 
-        sideAsk = downAsk || 0.99; 
-      }
-
-      // TODO: remove this if using ORACLE_SIGMA_MULTIPLE below
-      if (minsLeft < 2 && minsLeft > 0.5 && sideAsk > 0.85) {
-        // Require price to be at least 0.5 sigma away from strike
-        const minDistanceRequired = 0.5 * rawSigmaPerMin * Math.sqrt(minsLeft);
-        const actualDistance = Math.abs(currentPrice - startPrice);
-
-        if (actualDistance < minDistanceRequired) {
-          logger.log(`⛔ THIN MARGIN: $${actualDistance.toFixed(2)} < $${minDistanceRequired.toFixed(2)} (0.5σ at ${minsLeft.toFixed(1)}m)`);
-          logger.log(`   Too close to strike for expensive late entry`);
-          return;
-        } else {
-          logger.log(`✅ Margin OK: $${actualDistance.toFixed(2)} > $${minDistanceRequired.toFixed(2)} (${(actualDistance/minDistanceRequired).toFixed(1)}σ)`);
-        }
-      }
-
-      if (lateSide) {
-        // Time-graduated maximum prices for LATE_LAYER
-        // Stricter caps as we get closer to expiry (higher gamma risk)
-        let lateGameMax;
-        if (minsLeft < 0.5) {
-          lateGameMax = 0.85;  // <30s: very strict (need 85%+ win rate)
-        } else if (minsLeft < 1.0) {
-          lateGameMax = 0.88;  // <1min: strict (need 88%+ win rate)
-        } else if (minsLeft < 1.5) {
-          lateGameMax = 0.92;  // <90s: moderate (need 92%+ win rate)
-        } else {
-          lateGameMax = LATE_GAME_MAX_PRICE;  // <2min: 95¢ (need 95%+ win rate)
-        }
-        if (sideAsk > lateGameMax) {
-          logger.log(`⛔ LATE GAME: ${(sideAsk*100).toFixed(0)}¢ > ${(lateGameMax*100).toFixed(0)}¢ max @ ${(minsLeft*60).toFixed(0)}s left`);
-          logger.log(`   ${asset.symbol}: Too close to expiry for expensive bets`);
-          return;
-        }
-
-        // TODO: consider enabling this
-        // const ORACLE_SIGMA_MULTIPLE = 2.0;
-        // const expectedMovement = ORACLE_SIGMA_MULTIPLE * rawSigmaPerMin * Math.sqrt(minsLeft);
-        // const absDistanceFromStrike = Math.abs(currentPrice - startPrice);
-
-        // if (absDistanceFromStrike < expectedMovement) {
-        //   logger.log(`⛔ ORACLE RISK: Only $${absDistanceFromStrike.toFixed(2)} from strike`);
-        //   logger.log(`   Need ${expectedMovement.toFixed(2)} buffer (${ORACLE_SIGMA_MULTIPLE}σ × $${rawSigmaPerMin.toFixed(2)}/min × √${minsLeft.toFixed(2)}min)`);
-        //   logger.log(`   ${asset.symbol}: Too close for oracle deviation safety`);
-        //   return;
-        // }
-        // logger.log(`✅ Oracle safe: $${absDistanceFromStrike.toFixed(2)} > ${expectedMovement.toFixed(2)} required buffer`);
-
-        // 1. EXTREME SIGNAL - Kelly Criterion sizing
-        let zHugeDynamic = Math.min(2.8, Z_HUGE * regimeScalar); // Capped at 2.8
-        
-        // RESTORED: Apply low-vol adjustment to extreme threshold
-        if (rawRegimeScalar < 1.1) {
-          const oldZHuge = zHugeDynamic;
-          zHugeDynamic *= 0.95; // 5% easier in low vol
-          logger.log(`[Low Vol] Extreme threshold: ${oldZHuge.toFixed(2)} → ${zHugeDynamic.toFixed(2)}`);
-        }
-        
-        if (absZ >= zHugeDynamic && secsLeft <= LATE_GAME_EXTREME_SECS && 
-            sideAsk <= LATE_GAME_MAX_PRICE && (sideProb - sideAsk) >= LATE_GAME_MIN_EV) {
-          
-          const limitPrice = Math.min(sideAsk, LATE_GAME_MAX_PRICE);
-          const maxShares = MAX_SHARES_PER_MARKET[asset.symbol] || 500;
-          
-          // Use Kelly instead of fixed fraction
-          const kellyShares = kellySize(sideProb, limitPrice, maxShares, ASSET_SPECIFIC_KELLY_FRACTION[asset.symbol] || 0.15);
-          const bigSize = Math.max(10, Math.floor(kellyShares / 10) * 10); // Round to 10
-
-          const capCheck = canPlaceOrder(state, slug, lateSide, bigSize, asset.symbol);
-          const corrCheck = checkCorrelationRisk(state, asset.symbol, lateSide, bigSize);
-          
-          if (capCheck.ok && corrCheck.ok) {
-            // BUG FIX #3: Store entryZ right before placing order
-            if (state.entryZ === null) {
-              state.entryZ = z;
-              logger.log(`[Entry Signal] Stored z=${z.toFixed(2)} (EXTREME entry)`);
-            }
-            
-            logger.log(`EXTREME: Buying ${bigSize} ${lateSide} @ ${limitPrice} (Kelly-sized, z=${absZ.toFixed(2)})`);
-            
-            try {
-              const resp = await client.createAndPostOrder({
-                tokenID: lateSide === "UP" ? upTokenId : downTokenId,
-                price: limitPrice.toFixed(2), 
-                side: Side.BUY, 
-                size: bigSize, 
-                expiration: String(expiresAt)
-              }, { tickSize: "0.01", negRisk: false }, OrderType.GTD);
-              
-              if (resp && resp.orderID) {
-                logOrderAttempt({
-                  ts: Date.now(),
-                  symbol: asset.symbol,
-                  orderID: resp.orderID,
-                  side: lateSide,
-                  price: limitPrice,
-                  size: bigSize,
-                  type: "EXTREME"
-                });
-
-                const tokenId = lateSide === "UP" ? upTokenId : downTokenId;
-                pendingOrders.set(resp.orderID, { 
-                  asset: asset.symbol, 
-                  side: lateSide, 
-                  size: bigSize, 
-                  tokenId: tokenId,
-                  slug: slug,
-                  timestamp: Date.now() 
-                });
-
-                addPosition(state, slug, lateSide, bigSize);
-                state.sharesBoughtBySlug[slug] = (state.sharesBoughtBySlug[slug] || 0) + bigSize;
-              }
-            } catch (err) {
-              logger.error(`EXTREME order failed: ${err.message}`);
-            }
-            
-            return;
-          } else {
-            if (!capCheck.ok) {
-              logger.log(`Skipping EXTREME; cap hit. (reason=${capCheck.reason})`);
-            }
-            if (!corrCheck.ok) {
-              logger.log(`Skipping EXTREME; correlation risk too high: ${corrCheck.portfolioRisk.toFixed(1)} > ${corrCheck.limit}`);
-            }
-          }
-        }
-
-        // ==============================================
-        // BUG FIX #2: Signal-Aware Position Cap
-        // Fixed logic to properly detect sign flips before checking weakening
-        // ==============================================
-        
-        const totalShares = sharesUp + sharesDown;
-        if (totalShares >= 200) {
-          if (state.entryZ !== null) {
-            const entrySignalForCap = state.entryZ;
-            const currentSignalForCap = z;  // Don't use Math.abs() - we need the sign!
-            const entryStrength = Math.abs(entrySignalForCap);
-            
-            // CRITICAL: Check if signal flipped sign FIRST
-            const sameSign = Math.sign(entrySignalForCap) === Math.sign(currentSignalForCap);
-            if (!sameSign) {
-              // Signal reversed - always block regardless of magnitude
-              logger.log(`⛔ LATE_LAYER CAP: Signal reversed ${entrySignalForCap.toFixed(2)} → ${currentSignalForCap.toFixed(2)}`);
-              return;
-            }
-            
-            // 🆕 WHIPSAW DETECTION: Track weakest signal since entry
-            // Initialize minZSinceEntry on first check
-            if (state.minZSinceEntry === undefined || state.minZSinceEntry === null) {
-              state.minZSinceEntry = entrySignalForCap;
-            }
-            
-            // Update minimum if current signal is weaker (closer to zero)
-            if (Math.abs(currentSignalForCap) < Math.abs(state.minZSinceEntry)) {
-              state.minZSinceEntry = currentSignalForCap;
-              logger.log(`📊 New weakest signal: ${currentSignalForCap.toFixed(2)} (entry: ${entrySignalForCap.toFixed(2)})`);
-            }
-            
-            // Check if signal EVER dropped >30% (even if it recovered)
-            const worstWeakening = (entryStrength - Math.abs(state.minZSinceEntry)) / entryStrength;
-            
-            if (worstWeakening > 0.3) {
-              logger.log(`⛔ LATE_LAYER CAP: Signal dropped ${(worstWeakening*100).toFixed(0)}% since entry (WHIPSAW)`);
-              logger.log(`   Entry: ${entrySignalForCap.toFixed(2)} → Lowest: ${state.minZSinceEntry.toFixed(2)} → Current: ${currentSignalForCap.toFixed(2)}`);
-              return;
-            }
-            
-            // Also check current weakening (your original check - keep this as backup)
-            const currentStrength = Math.abs(currentSignalForCap);
-            const currentWeakening = (entryStrength - currentStrength) / entryStrength;
-            
-            if (currentWeakening > 0.3) {
-              logger.log(`⛔ LATE_LAYER CAP: Signal currently weak ${(currentWeakening*100).toFixed(0)}% (${totalShares} shares)`);
-              return;
-            }
-          }
-        }
-
-        // 2. HYBRID LAYERED MODEL
-        const LAYER_OFFSETS = [-0.02, -0.01, 0.0, +0.01];
-        // const LAYER_MIN_EV = [0.006, 0.004, 0.002, 0.000];
-        // const LAYER_MIN_EV = [0.003, 0.002, 0.001, 0.001];
-        const LAYER_MIN_EV = [0.001, 0.002, 0.003, 0.005];
-
-        let edgePenalty = 0;
-        // if (asset.symbol === "SOL") {
-        //   edgePenalty += 0.015;
-        // }
-
-        if (sideProb < 0.90) {
-          edgePenalty += 0.015;
-        }
-
-        logger.log(
-          `Late game hybrid: side=${lateSide}, prob=${sideProb.toFixed(4)}, ` +
-          `ask=${sideAsk.toFixed(3)}, Penalty=${edgePenalty.toFixed(3)}`
-        );
-
-        for (let i = 0; i < LAYER_OFFSETS.length; i++) {
-          let target = sideAsk + LAYER_OFFSETS[i];
-          target = Math.max(0.01, Math.min(target, lateGameMax));
-
-          // Only checked for early LATE_LAYER (>3 mins) - prevents expensive bets with lots of reversal time
-          // Late game LATE_LAYER (<3 mins) has no max price cap - trust the proven signal
-          // TODO: consider using this
-          // const maxPrice = getMaxPriceForTime(minsLeft);
-          // const isExtremeSignal = absZ > 2.2;
-          // if (minsLeft > MINUTES_LEFT) {
-          //   if (isExtremeSignal) {
-          //     logger.log(`✅ Extreme signal (z=${absZ.toFixed(2)}) overrides max price at ${minsLeft.toFixed(1)}m`);
-          //     // Allow trading, skip max price check
-          //   } else if (target > maxPrice) {
-          //     logger.log(`Layer ${i}: skip, price ${target.toFixed(2)} > ${maxPrice.toFixed(2)} max (${minsLeft.toFixed(1)}m left)`);
-          //     continue;
-          //   }
-          // }
-
-          const ev = sideProb - target;
-          let minEv = LAYER_MIN_EV[i];
-
-          if (regimeScalar < 1.2) {
-            minEv *= 0.5;
-          }
-          const finalMinEv = minEv + edgePenalty;
-
-          if (ev < finalMinEv) {
-            logger.log(`Layer ${i}: skip @${target.toFixed(2)} (EV=${ev.toFixed(4)} < ${finalMinEv.toFixed(4)})`);
-            continue;
-          }
-
-          let layerRiskBand = "medium";
-          if (sideProb >= PROB_MIN_CORE && target >= PRICE_MIN_CORE) layerRiskBand = "core";
-          else if (sideProb <= PROB_MAX_RISKY && target <= PRICE_MAX_RISKY) layerRiskBand = "risky";
-
-          const layerSize = sizeForTrade(ev, minsLeft, { minEdgeOverride: 0.0, riskBand: layerRiskBand });
-          if (layerSize <= 0) {
-            logger.log(`Late layer ${i}: size <= 0, skipping.`);
-            continue;
-          }
-
-          // Risk/reward check only applies for early LATE_LAYER entries (>3 mins)
-          // Late game LATE_LAYER (<3 mins) has higher confidence - trust the strategy
-          // This allows profitable 99¢ trades at 1-2 mins with 99%+ probability
-          if (minsLeft > MINUTES_LEFT && !checkRiskReward(target, layerSize, sideProb, minsLeft, logger)) {
-            logger.log(`Layer ${i}: skip, risk/reward too poor`);
-            continue;
-          }
-
-          const capCheck = canPlaceOrder(state, slug, lateSide, layerSize, asset.symbol);
-          const corrCheck = checkCorrelationRisk(state, asset.symbol, lateSide, layerSize);
-          
-          if (!capCheck.ok) {
-            logger.log(`Layer ${i} skip; cap hit. (reason=${capCheck.reason})`);
-            continue;
-          }
-          
-          if (!corrCheck.ok) {
-            logger.log(`Layer ${i} skip; correlation risk: ${corrCheck.portfolioRisk.toFixed(1)} > ${corrCheck.limit}`);
-            continue;
-          }
-          
-          if (capCheck.reason === "hedge_beyond_cap") {
-            logger.log(`Layer ${i} allowed beyond cap (hedge).`);
-          }
-
-          const limitPrice = Number(target.toFixed(2));
-          
-          // BUG FIX #3: Store entryZ right before placing order
-          if (state.entryZ === null) {
-            state.entryZ = z;
-            logger.log(`[Entry Signal] Stored z=${z.toFixed(2)} (LATE_LAYER entry)`);
-          }
-          
-          logger.log(`Late layer ${i}: BUY ${lateSide} @ ${limitPrice}, size=${layerSize}, EV=${ev.toFixed(4)} (Req: ${finalMinEv.toFixed(4)})`);
-
-          try {
-            const resp = await client.createAndPostOrder({
-              tokenID: lateSide === "UP" ? upTokenId : downTokenId,
-              price: limitPrice.toFixed(2), 
-              side: Side.BUY, 
-              size: layerSize, 
-              expiration: String(expiresAt)
-            }, { tickSize: "0.01", negRisk: false }, OrderType.GTD);
-            
-            logger.log(`LATE LAYER ${i} RESP:`, resp);
-            
-            if (resp && resp.orderID) {
-              logOrderAttempt({
-                ts: Date.now(),
-                symbol: asset.symbol,
-                orderID: resp.orderID,
-                side: lateSide,
-                price: limitPrice,
-                size: layerSize,
-                type: "LATE_LAYER"
-              });
-
-              const tokenId = lateSide === "UP" ? upTokenId : downTokenId;
-              pendingOrders.set(resp.orderID, { 
-                asset: asset.symbol, 
-                side: lateSide, 
-                size: layerSize, 
-                tokenId: tokenId,
-                slug: slug,
-                timestamp: Date.now() 
-              });
-
-              addPosition(state, slug, lateSide, layerSize);
-              state.sharesBoughtBySlug[slug] = (state.sharesBoughtBySlug[slug] || 0) + layerSize;
-            }
-          } catch (err) {
-            logger.error(`Error layer ${i}: ${err.message}`);
-          }
-        }
-        
-        return; // Exit after late game processing
-      }
-    }
-
-    // --- Normal Entry ---
-    if (!candidates.length) {
-      logger.log("No trade candidates with positive EV.");
-      return;
-    }
-
-    const best = candidates.reduce((a, b) => a.ev > b.ev ? a : b);
-    
-    let riskBand = "medium";
-    const prob = best.side === "UP" ? pUp : pDown;
-    if (prob >= PROB_MIN_CORE && best.ask >= PRICE_MIN_CORE) riskBand = "core";
-    else if (prob <= PROB_MAX_RISKY && best.ask <= PRICE_MAX_RISKY) riskBand = "risky";
-
-    const size = sizeForTrade(best.ev, minsLeft, { riskBand, minEdgeOverride: dynamicMinEdge });
-    if (size <= 0) { 
-      logger.log(`EV>0 but size=0`); 
-      return; 
-    }
-
-    const capCheck = canPlaceOrder(state, slug, best.side, size, asset.symbol);
-    const corrCheck = checkCorrelationRisk(state, asset.symbol, best.side, size);
-    
-    if (!capCheck.ok) { 
-      logger.log(`Skip normal trade; cap hit. (reason=${capCheck.reason})`);
-      return; 
-    }
-    
-    if (!corrCheck.ok) {
-      logger.log(`Skip normal trade; correlation risk: ${corrCheck.portfolioRisk.toFixed(1)} > ${corrCheck.limit}`);
+    if (decision.tick) logTickSnapshot(decision.tick);
+
+    // 7) Place entries in the order the strategy returned them, then follow the maker
+    // quote (unless the circuit breaker tripped - that also pulls a resting bid)
+    const entries = decision.orders.length + (decision.quote ? 1 : 0);
+    if (!RiskGuard.canEnter()) {
+      if (entries > 0) logger.warn(`🛑 ${entries} entries blocked: circuit breaker (${RiskGuard.status().haltReason})`);
+      await syncQuote(asset, state, null, tokenIds, logger);
       return;
     }
-
-    // BUG FIX #3: Store entryZ right before placing order
-    if (state.entryZ === null) {
-      state.entryZ = z;
-      logger.log(`[Entry Signal] Stored z=${z.toFixed(2)} (NORMAL entry)`);
-    }
-
-    let maxPrice = getMaxPriceForTime(minsLeft);
-    if (absZ > 3.0) {
-      maxPrice = 0.98;
-      logger.log(`🚀 Z=${z.toFixed(2)} overrides time-based price cap. New max: 0.98`);
-    }
-
-    if (best.ask > maxPrice) {
-      logger.log(`🛑 Price ${best.ask.toFixed(2)} > ${maxPrice.toFixed(2)} max (${minsLeft.toFixed(1)}m left)`);
-      return;
-    }
-
-    if (!checkRiskReward(best.ask, size, prob, minsLeft, logger)) {
-      return;
-    }
-
-    if (minsLeft < 1.0) {
-      if (prob < 0.90) {
-        logger.log(`🛑 NORMAL order too late with low conviction: ${(prob * 100).toFixed(1)}% at ${(minsLeft * 60).toFixed(0)}s`);
-        return;
-      }
-
-      const profitMargin = 1.0 - best.ask;
-      if (profitMargin < 0.20) {
-        logger.log(`🛑 NORMAL order: margin too thin ($${profitMargin.toFixed(2)}) for ${(prob * 100).toFixed(1)}% conviction`);
-        return;
-      }
-    }
-
-    logger.log(`SIGNAL: BUY ${best.side} @ ${best.ask.toFixed(2)} (Size: ${size})`);
-
-    try {
-      const resp = await client.createAndPostOrder({
-        tokenID: best.side === "UP" ? upTokenId : downTokenId,
-        price: best.ask.toFixed(2), 
-        side: Side.BUY, 
-        size, 
-        expiration: String(Math.floor(Date.now()/1000)+900)
-      }, { tickSize: "0.01", negRisk: false }, OrderType.GTD);
-      
-      logger.log(`ORDER RESP:`, resp);
-      
-      if (resp && resp.orderID) {
-        logOrderAttempt({
-          ts: Date.now(),
-          symbol: asset.symbol,
-          orderID: resp.orderID,
-          side: best.side,
-          price: best.ask,
-          size: size,
-          type: "NORMAL"
-        });
-
-        const tokenId = best.side === "UP" ? upTokenId : downTokenId;
-        pendingOrders.set(resp.orderID, { 
-          asset: asset.symbol, 
-          side: best.side, 
-          size, 
-          tokenId: tokenId,
-          slug: slug,
-          timestamp: Date.now() 
-        });
-
-        addPosition(state, slug, best.side, size);
-        state.sharesBoughtBySlug[slug] = (state.sharesBoughtBySlug[slug] || 0) + size;
-      }
-    } catch (err) {
-      logger.error(`Normal order failed: ${err.message}`);
+    for (const order of decision.orders) {
+      await placeEntryOrder(asset, state, order, tokenIds, logger);
     }
+    await syncQuote(asset, state, decision.quote, tokenIds, logger);
 
   } catch (err) {
     logger.error("Exec failed:", err.message, err.stack);
   } finally {
-    executionLock[asset.symbol] = false;
     logger.flush();
   }
 }
 
-async function getBatchPythPrices(pythIds) {
-  try {
-    const uniqueIds = [...new Set(pythIds)];
-    const params = new URLSearchParams();
-    uniqueIds.forEach((id) => params.append("ids[]", id));
-    const res = await fetch(`https://hermes.pyth.network/api/latest_price_feeds?${params.toString()}`);
-    if (!res.ok) return {};
-    const data = await res.json();
-    const map = {};
-    if (Array.isArray(data)) {
-      data.forEach(item => {
-        if (!item.price) return;
-        const raw = Number(item.price.price);
-        const expo = Number(item.price.expo);
-        if (!Number.isFinite(raw)) return;
-        let key = item.id;
-        if (!key.startsWith("0x")) key = "0x" + key;
-        map[key] = { price: raw * Math.pow(10, expo) };
-      });
-    }
-    return map;
-  } catch (e) { 
-    console.error("Pyth Batch Error", e.message); 
-    return {}; 
+async function runAsset(symbol) {
+  const asset = ASSETS.find(a => a.symbol === symbol);
+  if (!asset) return;
+
+  const priceData = PriceFeed.getLatest(symbol, STRATEGY_CONFIG.PRICE_STALE_SECS * 1000);
+  if (!priceData) {
+    console.log(`[${symbol}] No price data`);
+    return;
   }
+  // A stale price would be recorded as if it were current
+  if (!priceData.stale) {
+    VolatilityManager.updatePriceHistory(symbol, priceData.price);
+    VolatilityManager.checkJump(symbol, priceData.price, STRATEGY_CONFIG);
+  }
+  await execForAsset(asset, priceData);
 }
 
-async function execAll() {
-  console.log(`\n=== TICK ${new Date().toISOString()} ===`);
-  
-  try {
-    const pythPrices = await getBatchPythPrices(ASSETS.map(a => a.pythId));
-    
-    await Promise.all(ASSETS.map(asset => {
-      const priceData = pythPrices[asset.pythId];
-      if (!priceData) {
-        console.log(`[${asset.symbol}] No price data`);
-        return Promise.resolve();
-      }
-      VolatilityManager.updatePriceHistory(asset.symbol, priceData.price);
-      return execForAsset(asset, priceData);
-    }));
-  } catch (err) {
-    console.error("execAll error:", err.message, err.stack);
-  }
-  
-  console.log("=== TICK END ===");
+function loopCadenceMs(symbol) {
+  const endMs = stateBySymbol[symbol]?.marketMeta?.endMs ?? MarketTypes.interval(MARKET.type).end.getTime();
+  const minsLeft = StrategyCore.thresholdMinsLeft({
+    minsLeft: Math.max((endMs - Date.now()) / 60000, 0),
+    marketType: MARKET.type,
+    intervalMins: MARKET.intervalMins
+  }, STRATEGY_CONFIG);
+
+  if (minsLeft <= LOOP_FINAL_MINS) return LOOP_CADENCE_MS.final;
+  if (minsLeft > LOOP_EARLY_MINS) return LOOP_CADENCE_MS.early;
+  return LOOP_CADENCE_MS.normal;
+}
+
+// Trade the registry assets Polymarket lists a market for
+async function discoverAssets() {
+  const { available, missing } = await AssetRegistry.discover(MARKET.type);
+  const before = ASSETS.map(a => a.symbol).join(",");
+  ASSETS = available;
+  if (ASSETS.map(a => a.symbol).join(",") === before) return;
+  AssetLoop.setAssets(ASSETS.map(a => a.symbol));
+
+  console.log(`[ASSETS] ✅ Trading ${MARKET.type}: ${ASSETS.map(a => a.symbol).join(", ") || "none"}`);
+  if (missing.length > 0) console.log(`[ASSETS] ⏭️  No ${MARKET.type} market for: ${missing.map(a => a.symbol).join(", ")}`);
 }
 
 // === STARTUP & SCHEDULER ===
 (async () => {
-  console.log("Initializing Bot v2.4.1...");
-  console.log("🚨 EXIT MECHANISM ENABLED");
-  console.log(`   Reversal threshold: ${EXIT_REVERSAL_THRESHOLD}σ (after sign flip)`);
-  console.log(`   Emergency probability: ${(EXIT_PROBABILITY_THRESHOLD*100).toFixed(0)}%`);
-  console.log(`   Min position size: ${EXIT_MIN_POSITION_SIZE} shares`);
+  console.log(`Initializing Bot v2.4.1${PAPER_TRADING ? " (PAPER)" : ""} | profile "${STRATEGY_PROFILE}" | ${MARKET.type} markets...`);
+  if (STRATEGY_CONFIG.ENABLE_EXITS) {
+    console.log("🚨 EXIT MECHANISM ENABLED");
+    console.log(`   Reversal threshold: ${STRATEGY_CONFIG.EXIT_REVERSAL_THRESHOLD}σ (after sign flip)`);
+    console.log(`   Emergency probability: ${(STRATEGY_CONFIG.EXIT_PROBABILITY_THRESHOLD*100).toFixed(0)}%`);
+    console.log(`   Min position size: ${STRATEGY_CONFIG.EXIT_MIN_POSITION_SIZE} shares`);
+  } else {
+    console.log("⚠️  Exits disabled by profile");
+  }
   console.log("");
 
+  // Tuning edits to strategy_config.json apply from the next tick
+  StrategyConfig.watch({
+    profile: STRATEGY_PROFILE,
+    current: STRATEGY_CONFIG,
+    onChange: (config) => { STRATEGY_CONFIG = config; }
+  });
+
   try {
     // 1. Warm up volatility with historical data
-    const symbols = ASSETS.map(a => a.symbol);
-    await VolatilityManager.backfillHistory(symbols);
+    const symbols = REGISTRY_ASSETS.map(a => a.symbol);
+    await VolatilityManager.backfillHistory(symbols, { sources: BACKFILL_SOURCES });
+    setInterval(() => {
+      VolatilityManager.backfillHistory(symbols, { sources: BACKFILL_SOURCES }).catch(err => console.error("Backfill repair error:", err.message));
+    }, 60 * 60 * 1000);
+    await VolatilityManager.backfillSeasonality(symbols);
+    setInterval(() => {
+      VolatilityManager.backfillSeasonality(symbols).catch(err => console.error("Seasonality refresh error:", err.message));
+    }, 6 * 60 * 60 * 1000);
 
     console.log("✅ Backfill complete");
 
-    // 2. Start the loop
-    console.log(`Starting Cron (every ${interval}s)...`);
-    cron.schedule(`*/${interval} * * * * *`, () => {
-      execAll().catch(err => {
-        console.error("Cron execution error:", err.message, err.stack);
-      });
+    // 2. Markets to trade, live prices & books
+    await discoverAssets();
+    setInterval(() => {
+      discoverAssets().catch(err => console.error("Asset discovery error:", err.message));
+    }, MARKET.intervalMins * 60 * 1000);
+
+    PriceFeed.start(REGISTRY_ASSETS);
+    BasisTracker.start({
+      assets: REGISTRY_ASSETS,
+      ourPrice: (symbol) => PriceFeed.getLatest(symbol, Infinity)
+    });
+    OrderBookCache.start({
+      fetchBook: (tokenId) => bookClient.getOrderBook(tokenId),
+      hashBook: (book) => bookClient.getOrderBookHash(book)
     });
+
+    // 3. Circuit breaker (a halt from before a restart stays in force) and the PnL ledger,
+    // which settles the breaker's intervals on the official outcome
+    RiskGuard.start({ file: riskFile, config: () => STRATEGY_CONFIG, cancelAll: cancelAllOpenOrders });
+    PnlLedger.start({
+      file: ledgerFile,
+      onResolved: (row) => RiskGuard.settle(row.slug, row.settlementPnl)
+    });
+
+    // 4. Fills (user channel; the paper exchange feeds it directly) and the Data API cross-check
+    FillTracker.start({ creds: apiCreds, onFill: handleFill, onOrderUpdate: handleOrderUpdate });
+    setInterval(() => {
+      crossCheckAll().catch(err => console.error("Cross-check error:", err.message));
+    }, POSITION_CROSS_CHECK_MS);
+
+    // 5. Start the per-asset loops
+    console.log(`Starting asset loops (${LOOP_CADENCE_MS.final}ms final ${LOOP_FINAL_MINS} mins / ${LOOP_CADENCE_MS.normal}ms / ${LOOP_CADENCE_MS.early}ms early)...`);
+    PriceFeed.onUpdate(AssetLoop.trigger);
+    OrderBookCache.onUpdate(AssetLoop.trigger);
+    AssetLoop.start({ run: runAsset, cadenceMs: loopCadenceMs });
     
     console.log("🚀 Bot v2.4.1 running with active position management!");
   } catch (err) {
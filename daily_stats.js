@@ -7,6 +7,7 @@
  */
 
 import fs from 'fs';
+import { PnlLedger } from './PnlLedger.js';
 
 const args = process.argv.slice(2);
 let targetDate = new Date().toISOString().slice(0, 10); // Today
@@ -40,9 +41,10 @@ if (!fs.existsSync(orderFile)) {
 const orders = fs.readFileSync(orderFile, 'utf-8')
   .trim().split('\n')
   .filter(l => l.length > 0)
-  .map(l => JSON.parse(l));
+  .map(l => JSON.parse(l))
+  .filter(o => !o.paper); // Paper rows in logs from before paper runs had their own files
 
-const entries = orders.filter(o => o.type !== 'EXIT');
+const entries = orders.filter(o => o.type !== 'EXIT' && o.type !== 'FILL');
 const exits = orders.filter(o => o.type === 'EXIT');
 
 console.log(`\n📊 ORDER SUMMARY`);
@@ -109,6 +111,15 @@ if (exits.length > 0) {
   console.log(`\nExpected Recovery:`);
   console.log(`  Total: $${totalRecovery.toFixed(2)}`);
   console.log(`  Average: $${avgRecovery.toFixed(2)}`);
+
+  // Book-walking exits also log what the fills actually brought in
+  const measured = exits.filter(e => e.actualRecovery !== undefined);
+  if (measured.length > 0) {
+    const actual = measured.reduce((sum, e) => sum + e.actualRecovery, 0);
+    const expected = measured.reduce((sum, e) => sum + e.expectedRecovery, 0);
+    console.log(`\nActual Recovery (${measured.length} exits):`);
+    console.log(`  Total: $${actual.toFixed(2)} vs $${expected.toFixed(2)} expected (${actual >= expected ? '+' : ''}$${(actual - expected).toFixed(2)})`);
+  }
   
   // Urgency
   const emergency = exits.filter(e => e.urgency === 'emergency').length;
@@ -119,6 +130,38 @@ if (exits.length > 0) {
   console.log(`  Normal: ${normal}`);
 }
 
+// Realized PnL of the markets that ended today (official outcomes from the PnL ledgers),
+// per ledger - each profile/market type books its own markets
+const resolved = PnlLedger.readResolved('./files')
+  .filter(r => new Date(r.endMs ?? r.ts).toISOString().slice(0, 10) === targetDate);
+
+const resolvedByLedger = {};
+resolved.forEach(r => {
+  if (!resolvedByLedger[r.ledger]) resolvedByLedger[r.ledger] = [];
+  resolvedByLedger[r.ledger].push(r);
+});
+
+Object.entries(resolvedByLedger).sort(([a], [b]) => a.localeCompare(b)).forEach(([ledger, rows]) => {
+  console.log(`\n💰 REALIZED PnL - ${ledger} (${rows.length} resolved markets)`);
+  
+  const realized = rows.reduce((sum, r) => sum + r.realizedPnl, 0);
+  const exitPnl = rows.reduce((sum, r) => sum + r.exitPnl, 0);
+  const won = rows.filter(r => r.realizedPnl > 0).length;
+  
+  console.log(`  Total: $${realized.toFixed(2)} (exits $${exitPnl.toFixed(2)}, settlement $${(realized - exitPnl).toFixed(2)})`);
+  console.log(`  Profitable markets: ${won}/${rows.length} (${(won/rows.length*100).toFixed(0)}%)`);
+  
+  const pnlBySymbol = {};
+  rows.forEach(r => {
+    pnlBySymbol[r.symbol] = (pnlBySymbol[r.symbol] || 0) + r.realizedPnl;
+  });
+  
+  console.log(`\nBy Asset:`);
+  Object.entries(pnlBySymbol).forEach(([sym, pnl]) => {
+    console.log(`  ${sym}: $${pnl.toFixed(2)}`);
+  });
+});
+
 // Load ticks for price action
 if (fs.existsSync(tickFile)) {
   const ticks = fs.readFileSync(tickFile, 'utf-8')
@@ -0,0 +1,181 @@
+#!/usr/bin/env node
+/**
+ * Fit the fat-tailed probability models (Distributions.js) from recorded ticks
+ * For every tick of a market that was logged to its last seconds, the residual is what
+ * the price did afterwards in the tick's model σ:
+ *   e = (final price - current price - drift * minsLeft) / sigmaT
+ * Per asset it fits Student-t degrees of freedom (maximum likelihood, σ kept) and the
+ * residual quantiles, compares their Brier score with the normal model on the same ticks,
+ * and prints a strategy_config.json profile to paste in. The fit is in-sample: check it
+ * with backtest.js on other days before trading it.
+ *
+ * Usage: node fit_tails.js [--dir ./files] [--symbol BTC] [--every 30] [--min-samples 200] [--model student_t]
+ *   --dir          -> directory with ticks-*.jsonl
+ *   --symbol       -> only this asset
+ *   --every        -> seconds between ticks used per market (neighbouring ticks share an outcome)
+ *   --min-samples  -> assets with fewer residuals are not fitted
+ *   --model        -> PROB_MODEL of the printed profile: student_t or empirical
+ */
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import { StrategyCore } from './StrategyCore.js';
+import { Distributions } from './Distributions.js';
+
+const FINAL_MAX_MINS = 0.25; // The last tick must be this close to expiry to stand in for the final price
+const MIN_MINS_LEFT = 0.05;
+
+const args = process.argv.slice(2);
+let dir = './files';
+let onlySymbol = null;
+let everySecs = 30;
+let minSamples = 200;
+let model = 'student_t';
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--dir' && args[i + 1]) dir = args[i + 1];
+  if (args[i] === '--symbol' && args[i + 1]) onlySymbol = args[i + 1].toUpperCase();
+  if (args[i] === '--every' && args[i + 1]) everySecs = Number(args[i + 1]);
+  if (args[i] === '--min-samples' && args[i + 1]) minSamples = Number(args[i + 1]);
+  if (args[i] === '--model' && args[i + 1]) model = args[i + 1];
+}
+
+if (!fs.existsSync(dir)) {
+  console.error(`❌ Directory ${dir} not found`);
+  process.exit(1);
+}
+if (model !== 'student_t' && model !== 'empirical') {
+  console.error(`❌ --model must be student_t or empirical, got ${model}`);
+  process.exit(1);
+}
+
+// ---------- LOAD ----------
+
+async function loadTicks() {
+  const files = fs.readdirSync(dir).filter(f => /^ticks-\d{8}\.jsonl$/.test(f)).sort(); // Not paper runs' ticks
+  const bySlug = new Map();
+
+  for (const file of files) {
+    const rl = readline.createInterface({ input: fs.createReadStream(path.join(dir, file)), crlfDelay: Infinity });
+    for await (const line of rl) {
+      let t;
+      try {
+        t = JSON.parse(line);
+      } catch (e) {
+        continue; // Skip invalid lines
+      }
+      if (!t.slug || !t.symbol || (onlySymbol && t.symbol !== onlySymbol)) continue;
+      if (!bySlug.has(t.slug)) bySlug.set(t.slug, []);
+      // Only what the residual needs - tick logs get big
+      bySlug.get(t.slug).push({
+        ts: t.ts, symbol: t.symbol, minsLeft: t.minsLeft,
+        startPrice: t.startPrice, currentPrice: t.currentPrice,
+        sigmaPerMin: t.sigmaPerMin, drift: t.drift ?? 0, volRatio: t.volRatio ?? 1, basis: t.basis ?? null
+      });
+    }
+  }
+  console.log(`Loaded ${files.length} tick files, ${bySlug.size} markets`);
+  return bySlug;
+}
+
+// ---------- RESIDUALS ----------
+
+function residuals(bySlug) {
+  const bySymbol = {};
+  let incomplete = 0;
+
+  for (const ticks of bySlug.values()) {
+    ticks.sort((a, b) => a.ts - b.ts);
+    const last = ticks[ticks.length - 1];
+    if (last.minsLeft > FINAL_MAX_MINS) {
+      incomplete++;
+      continue;
+    }
+    const final = last.currentPrice;
+
+    let lastUsed = -Infinity;
+    for (const t of ticks) {
+      if (t.ts - lastUsed < everySecs * 1000 || t.minsLeft < MIN_MINS_LEFT || !(t.sigmaPerMin > 0)) continue;
+      const { z, sigmaT } = StrategyCore.computeSignal(t);
+      if (!Number.isFinite(z) || !(sigmaT > 0)) continue;
+      lastUsed = t.ts;
+
+      const list = bySymbol[t.symbol] || (bySymbol[t.symbol] = []);
+      list.push({ z, e: (final - t.currentPrice - t.drift * t.minsLeft) / sigmaT, up: final > t.startPrice });
+    }
+  }
+
+  if (incomplete > 0) console.log(`Skipped ${incomplete} markets without ticks in the last ${FINAL_MAX_MINS * 60}s`);
+  return bySymbol;
+}
+
+// ---------- REPORT ----------
+
+function brier(samples, m) {
+  let sum = 0;
+  for (const s of samples) sum += (Distributions.probUp(s.z, m) - (s.up ? 1 : 0)) ** 2;
+  return samples.length > 0 ? sum / samples.length : null;
+}
+
+function fmt(n, dp = 4) {
+  return n == null ? 'n/a' : n.toFixed(dp);
+}
+
+const bySymbol = residuals(await loadTicks());
+const fitted = { STUDENT_T_DF: {}, EMPIRICAL_CDF: {} };
+
+for (const symbol of Object.keys(bySymbol).sort()) {
+  const samples = bySymbol[symbol];
+  const es = samples.map(s => s.e);
+  console.log(`\n${'='.repeat(60)}\n${symbol}: ${samples.length} residuals`);
+  if (samples.length < minSamples) {
+    console.log(`   Fewer than ${minSamples} - not fitted`);
+    continue;
+  }
+
+  const sd = Math.sqrt(es.reduce((sum, e) => sum + e * e, 0) / es.length);
+  const beyond = (k) => es.filter(e => Math.abs(e) > k).length / es.length;
+  console.log(`   Residual RMS: ${fmt(sd, 3)} (1 = σ as modelled)`);
+  console.log(`   |e| > 2: ${(beyond(2) * 100).toFixed(2)}% (normal 4.55%) | |e| > 3: ${(beyond(3) * 100).toFixed(2)}% (normal 0.27%)`);
+
+  const t = Distributions.fitStudentT(es);
+  const quantiles = Distributions.fitQuantiles(es).map(q => Number(q.toFixed(4)));
+  fitted.STUDENT_T_DF[symbol] = t.df;
+  fitted.EMPIRICAL_CDF[symbol] = quantiles;
+  console.log(`   Student-t: df ${t.df} | log-lik ${t.logLik.toFixed(1)} vs normal ${t.normalLogLik.toFixed(1)}`);
+
+  // Confident ticks are where an overconfident model loses money
+  const confident = samples.filter(s => Math.abs(s.z) > 1.5);
+  const models = {
+    normal: { name: 'normal' },
+    student_t: { name: 'student_t', df: t.df },
+    empirical: { name: 'empirical', values: quantiles }
+  };
+  console.log(`   Brier (all / |z| > 1.5, ${confident.length} ticks):`);
+  for (const [name, m] of Object.entries(models)) {
+    console.log(`     ${name.padEnd(10)} ${fmt(brier(samples, m))} / ${fmt(brier(confident, m))}`);
+  }
+}
+
+if (Object.keys(fitted.STUDENT_T_DF).length === 0) {
+  console.log('\nNothing fitted.');
+  process.exit(0);
+}
+
+const defaultProfile = fs.existsSync('strategy_config.json')
+  ? JSON.parse(fs.readFileSync('strategy_config.json', 'utf8')).defaultProfile
+  : null;
+const lines = (table) => Object.entries(table).map(([k, v]) => `        "${k}": ${JSON.stringify(v)}`).join(',\n');
+
+console.log(`\n${'='.repeat(60)}\nProfile for strategy_config.json (PROB_MODEL ${model}):\n`);
+console.log(`    "fat-tails": {
+      "description": "Fitted by fit_tails.js on ${new Date().toISOString().slice(0, 10)}",${defaultProfile ? `\n      "extends": "${defaultProfile}",` : ''}
+      "PROB_MODEL": "${model}",
+      "STUDENT_T_DF": {
+${lines(fitted.STUDENT_T_DF)}
+      },
+      "EMPIRICAL_CDF": {
+${lines(fitted.EMPIRICAL_CDF)}
+      }
+    }`);
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+/**
+ * Inspect Bot State - rebuilds state from the event journal
+ * Shows what crypto.js would restore on startup for a market
+ *
+ * Usage: node inspect_state.js [--slug btc-updown-15m-1732700700] [--file state_journal.jsonl] [--events]
+ *   no --slug  -> summary of every symbol in the journal
+ *   --events   -> also list the raw journal events for the slug: the current run's, and the run before
+ *                 it from <file>.prev (the bot compacts the journal on every start, so older runs are gone)
+ */
+
+import fs from 'fs';
+import { StateJournal } from './StateJournal.js';
+
+const args = process.argv.slice(2);
+let slug = null;
+let file = StateJournal.DEFAULT_FILE;
+let showEvents = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--slug' && args[i + 1]) slug = args[i + 1];
+  if (args[i] === '--file' && args[i + 1]) file = args[i + 1];
+  if (args[i] === '--events') showEvents = true;
+}
+
+if (!fs.existsSync(file)) {
+  console.log(`\n❌ No journal found: ${file}`);
+  process.exit(1);
+}
+
+const { state, events } = StateJournal.replay(file);
+
+console.log(`\n${'='.repeat(60)}`);
+console.log(`BOT STATE - ${file} (${events} events)`);
+console.log('='.repeat(60));
+
+const symbols = Object.entries(state.symbols)
+  .filter(([sym, st]) => !slug || st.slug === slug);
+
+if (slug && symbols.length === 0) {
+  console.log(`\n⚠️  No live state for ${slug} (interval reset, or never traded)`);
+}
+
+for (const [sym, st] of symbols) {
+  const pos = st.sideSharesBySlug[st.slug] || { UP: 0, DOWN: 0 };
+  const net = pos.UP - pos.DOWN;
+
+  console.log(`\n📊 ${sym} | ${st.slug}`);
+  console.log(`  Position:  UP=${pos.UP}, DOWN=${pos.DOWN} (net ${net > 0 ? 'UP' : net < 0 ? 'DOWN' : 'FLAT'} ${Math.abs(net)})`);
+  console.log(`  Bought:    ${st.sharesBoughtBySlug[st.slug] || 0} shares (cap counter)`);
+  console.log(`  Entry z:   ${st.entryZ?.toFixed(3) ?? 'none'} | min z since entry: ${st.minZSinceEntry?.toFixed(3) ?? 'none'}`);
+  console.log(`  Last exit: ${st.exitTimestamp ? new Date(st.exitTimestamp).toISOString() : 'none'}`);
+}
+
+const pending = Object.entries(state.pendingOrders)
+  .filter(([id, p]) => !slug || p.slug === slug);
+
+console.log(`\n⏳ PENDING ORDERS: ${pending.length}`);
+for (const [orderID, p] of pending) {
+  const age = ((Date.now() - p.timestamp) / 1000).toFixed(0);
+  console.log(`  ${orderID} | ${p.asset} ${p.side} ${p.size} (filled ${p.sizeFilled || 0}) | ${p.slug} | ${age}s old`);
+}
+
+if (showEvents && slug) {
+  console.log(`\n📜 EVENTS for ${slug}`);
+  const lines = [StateJournal.previousFile(file), file]
+    .filter(f => fs.existsSync(f))
+    .flatMap(f => fs.readFileSync(f, 'utf-8').split('\n').filter(l => l.trim()));
+  for (const line of lines) {
+    try {
+      const { ts, type, symbol, slug: eventSlug, ...rest } = JSON.parse(line);
+      if (eventSlug !== slug) continue;
+      console.log(`  ${new Date(ts).toISOString()} ${type.padEnd(14)} ${JSON.stringify(rest)}`);
+    } catch (e) {
+      // ignore corrupt lines
+    }
+  }
+}
+
+console.log('');
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+/**
+ * Redemption worker - turns resolved winning positions back into USDC
+ * Checks the PnL ledgers and the Data API for resolved markets still held by the
+ * funder and redeems them on the Conditional Tokens contract (see Redeemer.js).
+ * Run one per wallet, next to the bots (it reads their pnl_ledger*.jsonl):
+ *   pm2 start redeem.js --name redeemer
+ *
+ * Usage: node redeem.js [--once] [--dry-run] [--every 300] [--rpc URL] [--file redemptions.jsonl]
+ *   --once     -> one pass, then exit
+ *   --dry-run  -> show what would be redeemed, send nothing
+ *   --every    -> seconds between passes (default 300)
+ *   --rpc      -> JSON-RPC endpoint (default POLYGON_RPC_URL or polygon-rpc.com; e.g. a local fork node)
+ *   --file     -> where redemptions are recorded
+ */
+
+import 'dotenv/config';
+import { Redeemer } from './Redeemer.js';
+
+// Same wallet as crypto.js
+const SIGNATURE_TYPE = 1;
+const FUNDER = "0xA69b1867a00c87928b5A1f6B1c2e9aC2246bD844";
+
+const args = process.argv.slice(2);
+let once = false;
+let dryRun = false;
+let everySecs = 300;
+let rpcUrl = process.env.POLYGON_RPC_URL || 'https://polygon-rpc.com';
+let file = Redeemer.DEFAULT_FILE;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--once') once = true;
+  if (args[i] === '--dry-run') dryRun = true;
+  if (args[i] === '--every' && args[i + 1]) everySecs = Number(args[i + 1]);
+  if (args[i] === '--rpc' && args[i + 1]) rpcUrl = args[i + 1];
+  if (args[i] === '--file' && args[i + 1]) file = args[i + 1];
+}
+
+if (!process.env.PRIVATE_KEY) {
+  console.error('❌ PRIVATE_KEY missing from .env');
+  process.exit(1);
+}
+if (!(everySecs > 0)) {
+  console.error(`❌ --every must be a positive number of seconds, got ${everySecs}`);
+  process.exit(1);
+}
+
+Redeemer.init({
+  rpcUrl,
+  privateKey: process.env.PRIVATE_KEY,
+  funder: FUNDER,
+  signatureType: SIGNATURE_TYPE,
+  file,
+  dryRun
+});
+
+if (once) {
+  await Redeemer.runOnce();
+  Redeemer.stop();
+} else {
+  console.log(`🚀 Redeeming every ${everySecs}s via ${rpcUrl}`);
+  await Redeemer.start(everySecs * 1000);
+}
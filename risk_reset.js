@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Risk Reset - lifts a circuit-breaker halt of the running bot
+ * Writes a reset request next to the RiskGuard state file; the bot picks it up within
+ * a few seconds (or on its next start) and resumes entries.
+ *
+ * Usage: node risk_reset.js [--file risk_state.json] [--status]
+ *   --file    -> state file of the bot to reset (risk_state-<profile>[-<market type>][-paper].json for other bots)
+ *   --status  -> only show the guard's state, don't reset
+ */
+
+import fs from 'fs';
+import os from 'os';
+import { RiskGuard } from './RiskGuard.js';
+
+const args = process.argv.slice(2);
+let file = RiskGuard.DEFAULT_FILE;
+let statusOnly = false;
+
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--file' && args[i + 1]) file = args[i + 1];
+  if (args[i] === '--status') statusOnly = true;
+}
+
+if (!fs.existsSync(file)) {
+  console.log(`\n❌ No risk state found: ${file}`);
+  process.exit(1);
+}
+
+const state = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+console.log(`\n${'='.repeat(60)}`);
+console.log(`RISK GUARD - ${file}`);
+console.log('='.repeat(60));
+console.log(`  Status:         ${state.halted ? `🛑 HALTED since ${new Date(state.haltedAt).toISOString()}` : '✅ trading'}`);
+if (state.halted) console.log(`  Reason:         ${state.haltReason}`);
+console.log(`  Day:            ${state.day}`);
+console.log(`  Realized PnL:   $${state.realized.toFixed(2)} (loss limit counted from $${state.baseline.toFixed(2)})`);
+console.log(`  Losing streak:  ${state.losingStreak} intervals`);
+
+if (statusOnly) process.exit(0);
+
+const resetFile = RiskGuard.resetFileFor(file);
+fs.writeFileSync(resetFile, JSON.stringify({ ts: Date.now(), by: os.userInfo().username }));
+console.log(`\n✅ Reset requested (${resetFile}) - the bot resumes within a few seconds`);
@@ -8,6 +8,7 @@
 
 import fs from 'fs';
 import path from 'path';
+import { PnlLedger } from './PnlLedger.js';
 
 const CONFIG = {
   daysToAnalyze: 14,
@@ -33,7 +34,7 @@ class SimpleAnalyzer {
     }
     
     const files = fs.readdirSync(filesDir)
-      .filter(f => f.startsWith('orders-') && f.endsWith('.jsonl'));
+      .filter(f => /^orders-\d{4}-\d{2}-\d{2}\.jsonl$/.test(f)); // Live logs only, not orders-<run>-paper-*
     
     console.log(`Found ${files.length} order log files`);
     
@@ -50,6 +51,8 @@ class SimpleAnalyzer {
       for (const line of lines) {
         try {
           const order = JSON.parse(line);
+          if (order.type === 'FILL') continue; // fills of the orders, not orders
+          if (order.paper) continue; // Paper rows in logs from before paper runs had their own files
           
           if (order.type === 'EXIT') {
             this.exits.push(order);
@@ -189,6 +192,24 @@ class SimpleAnalyzer {
     };
   }
 
+  // Official outcomes and realized PnL the bots booked, per PnL ledger (one per profile/market type)
+  analyzeOutcomes(daysBack = 14) {
+    const cutoff = Date.now() - daysBack * 24 * 60 * 60 * 1000;
+    const resolved = PnlLedger.readResolved('./files').filter(r => (r.endMs ?? r.ts) >= cutoff);
+    
+    const byLedger = {};
+    resolved.forEach(r => {
+      const stats = byLedger[r.ledger] || (byLedger[r.ledger] = { markets: 0, wins: 0, realized: 0, exitPnl: 0 });
+      stats.markets++;
+      if (r.realizedPnl > 0) stats.wins++;
+      stats.realized += r.realizedPnl;
+      stats.exitPnl += r.exitPnl;
+    });
+    Object.values(byLedger).forEach(stats => { stats.winRate = stats.wins / stats.markets; });
+    
+    return { markets: resolved.length, byLedger };
+  }
+
   generateRecommendations(exitMetrics, patterns) {
     const recommendations = {
       phase: 'phase_1_validation',
@@ -277,7 +298,7 @@ class SimpleAnalyzer {
     recommendations.nextSteps.push(
       'Enable US 4-5 min trading with strict 1.8σ threshold',
       'Monitor for 20+ trades in this new window',
-      'Target: >50% win rate (outcomes need manual tracking)',
+      'Target: >50% win rate (see REALIZED OUTCOMES)',
       'Run analysis again in 2 weeks'
     );
     
@@ -285,7 +306,7 @@ class SimpleAnalyzer {
   }
 }
 
-function generateReport(analyzer, exitMetrics, patterns, sizing, recommendations) {
+function generateReport(analyzer, exitMetrics, patterns, sizing, outcomes, recommendations) {
   const lines = [];
   const hr = '='.repeat(80);
   
@@ -331,6 +352,23 @@ function generateReport(analyzer, exitMetrics, patterns, sizing, recommendations
   lines.push(`Min: ${sizing.min} | Max: ${sizing.max}`);
   lines.push('');
   
+  lines.push('━'.repeat(80));
+  lines.push('💰 REALIZED OUTCOMES');
+  lines.push('━'.repeat(80));
+  lines.push('');
+  
+  if (outcomes.markets === 0) {
+    lines.push('No resolved markets in the PnL ledger (copy pnl_ledger*.jsonl into ./files/).');
+  } else {
+    Object.entries(outcomes.byLedger).sort(([a], [b]) => a.localeCompare(b)).forEach(([ledger, stats]) => {
+      lines.push(`${ledger}:`);
+      lines.push(`  Resolved Markets: ${stats.markets}`);
+      lines.push(`  Profitable: ${stats.wins} (${(stats.winRate * 100).toFixed(1)}%)`);
+      lines.push(`  Realized PnL: $${stats.realized.toFixed(2)} (exits $${stats.exitPnl.toFixed(2)})`);
+    });
+  }
+  lines.push('');
+  
   lines.push('━'.repeat(80));
   lines.push('🚨 EXIT MECHANISM');
   lines.push('━'.repeat(80));
@@ -468,9 +506,10 @@ async function main() {
   const exitMetrics = analyzer.analyzeExitEffectiveness();
   const patterns = analyzer.analyzeOrderPatterns();
   const sizing = analyzer.analyzePositionSizing();
+  const outcomes = analyzer.analyzeOutcomes(CONFIG.daysToAnalyze);
   const recommendations = analyzer.generateRecommendations(exitMetrics, patterns);
   
-  const report = generateReport(analyzer, exitMetrics, patterns, sizing, recommendations);
+  const report = generateReport(analyzer, exitMetrics, patterns, sizing, outcomes, recommendations);
   
   console.log(report);
   